@@ -0,0 +1,4 @@
+// Configuration is loaded when modules are imported, so tests get a minimal offline environment
+process.env.LARAVEL_API_BASE_URL ??= 'http://localhost:8000/api';
+process.env.LLM_PROVIDER ??= 'mock';
+process.env.LOG_LEVEL ??= 'error';
@@ -1,174 +1,194 @@
 /**
  * AI Enhancement Component
  * 
- * Responsible for enhancing article content using Groq LLM API
+ * Responsible for enhancing article content using a configurable LLM provider
  * Improves structure, formatting, SEO, and readability while maintaining originality
  * Adds proper citations and references section
  */
 
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/config.js';
 import { validateEnhancedArticle, logValidationErrors } from '../utils/validation.js';
-import { AIProcessingError, ApiError, ValidationError, ErrorHandler, ErrorUtils } from '../utils/errors.js';
+import { AIProcessingError, ValidationError, ErrorHandler, ErrorUtils } from '../utils/errors.js';
 import { withRetry } from '../utils/retry.js';
+import { createLLMProvider } from '../providers/llmProviders.js';
+import { chunkContent, buildOutline } from '../utils/contentChunker.js';
+import { summarizeUsage } from '../utils/usage.js';
+import { analyzeOverlap } from '../utils/overlap.js';
+import { promptTemplates, renderPromptTemplate } from '../utils/promptTemplates.js';
+import { SEO_LIMITS, FAQ_HEADING, parseSeoResponse, normalizeSeoPackage, validateSeoPackage, buildFaqJsonLd, renderFaqSection } from '../utils/seoPackage.js';
+
+// Critique criteria for multi-pass templates without their own rubric
+const DEFAULT_RUBRIC = [
+  'The structure follows a logical order, with an introduction, descriptive H2/H3 headings and a conclusion',
+  'Every fact, number, date, name and quote of the original article is preserved unchanged',
+  'Sections do not repeat each other and each one covers the topic of its heading',
+  'The text is written in original wording, not copied from the references',
+  'Paragraphs are concise and transitions between sections are smooth',
+];
 
 export class AIEnhancer {
-  constructor() {
+  /**
+   * @param {Object} provider - LLM provider (defaults to LLM_PROVIDER)
+   * @param {PromptTemplateStore} templates - Prompt templates
+   */
+  constructor(provider = createLLMProvider(), templates = promptTemplates) {
     this.logger = logger.child('AIEnhancer');
     
-    // Groq API configuration
-    this.apiClient = axios.create({
-      baseURL: config.groqApiBaseUrl,
-      timeout: config.requestTimeout,
-      headers: {
-        'Authorization': `Bearer ${config.groqApiKey}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    // LLM provider (Groq, OpenAI-compatible, Ollama or mock)
+    this.provider = provider;
     
-    // Model configuration
-    this.model = config.groqModel;
+    // Model configuration (templates may override the generation parameters)
+    this.model = provider.model;
     this.maxTokens = 4000;
     this.temperature = 0.7;
     
-    // Enhancement templates
-    this.enhancementPrompts = {
-      structure: `You are an expert content editor. Your task is to enhance the given article by improving its structure, readability, and SEO while maintaining the original meaning and avoiding plagiarism.
-
-REQUIREMENTS:
-1. Improve the article structure with proper headings (H2, H3)
-2. Add bullet points and numbered lists where appropriate
-3. Enhance readability and flow
-4. Maintain the original tone and style
-5. Keep all factual information accurate
-6. Do NOT plagiarize - rewrite in your own words
-7. Add a "References" section at the end citing the provided sources
-
-REFERENCE ARTICLES (for style and additional context):
-{references}
-
-ORIGINAL ARTICLE:
-Title: {title}
-Content: {content}
-
-Please provide the enhanced article with improved structure and formatting:`,
-
-      seo: `You are an SEO content specialist. Enhance this article for better search engine optimization while maintaining readability and authenticity.
-
-REQUIREMENTS:
-1. Optimize the title for SEO (keep it engaging)
-2. Add relevant subheadings with keywords
-3. Improve content flow and readability
-4. Add transitional phrases and better paragraph structure
-5. Maintain the original meaning and facts
-6. Do NOT stuff keywords unnaturally
-7. Keep the content authentic and valuable
-
-ARTICLE TO ENHANCE:
-Title: {title}
-Content: {content}
-
-REFERENCE CONTEXT:
-{references}
-
-Provide the SEO-enhanced article:`,
-
-      comprehensive: `You are a professional content editor and writer. Your task is to create a comprehensive, well-structured, and engaging article based on the original content and reference materials.
-
-INSTRUCTIONS:
-1. **Structure**: Create a well-organized article with:
-   - Compelling introduction
-   - Clear headings and subheadings (H2, H3)
-   - Logical flow between sections
-   - Strong conclusion
-
-2. **Content Enhancement**:
-   - Expand on key points with additional insights
-   - Add relevant examples or explanations
-   - Improve clarity and readability
-   - Use bullet points and lists for better organization
-
-3. **Style Requirements**:
-   - Match the tone and style of the reference articles
-   - Maintain professional yet engaging writing
-   - Use active voice where possible
-   - Ensure smooth transitions between paragraphs
-
-4. **Originality**:
-   - Rewrite content in your own words
-   - Do NOT copy text directly from references
-   - Add unique insights and perspectives
-   - Maintain factual accuracy
-
-5. **Citations**:
-   - Add a "References" section at the end
-   - Include title and domain for each reference
-   - Format: "- [Article Title] - domain.com"
-
-ORIGINAL ARTICLE:
-Title: {title}
-Content: {content}
-
-REFERENCE ARTICLES FOR CONTEXT AND STYLE:
-{references}
-
-Create an enhanced, comprehensive article:`,
-    };
+    // Enhancement prompt templates (loaded from PROMPT_TEMPLATE_DIR)
+    this.promptTemplates = templates;
   }
 
   /**
    * Enhance article content using AI
    * @param {Object} originalArticle - Original article data
    * @param {Array} referenceArticles - Reference articles for context
-   * @param {string} enhancementType - Type of enhancement ('structure', 'seo', 'comprehensive')
+   * @param {string} enhancementType - Type of enhancement (name of a prompt template)
+   * @param {Object} options - Localization and multi-pass options
+   * @param {string} options.locale - Target locale (required by localized templates such as translate)
+   * @param {Array<Object>} options.artifacts - Passes recorded so far (reused, and appended to as passes complete)
+   * @param {Function} options.onArtifact - Async callback after each recorded pass (e.g. to save a checkpoint)
    * @returns {Promise<Object>} Enhanced article
    */
-  async enhanceArticle(originalArticle, referenceArticles = [], enhancementType = 'comprehensive') {
+  async enhanceArticle(originalArticle, referenceArticles = [], enhancementType = 'comprehensive', options = {}) {
     const operation = `enhanceArticle(${originalArticle.title})`;
     const timer = logger.startTimer(operation);
     
     try {
-      this.logger.info(`🤖 Enhancing article: "${originalArticle.title}" (${enhancementType})`);
+      // Unknown enhancement types are rejected with the list of available templates
+      const template = await this.getPromptTemplate(enhancementType);
+      const locale = template.localized ? options.locale : null;
+      if (template.localized && !locale) {
+        throw new ValidationError(`Enhancement type "${enhancementType}" needs a target locale`, 'locale', locale);
+      }
+      this.logger.info(`🤖 Enhancing article: "${originalArticle.title}" (${enhancementType}${locale ? ` → ${locale}` : ''}, template v${template.version})`);
+      
+      // A translation keeps the references of its source, so scraped articles are not used
+      const references = locale ? [] : referenceArticles;
       
       // Prepare reference context
-      const referenceContext = this.formatReferences(referenceArticles);
+      const referenceContext = this.formatReferences(references);
       
-      // Generate enhancement prompt
-      const prompt = this.generatePrompt(originalArticle, referenceContext, enhancementType);
+      // A translation is made without the References section, which is attached again unchanged
+      // afterwards: its entries stay as published and a translated heading cannot hide it
+      const { body: sourceBody, references: sourceReferences } = locale
+        ? this.splitReferencesSection(originalArticle.content)
+        : { body: originalArticle.content, references: '' };
+      const source = { ...originalArticle, content: sourceBody };
       
-      // Call Groq API with retry logic
-      const enhancedContent = await withRetry(
-        () => this.callGroqAPI(prompt),
-        {
-          maxRetries: config.maxRetries,
-          context: `AI enhancement for "${originalArticle.title}"`,
+      // Long articles are enhanced section by section instead of being truncated
+      const chunks = chunkContent(source.content, config.enhancementChunkSize);
+      
+      // Token usage of every successful LLM call
+      const llmCalls = [];
+      
+      let enhanced;
+      if (chunks.length === 1 && template.passes > 0) {
+        enhanced = await this.enhanceInPasses(source, references, referenceContext, template, llmCalls, { ...options, locale });
+      } else if (chunks.length === 1) {
+        // Generate enhancement prompt
+        const prompt = this.generatePrompt(source, referenceContext, enhancementType, locale);
+        
+        // Call LLM provider with retry logic
+        const enhancedContent = await withRetry(
+          () => this.callLLM(prompt, llmCalls, template),
+          {
+            maxRetries: config.maxRetries,
+            operationName: `AI enhancement for "${originalArticle.title}"`,
+          }
+        );
+        
+        enhanced = {
+          title: this.extractTitle(enhancedContent),
+          content: this.cleanEnhancedContent(enhancedContent),
+        };
+      } else {
+        if (template.passes > 0) {
+          this.logger.warn(`⚠️ Article is too long for multi-pass enhancement; enhancing it in ${chunks.length} chunks instead`);
         }
-      );
+        enhanced = await this.enhanceInChunks(source, chunks, references, referenceContext, enhancementType, llmCalls, locale);
+      }
+      
+      if (locale) {
+        enhanced.content = [this.splitReferencesSection(enhanced.content).body, sourceReferences].filter(Boolean).join('\n\n');
+        
+        // A translation must keep every link of its source
+        const missingLinks = this.findMissingLinks(originalArticle.content, enhanced.content);
+        if (missingLinks.length > 0) {
+          logValidationErrors(`${locale} translation of "${originalArticle.title}"`, missingLinks.map(url => `Link missing from the translation: ${url}`));
+          throw new ValidationError(`Translation to ${locale} dropped ${missingLinks.length} link(s) of "${originalArticle.title}"`, 'links', missingLinks);
+        }
+      }
+      
+      // Templates with seo_package also get search metadata and an FAQ matching its JSON-LD
+      let seo = null;
+      if (template.seoPackage) {
+        seo = await this.generateSeoPackage({ title: enhanced.title || originalArticle.title, content: enhanced.content }, template, llmCalls);
+        enhanced.content = this.addFaqSection(enhanced.content, seo.faq);
+      }
+      
+      const usage = summarizeUsage(llmCalls);
       
       // Create enhanced article object
       const enhancedArticle = {
-        title: this.extractTitle(enhancedContent) || originalArticle.title,
-        content: this.cleanEnhancedContent(enhancedContent),
+        title: enhanced.title || originalArticle.title,
+        content: enhanced.content,
         metadata: {
           ai_enhanced: true,
           enhancement_type: enhancementType,
+          locale,
+          source_article_id: locale ? originalArticle.id : null,
+          prompt_template: template.name,
+          prompt_template_version: template.version,
           original_article_id: originalArticle.id,
           enhanced_at: new Date(),
           model_used: this.model,
-          references: referenceArticles.length > 0 ? referenceArticles.map(ref => ({
+          llm_provider: this.provider.name,
+          references: references.map(ref => ({
             title: ref.title,
             domain: ref.domain,
             url: ref.url,
-          })) : [],
+            author: ref.metadata?.author || null,
+            published_at: ref.metadata?.publishedAt || null,
+            modified_at: ref.metadata?.modifiedAt || null,
+            canonical_url: ref.metadata?.canonicalUrl || null,
+            language: ref.metadata?.language || null,
+            site_name: ref.metadata?.siteName || null,
+            description: ref.metadata?.description || null,
+            image: ref.metadata?.image || null,
+          })),
+          enhancement_stats: {
+            chunks: chunks.length,
+            llm_calls: llmCalls,
+            prompt_tokens: usage.promptTokens,
+            completion_tokens: usage.completionTokens,
+            total_tokens: usage.totalTokens,
+            estimated_cost_usd: usage.estimatedCost,
+          },
+          multi_pass: enhanced.passes || null,
+          seo,
         },
       };
       
-      // Add references section if not present
-      if (!enhancedArticle.content.includes('References') && referenceArticles.length > 0) {
-        enhancedArticle.content += '\n\n' + this.generateReferencesSection(referenceArticles);
+      // Add references section if not present (translations already have theirs)
+      if (!locale && !enhancedArticle.content.includes('References') && references.length > 0) {
+        enhancedArticle.content += '\n\n' + this.generateReferencesSection(references);
       }
       
+      // Check how much of the result was copied from the references
+      enhancedArticle.metadata.overlap = analyzeOverlap(enhancedArticle.content, references, {
+        shingleSize: config.overlapShingleSize,
+      });
+      this.logOverlap(enhancedArticle.metadata.overlap);
+      
       // Validate enhanced article
       const validationResult = validateEnhancedArticle(enhancedArticle);
       if (!validationResult.isValid) {
@@ -176,7 +196,7 @@ Create an enhanced, comprehensive article:`,
         throw new ValidationError(`Enhanced article validation failed for "${originalArticle.title}"`);
       }
       
-      this.logger.info(`✅ Successfully enhanced article: "${enhancedArticle.title}" (${enhancedArticle.content.length} chars)`);
+      this.logger.info(`✅ Successfully enhanced article: "${enhancedArticle.title}" (${enhancedArticle.content.length} chars, ${usage.totalTokens} tokens)`);
       logger.endTimer(timer);
       
       return enhancedArticle;
@@ -189,91 +209,511 @@ Create an enhanced, comprehensive article:`,
       }
       
       ErrorHandler.logError(error, operation);
-      throw new AIProcessingError(`AI enhancement failed for "${originalArticle.title}": ${error.message}`, this.model, 'enhancement');
+      // Keep the cause so the job queue can tell broken streams and timeouts from permanent failures
+      throw new AIProcessingError(`AI enhancement failed for "${originalArticle.title}": ${error.message}`, this.model, 'enhancement', { cause: error });
     }
   }
 
   /**
-   * Call Groq API for content enhancement
-   * @param {string} prompt - Enhancement prompt
-   * @returns {Promise<string>} Enhanced content
+   * Enhance a long article chunk by chunk and stitch the results together
+   * @param {Object} article - Original article
+   * @param {Array<Object>} chunks - Content chunks from chunkContent
+   * @param {Array} referenceArticles - Reference articles
+   * @param {string} referenceContext - Formatted reference context shared by every chunk
+   * @param {string} type - Enhancement type
+   * @param {Array<Object>} llmCalls - Collects the token usage of each call
+   * @param {string} locale - Target locale of a localized template
+   * @returns {Promise<Object>} Stitched article ({ title, content }) with a single References section
    */
-  async callGroqAPI(prompt) {
-    try {
-      this.logger.debug('🔄 Calling Groq API for content enhancement...');
+  async enhanceInChunks(article, chunks, referenceArticles, referenceContext, type, llmCalls = [], locale = null) {
+    const outline = buildOutline(chunks);
+    const template = this.promptTemplates.get(type);
+    const bodies = [];
+    let title = null;
+    let lastReferences = '';
+    
+    this.logger.info(`📑 Article is ${article.content.length} chars - enhancing in ${chunks.length} chunks`);
+    
+    for (let index = 0; index < chunks.length; index++) {
+      const prompt = this.generateChunkPrompt(article, chunks[index], index, chunks.length, outline, referenceContext, type, locale);
       
-      const response = await this.apiClient.post('/chat/completions', {
-        model: this.model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        stream: false,
-      });
+      const enhancedChunk = await withRetry(
+        () => this.callLLM(prompt, llmCalls, template),
+        {
+          maxRetries: config.maxRetries,
+          operationName: `AI enhancement for "${article.title}" (chunk ${index + 1}/${chunks.length})`,
+        }
+      );
       
-      if (!response.data || !response.data.choices || response.data.choices.length === 0) {
-        throw new AIProcessingError('Invalid response from Groq API', this.model);
+      if (index === 0) {
+        title = this.extractTitle(enhancedChunk);
       }
       
-      const enhancedContent = response.data.choices[0].message.content;
+      // Chunks may still add their own References section despite the prompt
+      const { body, references } = this.splitReferencesSection(this.cleanEnhancedContent(enhancedChunk));
+      bodies.push(body);
+      lastReferences = references || lastReferences;
       
-      if (!enhancedContent || enhancedContent.trim().length === 0) {
-        throw new AIProcessingError('Empty response from Groq API', this.model);
+      logger.progress(`Enhanced chunk ${index + 1}/${chunks.length} of "${article.title}"`);
+    }
+    
+    const referencesSection = referenceArticles.length > 0
+      ? this.generateReferencesSection(referenceArticles)
+      : lastReferences;
+    
+    return {
+      title,
+      content: [...bodies, referencesSection].filter(Boolean).join('\n\n'),
+    };
+  }
+
+  /**
+   * Enhance an article in several passes: an outline, a draft of each section, then rounds
+   * of critique against the template's rubric and revision (template.passes rounds at most)
+   * Each pass is recorded in options.artifacts as it completes; passes already recorded
+   * for the same template version (by an interrupted run) are reused instead of repeated
+   * @param {Object} article - Original article
+   * @param {Array} referenceArticles - Reference articles
+   * @param {string} referenceContext - Formatted reference context
+   * @param {Object} template - Prompt template
+   * @param {Array<Object>} llmCalls - Collects the token usage of each call
+   * @param {Object} options - Multi-pass options ({ locale, artifacts, onArtifact }, see enhanceArticle)
+   * @returns {Promise<Object>} Article ({ title, content, passes }) with a single References section
+   */
+  async enhanceInPasses(article, referenceArticles, referenceContext, template, llmCalls, { locale = null, artifacts = [], onArtifact = null } = {}) {
+    const basePrompt = this.generatePrompt(article, referenceContext, template.name, locale);
+    // Passes of one locale are never reused for another
+    const templateId = `${template.name}@${template.version}${locale ? `/${locale}` : ''}`;
+    
+    const runPass = async (name, prompt) => {
+      const recorded = artifacts.find(artifact => artifact.name === name && artifact.template === templateId);
+      if (recorded) {
+        this.logger.debug(`♻️ Reusing ${name} pass from checkpoint`);
+        if (recorded.usage) {
+          llmCalls.push(recorded.usage);
+        }
+        return recorded.content;
       }
       
-      this.logger.debug(`✅ Groq API response received (${enhancedContent.length} chars)`);
-      return enhancedContent;
-      
-    } catch (error) {
-      if (error.response) {
-        const { status, data } = error.response;
-        
-        if (status === 401) {
-          throw new AIProcessingError('Groq API authentication failed - check API key', this.model);
-        }
-        
-        if (status === 429) {
-          const retryAfter = error.response.headers?.['retry-after'];
-          throw new AIProcessingError(`Groq API rate limit exceeded${retryAfter ? ` - retry after ${retryAfter}s` : ''}`, this.model);
-        }
-        
-        if (status === 400) {
-          throw new AIProcessingError(`Groq API request error: ${data?.error?.message || 'Invalid request'}`, this.model);
+      const callCount = llmCalls.length;
+      const content = await withRetry(
+        () => this.callLLM(prompt, llmCalls, template),
+        {
+          maxRetries: config.maxRetries,
+          operationName: `AI ${name} pass for "${article.title}"`,
         }
-        
-        throw new AIProcessingError(`Groq API error (${status}): ${data?.error?.message || 'Unknown error'}`, this.model);
+      );
+      
+      artifacts.push({
+        name,
+        template: templateId,
+        content,
+        usage: llmCalls.length > callCount ? llmCalls[llmCalls.length - 1] : null,
+        created_at: new Date().toISOString(),
+      });
+      if (onArtifact) {
+        await onArtifact(artifacts);
+      }
+      return content;
+    };
+    
+    this.logger.info(`🧭 Multi-pass enhancement of "${article.title}": outline, section drafts, up to ${template.passes} critique/revision round(s)`);
+    
+    // Pass 1: outline of the enhanced article
+    const outline = await runPass('outline', this.generateOutlinePrompt(basePrompt));
+    const sections = this.parseOutline(outline);
+    const title = this.extractTitle(outline) || article.title;
+    
+    // Pass 2: draft each section of the outline (the whole article if the outline has no sections)
+    let draft;
+    if (sections.length > 0) {
+      const drafts = [];
+      for (let index = 0; index < sections.length; index++) {
+        const content = await runPass(`section-${index + 1}`, this.generateSectionPrompt(basePrompt, outline, sections, index));
+        drafts.push(this.extractSection(content, sections[index].heading));
+        logger.progress(`Drafted section ${index + 1}/${sections.length} of "${article.title}"`);
+      }
+      draft = `# ${title}\n\n${drafts.join('\n\n')}`;
+    } else {
+      this.logger.warn('⚠️ Outline has no "## " sections; drafting the article in one pass');
+      draft = await runPass('draft', `${basePrompt}\n\nFollow this outline:\n${outline}`);
+    }
+    
+    // Pass 3+: critique the draft against the rubric and revise it until nothing is left to fix
+    const rubric = template.rubric || DEFAULT_RUBRIC;
+    let revisions = 0;
+    for (let round = 1; round <= template.passes; round++) {
+      const critique = await runPass(`critique-${round}`, this.generateCritiquePrompt(article, draft, rubric));
+      if (/^\W*no issues\b/i.test(critique.trim())) {
+        this.logger.info(`🧐 Critique ${round}: no issues left`);
+        break;
       }
       
-      if (error.code === 'ECONNREFUSED') {
-        throw new AIProcessingError('Cannot connect to Groq API - check network connectivity', this.model);
+      this.logger.info(`🧐 Critique ${round}: revising the draft`);
+      draft = await runPass(`revision-${round}`, this.generateRevisionPrompt(basePrompt, draft, critique));
+      revisions++;
+    }
+    
+    // References cited by the model are replaced by the scraped ones when there are any
+    const { body, references } = this.splitReferencesSection(this.cleanEnhancedContent(draft));
+    const referencesSection = referenceArticles.length > 0
+      ? this.generateReferencesSection(referenceArticles)
+      : references;
+    
+    return {
+      title: this.extractTitle(draft) || title,
+      content: [body, referencesSection].filter(Boolean).join('\n\n'),
+      passes: {
+        sections: sections.length,
+        revisions,
+        stages: artifacts.filter(artifact => artifact.template === templateId).length,
+      },
+    };
+  }
+
+  /**
+   * Generate the outline prompt of a multi-pass enhancement
+   * @param {string} basePrompt - Prompt of the enhancement template
+   * @returns {string} Generated prompt
+   */
+  generateOutlinePrompt(basePrompt) {
+    return `${basePrompt}
+
+OUTLINE STAGE:
+Do not write the article yet. Plan it first and return only its outline:
+- The article title as a "# " heading
+- One "## " heading per section, in order, from the introduction to the conclusion
+- Under each section heading, 2-4 short bullet points listing what the section covers and which facts of the original it uses
+- Do NOT include a References section`;
+  }
+
+  /**
+   * Generate the prompt that drafts one section of a multi-pass enhancement
+   * @param {string} basePrompt - Prompt of the enhancement template
+   * @param {string} outline - Outline from the outline pass
+   * @param {Array<Object>} sections - Sections parsed from the outline
+   * @param {number} index - Zero-based index of the section to draft
+   * @returns {string} Generated prompt
+   */
+  generateSectionPrompt(basePrompt, outline, sections, index) {
+    const section = sections[index];
+    
+    return `${basePrompt}
+
+SECTION DRAFTING STAGE:
+The article is written one section at a time from this outline:
+${outline}
+
+Write only section ${index + 1} of ${sections.length}: "${section.heading}".
+${section.notes.length > 0 ? `It should cover:\n${section.notes.join('\n')}\n` : ''}
+RULES FOR THIS SECTION:
+- Start with the heading "## ${section.heading}"; use "### " for subsections
+- Do not write the article title or any other section
+- Do NOT add a "References" section`;
+  }
+
+  /**
+   * Generate the critique prompt of a multi-pass enhancement
+   * @param {Object} article - Original article
+   * @param {string} draft - Current draft
+   * @param {Array<string>} rubric - Criteria the draft is judged against
+   * @returns {string} Generated prompt
+   */
+  generateCritiquePrompt(article, draft, rubric) {
+    return `You are a demanding senior editor. Review the draft of an enhanced article against the rubric below, comparing it with the original article.
+
+RUBRIC:
+${rubric.map((criterion, index) => `${index + 1}. ${criterion}`).join('\n')}
+
+ORIGINAL ARTICLE:
+Title: ${article.title}
+Content: ${article.content}
+
+DRAFT:
+${draft}
+
+List every problem as a bullet point naming the rubric criterion, the passage concerned and how to fix it.
+If the draft meets every criterion, reply with exactly: NO ISSUES`;
+  }
+
+  /**
+   * Generate the revision prompt of a multi-pass enhancement
+   * @param {string} basePrompt - Prompt of the enhancement template
+   * @param {string} draft - Current draft
+   * @param {string} critique - Critique of the draft
+   * @returns {string} Generated prompt
+   */
+  generateRevisionPrompt(basePrompt, draft, critique) {
+    return `${basePrompt}
+
+REVISION STAGE:
+A draft of the enhanced article has been written and reviewed by an editor.
+
+CURRENT DRAFT:
+${draft}
+
+EDITOR'S CRITIQUE:
+${critique}
+
+Revise the draft to address every point of the critique without introducing new problems.
+Return the complete revised article, starting with its title as a "# " heading.`;
+  }
+
+  /**
+   * Parse the sections of an outline
+   * @param {string} outline - Outline with "## " section headings followed by notes
+   * @returns {Array<Object>} Sections ({ heading, notes }), without a References section
+   */
+  parseOutline(outline) {
+    const sections = [];
+    let current = null;
+    
+    for (const line of outline.split('\n')) {
+      const heading = line.match(/^##\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        current = /^references\b/i.test(heading[1]) ? null : { heading: heading[1].replace(/\*\*/g, ''), notes: [] };
+        if (current) {
+          sections.push(current);
+        }
+      } else if (current && line.trim() && !/^#\s/.test(line)) {
+        current.notes.push(line.trim());
       }
+    }
+    
+    return sections;
+  }
+
+  /**
+   * Take one section out of a section draft
+   * Models sometimes write more than the requested section; only the requested one is kept
+   * @param {string} content - Section draft
+   * @param {string} heading - Heading of the requested section
+   * @returns {string} Section markdown, starting with its "## " heading
+   */
+  extractSection(content, heading) {
+    const { body } = this.splitReferencesSection(this.cleanEnhancedContent(content));
+    const sections = body.split(/^(?=##\s)/m).map(section => section.trim()).filter(Boolean);
+    const normalize = text => text.replace(/[*_]/g, '').trim().toLowerCase();
+    
+    const match = sections.find(section => normalize(section.match(/^##\s+(.+)$/m)?.[1] || '') === normalize(heading));
+    if (match) {
+      return match;
+    }
+    return body.startsWith('## ') ? body : `## ${heading}\n\n${body}`;
+  }
+
+  /**
+   * Generate the SEO package of an enhanced article
+   * An invalid package is sent back once with its problems before giving up
+   * @param {Object} article - Enhanced article ({ title, content })
+   * @param {Object} template - Prompt template whose model parameters apply
+   * @param {Array<Object>} llmCalls - Collects the token usage of each call
+   * @returns {Promise<Object>} SEO package ({ meta_description, slug, focus_keyword, secondary_keywords, og_title, faq, json_ld })
+   * @throws {ValidationError} If the package is still invalid after the repair attempt
+   */
+  async generateSeoPackage(article, template, llmCalls) {
+    const { body } = this.splitReferencesSection(article.content);
+    const prompt = this.generateSeoPrompt({ title: article.title, content: body });
+    let errors = [];
+    
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const response = await withRetry(
+        () => this.callLLM(attempt === 1 ? prompt : this.generateSeoRepairPrompt(prompt, errors), llmCalls, template),
+        {
+          maxRetries: config.maxRetries,
+          operationName: `AI SEO package for "${article.title}"`,
+        }
+      );
       
-      if (error.code === 'ETIMEDOUT') {
-        throw new AIProcessingError('Groq API request timeout', this.model);
+      try {
+        const seo = normalizeSeoPackage(parseSeoResponse(response));
+        ({ errors } = validateSeoPackage(seo, article));
+        if (errors.length === 0) {
+          this.logger.info(`🔎 SEO package: focus keyword "${seo.focus_keyword}", slug "${seo.slug}", ${seo.faq.length} FAQ(s)`);
+          return { ...seo, json_ld: buildFaqJsonLd(seo.faq) };
+        }
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors = [error.message];
       }
       
-      throw error;
+      this.logger.warn(`⚠️ SEO package attempt ${attempt} is invalid (${errors.length} problem(s))`);
     }
+    
+    logValidationErrors(`SEO package of "${article.title}"`, errors);
+    throw new ValidationError(`SEO package validation failed for "${article.title}"`, 'seo', errors);
   }
 
   /**
-   * Generate enhancement prompt based on type
+   * Generate the SEO package prompt
+   * @param {Object} article - Enhanced article ({ title, content }) without its References section
+   * @returns {string} Generated prompt
+   */
+  generateSeoPrompt(article) {
+    const limits = SEO_LIMITS;
+    
+    return `You are an SEO specialist. Write the search metadata and an FAQ for the article below.
+
+ARTICLE:
+Title: ${article.title}
+Content: ${article.content}
+
+Reply with a single JSON object and nothing else, with these keys:
+{
+  "meta_description": "${limits.metaDescription.min}-${limits.metaDescription.max} characters summarizing the article for search results",
+  "slug": "lowercase-words-joined-by-hyphens, at most ${limits.slug.max} characters",
+  "focus_keyword": "1-${limits.focusKeyword.maxWords} word phrase that appears in the article",
+  "secondary_keywords": ["${limits.secondaryKeywords.min}-${limits.secondaryKeywords.max} distinct related phrases, not repeating the focus keyword"],
+  "og_title": "${limits.ogTitle.min}-${limits.ogTitle.max} character title for social sharing, different from the meta description",
+  "faq": [{ "question": "Question ending with ?", "answer": "${limits.faq.answerMin}-${limits.faq.answerMax} character answer based only on the article" }]
+}
+
+The faq must have ${limits.faq.min}-${limits.faq.max} distinct questions readers would ask, each at most ${limits.faq.questionMax} characters.`;
+  }
+
+  /**
+   * Generate the prompt that asks for a corrected SEO package
+   * @param {string} prompt - Original SEO package prompt
+   * @param {Array<string>} errors - Problems of the previous answer
+   * @returns {string} Generated prompt
+   */
+  generateSeoRepairPrompt(prompt, errors) {
+    return `${prompt}
+
+Your previous answer had these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply with the corrected JSON object only.`;
+  }
+
+  /**
+   * Add an FAQ section before the References section, replacing one the model wrote itself
+   * @param {string} content - Enhanced content
+   * @param {Array<Object>} faq - Questions and answers ({ question, answer })
+   * @returns {string} Content with the FAQ section
+   */
+  addFaqSection(content, faq) {
+    const { body, references } = this.splitReferencesSection(content);
+    const faqHeading = new RegExp(`^##\\s+(?:${FAQ_HEADING}|FAQs?)\\b`, 'i');
+    const sections = body.split(/^(?=##\s)/m).filter(section => !faqHeading.test(section.trim()));
+    
+    return [sections.join('').trim(), renderFaqSection(faq), references].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Generate the prompt for one chunk of a long article
    * @param {Object} article - Original article
+   * @param {Object} chunk - Chunk to enhance ({ text, headings })
+   * @param {number} index - Zero-based chunk index
+   * @param {number} total - Total number of chunks
+   * @param {string} outline - Outline of all chunks
    * @param {string} references - Formatted reference context
    * @param {string} type - Enhancement type
+   * @param {string} locale - Target locale of a localized template
    * @returns {string} Generated prompt
    */
-  generatePrompt(article, references, type) {
-    const template = this.enhancementPrompts[type] || this.enhancementPrompts.comprehensive;
+  generateChunkPrompt(article, chunk, index, total, outline, references, type, locale = null) {
+    const isFirst = index === 0;
+    const isLast = index === total - 1;
+    const position = isFirst ? 'the beginning' : isLast ? 'the end' : 'the middle';
+    
+    const basePrompt = this.generatePrompt({ ...article, content: chunk.text }, references, type, locale);
+    
+    return `${basePrompt}
+
+PARTIAL ARTICLE INSTRUCTIONS:
+The original article is long, so it is enhanced in ${total} parts that will be joined in order.
+The content above is part ${index + 1} of ${total} (${position} of the article).
+
+OUTLINE OF THE FULL ARTICLE:
+${outline}
+
+RULES FOR THIS PART:
+- Enhance only the content of this part; do not cover topics from other parts
+- ${isFirst ? 'Start with the article title as a "# " heading followed by an introduction' : 'Do NOT repeat the article title or write an introduction'}
+- ${isLast ? 'End with a conclusion for the whole article' : 'Do NOT write a conclusion; the article continues in the next part'}
+- Do NOT add a "References" section; it is added once to the final article`;
+  }
+
+  /**
+   * Split a trailing References section from content
+   * @param {string} content - Enhanced content
+   * @returns {Object} { body, references } where references is '' if no section was found
+   */
+  splitReferencesSection(content) {
+    const match = content.match(/^(?:#{1,6}\s*|\*\*)?References\b.*$/im);
+    if (!match) {
+      return { body: content, references: '' };
+    }
+    
+    return {
+      body: content.substring(0, match.index).trim(),
+      references: content.substring(match.index).trim(),
+    };
+  }
+
+  /**
+   * Find links of the source content that are missing from its translation
+   * @param {string} source - Source content (markdown or HTML)
+   * @param {string} translated - Translated content
+   * @returns {Array<string>} Missing URLs
+   */
+  findMissingLinks(source, translated) {
+    const urlPattern = /https?:\/\/[^\s<>"'()[\]]+/g;
+    const links = new Set((source.match(urlPattern) || []).map(url => url.replace(/[.,;:!?]+$/, '')));
+    
+    return [...links].filter(url => !translated.includes(url));
+  }
+
+  /**
+   * Call the LLM provider for content enhancement
+   * @param {string} prompt - Enhancement prompt
+   * @param {Array<Object>} llmCalls - Collects the token usage of the call
+   * @param {Object} template - Prompt template whose model parameters apply (defaults otherwise)
+   * @returns {Promise<string>} Enhanced content
+   */
+  async callLLM(prompt, llmCalls = [], template = null) {
+    this.logger.debug(`🔄 Calling ${this.provider.label} for content enhancement...`);
+    
+    const completion = await this.provider.complete(prompt, {
+      maxTokens: template?.maxTokens ?? this.maxTokens,
+      temperature: template?.temperature ?? this.temperature,
+    });
     
-    return template
-      .replace('{title}', article.title)
-      .replace('{content}', article.content.substring(0, 8000)) // Limit content length for API
-      .replace(/{references}/g, references);
+    if (completion.usage) {
+      llmCalls.push(completion.usage);
+    }
+    
+    this.logger.debug(`✅ ${this.provider.label} response received (${completion.content.length} chars)`);
+    return completion.content;
+  }
+
+  /**
+   * Generate enhancement prompt based on type
+   * @param {Object} article - Original article
+   * @param {string} references - Formatted reference context
+   * @param {string} type - Enhancement type
+   * @param {string} locale - Target locale of a localized template
+   * @returns {string} Generated prompt
+   */
+  generatePrompt(article, references, type, locale = null) {
+    return renderPromptTemplate(this.promptTemplates.get(type), {
+      title: article.title,
+      content: article.content,
+      references,
+      locale,
+    });
+  }
+
+  /**
+   * Get the prompt template of an enhancement type, loading the templates on first use
+   * @param {string} type - Enhancement type
+   * @returns {Promise<Object>} Template
+   * @throws {ValidationError} If no template exists for the type
+   */
+  async getPromptTemplate(type) {
+    await this.promptTemplates.load();
+    return this.promptTemplates.get(type);
   }
 
   /**
@@ -288,10 +728,12 @@ Create an enhanced, comprehensive article:`,
     
     return references.map((ref, index) => {
       const content = ref.content.substring(0, 1000); // Limit reference content
+      const author = ref.metadata?.author ? `Author: ${ref.metadata.author}\n` : '';
+      const published = ref.metadata?.publishedAt ? `Published: ${ref.metadata.publishedAt.substring(0, 10)}\n` : '';
       return `Reference ${index + 1}:
 Title: ${ref.title}
 Domain: ${ref.domain}
-Content: ${content}...
+${author}${published}Content: ${content}...
 `;
     }).join('\n');
   }
@@ -346,13 +788,41 @@ Content: ${content}...
       return '';
     }
     
-    const referenceList = references.map(ref => 
-      `- [${ref.title}](${ref.url}) - ${ref.domain}`
-    ).join('\n');
+    const referenceList = references.map(ref => `- ${this.formatCitation(ref)}`).join('\n');
     
     return `## References\n\n${referenceList}`;
   }
 
+  /**
+   * Log the reference overlap report
+   * @param {Object} overlap - Report from analyzeOverlap
+   */
+  logOverlap(overlap) {
+    const worst = overlap.references[0];
+    if (!worst) return;
+    
+    const message = `Reference overlap: ${worst.similarity}% of the article matches ${worst.url}, longest verbatim run ${overlap.longest_run_words} words`;
+    if (overlap.max_similarity > config.overlapThreshold) {
+      this.logger.warn(`⚠️ ${message} (above OVERLAP_THRESHOLD of ${config.overlapThreshold}%)`);
+      worst.runs.forEach(run => this.logger.warn(`  Copied (${run.words} words): "${run.text.substring(0, 200)}"`));
+    } else {
+      this.logger.info(`🔎 ${message}`);
+    }
+  }
+
+  /**
+   * Format a reference as a citation with author and date when known
+   * @param {Object} ref - Reference article
+   * @returns {string} Citation (e.g. "[Title](url) - Example News, by Jane Doe (2025-03-01)")
+   */
+  formatCitation(ref) {
+    const metadata = ref.metadata || {};
+    const source = [metadata.siteName || ref.domain, metadata.author && `by ${metadata.author}`].filter(Boolean).join(', ');
+    const date = metadata.publishedAt ? ` (${metadata.publishedAt.substring(0, 10)})` : '';
+    
+    return `[${ref.title}](${ref.url}) - ${source}${date}`;
+  }
+
   /**
    * Enhance multiple articles in batch
    * @param {Array} articles - Array of articles to enhance
@@ -471,7 +941,12 @@ Content: ${content}...
       lengthIncreasePercent: Math.round(((enhancedLength - originalLength) / originalLength) * 100),
       hasReferences: enhancedArticle.content.includes('References'),
       enhancementType: enhancedArticle.metadata?.enhancement_type || 'unknown',
+      locale: enhancedArticle.metadata?.locale || null,
+      promptTemplateVersion: enhancedArticle.metadata?.prompt_template_version || 'unknown',
       modelUsed: enhancedArticle.metadata?.model_used || 'unknown',
+      chunks: enhancedArticle.metadata?.enhancement_stats?.chunks || 1,
+      revisions: enhancedArticle.metadata?.multi_pass?.revisions || 0,
+      focusKeyword: enhancedArticle.metadata?.seo?.focus_keyword || null,
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { describe, it, expect } from '@jest/globals';
+import { AIEnhancer } from './AIEnhancer.js';
+import { LLMProvider } from '../providers/llmProviders.js';
+import { createUsage } from '../utils/usage.js';
+
+const SOURCE_REFERENCES = '## References\n\n- [Remote work study](https://example.com/study) - example.com';
+
+const sourceArticle = {
+  id: 4,
+  title: 'Working remotely',
+  content: [
+    '# Working remotely',
+    'Remote work changed how teams communicate. '.repeat(8).trim(),
+    '## Tools',
+    `Teams rely on chat and video calls, see [the survey](https://example.com/survey). ${'Clear rules help everyone. '.repeat(6).trim()}`,
+    SOURCE_REFERENCES,
+  ].join('\n\n'),
+};
+
+/**
+ * Translator stand-in that answers with a German article and optionally a translated References heading
+ */
+class TranslatingProvider extends LLMProvider {
+  constructor(extra = '') {
+    super('translator', { model: 'translator' });
+    this.extra = extra;
+    this.prompts = [];
+  }
+
+  async complete(prompt) {
+    this.prompts.push(prompt);
+    const content = [
+      '# Remote arbeiten',
+      'Remote-Arbeit hat verändert, wie Teams kommunizieren. '.repeat(8).trim(),
+      '## Werkzeuge',
+      `Teams nutzen Chat und Videoanrufe, siehe [die Umfrage](https://example.com/survey). ${'Klare Regeln helfen allen. '.repeat(6).trim()}`,
+      this.extra,
+    ].filter(Boolean).join('\n\n');
+    return { content, model: this.model, usage: createUsage({ promptTokens: 10, completionTokens: 10 }, this.model) };
+  }
+}
+
+describe('AIEnhancer translations', () => {
+  it('translates the article without its References section and attaches it unchanged', async () => {
+    const provider = new TranslatingProvider();
+    const enhancer = new AIEnhancer(provider);
+
+    const translated = await enhancer.enhanceArticle(sourceArticle, [], 'translate', { locale: 'de' });
+
+    expect(provider.prompts[0]).not.toContain('Remote work study');
+    expect(translated.content.endsWith(SOURCE_REFERENCES)).toBe(true);
+    expect(translated.content.match(/Remote work study/g)).toHaveLength(1);
+    expect(translated.metadata).toMatchObject({ locale: 'de', source_article_id: 4 });
+  });
+
+  it('keeps the references once when the model writes the heading in English anyway', async () => {
+    const enhancer = new AIEnhancer(new TranslatingProvider('## References\n\n- Eine Studie'));
+
+    const translated = await enhancer.enhanceArticle(sourceArticle, [], 'translate', { locale: 'de' });
+
+    expect(translated.content.match(/^## References$/gm)).toHaveLength(1);
+    expect(translated.content).not.toContain('Eine Studie');
+  });
+
+  it('does not add scraped references to a source without a References section', async () => {
+    const provider = new TranslatingProvider();
+    const enhancer = new AIEnhancer(provider);
+    const source = { ...sourceArticle, content: sourceArticle.content.replace(`\n\n${SOURCE_REFERENCES}`, '') };
+    const references = [{ title: 'Scraped guide', domain: 'guides.test', url: 'https://guides.test/remote', content: 'Guide text' }];
+
+    const translated = await enhancer.enhanceArticle(source, references, 'translate', { locale: 'de' });
+
+    expect(provider.prompts[0]).not.toContain('Scraped guide');
+    expect(translated.content).not.toContain('Scraped guide');
+    expect(translated.content).not.toMatch(/^## References$/m);
+    expect(translated.metadata.references).toEqual([]);
+  });
+});
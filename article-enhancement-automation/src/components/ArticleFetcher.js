@@ -281,6 +281,225 @@ export class ArticleFetcher {
     }
   }
 
+  /**
+   * Fetch a single page of articles from the Laravel API
+   * @param {Object} options - Page options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.perPage - Articles per page (API maximum is 100)
+   * @param {string} options.category - Only return articles in this category
+   * @param {Object} options.filters - Metadata filters for the listing (original_article_id, enhancement_type, locale, seo_slug)
+   * @returns {Promise<Object>} Page with articles and lastPage
+   */
+  async fetchArticlesPage({ page = 1, perPage = 100, category = null, filters = {} } = {}) {
+    const endpoint = category ? `/articles/category/${encodeURIComponent(category)}` : '/articles';
+    const filterParams = Object.fromEntries(Object.entries(filters).filter(([, value]) => value != null));
+    
+    const response = await withRetry(
+      () => this.apiClient.get(endpoint, { params: { ...filterParams, page, per_page: perPage } }),
+      {
+        shouldRetry: retryConditions.networkAndServerErrors,
+        operationName: `Laravel API fetch page ${page}`,
+      }
+    );
+    
+    if (Array.isArray(response.data)) {
+      // Unpaginated response: everything is on the first page
+      return { articles: response.data, lastPage: 1 };
+    }
+    
+    if (!Array.isArray(response.data.data)) {
+      throw new ApiError('Unexpected API response format', 'Laravel API', 200, response.data);
+    }
+    
+    return {
+      articles: response.data.data,
+      lastPage: response.data.meta?.last_page ?? page,
+    };
+  }
+
+  /**
+   * Fetch every article by paging through the Laravel API
+   * @param {Object} options - Listing options
+   * @param {string} options.category - Only return articles in this category
+   * @param {Object} options.filters - Metadata filters for the listing (see fetchArticlesPage)
+   * @param {number} options.maxPages - Safety limit on the number of pages
+   * @returns {Promise<Array>} All articles
+   */
+  async fetchAllArticles({ category = null, filters = {}, maxPages = 100 } = {}) {
+    const operation = `fetchAllArticles(${category || 'all'})`;
+    const timer = logger.startTimer(operation);
+    
+    try {
+      const articles = [];
+      
+      for (let page = 1; page <= maxPages; page++) {
+        const { articles: pageArticles, lastPage } = await this.fetchArticlesPage({ page, category, filters });
+        articles.push(...pageArticles);
+        
+        logger.progress(`Fetched page ${page}/${lastPage} (${articles.length} articles)`);
+        
+        if (pageArticles.length === 0 || page >= lastPage) {
+          break;
+        }
+      }
+      
+      this.logger.info(`Fetched ${articles.length} articles${category ? ` in category "${category}"` : ''}`);
+      logger.endTimer(timer);
+      return articles;
+      
+    } catch (error) {
+      logger.endTimer(timer);
+      
+      if (error instanceof ApiError || error instanceof ValidationError) {
+        throw error;
+      }
+      
+      const wrappedError = ErrorHandler.fromNetworkError(error, `${config.laravelApiBaseUrl}/articles`);
+      ErrorHandler.logError(wrappedError, operation);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Fetch the most recent distinct original articles
+   * @param {number} count - Number of articles to return
+   * @param {number} maxPages - Safety limit on the number of pages
+   * @returns {Promise<Array>} Up to `count` original articles, newest first
+   */
+  async fetchLatestArticles(count, maxPages = 100) {
+    logger.step('FETCH', `Retrieving ${count} latest original articles from Laravel API`);
+
+    const articles = [];
+    const seenIds = new Set();
+
+    for (let page = 1; page <= maxPages && articles.length < count; page++) {
+      const { articles: pageArticles, lastPage } = await this.fetchArticlesPage({
+        page,
+        perPage: Math.min(Math.max(count, 15), 100),
+      });
+
+      for (const article of pageArticles) {
+        if (articles.length >= count) break;
+        if (seenIds.has(article.id) || this.isEnhancedArticle(article)) continue;
+
+        if (!validateArticleData(article).isValid) {
+          this.logger.warn(`Skipping invalid article (ID: ${article.id})`);
+          continue;
+        }
+
+        seenIds.add(article.id);
+        articles.push(article);
+      }
+
+      if (pageArticles.length === 0 || page >= lastPage) {
+        break;
+      }
+    }
+
+    if (articles.length < count) {
+      this.logger.warn(`Only ${articles.length} of ${count} requested original articles are available`);
+    }
+
+    return articles;
+  }
+
+  /**
+   * Get the metadata of an article as an object
+   * @param {Object} article - Article from the Laravel API
+   * @returns {Object} Metadata (empty if missing or not valid JSON)
+   */
+  getArticleMetadata(article) {
+    let metadata = article.metadata;
+    if (typeof metadata === 'string') {
+      metadata = ErrorUtils.safeJsonParse(metadata, {});
+    }
+
+    return metadata && typeof metadata === 'object' ? metadata : {};
+  }
+
+  /**
+   * Get the ID of the original article an enhanced article was derived from
+   * @param {Object} article - Article from the Laravel API
+   * @returns {number|null} Original article ID, or null for original articles
+   */
+  getOriginalArticleId(article) {
+    const metadata = this.getArticleMetadata(article);
+    const originalId = metadata.original_article_id ?? article.original_article_id;
+    return originalId != null ? Number(originalId) : null;
+  }
+
+  /**
+   * Check whether an article is an AI-enhanced copy
+   * @param {Object} article - Article from the Laravel API
+   * @returns {boolean} True if the article is an enhanced copy
+   */
+  isEnhancedArticle(article) {
+    return article.type === 'enhanced' || this.getOriginalArticleId(article) !== null;
+  }
+
+  /**
+   * Select original articles to enhance
+   * @param {Object} selection - Selection criteria
+   * @param {Array<number>} selection.ids - Explicit article IDs (takes precedence over filters)
+   * @param {string} selection.since - Only articles published/created on or after this date
+   * @param {string} selection.category - Only articles in this category
+   * @param {boolean} selection.unenhanced - Only originals without an enhanced counterpart
+   * @returns {Promise<Array>} Selected articles, newest first
+   */
+  async selectArticles({ ids = [], since = null, category = null, unenhanced = false } = {}) {
+    if (ids.length > 0) {
+      this.logger.info(`Selecting ${ids.length} articles by ID: ${ids.join(', ')}`);
+      
+      const articles = [];
+      for (const id of ids) {
+        articles.push(await this.fetchArticleById(id));
+      }
+      return articles;
+    }
+    
+    logger.step('FETCH', `Selecting articles${category ? ` in "${category}"` : ''}${since ? ` since ${since}` : ''}${unenhanced ? ' without enhancements' : ''}`);
+    
+    const candidates = await this.fetchAllArticles({ category });
+    
+    // Enhanced copies live in their own category, so look across all articles
+    let enhancedOriginalIds = new Set();
+    if (unenhanced) {
+      const allArticles = category ? await this.fetchAllArticles() : candidates;
+      enhancedOriginalIds = new Set(
+        allArticles.map(article => this.getOriginalArticleId(article)).filter(id => id !== null)
+      );
+    }
+    
+    const sinceTime = since ? new Date(since).getTime() : null;
+    
+    const selected = candidates.filter(article => {
+      if (this.isEnhancedArticle(article)) {
+        return false;
+      }
+      
+      if (sinceTime !== null) {
+        const articleTime = new Date(article.publication_date || article.created_at).getTime();
+        if (isNaN(articleTime) || articleTime < sinceTime) {
+          return false;
+        }
+      }
+      
+      if (unenhanced && enhancedOriginalIds.has(article.id)) {
+        return false;
+      }
+      
+      if (!validateArticleData(article).isValid) {
+        this.logger.warn(`Skipping invalid article (ID: ${article.id})`);
+        return false;
+      }
+      
+      return true;
+    });
+    
+    this.logger.info(`Selected ${selected.length} of ${candidates.length} articles for enhancement`);
+    return selected;
+  }
+
   /**
    * Test API connectivity
    * @returns {Promise<boolean>} True if API is accessible
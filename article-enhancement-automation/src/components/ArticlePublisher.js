@@ -6,15 +6,22 @@
  */
 
 import axios from 'axios';
+import { createHash } from 'crypto';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/config.js';
 import { validateEnhancedArticle, logValidationErrors } from '../utils/validation.js';
 import { ApiError, ValidationError, ErrorHandler, ErrorUtils } from '../utils/errors.js';
 import { withRetry, retryHttpRequest } from '../utils/retry.js';
+import { SEO_LIMITS } from '../utils/seoPackage.js';
+import { ArticleFetcher } from './ArticleFetcher.js';
 
 export class ArticlePublisher {
-  constructor() {
+  /**
+   * @param {ArticleFetcher} articleFetcher - Used to look up previously published enhancements
+   */
+  constructor(articleFetcher = new ArticleFetcher()) {
     this.logger = logger.child('ArticlePublisher');
+    this.articleFetcher = articleFetcher;
     
     // Laravel API client configuration
     this.apiClient = axios.create({
@@ -30,6 +37,8 @@ export class ArticlePublisher {
     // Publishing statistics
     this.stats = {
       published: 0,
+      updated: 0,
+      skipped: 0,
       failed: 0,
       totalProcessed: 0,
     };
@@ -37,13 +46,20 @@ export class ArticlePublisher {
 
   /**
    * Publish enhanced article to Laravel API
+   *
+   * Publishing is idempotent: if an enhanced article with the same original article ID,
+   * enhancement type and content hash already exists, nothing is published. If one exists
+   * with different content, the duplicate policy decides whether to skip, update it in
+   * place or publish a new version.
    * @param {Object} enhancedArticle - Enhanced article to publish
    * @param {Object} options - Publishing options
-   * @returns {Promise<Object>} Published article response
+   * @param {string} options.duplicatePolicy - skip, update or version (default: PUBLISH_DUPLICATE_POLICY)
+   * @returns {Promise<Object>} Publishing result ({ success, action, article, publishedAt, originalTitle })
    */
   async publishArticle(enhancedArticle, options = {}) {
     const operation = `publishArticle("${enhancedArticle.title}")`;
     const timer = logger.startTimer(operation);
+    const { duplicatePolicy = config.publishDuplicatePolicy } = options;
     
     try {
       this.logger.info(`📤 Publishing enhanced article: "${enhancedArticle.title}"`);
@@ -53,25 +69,58 @@ export class ArticlePublisher {
         await this.validateArticleForPublishing(enhancedArticle);
       }
       
+      // Check for an existing enhancement of the same original
+      const contentHash = this.computeContentHash(enhancedArticle.content);
+      const decision = await this.resolveDuplicate(enhancedArticle, contentHash, duplicatePolicy);
+      
+      if (decision.action === 'skip') {
+        this.stats.skipped++;
+        this.stats.totalProcessed++;
+        
+        this.logger.info(`⏭️ Skipping publishing of "${enhancedArticle.title}": ${decision.reason} (ID: ${decision.existing.id})`);
+        logger.endTimer(timer);
+        
+        return {
+          success: true,
+          action: 'skipped',
+          article: decision.existing,
+          publishedAt: null,
+          originalTitle: enhancedArticle.title,
+          reason: decision.reason,
+        };
+      }
+      
       // Prepare article data for API
-      const articleData = this.prepareArticleData(enhancedArticle, options);
+      const existingId = decision.action === 'update' ? decision.existing.id : null;
+      const articleData = this.prepareArticleData(enhancedArticle, {
+        ...options,
+        contentHash,
+        version: decision.version,
+        seo: await this.resolveSeoSlug(enhancedArticle.metadata?.seo, existingId),
+      });
       
       // Publish to Laravel API with retry logic
-      const response = await retryHttpRequest(
-        () => this.callPublishAPI(articleData),
+      const article = await retryHttpRequest(
+        () => this.callPublishAPI(articleData, existingId),
         `publishing "${enhancedArticle.title}"`
       );
       
       // Update statistics
-      this.stats.published++;
+      if (decision.action === 'update') {
+        this.stats.updated++;
+      } else {
+        this.stats.published++;
+      }
       this.stats.totalProcessed++;
       
-      this.logger.info(`✅ Successfully published article: "${enhancedArticle.title}" (ID: ${response.data.id})`);
+      const verb = decision.action === 'update' ? 'updated' : 'published';
+      this.logger.info(`✅ Successfully ${verb} article: "${enhancedArticle.title}" (ID: ${article.id}, version ${decision.version})`);
       logger.endTimer(timer);
       
       return {
         success: true,
-        article: response.data,
+        action: decision.action === 'update' ? 'updated' : 'created',
+        article,
         publishedAt: new Date(),
         originalTitle: enhancedArticle.title,
       };
@@ -93,20 +142,26 @@ export class ArticlePublisher {
   /**
    * Call Laravel API to publish article
    * @param {Object} articleData - Article data to publish
-   * @returns {Promise<Object>} API response
+   * @param {number|null} articleId - Existing article to overwrite (creates a new article when null)
+   * @returns {Promise<Object>} Published article
    */
-  async callPublishAPI(articleData) {
+  async callPublishAPI(articleData, articleId = null) {
     try {
-      this.logger.debug('🔄 Calling Laravel API to publish article...');
+      this.logger.debug(`🔄 Calling Laravel API to ${articleId ? `update article ${articleId}` : 'publish article'}...`);
       
-      const response = await this.apiClient.post('/articles', articleData);
+      const response = articleId
+        ? await this.apiClient.put(`/articles/${articleId}`, articleData)
+        : await this.apiClient.post('/articles', articleData);
       
-      if (!response.data || !response.data.id) {
+      // The Laravel API wraps the article in { success, data }
+      const article = response.data?.data ?? response.data;
+      
+      if (!article || !article.id) {
         throw new ApiError('Invalid response from Laravel API - missing article ID', 'Laravel API');
       }
       
-      this.logger.debug(`✅ Laravel API response received (ID: ${response.data.id})`);
-      return response;
+      this.logger.debug(`✅ Laravel API response received (ID: ${article.id})`);
+      return article;
       
     } catch (error) {
       if (error.response) {
@@ -116,6 +171,10 @@ export class ArticlePublisher {
           throw new ApiError('Laravel API authentication failed - check API key', 'Laravel API', status);
         }
         
+        if (status === 404 && articleId) {
+          throw new ApiError(`Article ${articleId} not found in Laravel API`, 'Laravel API', status);
+        }
+        
         if (status === 422) {
           const validationErrors = data.errors || data.message || 'Validation failed';
           throw new ValidationError(`Laravel API validation failed: ${JSON.stringify(validationErrors)}`);
@@ -144,6 +203,129 @@ export class ArticlePublisher {
     }
   }
 
+  /**
+   * Compute a stable hash of article content
+   *
+   * Whitespace differences are ignored so that reformatting alone does not count as new content
+   * @param {string} content - Article content
+   * @returns {string} SHA-256 hex digest
+   */
+  computeContentHash(content) {
+    const normalized = (content || '').replace(/\s+/g, ' ').trim();
+    return createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Find published enhancements of an original article
+   * The listing is filtered by the API; matches are checked again in case it ignores the filters
+   * @param {number} originalArticleId - ID of the original article
+   * @param {string} enhancementType - Enhancement type to match
+   * @param {string|null} locale - Locale to match (translations of other locales are different articles)
+   * @returns {Promise<Array>} Matching enhanced articles, latest version first
+   */
+  async findExistingEnhancements(originalArticleId, enhancementType, locale = null) {
+    const articles = await this.articleFetcher.fetchAllArticles({
+      filters: { original_article_id: originalArticleId, enhancement_type: enhancementType, locale },
+    });
+    
+    return articles
+      .filter(article => {
+        const metadata = this.articleFetcher.getArticleMetadata(article);
+        return this.articleFetcher.getOriginalArticleId(article) === Number(originalArticleId)
+          && (metadata.enhancement_type ?? null) === (enhancementType ?? null)
+          && (metadata.locale ?? null) === (locale ?? null);
+      })
+      .sort((a, b) => this.getArticleVersion(b) - this.getArticleVersion(a) || b.id - a.id);
+  }
+
+  /**
+   * Get the enhancement version of a published article
+   * @param {Object} article - Article from the Laravel API
+   * @returns {number} Version number (1 for articles published before versioning)
+   */
+  getArticleVersion(article) {
+    return Number(this.articleFetcher.getArticleMetadata(article).version) || 1;
+  }
+
+  /**
+   * Decide how to publish an enhanced article given existing enhancements
+   * @param {Object} enhancedArticle - Enhanced article to publish
+   * @param {string} contentHash - Hash of the enhanced content
+   * @param {string} policy - Duplicate policy: skip, update or version
+   * @returns {Promise<Object>} Decision ({ action: 'create'|'update'|'skip', version, existing, reason })
+   */
+  async resolveDuplicate(enhancedArticle, contentHash, policy) {
+    if (!['skip', 'update', 'version'].includes(policy)) {
+      throw new ValidationError(`Invalid duplicate policy: ${policy}`, 'duplicatePolicy', policy);
+    }
+    
+    const originalArticleId = enhancedArticle.metadata?.original_article_id;
+    if (originalArticleId == null) {
+      return { action: 'create', version: 1, existing: null };
+    }
+    
+    const existing = await this.findExistingEnhancements(originalArticleId, enhancedArticle.metadata.enhancement_type, enhancedArticle.metadata.locale);
+    if (existing.length === 0) {
+      return { action: 'create', version: 1, existing: null };
+    }
+    
+    const identical = existing.find(article => this.articleFetcher.getArticleMetadata(article).content_hash === contentHash);
+    if (identical) {
+      return { action: 'skip', existing: identical, reason: 'identical enhancement already published' };
+    }
+    
+    const latest = existing[0];
+    const latestVersion = this.getArticleVersion(latest);
+    
+    this.logger.debug(`Found ${existing.length} existing enhancement(s) of article ${originalArticleId}, applying "${policy}" policy`);
+    
+    switch (policy) {
+    case 'update':
+      return { action: 'update', version: latestVersion, existing: latest };
+    case 'version':
+      return { action: 'create', version: latestVersion + 1, existing: latest };
+    default:
+      return { action: 'skip', existing: latest, reason: 'an enhancement of this article already exists' };
+    }
+  }
+
+  /**
+   * Make the slug of an SEO package unique among published articles
+   * A taken slug gets a numeric suffix (-2, -3, ...); the article being updated keeps its own slug
+   * @param {Object|null} seo - SEO package from AIEnhancer
+   * @param {number|null} excludeId - ID of the article being updated
+   * @returns {Promise<Object|null>} SEO package with a unique slug (null without a package)
+   */
+  async resolveSeoSlug(seo, excludeId = null) {
+    if (!seo?.slug) {
+      return seo || null;
+    }
+    
+    let slug = seo.slug;
+    for (let suffix = 2; await this.isSlugTaken(slug, excludeId); suffix++) {
+      slug = `${seo.slug.substring(0, SEO_LIMITS.slug.max - String(suffix).length - 1).replace(/-+$/, '')}-${suffix}`;
+    }
+    
+    if (slug !== seo.slug) {
+      this.logger.info(`🔗 Slug "${seo.slug}" is taken, using "${slug}"`);
+    }
+    return { ...seo, slug };
+  }
+
+  /**
+   * Check whether a published article already uses an SEO slug
+   * The listing is filtered by the API; matches are checked again in case it ignores the filter
+   * @param {string} slug - Slug to check
+   * @param {number|null} excludeId - ID of the article being updated
+   * @returns {Promise<boolean>} True if another article has this slug
+   */
+  async isSlugTaken(slug, excludeId = null) {
+    const articles = await this.articleFetcher.fetchAllArticles({ filters: { seo_slug: slug } });
+    
+    return articles.some(article => (excludeId === null || Number(article.id) !== Number(excludeId))
+      && this.articleFetcher.getArticleMetadata(article).seo?.slug === slug);
+  }
+
   /**
    * Prepare article data for Laravel API
    * @param {Object} enhancedArticle - Enhanced article
@@ -156,12 +338,16 @@ export class ArticlePublisher {
       author = 'AI Enhancement System',
       category = 'Enhanced Articles',
       tags = ['ai-enhanced', 'automated'],
+      contentHash = this.computeContentHash(enhancedArticle.content),
+      version = 1,
+      seo = enhancedArticle.metadata?.seo || null,
     } = options;
     
-    // Base article data
+    // Base article data; enhanced content is markdown (the API renders its HTML copy)
     const articleData = {
       title: enhancedArticle.title,
       content: enhancedArticle.content,
+      content_format: 'markdown',
       status,
       author,
       category,
@@ -173,16 +359,30 @@ export class ArticlePublisher {
       articleData.metadata = {
         ai_enhanced: true,
         enhancement_type: enhancedArticle.metadata.enhancement_type,
+        locale: enhancedArticle.metadata.locale || null,
+        source_article_id: enhancedArticle.metadata.source_article_id || null,
+        prompt_template: enhancedArticle.metadata.prompt_template || null,
+        prompt_template_version: enhancedArticle.metadata.prompt_template_version || null,
         original_article_id: enhancedArticle.metadata.original_article_id,
         enhanced_at: enhancedArticle.metadata.enhanced_at,
         model_used: enhancedArticle.metadata.model_used,
+        llm_provider: enhancedArticle.metadata.llm_provider,
         references: enhancedArticle.metadata.references || [],
         enhancement_stats: enhancedArticle.metadata.enhancement_stats || {},
+        multi_pass: enhancedArticle.metadata.multi_pass || null,
+        overlap: enhancedArticle.metadata.overlap || null,
+        fact_check: enhancedArticle.metadata.fact_check || null,
+        seo,
+        review: enhancedArticle.metadata.review || null,
+        content_hash: contentHash,
+        version,
       };
     }
     
-    // Add publishing timestamp
+    // Add publishing timestamp (also the Laravel publication date, which keeps
+    // new versions of an enhancement distinct from earlier ones with the same title)
     articleData.published_at = new Date().toISOString();
+    articleData.publication_date = articleData.published_at;
     
     return articleData;
   }
@@ -202,7 +402,23 @@ export class ArticlePublisher {
       throw new ValidationError(`Article validation failed for "${article.title}"`);
     }
     
-    // Additional publishing-specific validations
+    // Report validation errors
+    const errors = this.getPublishingErrors(article);
+    if (errors.length > 0) {
+      logValidationErrors(`article "${article.title}" publishing validation`, errors);
+      throw new ValidationError(`Publishing validation failed for "${article.title}"`);
+    }
+    
+    this.logger.debug(`✅ Article validation passed for: "${article.title}"`);
+  }
+
+  /**
+   * Check publishing-specific rules (length, headings, references, overlap with references)
+   * Dry runs use this to report why publishing would be refused
+   * @param {Object} article - Enhanced article
+   * @returns {Array<string>} Errors (empty if the article can be published)
+   */
+  getPublishingErrors(article) {
     const errors = [];
     
     // Check content length
@@ -228,13 +444,14 @@ export class ArticlePublisher {
       }
     }
     
-    // Report validation errors
-    if (errors.length > 0) {
-      logValidationErrors(`article "${article.title}" publishing validation`, errors);
-      throw new ValidationError(`Publishing validation failed for "${article.title}"`);
+    // Block articles that copy too much from a single reference
+    const overlap = article.metadata?.overlap;
+    if (overlap && overlap.max_similarity > config.overlapThreshold) {
+      const worst = overlap.references[0];
+      errors.push(`Article overlaps ${worst.similarity}% with reference ${worst.url} (threshold ${config.overlapThreshold}%, longest verbatim run ${worst.longest_run_words} words)`);
     }
     
-    this.logger.debug(`✅ Article validation passed for: "${article.title}"`);
+    return errors;
   }
 
   /**
@@ -331,7 +548,10 @@ export class ArticlePublisher {
       }
       
       // Prepare update data
-      const updateData = this.prepareArticleData(enhancedArticle, options);
+      const updateData = this.prepareArticleData(enhancedArticle, {
+        ...options,
+        seo: await this.resolveSeoSlug(enhancedArticle.metadata?.seo, articleId),
+      });
       updateData.updated_at = new Date().toISOString();
       
       // Update via Laravel API
@@ -437,7 +657,7 @@ All enhanced content undergoes rigorous quality checks including:
     return {
       ...this.stats,
       successRate: this.stats.totalProcessed > 0 
-        ? Math.round((this.stats.published / this.stats.totalProcessed) * 100) 
+        ? Math.round(((this.stats.totalProcessed - this.stats.failed) / this.stats.totalProcessed) * 100) 
         : 0,
     };
   }
@@ -448,6 +668,8 @@ All enhanced content undergoes rigorous quality checks including:
   resetStats() {
     this.stats = {
       published: 0,
+      updated: 0,
+      skipped: 0,
       failed: 0,
       totalProcessed: 0,
     };
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { ArticlePublisher } from './ArticlePublisher.js';
+import { ArticleFetcher } from './ArticleFetcher.js';
+
+/**
+ * Build a published enhancement as returned by the Laravel API
+ * @param {number} id - Article ID
+ * @param {Object} metadata - Enhancement metadata
+ * @returns {Object} Article
+ */
+const enhancement = (id, metadata) => ({ id, title: `Article ${id}`, metadata: { ai_enhanced: true, ...metadata } });
+
+describe('ArticlePublisher duplicate lookup', () => {
+  let fetcher;
+  let publisher;
+  let listing;
+
+  beforeEach(() => {
+    listing = [];
+    fetcher = new ArticleFetcher();
+    fetcher.fetchArticlesPage = jest.fn(async () => ({ articles: listing, lastPage: 1 }));
+    publisher = new ArticlePublisher(fetcher);
+  });
+
+  it('asks the API for enhancements of the original article only', async () => {
+    await publisher.findExistingEnhancements(5, 'translate', 'de');
+
+    expect(fetcher.fetchArticlesPage).toHaveBeenCalledTimes(1);
+    expect(fetcher.fetchArticlesPage.mock.calls[0][0].filters).toEqual({ original_article_id: 5, enhancement_type: 'translate', locale: 'de' });
+  });
+
+  it('checks the matches again when the API ignores the filters', async () => {
+    listing = [
+      { id: 5, title: 'Original', metadata: null },
+      enhancement(10, { original_article_id: 5, enhancement_type: 'seo', version: 1 }),
+      enhancement(11, { original_article_id: 5, enhancement_type: 'structure', version: 1 }),
+      enhancement(12, { original_article_id: 6, enhancement_type: 'seo', version: 1 }),
+      enhancement(13, { original_article_id: 5, enhancement_type: 'seo', version: 2 }),
+      enhancement(14, { original_article_id: 5, enhancement_type: 'seo', locale: 'de', version: 3 }),
+    ];
+
+    const existing = await publisher.findExistingEnhancements(5, 'seo');
+
+    expect(existing.map(article => article.id)).toEqual([13, 10]);
+  });
+
+  describe('resolveDuplicate', () => {
+    const enhanced = { title: 'New', content: 'New body', metadata: { original_article_id: 5, enhancement_type: 'seo' } };
+
+    beforeEach(() => {
+      listing = [enhancement(10, { original_article_id: 5, enhancement_type: 'seo', version: 2, content_hash: 'old' })];
+    });
+
+    it('skips an identical enhancement', async () => {
+      const decision = await publisher.resolveDuplicate(enhanced, 'old', 'version');
+
+      expect(decision).toMatchObject({ action: 'skip', reason: 'identical enhancement already published' });
+    });
+
+    it.each([
+      ['skip', { action: 'skip' }],
+      ['update', { action: 'update', version: 2 }],
+      ['version', { action: 'create', version: 3 }],
+    ])('applies the %s policy to a changed enhancement', async (policy, expected) => {
+      const decision = await publisher.resolveDuplicate(enhanced, 'new', policy);
+
+      expect(decision).toMatchObject(expected);
+      expect(decision.existing.id).toBe(10);
+    });
+
+    it('creates the first enhancement without looking up an article that has no original', async () => {
+      const decision = await publisher.resolveDuplicate({ ...enhanced, metadata: {} }, 'new', 'skip');
+
+      expect(decision).toEqual({ action: 'create', version: 1, existing: null });
+      expect(fetcher.fetchArticlesPage).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('ArticlePublisher SEO slugs', () => {
+  let fetcher;
+  let publisher;
+  let listing;
+
+  beforeEach(() => {
+    listing = [];
+    fetcher = new ArticleFetcher();
+    fetcher.fetchArticlesPage = jest.fn(async () => ({ articles: listing, lastPage: 1 }));
+    publisher = new ArticlePublisher(fetcher);
+  });
+
+  const seo = { slug: 'remote-work-tips', meta_description: 'Tips' };
+
+  it('looks up each candidate slug with a filtered query', async () => {
+    listing = [enhancement(10, { seo: { slug: 'remote-work-tips' } })];
+
+    await publisher.resolveSeoSlug(seo);
+
+    expect(fetcher.fetchArticlesPage.mock.calls.map(([options]) => options.filters)).toEqual([
+      { seo_slug: 'remote-work-tips' },
+      { seo_slug: 'remote-work-tips-2' },
+    ]);
+  });
+
+  it('keeps a free slug', async () => {
+    expect(await publisher.resolveSeoSlug(seo)).toEqual(seo);
+  });
+
+  it('adds a numeric suffix to a taken slug', async () => {
+    fetcher.fetchArticlesPage = jest.fn(async ({ filters }) => ({
+      articles: ['remote-work-tips', 'remote-work-tips-2'].includes(filters.seo_slug) ? [enhancement(10, { seo: { slug: filters.seo_slug } })] : [],
+      lastPage: 1,
+    }));
+
+    expect((await publisher.resolveSeoSlug(seo)).slug).toBe('remote-work-tips-3');
+  });
+
+  it('lets the article being updated keep its slug', async () => {
+    listing = [enhancement(10, { seo: { slug: 'remote-work-tips' } })];
+
+    expect((await publisher.resolveSeoSlug(seo, 10)).slug).toBe('remote-work-tips');
+  });
+
+  it('ignores articles with other slugs when the API ignores the filter', async () => {
+    listing = [enhancement(10, { seo: { slug: 'other-slug' } }), { id: 11, title: 'No metadata' }];
+
+    expect((await publisher.resolveSeoSlug(seo)).slug).toBe('remote-work-tips');
+  });
+
+  it('passes through packages without a slug', async () => {
+    expect(await publisher.resolveSeoSlug(null)).toBeNull();
+    expect(fetcher.fetchArticlesPage).not.toHaveBeenCalled();
+  });
+});
@@ -3,7 +3,8 @@
  * 
  * Responsible for extracting readable content from article URLs
  * Uses Cheerio for static sites with Puppeteer fallback for JS-rendered content
- * Handles content cleaning, normalization, and metadata extraction
+ * Extracts the main content as structured markdown (headings, lists, quotes, code)
+ * and page metadata (author, dates, canonical URL, site name, lead image)
  */
 
 import axios from 'axios';
@@ -14,21 +15,29 @@ import { config } from '../config/config.js';
 import { validateScrapedContent, logValidationErrors } from '../utils/validation.js';
 import { ScrapingError, NetworkError, ValidationError, ErrorHandler, ErrorUtils } from '../utils/errors.js';
 import { retryScraping } from '../utils/retry.js';
+import { httpCache } from '../utils/httpCache.js';
+import { RobotsChecker } from '../utils/robots.js';
+import { domainThrottle } from '../utils/domainThrottle.js';
+import { extractReadableContent } from '../utils/readability.js';
+import { extractPageMetadata } from '../utils/pageMetadata.js';
 
 export class ContentScraper {
-  constructor() {
+  /**
+   * @param {HttpCache} cache - Cache for fetched pages
+   * @param {RobotsChecker} robots - robots.txt rules per site
+   * @param {DomainThrottle} throttle - Per-domain interval and concurrency cap shared by all scrapes
+   */
+  constructor(cache = httpCache, robots = new RobotsChecker(config.robotsUserAgent, cache), throttle = domainThrottle) {
     this.logger = logger.child('ContentScraper');
+    this.cache = cache;
+    this.robots = robots;
+    this.throttle = throttle;
     
     // Browser instance for Puppeteer (lazy-loaded)
     this.browser = null;
     
-    // User agents for rotation
-    this.userAgents = [
-      config.userAgent,
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/121.0',
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    ];
+    // Pages are requested as the bot whose robots.txt rules are applied
+    this.userAgent = config.robotsUserAgent;
     
     // Selectors for content extraction (ordered by priority)
     this.contentSelectors = [
@@ -98,6 +107,9 @@ export class ContentScraper {
     try {
       this.logger.info(`🌐 Scraping content from: ${url}`);
       
+      // Skip URLs the site does not allow us to fetch
+      await this.assertAllowedByRobots(url);
+      
       // Try Cheerio first (fast, lightweight)
       try {
         const content = await retryScraping(
@@ -154,26 +166,11 @@ export class ContentScraper {
     try {
       this.logger.debug(`📄 Scraping with Cheerio: ${url}`);
       
-      // Make HTTP request
-      const response = await axios.get(url, {
-        timeout: config.requestTimeout,
-        headers: {
-          'User-Agent': this.getRandomUserAgent(),
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        },
-        maxRedirects: 5,
-      });
-      
-      if (response.status !== 200) {
-        throw new NetworkError(`HTTP ${response.status}: ${response.statusText}`, url);
-      }
+      // Fetch HTML (from cache when possible)
+      const page = await this.fetchPage(url);
       
       // Load HTML into Cheerio
-      const $ = cheerio.load(response.data);
+      const $ = cheerio.load(page.html);
       
       // Extract content
       const content = this.extractContent($, url);
@@ -185,6 +182,11 @@ export class ContentScraper {
         throw new ValidationError(`Content validation failed for ${url}`);
       }
       
+      // Only pages that produced valid content are cached
+      if (!page.fromCache) {
+        await this.cache.set('pages', url, page.html, page.validators);
+      }
+      
       this.logger.info(`✅ Successfully scraped content from ${url} (${content.content.length} chars)`);
       return content;
       
@@ -213,6 +215,96 @@ export class ContentScraper {
     }
   }
 
+  /**
+   * Check robots.txt before scraping a URL
+   * @param {string} url - URL to scrape
+   * @throws {ScrapingError} If robots.txt disallows the URL or asks for a Crawl-delay above MAX_CRAWL_DELAY
+   */
+  async assertAllowedByRobots(url) {
+    if (!config.respectRobotsTxt) return;
+    
+    const rules = await this.robots.getRules(url);
+    
+    if (rules.disallowAll) {
+      throw new ScrapingError(`Skipped ${url}: robots.txt could not be fetched, so the site is treated as disallowed`, url, 'ROBOTS_UNREACHABLE');
+    }
+    
+    if (!rules.isAllowed(url)) {
+      throw new ScrapingError(`Skipped ${url}: disallowed by robots.txt for ${config.robotsUserAgent}`, url, 'ROBOTS_DISALLOWED');
+    }
+    
+    if (rules.crawlDelay !== null && rules.crawlDelay * 1000 > config.maxCrawlDelay) {
+      throw new ScrapingError(`Skipped ${url}: robots.txt Crawl-delay of ${rules.crawlDelay}s exceeds MAX_CRAWL_DELAY`, url, 'CRAWL_DELAY_TOO_LONG');
+    }
+  }
+
+  /**
+   * Run a request to a URL through the domain throttle, honouring the site's Crawl-delay
+   * @param {string} url - URL being requested
+   * @param {Function} request - Request function
+   * @returns {Promise<any>} Result of the request
+   */
+  async politeRequest(url, request) {
+    const rules = config.respectRobotsTxt ? await this.robots.getRules(url) : null;
+    const crawlDelay = rules?.crawlDelay ? rules.crawlDelay * 1000 : 0;
+    
+    return this.throttle.schedule(this.extractDomain(url), request, crawlDelay);
+  }
+
+  /**
+   * Fetch page HTML, using the cache and conditional requests
+   * @param {string} url - URL to fetch
+   * @returns {Promise<Object>} Page ({ html, fromCache, validators })
+   */
+  async fetchPage(url) {
+    const cached = await this.cache.get('pages', url);
+    
+    if (this.cache.isFresh(cached)) {
+      this.cache.record('hit');
+      this.logger.info(`💾 Cache hit for ${url} (stored ${cached.storedAt})`);
+      return { html: cached.data, fromCache: true };
+    }
+    
+    // Make HTTP request (conditional if an expired entry has validators)
+    const response = await this.politeRequest(url, () => axios.get(url, {
+      timeout: config.requestTimeout,
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+        ...this.cache.getRevalidationHeaders(cached),
+      },
+      maxRedirects: 5,
+      validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+    }));
+    
+    if (response.status === 304) {
+      this.cache.record('revalidated');
+      this.logger.info(`💾 Cache revalidated for ${url} (304 Not Modified)`);
+      await this.cache.refresh('pages', cached);
+      return { html: cached.data, fromCache: true };
+    }
+    
+    if (response.status !== 200) {
+      throw new NetworkError(`HTTP ${response.status}: ${response.statusText}`, url);
+    }
+    
+    this.cache.record('miss');
+    this.logger.info(`🌐 Cache ${cached ? 'expired' : 'miss'} for ${url} - fetched from network`);
+    
+    return {
+      html: response.data,
+      fromCache: false,
+      validators: {
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+      },
+    };
+  }
+
   /**
    * Scrape content using Puppeteer (for JS-rendered sites)
    * @param {string} url - URL to scrape
@@ -244,64 +336,22 @@ export class ContentScraper {
       
       try {
         // Set user agent and viewport
-        await page.setUserAgent(this.getRandomUserAgent());
+        await page.setUserAgent(this.userAgent);
         await page.setViewport({ width: 1366, height: 768 });
         
         // Navigate to page with timeout
-        await page.goto(url, {
+        await this.politeRequest(url, () => page.goto(url, {
           waitUntil: 'networkidle2',
           timeout: config.requestTimeout,
-        });
+        }));
         
         // Wait for content to load (using setTimeout instead of deprecated waitForTimeout)
         await new Promise(resolve => setTimeout(resolve, 2000));
         
-        // Extract content using page evaluation
-        const content = await page.evaluate((selectors) => {
-          const { contentSelectors, titleSelectors, removeSelectors } = selectors;
-          
-          // Remove unwanted elements
-          removeSelectors.forEach(selector => {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(el => el.remove());
-          });
-          
-          // Extract title
-          let title = '';
-          for (const selector of titleSelectors) {
-            const titleEl = document.querySelector(selector);
-            if (titleEl && titleEl.textContent.trim()) {
-              title = titleEl.textContent.trim();
-              break;
-            }
-          }
-          
-          // Extract content
-          let content = '';
-          for (const selector of contentSelectors) {
-            const contentEl = document.querySelector(selector);
-            if (contentEl) {
-              content = contentEl.textContent.trim();
-              if (content.length > 200) { // Ensure substantial content
-                break;
-              }
-            }
-          }
-          
-          return { title, content };
-        }, {
-          contentSelectors: this.contentSelectors,
-          titleSelectors: this.titleSelectors,
-          removeSelectors: this.removeSelectors,
-        });
-        
-        // Create content object
+        // Extract content from the rendered DOM with the same extractor as Cheerio
+        const html = await page.content();
         const scrapedContent = {
-          url,
-          title: content.title || 'Untitled',
-          content: this.cleanContent(content.content),
-          domain: this.extractDomain(url),
-          scrapedAt: new Date(),
+          ...this.extractContent(cheerio.load(html), url),
           method: 'puppeteer',
         };
         
@@ -343,6 +393,9 @@ export class ContentScraper {
    * @returns {Object} Extracted content
    */
   extractContent($, url) {
+    // Read metadata first: JSON-LD scripts and header bylines are removed below
+    const metadata = extractPageMetadata($, url);
+    
     // Remove unwanted elements
     this.removeSelectors.forEach(selector => {
       $(selector).remove();
@@ -358,22 +411,22 @@ export class ContentScraper {
       }
     }
     
-    // Extract content
-    let content = '';
-    for (const selector of this.contentSelectors) {
-      const contentEl = $(selector).first();
-      if (contentEl.length) {
-        content = contentEl.text().trim();
-        if (content.length > 200) { // Ensure substantial content
+    // Extract the main content as markdown (scored by text and link density)
+    let content = extractReadableContent($, url).markdown;
+    
+    // Fallback: first content selector with substantial text, then all paragraph text
+    if (content.length < 200) {
+      for (const selector of this.contentSelectors) {
+        const contentEl = $(selector).first();
+        if (contentEl.length && contentEl.text().trim().length > 200) {
+          content = contentEl.text().trim().replace(/\s+/g, ' ');
           break;
         }
       }
     }
-    
-    // Fallback: get all paragraph text if no content found
-    if (!content || content.length < 200) {
-      const paragraphs = $('p').map((i, el) => $(el).text().trim()).get();
-      content = paragraphs.join('\n\n');
+    if (content.length < 200) {
+      const paragraphs = $('p').map((i, el) => $(el).text().trim().replace(/\s+/g, ' ')).get();
+      content = paragraphs.filter(Boolean).join('\n\n');
     }
     
     return {
@@ -383,12 +436,14 @@ export class ContentScraper {
       domain: this.extractDomain(url),
       scrapedAt: new Date(),
       method: 'cheerio',
+      metadata,
     };
   }
 
   /**
-   * Clean and normalize extracted content
-   * @param {string} content - Raw content text
+   * Clean and normalize extracted markdown content
+   * Keeps line structure (headings, lists, code blocks) and only tidies blank lines
+   * @param {string} content - Extracted content
    * @returns {string} Cleaned content
    */
   cleanContent(content) {
@@ -396,15 +451,23 @@ export class ContentScraper {
       return '';
     }
     
-    return content
-      // Remove extra whitespace
-      .replace(/\s+/g, ' ')
-      // Remove multiple newlines
-      .replace(/\n\s*\n/g, '\n\n')
+    const cleaned = content
+      // Normalize line endings and strip trailing whitespace
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+$/gm, '')
+      // Remove multiple blank lines
+      .replace(/\n{3,}/g, '\n\n')
       // Remove leading/trailing whitespace
-      .trim()
-      // Limit content length
-      .substring(0, config.maxContentLength);
+      .trim();
+    
+    if (cleaned.length <= config.maxContentLength) {
+      return cleaned;
+    }
+    
+    // Limit content length, cutting at a block boundary when one is close
+    const truncated = cleaned.substring(0, config.maxContentLength);
+    const lastBlock = truncated.lastIndexOf('\n\n');
+    return lastBlock > config.maxContentLength * 0.8 ? truncated.substring(0, lastBlock) : truncated;
   }
 
   /**
@@ -421,14 +484,6 @@ export class ContentScraper {
     }
   }
 
-  /**
-   * Get random user agent for request rotation
-   * @returns {string} Random user agent string
-   */
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
-  }
-
   /**
    * Scrape multiple articles concurrently
    * @param {Array} urls - Array of URLs to scrape
@@ -445,7 +500,8 @@ export class ContentScraper {
       const results = [];
       const errors = [];
       
-      // Process URLs in batches to control concurrency
+      // Process URLs in batches; the shared domain throttle spaces requests to each site
+      // and caps requests in flight across all concurrent scrapeMultiple calls
       for (let i = 0; i < urls.length; i += concurrency) {
         const batch = urls.slice(i, i + concurrency);
         
@@ -455,7 +511,7 @@ export class ContentScraper {
             return { success: true, url, content };
           } catch (error) {
             this.logger.warn(`Failed to scrape ${url}:`, error.message);
-            return { success: false, url, error: error.message };
+            return { success: false, url, error: error.message, reason: error.reason };
           }
         });
         
@@ -468,14 +524,10 @@ export class ContentScraper {
             errors.push(result);
           }
         }
-        
-        // Small delay between batches to be respectful
-        if (i + concurrency < urls.length) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
       }
       
-      this.logger.info(`Scraping completed: ${results.length} successful, ${errors.length} failed`);
+      const robotsSkipped = errors.filter(e => ['ROBOTS_DISALLOWED', 'ROBOTS_UNREACHABLE', 'CRAWL_DELAY_TOO_LONG'].includes(e.reason)).length;
+      this.logger.info(`Scraping completed: ${results.length} successful, ${errors.length} failed (${robotsSkipped} skipped by robots.txt)`);
       
       if (errors.length > 0) {
         this.logger.warn('Failed URLs:', errors.map(e => e.url));
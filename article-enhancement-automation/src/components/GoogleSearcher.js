@@ -1,22 +1,31 @@
 /**
  * Google Searcher Component
  * 
- * Responsible for searching Google for similar articles without using paid APIs
+ * Responsible for searching the web for similar articles without using paid APIs
+ * Delegates to configurable search providers with fallback (see providers/searchProviders.js)
  * Handles search result parsing, filtering, and domain diversity selection
  */
 
-import googleIt from 'google-it';
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { config } from '../config/config.js';
 import { validateSearchResults, logValidationErrors } from '../utils/validation.js';
-import { NetworkError, ValidationError, ErrorHandler, ErrorUtils } from '../utils/errors.js';
-import { withRetry, retryConditions } from '../utils/retry.js';
+import { NetworkError, ValidationError, ErrorClassifier, ErrorHandler, ErrorUtils } from '../utils/errors.js';
+import { withRetry } from '../utils/retry.js';
+import { createSearchProviders } from '../providers/searchProviders.js';
+import { httpCache } from '../utils/httpCache.js';
 
 export class GoogleSearcher {
-  constructor() {
+  /**
+   * @param {Array} providers - Search providers in fallback order (defaults to SEARCH_PROVIDERS)
+   * @param {HttpCache} cache - Cache for search results
+   */
+  constructor(providers = createSearchProviders(), cache = httpCache) {
     this.logger = logger.child('GoogleSearcher');
     
+    // Search providers, tried in order until one returns results
+    this.providers = providers;
+    this.cache = cache;
+    
     // Domains to exclude from search results
     this.excludedDomains = [
       'youtube.com',
@@ -56,7 +65,7 @@ export class GoogleSearcher {
   }
 
   /**
-   * Search Google for articles similar to the given title
+   * Search for articles similar to the given title
    * @param {string} query - Search query (usually article title)
    * @param {number} maxResults - Maximum number of results to return
    * @returns {Promise<Array>} Array of search results
@@ -66,17 +75,9 @@ export class GoogleSearcher {
     const timer = logger.startTimer(operation);
     
     try {
-      this.logger.info(`🔍 Searching Google for: "${query}"`);
+      this.logger.info(`🔍 Searching for: "${query}"`);
       
-      // Use retry logic for network resilience
-      const results = await withRetry(
-        () => this.performGoogleSearch(query, maxResults),
-        {
-          shouldRetry: retryConditions.networkAndServerErrors,
-          operationName: 'Google search',
-          maxRetries: 2, // Fewer retries to avoid being blocked
-        }
-      );
+      const results = await this.performGoogleSearch(query, maxResults);
       
       this.logger.info(`Found ${results.length} search results`);
       logger.endTimer(timer);
@@ -91,43 +92,63 @@ export class GoogleSearcher {
   }
 
   /**
-   * Perform the actual Google search using google-it library
+   * Perform the search through the configured providers in fallback order
+   * A provider that fails or returns no results hands over to the next one
+   * Non-empty results are cached per query until the cache TTL expires
    * @param {string} query - Search query
    * @param {number} maxResults - Maximum results to fetch
-   * @returns {Promise<Array>} Raw search results
+   * @returns {Promise<Array>} Normalized search results ({ url, title, snippet, domain })
    */
   async performGoogleSearch(query, maxResults) {
-    try {
-      // Use google-it library for search
-      const searchOptions = {
-        query: query,
-        limit: Math.min(maxResults, 20), // Limit to avoid being blocked
-        'user-agent': config.userAgent,
-        'no-display': true, // Don't display results in console
-      };
-      
-      this.logger.debug('Performing Google search with options:', searchOptions);
-      
-      const results = await googleIt(searchOptions);
-      
-      if (!Array.isArray(results)) {
-        throw new ValidationError('Google search returned invalid results format');
-      }
-      
-      this.logger.debug(`Google search returned ${results.length} raw results`);
-      return results;
-      
-    } catch (error) {
-      if (error.message.includes('blocked') || error.message.includes('captcha')) {
-        throw new NetworkError('Google search blocked - may need to wait or use different approach', null, 'BLOCKED');
-      }
-      
-      if (error.message.includes('timeout')) {
-        throw new NetworkError('Google search timed out', null, 'TIMEOUT');
+    const cacheKey = `${query}|${maxResults}`;
+    const cached = await this.cache.get('search', cacheKey);
+    
+    if (this.cache.isFresh(cached)) {
+      this.cache.record('hit');
+      this.logger.info(`💾 Cache hit for search "${query}" (${cached.data.length} results, stored ${cached.storedAt})`);
+      return cached.data;
+    }
+    
+    this.cache.record('miss');
+    this.logger.info(`🔍 Cache miss for search "${query}" - querying providers`);
+    
+    const failures = [];
+    
+    for (const provider of this.providers) {
+      try {
+        // Use retry logic for network resilience, but never hammer a provider that blocked us
+        const results = await withRetry(
+          () => provider.search(query, maxResults),
+          {
+            shouldRetry: (error) => error.networkCode !== 'BLOCKED' && ErrorClassifier.isRetryable(error),
+            operationName: `${provider.name} search`,
+            maxRetries: 1, // Fewer retries to avoid being blocked; other providers act as fallback
+          }
+        );
+        
+        if (results.length > 0) {
+          this.logger.debug(`Search provider ${provider.name} returned ${results.length} results`);
+          await this.cache.set('search', cacheKey, results);
+          return results;
+        }
+        
+        failures.push({ provider: provider.name, error: 'no results', code: 'NO_RESULTS' });
+        this.logger.warn(`⚠️ Search provider ${provider.name} returned no results, trying next provider`);
+        
+      } catch (error) {
+        failures.push({ provider: provider.name, error: error.message, code: error.networkCode || error.code });
+        this.logger.warn(`⚠️ Search provider ${provider.name} failed: ${error.message}`);
       }
-      
-      throw new NetworkError(`Google search failed: ${error.message}`, null, error.code);
     }
+    
+    // Every provider came back empty without erroring: a genuine "no results"
+    if (failures.every(failure => failure.code === 'NO_RESULTS')) {
+      return [];
+    }
+    
+    const summary = failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ');
+    const allBlocked = failures.every(failure => failure.code === 'BLOCKED' || failure.code === 'NO_RESULTS');
+    throw new NetworkError(`All search providers failed (${summary})`, null, allBlocked ? 'BLOCKED' : 'SEARCH_UNAVAILABLE');
   }
 
   /**
@@ -271,7 +292,7 @@ export class GoogleSearcher {
     try {
       logger.workflow('Google Search', 'start', { query, targetCount });
       
-      // Step 1: Search Google
+      // Step 1: Search (providers in fallback order)
       const rawResults = await this.searchGoogle(query, config.maxSearchResults);
       
       if (rawResults.length === 0) {
@@ -316,7 +337,7 @@ export class GoogleSearcher {
       
       // Handle graceful degradation
       if (error instanceof NetworkError && error.networkCode === 'BLOCKED') {
-        this.logger.warn('Google search blocked - this may happen occasionally');
+        this.logger.warn(`Search blocked by every configured provider (${this.providers.map(p => p.name).join(', ')}) - continuing without references`);
         return []; // Return empty array to allow workflow to continue
       }
       
@@ -365,7 +386,7 @@ export class GoogleSearcher {
    */
   async testSearch() {
     try {
-      this.logger.debug('Testing Google search functionality...');
+      this.logger.debug(`Testing search functionality (providers: ${this.providers.map(p => p.name).join(', ')})...`);
       
       const results = await ErrorUtils.withTimeout(
         this.findSimilarArticles('test search', 1),
@@ -7,6 +7,7 @@
 
 import { logger } from '../utils/logger.js';
 import { validateAndSanitizeConfig, logValidationErrors } from '../utils/validation.js';
+import { isValidCron } from '../utils/cron.js';
 
 /**
  * Configuration schema with validation and defaults
@@ -24,10 +25,18 @@ const configSchema = {
     default: '',
   },
   
-  // Groq API Configuration
+  // LLM Provider Configuration
+  llmProvider: {
+    env: 'LLM_PROVIDER',
+    required: false,
+    default: 'groq',
+    validate: (value) => ['groq', 'openai', 'ollama', 'mock'].includes(value),
+  },
+  
+  // Groq API Configuration (required when LLM_PROVIDER=groq)
   groqApiKey: {
     env: 'GROQ_API_KEY',
-    required: true,
+    required: false,
   },
   groqModel: {
     env: 'GROQ_MODEL',
@@ -40,6 +49,57 @@ const configSchema = {
     default: 'https://api.groq.com/openai/v1',
   },
   
+  // OpenAI-compatible API Configuration (LLM_PROVIDER=openai)
+  openaiApiKey: {
+    env: 'OPENAI_API_KEY',
+    required: false,
+    default: '',
+  },
+  openaiModel: {
+    env: 'OPENAI_MODEL',
+    required: false,
+    default: 'gpt-4o-mini',
+  },
+  openaiApiBaseUrl: {
+    env: 'OPENAI_API_BASE_URL',
+    required: false,
+    default: 'https://api.openai.com/v1',
+  },
+  
+  // Ollama Configuration (LLM_PROVIDER=ollama)
+  ollamaBaseUrl: {
+    env: 'OLLAMA_BASE_URL',
+    required: false,
+    default: 'http://localhost:11434',
+  },
+  ollamaModel: {
+    env: 'OLLAMA_MODEL',
+    required: false,
+    default: 'llama3.1',
+  },
+  llmStreaming: {
+    env: 'LLM_STREAMING',
+    required: false,
+    default: true,
+    type: 'boolean',
+  },
+  llmStreamIdleTimeout: {
+    env: 'LLM_STREAM_IDLE_TIMEOUT',
+    required: false,
+    default: 30000,
+    type: 'number',
+  },
+  // Per-model prices in USD per million tokens, merged over the built-in table:
+  // {"model-name": {"prompt": 0.15, "completion": 0.6}}
+  llmPriceTable: {
+    env: 'LLM_PRICE_TABLE',
+    required: false,
+    default: {},
+    type: 'json',
+    validate: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+      && Object.values(value).every(price => Number.isFinite(price?.prompt) && Number.isFinite(price?.completion)),
+  },
+  
   // Scraping Configuration
   requestTimeout: {
     env: 'REQUEST_TIMEOUT',
@@ -64,6 +124,36 @@ const configSchema = {
     required: false,
     default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
   },
+  respectRobotsTxt: {
+    env: 'RESPECT_ROBOTS_TXT',
+    required: false,
+    default: true,
+    type: 'boolean',
+  },
+  robotsUserAgent: {
+    env: 'ROBOTS_USER_AGENT',
+    required: false,
+    default: 'ArticleEnhancerBot',
+  },
+  maxCrawlDelay: {
+    env: 'MAX_CRAWL_DELAY',
+    required: false,
+    default: 30000, // Sites asking for a longer Crawl-delay are skipped
+    type: 'number',
+  },
+  scrapeDomainInterval: {
+    env: 'SCRAPE_DOMAIN_INTERVAL',
+    required: false,
+    default: 2000,
+    type: 'number',
+  },
+  scrapeMaxConcurrency: {
+    env: 'SCRAPE_MAX_CONCURRENCY',
+    required: false,
+    default: 3,
+    type: 'number',
+    validate: (value) => Number.isInteger(value) && value >= 1,
+  },
   
   // Content Processing Configuration
   maxContentLength: {
@@ -78,6 +168,13 @@ const configSchema = {
     default: 500,
     type: 'number',
   },
+  enhancementChunkSize: {
+    env: 'ENHANCEMENT_CHUNK_SIZE',
+    required: false,
+    default: 8000,
+    type: 'number',
+    validate: (value) => value >= 1000,
+  },
   maxSearchResults: {
     env: 'MAX_SEARCH_RESULTS',
     required: false,
@@ -85,6 +182,30 @@ const configSchema = {
     type: 'number',
   },
   
+  // Search Provider Configuration
+  searchProviders: {
+    env: 'SEARCH_PROVIDERS',
+    required: false,
+    default: 'google-it,duckduckgo',
+    type: 'list',
+    validate: (value) => value.length > 0 && value.every(name => ['google-it', 'duckduckgo', 'searxng', 'fixture'].includes(name)),
+  },
+  duckDuckGoHtmlUrl: {
+    env: 'DUCKDUCKGO_HTML_URL',
+    required: false,
+    default: 'https://html.duckduckgo.com/html/',
+  },
+  searxngBaseUrl: {
+    env: 'SEARXNG_BASE_URL',
+    required: false,
+    default: '',
+  },
+  searchFixtureFile: {
+    env: 'SEARCH_FIXTURE_FILE',
+    required: false,
+    default: 'fixtures/search-results.json',
+  },
+  
   // Logging Configuration
   logLevel: {
     env: 'LOG_LEVEL',
@@ -104,7 +225,7 @@ const configSchema = {
     env: 'EXECUTION_MODE',
     required: false,
     default: 'interactive',
-    validate: (value) => ['interactive', 'non-interactive'].includes(value),
+    validate: (value) => ['interactive', 'non-interactive', 'daemon', 'server'].includes(value),
   },
   progressUpdates: {
     env: 'PROGRESS_UPDATES',
@@ -112,6 +233,164 @@ const configSchema = {
     default: true,
     type: 'boolean',
   },
+  checkpointDir: {
+    env: 'CHECKPOINT_DIR',
+    required: false,
+    default: 'checkpoints',
+  },
+  reportDir: {
+    env: 'REPORT_DIR',
+    required: false,
+    default: 'reports',
+  },
+  promptTemplateDir: {
+    env: 'PROMPT_TEMPLATE_DIR',
+    required: false,
+    default: 'prompts',
+  },
+  
+  // Daemon Configuration (--daemon or EXECUTION_MODE=daemon)
+  daemonSchedule: {
+    env: 'DAEMON_SCHEDULE',
+    required: false,
+    default: '0 */6 * * *', // Every 6 hours
+    validate: (value) => isValidCron(value),
+  },
+  daemonSchedules: {
+    env: 'DAEMON_SCHEDULES',
+    required: false,
+    type: 'json', // [{ "name", "cron", "options": { "unenhanced": true, ... } }]; overrides DAEMON_SCHEDULE
+    validate: (value) => Array.isArray(value) && value.every(entry => entry && isValidCron(entry.cron)),
+  },
+  daemonJitter: {
+    env: 'DAEMON_JITTER',
+    required: false,
+    default: 60000, // Up to 1 minute added to each scheduled time
+    type: 'number',
+  },
+  daemonStateFile: {
+    env: 'DAEMON_STATE_FILE',
+    required: false,
+    default: 'checkpoints/daemon-state.json',
+  },
+  daemonShutdownTimeout: {
+    env: 'DAEMON_SHUTDOWN_TIMEOUT',
+    required: false,
+    default: 120000, // How long SIGTERM waits for a running job (also used by the control API)
+    type: 'number',
+  },
+  
+  // Job Queue Configuration (batch and selection runs)
+  jobQueueFile: {
+    env: 'JOB_QUEUE_FILE',
+    required: false,
+    default: 'checkpoints/jobs.json',
+  },
+  jobMaxAttempts: {
+    env: 'JOB_MAX_ATTEMPTS',
+    required: false,
+    default: 3,
+    type: 'number',
+    validate: (value) => Number.isInteger(value) && value >= 1,
+  },
+  jobRetryDelay: {
+    env: 'JOB_RETRY_DELAY',
+    required: false,
+    default: 30000, // Doubles with every attempt
+    type: 'number',
+  },
+  jobRetryMaxDelay: {
+    env: 'JOB_RETRY_MAX_DELAY',
+    required: false,
+    default: 600000,
+    type: 'number',
+  },
+  
+  // Control API Configuration (--serve or EXECUTION_MODE=server)
+  controlApiHost: {
+    env: 'CONTROL_API_HOST',
+    required: false,
+    default: '127.0.0.1',
+  },
+  controlApiPort: {
+    env: 'CONTROL_API_PORT',
+    required: false,
+    default: 3100,
+    type: 'number',
+  },
+  controlApiToken: {
+    env: 'CONTROL_API_TOKEN',
+    required: false, // Bearer token required by every endpoint except /health
+  },
+  controlApiMaxConcurrentRuns: {
+    env: 'CONTROL_API_MAX_CONCURRENT_RUNS',
+    required: false,
+    default: 2,
+    type: 'number',
+    validate: (value) => Number.isInteger(value) && value >= 1,
+  },
+  controlApiCorsOrigin: {
+    env: 'CONTROL_API_CORS_ORIGIN',
+    required: false, // e.g. http://localhost:5173 to call the API from the frontend
+  },
+  
+  // HTTP Cache Configuration (scraped pages and search results)
+  httpCacheEnabled: {
+    env: 'HTTP_CACHE_ENABLED',
+    required: false,
+    default: true,
+    type: 'boolean',
+  },
+  httpCacheDir: {
+    env: 'HTTP_CACHE_DIR',
+    required: false,
+    default: '.cache/http',
+  },
+  httpCacheTtl: {
+    env: 'HTTP_CACHE_TTL',
+    required: false,
+    default: 86400000, // 24 hours
+    type: 'number',
+  },
+  
+  // Publishing Configuration
+  publishDuplicatePolicy: {
+    env: 'PUBLISH_DUPLICATE_POLICY',
+    required: false,
+    default: 'skip',
+    validate: (value) => ['skip', 'update', 'version'].includes(value),
+  },
+  publishReview: {
+    env: 'PUBLISH_REVIEW',
+    required: false,
+    default: false, // Queue enhanced articles for review instead of publishing them
+    type: 'boolean',
+  },
+  reviewQueueFile: {
+    env: 'REVIEW_QUEUE_FILE',
+    required: false,
+    default: 'checkpoints/review-queue.json',
+  },
+  overlapThreshold: {
+    env: 'OVERLAP_THRESHOLD',
+    required: false,
+    default: 30, // Percent of the article's shingles found in a single reference
+    type: 'number',
+    validate: (value) => value >= 0 && value <= 100,
+  },
+  factCheckStrict: {
+    env: 'FACT_CHECK_STRICT',
+    required: false,
+    default: false, // Fail the run when facts of the original are missing or altered
+    type: 'boolean',
+  },
+  overlapShingleSize: {
+    env: 'OVERLAP_SHINGLE_SIZE',
+    required: false,
+    default: 5,
+    type: 'number',
+    validate: (value) => Number.isInteger(value) && value >= 2,
+  },
 };
 
 /**
@@ -131,6 +410,16 @@ function convertType(value, type) {
     return value === 'true' || value === '1';
   }
   
+  if (type === 'list') {
+    if (Array.isArray(value)) return value;
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  
+  if (type === 'json') {
+    if (typeof value === 'object') return value;
+    return JSON.parse(value);
+  }
+  
   return value;
 }
 
@@ -191,6 +480,11 @@ function loadConfig() {
     config[key] = value;
   }
   
+  // Provider-specific required values
+  if (config.llmProvider === 'groq' && !config.groqApiKey) {
+    errors.push('Missing required environment variable: GROQ_API_KEY (required when LLM_PROVIDER=groq)');
+  }
+  
   // Additional validation using validation utilities
   const validationResult = validateAndSanitizeConfig(config);
   if (!validationResult.isValid) {
@@ -342,36 +636,18 @@ export async function testApiConnectivity() {
     }
   }
   
-  // Test Groq API connectivity
+  // Test LLM provider connectivity
   try {
-    const response = await axios.post(
-      `${config.groqApiBaseUrl}/chat/completions`,
-      {
-        model: config.groqModel,
-        messages: [{ role: 'user', content: 'test' }],
-        max_tokens: 1,
-      },
-      {
-        timeout: 10000,
-        headers: {
-          'Authorization': `Bearer ${config.groqApiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const { createLLMProvider } = await import('../providers/llmProviders.js');
+    const provider = createLLMProvider();
     
-    if (response.status === 200) {
-      logger.info('✅ Groq API connectivity test passed');
-    }
+    await provider.complete('test', { maxTokens: 1 });
+    logger.info(`✅ ${provider.label} connectivity test passed`);
   } catch (error) {
-    if (error.response?.status === 401) {
-      issues.push('Groq API authentication failed - check your API key');
-    } else if (error.response?.status === 429) {
-      logger.warn('Groq API rate limit reached - this is normal during testing');
-    } else if (error.response) {
-      issues.push(`Groq API error (${error.response.status}): ${error.response.statusText}`);
+    if (error.message.includes('rate limit')) {
+      logger.warn(`LLM provider (${config.llmProvider}) rate limit reached - this is normal during testing`);
     } else {
-      issues.push(`Groq API error: ${error.message}`);
+      issues.push(`LLM provider (${config.llmProvider}) error: ${error.message}`);
     }
   }
   
@@ -396,6 +672,9 @@ function logConfigSummary() {
   if (safeConfig.groqApiKey) {
     safeConfig.groqApiKey = `${safeConfig.groqApiKey.substring(0, 8)}...`;
   }
+  if (safeConfig.openaiApiKey) {
+    safeConfig.openaiApiKey = `${safeConfig.openaiApiKey.substring(0, 8)}...`;
+  }
   if (safeConfig.laravelApiKey) {
     safeConfig.laravelApiKey = safeConfig.laravelApiKey ? '***' : '(not set)';
   }
@@ -10,22 +10,35 @@
  */
 
 import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { logger } from './utils/logger.js';
 import { config, validateSystemRequirements, testApiConnectivity } from './config/config.js';
-import { setupGlobalErrorHandlers } from './utils/errors.js';
+import { setupGlobalErrorHandlers, onShutdown, ValidationError, CancellationError } from './utils/errors.js';
+import { isValidDateString, normalizeLocale } from './utils/validation.js';
 import { ArticleFetcher } from './components/ArticleFetcher.js';
 import { GoogleSearcher } from './components/GoogleSearcher.js';
 import { ContentScraper } from './components/ContentScraper.js';
 import { AIEnhancer } from './components/AIEnhancer.js';
 import { ArticlePublisher } from './components/ArticlePublisher.js';
-
-// Set up global error handlers
-setupGlobalErrorHandlers();
+import { CheckpointStore, WORKFLOW_STEPS, generateRunId } from './utils/checkpoint.js';
+import { ArticleQueue } from './utils/articleQueue.js';
+import { summarizeUsage } from './utils/usage.js';
+import { checkFactPreservation } from './utils/factCheck.js';
+import { httpCache } from './utils/httpCache.js';
+import { Daemon } from './utils/daemon.js';
+import { isValidCron } from './utils/cron.js';
+import { RunManager } from './utils/runManager.js';
+import { ControlServer } from './utils/controlServer.js';
+import { jobQueue, JOB_STATES } from './utils/jobQueue.js';
+import { reviewQueue, REVIEW_STATES } from './utils/reviewQueue.js';
+import { buildReviewReport, writeReviewReport } from './utils/reviewReport.js';
+import { promptTemplates } from './utils/promptTemplates.js';
 
 /**
  * Article Enhancement Workflow Orchestrator
  */
-class ArticleEnhancementWorkflow {
+export class ArticleEnhancementWorkflow {
   constructor() {
     this.logger = logger.child('Workflow');
     
@@ -34,17 +47,41 @@ class ArticleEnhancementWorkflow {
     this.googleSearcher = new GoogleSearcher();
     this.contentScraper = new ContentScraper();
     this.aiEnhancer = new AIEnhancer();
-    this.articlePublisher = new ArticlePublisher();
+    this.articlePublisher = new ArticlePublisher(this.articleFetcher);
+    this.checkpointStore = new CheckpointStore();
+    
+    // Current run identity and settings (persisted with each checkpoint)
+    this.runId = null;
+    this.runOptions = {};
+    this.runCreatedAt = null;
+    
+    // Aborting this signal stops the run before its next step
+    this.signal = null;
     
     // Workflow statistics
-    this.stats = {
+    this.stats = this.createInitialStats();
+    
+    // LLM calls already counted when the current attempt started (see getAttemptLLMCalls)
+    this.llmCallBaseline = { calls: [], count: 0 };
+  }
+
+  /**
+   * Create empty workflow statistics
+   * @returns {Object} Initial statistics
+   */
+  createInitialStats() {
+    return {
       startTime: null,
       endTime: null,
       originalArticle: null,
       searchResults: [],
       scrapedArticles: [],
       enhancedArticle: null,
+      enhancementPasses: [],
       publishedArticle: null,
+      review: null,
+      report: null,
+      completedSteps: [],
       errors: [],
     };
   }
@@ -52,76 +89,198 @@ class ArticleEnhancementWorkflow {
   /**
    * Execute the complete article enhancement workflow
    * @param {Object} options - Workflow options
+   * @param {string} options.resumeRunId - Resume a previous run from its checkpoint
+   * @param {AbortSignal} options.signal - Cancels the run before its next step
    * @returns {Promise<Object>} Workflow results
    */
   async execute(options = {}) {
+    this.signal = options.signal || null;
+    
+    if (options.resumeRunId) {
+      const checkpoint = await this.checkpointStore.load(options.resumeRunId);
+      this.restoreCheckpoint(checkpoint);
+      this.markLLMCallBaseline();
+      
+      // Enhancement settings come from the original run; publishing can still be skipped on resume
+      if (options.skipPublishing) {
+        this.runOptions.skipPublishing = true;
+      }
+    } else {
+      this.startNewRun(options);
+      this.markLLMCallBaseline();
+    }
+    
     const {
       enhancementType = 'comprehensive',
+      locale = null, // Target locale of a localized enhancement type (one run per locale)
       publishMode = 'create', // 'create' or 'update'
+      duplicatePolicy = config.publishDuplicatePolicy,
       skipPublishing = false,
+      review = config.publishReview, // Queue for human review instead of publishing
       maxReferences = 2,
-    } = options;
+      strictFacts = config.factCheckStrict,
+    } = this.runOptions;
     
     this.stats.startTime = new Date();
+    this.stats.endTime = null;
     const timer = logger.startTimer('complete-workflow');
     
     try {
-      this.logger.info('🎯 Starting complete article enhancement workflow');
+      if (options.resumeRunId) {
+        this.logger.info(`♻️ Resuming run ${this.runId} from step: ${this.getCurrentStep()}`);
+      } else {
+        this.logger.info(`🎯 Starting complete article enhancement workflow (run ${this.runId})`);
+      }
       
-      // Step 1: Fetch latest article from Laravel API
-      this.logger.info('📥 Step 1: Fetching latest article...');
-      const originalArticle = await this.articleFetcher.fetchLatestArticle();
-      this.stats.originalArticle = originalArticle;
+      await this.saveCheckpoint('running');
+      
+      // Step 1: Fetch the selected (or latest) article from Laravel API
+      await this.runStep('fetching-article', async () => {
+        let originalArticle;
+        if (options.article) {
+          this.logger.info(`📥 Step 1: Using selected article (ID: ${options.article.id})`);
+          originalArticle = options.article;
+        } else if (this.runOptions.articleId) {
+          this.logger.info(`📥 Step 1: Fetching article ${this.runOptions.articleId}...`);
+          originalArticle = await this.articleFetcher.fetchArticleById(this.runOptions.articleId);
+        } else {
+          this.logger.info('📥 Step 1: Fetching latest article...');
+          originalArticle = await this.articleFetcher.fetchLatestArticle();
+        }
+        
+        if (!originalArticle) {
+          throw new ValidationError('No article available to enhance', 'article');
+        }
+        this.stats.originalArticle = originalArticle;
+        
+        this.logger.info(`✅ Fetched article: "${originalArticle.title}" (ID: ${originalArticle.id})`);
+      });
       
-      this.logger.info(`✅ Fetched article: "${originalArticle.title}" (ID: ${originalArticle.id})`);
+      const originalArticle = this.stats.originalArticle;
       
       // Step 2: Search Google for similar articles
-      this.logger.info('🔍 Step 2: Searching for similar articles...');
-      const searchResults = await this.googleSearcher.searchSimilarArticles(originalArticle.title);
-      this.stats.searchResults = searchResults;
-      
-      this.logger.info(`✅ Found ${searchResults.length} search results`);
+      await this.runStep('searching-articles', async () => {
+        // A translation keeps the references of its source, so there is nothing to search for
+        if (locale) {
+          this.logger.info(`⏭️ Step 2: Skipping search for the ${locale} translation`);
+          this.stats.searchResults = [];
+          return;
+        }
+        
+        this.logger.info('🔍 Step 2: Searching for similar articles...');
+        const searchResults = await this.googleSearcher.findSimilarArticles(originalArticle.title, maxReferences);
+        this.stats.searchResults = searchResults;
+        
+        this.logger.info(`✅ Found ${searchResults.length} search results`);
+      });
       
       // Step 3: Scrape reference articles
-      this.logger.info('🌐 Step 3: Scraping reference articles...');
-      const referenceUrls = searchResults.slice(0, maxReferences).map(result => result.url);
-      const scrapedArticles = await this.contentScraper.scrapeMultiple(referenceUrls, 2);
-      this.stats.scrapedArticles = scrapedArticles;
-      
-      this.logger.info(`✅ Scraped ${scrapedArticles.length} reference articles`);
+      await this.runStep('scraping-content', async () => {
+        if (locale) {
+          this.logger.info(`⏭️ Step 3: Skipping reference scraping for the ${locale} translation`);
+          this.stats.scrapedArticles = [];
+          return;
+        }
+        
+        this.logger.info('🌐 Step 3: Scraping reference articles...');
+        const referenceUrls = this.stats.searchResults.slice(0, maxReferences).map(result => result.url);
+        const scrapedArticles = await this.contentScraper.scrapeMultiple(referenceUrls, 2);
+        this.stats.scrapedArticles = scrapedArticles;
+        
+        this.logger.info(`✅ Scraped ${scrapedArticles.length} reference articles`);
+      });
       
       // Step 4: Enhance article with AI
-      this.logger.info('🤖 Step 4: Enhancing article with AI...');
-      const enhancedArticle = await this.aiEnhancer.enhanceArticle(
-        originalArticle, 
-        scrapedArticles, 
-        enhancementType
-      );
-      this.stats.enhancedArticle = enhancedArticle;
-      
-      // Log enhancement statistics
-      const enhancementStats = this.aiEnhancer.getEnhancementStats(originalArticle, enhancedArticle);
-      this.logger.info(`✅ Article enhanced: ${enhancementStats.lengthIncreasePercent}% length increase, ${enhancementStats.hasReferences ? 'with' : 'without'} references`);
-      
-      // Step 5: Publish enhanced article (if not skipped)
-      if (!skipPublishing) {
-        this.logger.info('📤 Step 5: Publishing enhanced article...');
+      await this.runStep('enhancing-content', async () => {
+        this.logger.info('🤖 Step 4: Enhancing article with AI...');
+        const enhancedArticle = await this.aiEnhancer.enhanceArticle(
+          originalArticle, 
+          this.stats.scrapedArticles, 
+          enhancementType,
+          {
+            locale,
+            // Multi-pass outlines, drafts and critiques are checkpointed as they complete
+            artifacts: this.stats.enhancementPasses,
+            onArtifact: () => this.saveCheckpoint('running'),
+          }
+        ).catch(error => {
+          // A rejected result is enhanced anew on resume instead of being reassembled from its passes
+          if (error instanceof ValidationError) {
+            this.stats.enhancementPasses = [];
+          }
+          throw error;
+        });
+        this.stats.enhancedArticle = enhancedArticle;
         
-        let publishResult;
-        if (publishMode === 'update' && originalArticle.id) {
-          publishResult = await this.articlePublisher.updateArticle(originalArticle.id, enhancedArticle);
-        } else {
-          publishResult = await this.articlePublisher.publishArticle(enhancedArticle);
+        // Log enhancement statistics
+        const enhancementStats = this.aiEnhancer.getEnhancementStats(originalArticle, enhancedArticle);
+        this.logger.info(`✅ Article enhanced: ${enhancementStats.lengthIncreasePercent}% length increase, ${enhancementStats.hasReferences ? 'with' : 'without'} references, ${enhancementStats.chunks} chunk(s)${enhancementStats.revisions > 0 ? `, ${enhancementStats.revisions} revision(s)` : ''}`);
+        
+        // Check that numbers, dates, names and quotes of the original survived; a translation
+        // formats numbers and dates for its locale and translates quotes, so it is not compared
+        if (locale) {
+          this.logger.info(`⏭️ Fact check skipped for the ${locale} translation`);
+          return;
         }
         
-        this.stats.publishedArticle = publishResult;
-        this.logger.info(`✅ Article ${publishMode === 'update' ? 'updated' : 'published'} successfully (ID: ${publishResult.article.id})`);
+        const factCheck = checkFactPreservation(originalArticle.content, enhancedArticle.content);
+        enhancedArticle.metadata.fact_check = factCheck;
+        this.logFactCheck(factCheck);
+        
+        if (strictFacts && factCheck.warnings.length > 0) {
+          this.stats.enhancementPasses = [];
+          throw new ValidationError(`Fact check failed: ${factCheck.warnings.length} fact(s) of the original were missing or altered`, 'factCheck', factCheck.warnings);
+        }
+      });
+      
+      const enhancedArticle = this.stats.enhancedArticle;
+      
+      // Step 5: Publish enhanced article (if not skipped), or queue it for review
+      if (!skipPublishing && review) {
+        await this.runStep('publishing-article', async () => {
+          this.logger.info('🧑‍⚖️ Step 5: Queuing enhanced article for review...');
+          
+          // Articles that publishing would refuse are not worth a reviewer's time
+          await this.articlePublisher.validateArticleForPublishing(enhancedArticle);
+          await this.writeReport();
+          
+          const item = await reviewQueue.add(enhancedArticle, {
+            runId: this.runId,
+            originalArticle,
+            options: { publishMode, duplicatePolicy },
+            warnings: enhancedArticle.metadata.fact_check?.warnings || [],
+            report: this.stats.report,
+          });
+          this.stats.review = { id: item.id };
+          
+          this.logger.info(`✅ Queued for review (ID: ${item.id}) - publish with: node src/index.js review approve ${item.id}`);
+        });
+      } else if (!skipPublishing) {
+        await this.runStep('publishing-article', async () => {
+          this.logger.info('📤 Step 5: Publishing enhanced article...');
+          
+          let publishResult;
+          if (publishMode === 'update' && originalArticle.id) {
+            publishResult = await this.articlePublisher.updateArticle(originalArticle.id, enhancedArticle);
+          } else {
+            publishResult = await this.articlePublisher.publishArticle(enhancedArticle, { duplicatePolicy });
+          }
+          
+          this.stats.publishedArticle = publishResult;
+          if (publishResult.action === 'skipped') {
+            this.logger.info(`⏭️ Publishing skipped: ${publishResult.reason} (ID: ${publishResult.article.id})`);
+          } else {
+            this.logger.info(`✅ Article ${publishMode === 'update' || publishResult.action === 'updated' ? 'updated' : 'published'} successfully (ID: ${publishResult.article.id})`);
+          }
+        });
       } else {
         this.logger.info('⏭️ Step 5: Skipping publishing (as requested)');
+        await this.writeReport();
       }
       
       // Workflow completed successfully
       this.stats.endTime = new Date();
+      await this.saveCheckpoint('completed');
       logger.endTimer(timer);
       
       const duration = this.stats.endTime - this.stats.startTime;
@@ -137,11 +296,23 @@ class ArticleEnhancementWorkflow {
         step: this.getCurrentStep(),
       });
       
-      logger.endTimer(timer);
-      this.logger.error('💥 Workflow failed:', error.message);
+      const cancelled = error instanceof CancellationError;
+      try {
+        await this.saveCheckpoint(cancelled ? 'cancelled' : 'failed');
+      } catch (checkpointError) {
+        this.logger.warn('Failed to save checkpoint after error:', checkpointError.message);
+      }
       
-      // Provide step-specific error guidance
-      this.provideErrorGuidance(error);
+      logger.endTimer(timer);
+      if (cancelled) {
+        this.logger.warn(`🛑 Workflow cancelled before ${error.step}`);
+      } else {
+        this.logger.error('💥 Workflow failed:', error.message);
+        
+        // Provide step-specific error guidance
+        this.provideErrorGuidance(error);
+      }
+      this.logger.error(`💡 Resume this run with: node src/index.js --resume ${this.runId}`);
       
       throw error;
     } finally {
@@ -151,56 +322,340 @@ class ArticleEnhancementWorkflow {
   }
 
   /**
-   * Execute workflow for multiple articles
+   * Run a workflow step unless it already completed in a restored checkpoint
+   * @param {string} step - Step name (one of WORKFLOW_STEPS)
+   * @param {Function} fn - Step implementation
+   * @returns {Promise<void>}
+   */
+  async runStep(step, fn) {
+    if (this.stats.completedSteps.includes(step)) {
+      this.logger.info(`⏭️ Skipping ${step} (restored from checkpoint)`);
+      return;
+    }
+    
+    if (this.signal?.aborted) {
+      throw new CancellationError(`Run ${this.runId} cancelled before ${step}`, step);
+    }
+    
+    await fn();
+    
+    this.stats.completedSteps.push(step);
+    await this.saveCheckpoint('running');
+  }
+
+  /**
+   * Reset state for a fresh run
+   * @param {Object} options - Workflow options for the run
+   */
+  startNewRun(options) {
+    const { enhancementType, locale, publishMode, duplicatePolicy, skipPublishing, review, maxReferences, strictFacts } = options;
+    const articleId = options.article?.id ?? options.articleId;
+    
+    this.runId = generateRunId();
+    this.runCreatedAt = new Date().toISOString();
+    this.runOptions = { enhancementType, locale, publishMode, duplicatePolicy, skipPublishing, review, maxReferences, strictFacts, articleId };
+    this.stats = this.createInitialStats();
+  }
+
+  /**
+   * Restore run state from a checkpoint
+   * @param {Object} checkpoint - Checkpoint loaded from the store
+   */
+  restoreCheckpoint(checkpoint) {
+    this.runId = checkpoint.runId;
+    this.runCreatedAt = checkpoint.createdAt;
+    this.runOptions = { ...checkpoint.options };
+    this.stats = {
+      ...this.createInitialStats(),
+      ...checkpoint.stats,
+    };
+    
+    this.logger.info(`📂 Restored checkpoint for run ${this.runId} (${this.stats.completedSteps.length}/${WORKFLOW_STEPS.length} steps completed)`);
+  }
+
+  /**
+   * Persist current run state
+   * @param {string} status - Run status ('running', 'failed', 'cancelled', 'completed')
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint(status) {
+    await this.checkpointStore.save({
+      runId: this.runId,
+      status,
+      currentStep: this.getCurrentStep(),
+      createdAt: this.runCreatedAt,
+      options: this.runOptions,
+      completedSteps: this.stats.completedSteps,
+      stats: this.stats,
+    });
+  }
+
+  /**
+   * Write the review report of a dry run (original, enhanced article, diff, references and warnings)
+   * A report that cannot be written is logged but does not fail the run
+   * @returns {Promise<void>}
+   */
+  async writeReport() {
+    const originalArticle = this.stats.originalArticle;
+    const enhancedArticle = this.stats.enhancedArticle;
+    
+    try {
+      const report = buildReviewReport({
+        runId: this.runId,
+        originalArticle,
+        enhancedArticle,
+        stats: this.aiEnhancer.getEnhancementStats(originalArticle, enhancedArticle),
+        publishingErrors: this.articlePublisher.getPublishingErrors(enhancedArticle),
+      });
+      
+      this.stats.report = await writeReviewReport(report);
+      this.logger.info(`📝 Review report: ${this.stats.report.html} (${report.warnings.length} warning(s), ${report.diff.inserted} word(s) inserted, ${report.diff.deleted} deleted)`);
+    } catch (error) {
+      this.logger.warn('Failed to write review report:', error.message);
+    }
+  }
+
+  /**
+   * Execute workflow for every article matching the selection options
+   * @param {Object} options - Workflow options with selection criteria (ids, since, category, unenhanced)
+   * @returns {Promise<Object>} Batch results
+   */
+  async executeSelection(options = {}) {
+    const articles = await this.articleFetcher.selectArticles(options);
+    
+    if (articles.length === 0) {
+      this.logger.warn('📭 No articles matched the selection');
+    }
+    
+    return this.processQueue(new ArticleQueue(articles), options);
+  }
+
+  /**
+   * Execute workflow for the latest distinct articles
    * @param {number} count - Number of articles to process
    * @param {Object} options - Workflow options
-   * @returns {Promise<Array>} Array of workflow results
+   * @returns {Promise<Object>} Batch results
    */
   async executeMultiple(count = 1, options = {}) {
-    const { continueOnError = true } = options;
-    
     this.logger.info(`🎯 Starting batch workflow for ${count} articles`);
     
+    const articles = await this.articleFetcher.fetchLatestArticles(count);
+    
+    return this.processQueue(new ArticleQueue(articles), options);
+  }
+
+  /**
+   * Run the workflow once per article in the queue (once per article and locale for localized types)
+   * Each article becomes a durable job (see JobQueue), so failed articles are retried and kept after the run
+   * @param {ArticleQueue} queue - Queue of distinct articles
+   * @param {Object} options - Workflow options
+   * @param {Array<string>} options.locales - Target locales of a localized enhancement type
+   * @returns {Promise<Object>} Batch results with a per-article breakdown
+   */
+  async processQueue(queue, options = {}) {
+    const locales = options.locales?.length > 0 ? options.locales : [undefined];
+    const entries = [];
+    while (queue.hasNext()) {
+      const article = queue.next();
+      for (const locale of locales) {
+        entries.push({ article, job: await jobQueue.enqueue(article, { ...options, locale }) });
+      }
+    }
+    
+    return this.processJobs(entries, options);
+  }
+
+  /**
+   * Requeue dead-lettered jobs and run them, together with jobs an interrupted run left pending
+   * @param {Array<string>} ids - Dead jobs to retry (every dead job if empty)
+   * @param {Object} options - Workflow options (each job's own enhancement settings take precedence)
+   * @returns {Promise<Object>} Batch results with a per-article breakdown
+   */
+  async retryJobs(ids = [], options = {}) {
+    const revived = await jobQueue.retry(ids);
+    const notRetried = ids.filter(id => !revived.some(job => job.id === id));
+    if (notRetried.length > 0) {
+      this.logger.warn(`⚠️ Not dead-lettered (or unknown), not retried: ${notRetried.join(', ')}`);
+    }
+    
+    const jobs = (await jobQueue.list()).filter(job => job.state === 'queued' || job.state === 'failed');
+    this.logger.info(`🔁 Retrying ${revived.length} dead-lettered job(s)${jobs.length > revived.length ? ` and ${jobs.length - revived.length} pending job(s)` : ''}`);
+    
+    return this.processJobs(jobs.map(job => ({ article: null, job })), options);
+  }
+
+  /**
+   * Run jobs until each one succeeds or is dead-lettered
+   * Retryable failures are retried in this run once their backoff delay has passed,
+   * resuming the failed run from its checkpoint
+   * @param {Array<Object>} entries - Jobs to run ({ job, article }); a job without its article fetches it by ID
+   * @param {Object} options - Workflow options
+   * @param {number} options.maxTokensBudget - Stop starting new articles once this many tokens are used
+   * @returns {Promise<Object>} Batch results with a per-article breakdown
+   */
+  async processJobs(entries, options = {}) {
+    const { continueOnError = true, maxTokensBudget = null } = options;
+    
+    const total = entries.length;
+    const pending = [...entries];
+    const articles = [];
     const results = [];
     const errors = [];
+    const skipped = [];
+    const llmCalls = [];
+    let budgetExhausted = false;
+    let position = 0;
     
-    for (let i = 0; i < count; i++) {
-      try {
-        this.logger.info(`📋 Processing article ${i + 1}/${count}`);
+    while (pending.length > 0) {
+      if (options.signal?.aborted) {
+        this.logger.warn(`🛑 Batch cancelled with ${pending.length} article(s) left`);
+        throw new CancellationError(`Batch cancelled with ${pending.length} article(s) left`, this.getCurrentStep());
+      }
+      
+      // Stop before starting another article once the token budget is spent
+      const tokensUsed = summarizeUsage(llmCalls).totalTokens;
+      if (maxTokensBudget && tokensUsed >= maxTokensBudget) {
+        budgetExhausted = true;
+        this.logger.warn(`💸 Token budget of ${maxTokensBudget} spent (${tokensUsed} tokens used) - stopping batch with ${pending.length} article(s) left`);
         
-        const result = await this.execute(options);
-        results.push(result);
+        for (const { job } of pending) {
+          const entry = { articleId: job.articleId, locale: job.options.locale || null, title: job.title, status: 'skipped', reason: 'token budget exhausted', jobId: job.id };
+          skipped.push(entry);
+          articles.push(entry);
+        }
+        break;
+      }
+      
+      // Take the first job that can run now, or wait for the soonest retry
+      const index = pending.findIndex(entry => jobQueue.isDue(entry.job));
+      if (index === -1) {
+        const nextAttemptAt = Math.min(...pending.map(entry => Date.parse(entry.job.nextAttemptAt)));
+        this.logger.info(`⏳ Waiting ${Math.ceil((nextAttemptAt - Date.now()) / 1000)}s for the next retry...`);
+        await wait(nextAttemptAt - Date.now(), options.signal);
+        continue;
+      }
+      
+      const [entry] = pending.splice(index, 1);
+      const job = await jobQueue.start(entry.job.id);
+      if (!job) {
+        const skip = { articleId: entry.job.articleId, locale: entry.job.options.locale || null, title: entry.job.title, status: 'skipped', reason: 'job is running in another run', jobId: entry.job.id };
+        skipped.push(skip);
+        articles.push(skip);
+        continue;
+      }
+      
+      try {
+        const localeLabel = job.options.locale ? `, ${job.options.locale}` : '';
+        if (job.attempts === 1) {
+          this.logger.info(`📋 Processing article ${++position}/${total} (ID: ${job.articleId}${localeLabel})`);
+        } else {
+          this.logger.info(`🔁 Retrying article ${job.articleId}${localeLabel} (attempt ${job.attempts}/${job.maxAttempts})`);
+        }
         
-        // Delay between articles to be respectful
-        if (i < count - 1) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
+        // A retry resumes the failed run from its checkpoint
+        const runOptions = { ...options, ...job.options, article: entry.article || undefined, articleId: job.articleId };
+        if (job.runId && await this.hasCheckpoint(job.runId)) {
+          runOptions.resumeRunId = job.runId;
         }
         
-      } catch (error) {
-        errors.push({
-          articleIndex: i + 1,
-          error: error.message,
-          timestamp: new Date(),
+        this.markLLMCallBaseline();
+        const result = await this.execute(runOptions);
+        await jobQueue.succeed(job.id, result.runId);
+        results.push(result);
+        articles.push({
+          articleId: job.articleId,
+          locale: job.options.locale || null,
+          title: result.originalArticle.title,
+          status: 'succeeded',
+          jobId: job.id,
+          attempts: job.attempts,
+          runId: result.runId,
+          duration: result.duration,
+          publishedArticleId: result.publishedArticle?.id ?? null,
+          reviewId: result.review?.id ?? null,
+          factWarnings: result.factWarnings,
+          report: result.report,
+          tokens: result.usage.totalTokens,
+          estimatedCost: result.usage.estimatedCost,
         });
+      
+      } catch (error) {
+        const step = this.getCurrentStep();
+        const failedJob = await jobQueue.fail(job.id, error, { runId: this.runId, step });
         
-        if (!continueOnError) {
+        if (error instanceof CancellationError) {
           throw error;
         }
         
-        this.logger.warn(`⚠️ Article ${i + 1} failed, continuing with next...`);
+        if (failedJob.state === 'failed') {
+          this.logger.warn(`⚠️ Article ${job.articleId} failed at ${step} (${error.message}), attempt ${failedJob.attempts + 1}/${failedJob.maxAttempts} at ${failedJob.nextAttemptAt}`);
+          pending.push({ article: entry.article, job: failedJob });
+        } else {
+          const usage = this.getUsageSummary();
+          const failure = {
+            articleId: job.articleId,
+            locale: job.options.locale || null,
+            title: job.title,
+            status: 'failed',
+            jobId: job.id,
+            attempts: failedJob.attempts,
+            retryable: failedJob.lastError.retryable,
+            runId: this.runId,
+            error: error.message,
+            step,
+            timestamp: new Date(),
+            tokens: usage.totalTokens,
+            estimatedCost: usage.estimatedCost,
+          };
+          errors.push(failure);
+          articles.push(failure);
+          
+          if (!continueOnError) {
+            throw error;
+          }
+          
+          this.logger.warn(`💀 Article ${job.articleId} failed at ${step} after ${failedJob.attempts} attempt(s) and was dead-lettered (retry with --retry-jobs ${job.id}), continuing with next...`);
+        }
+      } finally {
+        llmCalls.push(...this.getAttemptLLMCalls());
+      }
+      
+      // Delay between articles to be respectful
+      if (pending.some(candidate => jobQueue.isDue(candidate.job))) {
+        await wait(5000, options.signal);
       }
     }
     
-    this.logger.info(`📊 Batch processing completed: ${results.length} successful, ${errors.length} failed`);
+    const processed = results.length + errors.length;
+    this.logger.info(`📊 Batch processing completed: ${results.length} successful, ${errors.length} failed${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}`);
     
     return {
+      articles,
       successful: results,
       failed: errors,
-      totalProcessed: count,
-      successRate: Math.round((results.length / count) * 100),
+      skipped,
+      totalProcessed: processed,
+      totalSelected: total,
+      successRate: processed > 0 ? Math.round((results.length / processed) * 100) : 0,
+      usage: summarizeUsage(llmCalls),
+      budgetExhausted,
     };
   }
 
+  /**
+   * Check whether a run has a checkpoint to resume from
+   * @param {string} runId - Run ID
+   * @returns {Promise<boolean>} True if the checkpoint exists
+   */
+  async hasCheckpoint(runId) {
+    try {
+      await this.checkpointStore.load(runId);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Test all workflow components
    * @returns {Promise<Object>} Test results
@@ -265,12 +720,7 @@ class ArticleEnhancementWorkflow {
    * @returns {string} Current step name
    */
   getCurrentStep() {
-    if (!this.stats.originalArticle) return 'fetching-article';
-    if (this.stats.searchResults.length === 0) return 'searching-articles';
-    if (this.stats.scrapedArticles.length === 0) return 'scraping-content';
-    if (!this.stats.enhancedArticle) return 'enhancing-content';
-    if (!this.stats.publishedArticle) return 'publishing-article';
-    return 'completed';
+    return WORKFLOW_STEPS.find(step => !this.stats.completedSteps.includes(step)) || 'completed';
   }
 
   /**
@@ -291,7 +741,11 @@ class ArticleEnhancementWorkflow {
         this.logger.error('💡 Content scraping failed - target sites may be blocking requests');
         break;
       case 'enhancing-content':
-        this.logger.error('💡 AI enhancement failed - check Groq API key and connectivity');
+        if (error.field === 'factCheck') {
+          this.logger.error('💡 The enhanced article changed facts of the original - resume to enhance again, or run without --strict-facts');
+        } else {
+          this.logger.error('💡 AI enhancement failed - check the LLM provider (LLM_PROVIDER) credentials and connectivity');
+        }
         break;
       case 'publishing-article':
         this.logger.error('💡 Publishing failed - check Laravel API permissions and article validation');
@@ -301,15 +755,31 @@ class ArticleEnhancementWorkflow {
     }
   }
 
+  /**
+   * Log the result of the fact-preservation check
+   * @param {Object} factCheck - Result from checkFactPreservation
+   */
+  logFactCheck(factCheck) {
+    if (factCheck.warnings.length === 0) {
+      this.logger.info(`🧾 Fact check passed: ${factCheck.facts_checked} fact(s) of the original preserved`);
+      return;
+    }
+    
+    this.logger.warn(`⚠️ Fact check: ${factCheck.altered.length} altered and ${factCheck.missing.length} missing of ${factCheck.facts_checked} fact(s)`);
+    factCheck.warnings.forEach(warning => this.logger.warn(`  ${warning}`));
+  }
+
   /**
    * Get workflow summary and statistics
    * @returns {Object} Workflow summary
    */
   getWorkflowSummary() {
-    const duration = this.stats.endTime - this.stats.startTime;
+    // A run still in progress reports its duration so far
+    const duration = this.stats.startTime ? (this.stats.endTime || new Date()) - this.stats.startTime : 0;
     
     return {
-      success: true,
+      success: this.stats.errors.length === 0,
+      runId: this.runId,
       duration: Math.round(duration / 1000),
       originalArticle: {
         id: this.stats.originalArticle?.id,
@@ -320,17 +790,61 @@ class ArticleEnhancementWorkflow {
       scrapedArticles: this.stats.scrapedArticles.length,
       enhancedArticle: {
         title: this.stats.enhancedArticle?.title,
+        locale: this.stats.enhancedArticle?.metadata?.locale || null,
         contentLength: this.stats.enhancedArticle?.content?.length,
         hasReferences: this.stats.enhancedArticle?.content?.includes('References'),
+        chunks: this.stats.enhancedArticle?.metadata?.enhancement_stats?.chunks,
+        multiPass: this.stats.enhancedArticle?.metadata?.multi_pass || null,
       },
       publishedArticle: this.stats.publishedArticle ? {
         id: this.stats.publishedArticle.article?.id,
+        action: this.stats.publishedArticle.action,
         publishedAt: this.stats.publishedArticle.publishedAt,
       } : null,
+      review: this.stats.review,
+      factWarnings: this.stats.enhancedArticle?.metadata?.fact_check?.warnings || [],
+      report: this.stats.report,
+      usage: this.getUsageSummary(),
       errors: this.stats.errors,
     };
   }
 
+  /**
+   * Get the token usage records of the current run's LLM calls
+   * @returns {Array<Object>} Usage records from the enhanced article's metadata
+   */
+  getLLMCalls() {
+    return this.stats.enhancedArticle?.metadata?.enhancement_stats?.llm_calls || [];
+  }
+
+  /**
+   * Remember the LLM calls held now, so they are not counted again for the current attempt
+   * (the calls of the previous job, or those restored from the checkpoint of a resumed run)
+   */
+  markLLMCallBaseline() {
+    const calls = this.getLLMCalls();
+    this.llmCallBaseline = { calls, count: calls.length };
+  }
+
+  /**
+   * Get the LLM calls made since markLLMCallBaseline
+   * @returns {Array<Object>} Usage records of the current attempt
+   */
+  getAttemptLLMCalls() {
+    const calls = this.getLLMCalls();
+    
+    // An article enhanced again has a new list of calls
+    return calls === this.llmCallBaseline.calls ? calls.slice(this.llmCallBaseline.count) : calls;
+  }
+
+  /**
+   * Total the token usage and estimated cost of the current run
+   * @returns {Object} Usage summary ({ calls, promptTokens, completionTokens, totalTokens, estimatedCost, unpricedModels })
+   */
+  getUsageSummary() {
+    return summarizeUsage(this.getLLMCalls());
+  }
+
   /**
    * Cleanup resources
    */
@@ -350,12 +864,33 @@ function parseArguments() {
   const args = process.argv.slice(2);
   const options = {
     enhancementType: 'comprehensive',
+    locales: [],
     publishMode: 'create',
     skipPublishing: false,
     testMode: false,
     batchCount: 1,
+    ids: [],
+    since: null,
+    category: null,
+    unenhanced: false,
+    noCache: false,
+    clearCache: false,
+    daemon: false,
+    schedule: null,
+    serve: false,
+    listJobs: false,
+    jobState: null,
+    retryJobs: null,
+    purgeJobs: null,
+    reviewCommand: null,
   };
   
+  // "review <command>" manages the review queue instead of running the workflow
+  if (args[0] === 'review') {
+    options.reviewCommand = parseReviewCommand(args.slice(1));
+    return options;
+  }
+  
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
@@ -363,18 +898,99 @@ function parseArguments() {
       case '--enhancement-type':
         options.enhancementType = args[++i] || 'comprehensive';
         break;
+      case '--locales':
+        options.locales = parseLocales(args[++i], arg);
+        if (options.locales.length === 0) {
+          throw new ValidationError('--locales expects one or more locale tags (e.g. de,fr,pt-BR)', 'locales');
+        }
+        break;
       case '--publish-mode':
         options.publishMode = args[++i] || 'create';
         break;
+      case '--duplicate-policy':
+        options.duplicatePolicy = args[++i];
+        if (!['skip', 'update', 'version'].includes(options.duplicatePolicy)) {
+          throw new ValidationError(`--duplicate-policy must be skip, update or version, got: ${options.duplicatePolicy}`, 'duplicatePolicy', options.duplicatePolicy);
+        }
+        break;
       case '--skip-publishing':
         options.skipPublishing = true;
         break;
+      case '--review':
+        options.review = true;
+        break;
+      case '--article-id':
+        options.ids.push(...parseIdList(args[++i], arg));
+        break;
+      case '--ids':
+        options.ids.push(...parseIdList(args[++i], arg));
+        break;
+      case '--since':
+        options.since = args[++i];
+        if (!isValidDateString(options.since)) {
+          throw new ValidationError(`Invalid date for --since: ${options.since}`, 'since', options.since);
+        }
+        break;
+      case '--category':
+        options.category = args[++i];
+        if (!options.category) {
+          throw new ValidationError('--category requires a category name', 'category');
+        }
+        break;
+      case '--unenhanced':
+        options.unenhanced = true;
+        break;
+      case '--resume':
+        options.resumeRunId = args[++i];
+        break;
       case '--test':
         options.testMode = true;
         break;
       case '--batch':
         options.batchCount = parseInt(args[++i]) || 1;
         break;
+      case '--max-tokens-budget':
+        options.maxTokensBudget = Number(args[++i]);
+        if (!Number.isInteger(options.maxTokensBudget) || options.maxTokensBudget <= 0) {
+          throw new ValidationError(`--max-tokens-budget expects a positive number of tokens, got: ${args[i]}`, 'maxTokensBudget', args[i]);
+        }
+        break;
+      case '--strict-facts':
+        options.strictFacts = true;
+        break;
+      case '--no-cache':
+        options.noCache = true;
+        break;
+      case '--clear-cache':
+        options.clearCache = true;
+        break;
+      case '--daemon':
+        options.daemon = true;
+        break;
+      case '--schedule':
+        options.schedule = args[++i];
+        if (!isValidCron(options.schedule)) {
+          throw new ValidationError(`--schedule expects a cron expression (e.g. "0 */6 * * *"), got: ${options.schedule}`, 'schedule', options.schedule);
+        }
+        break;
+      case '--serve':
+        options.serve = true;
+        break;
+      case '--list-jobs':
+        options.listJobs = true;
+        if (args[i + 1] && !args[i + 1].startsWith('--')) {
+          options.jobState = args[++i];
+          if (!JOB_STATES.includes(options.jobState)) {
+            throw new ValidationError(`--list-jobs state must be one of: ${JOB_STATES.join(', ')}`, 'jobState', options.jobState);
+          }
+        }
+        break;
+      case '--retry-jobs':
+        options.retryJobs = args[i + 1] && !args[i + 1].startsWith('--') ? parseJobIds(args[++i]) : [];
+        break;
+      case '--purge-jobs':
+        options.purgeJobs = args[i + 1] && !args[i + 1].startsWith('--') ? parseJobIds(args[++i]) : [];
+        break;
       case '--help':
         printUsage();
         process.exit(0);
@@ -385,6 +1001,466 @@ function parseArguments() {
   return options;
 }
 
+/**
+ * Parse a comma-separated list of article IDs
+ * @param {string} value - Raw argument value (e.g. "3,7,9")
+ * @param {string} flag - Flag name for error messages
+ * @returns {Array<number>} Article IDs
+ */
+function parseIdList(value, flag) {
+  const ids = (value || '').split(',').map(id => id.trim()).filter(Boolean).map(Number);
+  
+  if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new ValidationError(`${flag} expects positive article IDs, got: ${value}`, flag, value);
+  }
+  
+  return ids;
+}
+
+/**
+ * Parse target locales
+ * @param {string|Array<string>} value - Comma-separated locale tags (e.g. "de,pt-br") or an array of them
+ * @param {string} flag - Flag name for error messages
+ * @returns {Array<string>} Distinct canonical locale tags (e.g. ["de", "pt-BR"])
+ */
+function parseLocales(value, flag) {
+  const tags = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(tag => (typeof tag === 'string' ? tag.trim() : tag))
+    .filter(Boolean);
+  
+  const invalid = tags.filter(tag => !normalizeLocale(tag));
+  if (invalid.length > 0) {
+    throw new ValidationError(`${flag} expects locale tags such as de or pt-BR, got: ${invalid.join(', ')}`, 'locales', invalid);
+  }
+  
+  return [...new Set(tags.map(normalizeLocale))];
+}
+
+/**
+ * Check the enhancement type and its target locales
+ * Localized types (templates using {{locale}}) need locales; other types take none
+ * @param {Object} options - Workflow options ({ enhancementType, locales })
+ * @param {string} context - Where the options come from, for error messages
+ * @returns {Array<string>} Canonical target locales
+ * @throws {ValidationError} If the type is unknown or the locales do not fit it
+ */
+function resolveLocales(options, context = '--locales') {
+  const template = promptTemplates.get(options.enhancementType || 'comprehensive');
+  const locales = parseLocales(options.locales || [], context);
+  
+  if (template.localized && locales.length === 0) {
+    throw new ValidationError(`Enhancement type "${template.name}" needs target locales (e.g. --locales de,fr)`, 'locales');
+  }
+  if (!template.localized && locales.length > 0) {
+    throw new ValidationError(`${context} only applies to localized enhancement types (${promptTemplates.localizedNames().join(', ') || 'none'}), not "${template.name}"`, 'locales', locales);
+  }
+  
+  return locales;
+}
+
+/**
+ * Parse the arguments of a "review" command
+ * @param {Array<string>} args - Arguments after "review" (e.g. ["reject", "<id>", "--reason", "..."])
+ * @returns {Object} Review command ({ action, id, state, reason, reviewer })
+ */
+function parseReviewCommand(args) {
+  const [action, target] = args;
+  const command = {
+    action,
+    id: null,
+    state: null,
+    reason: null,
+    reviewer: process.env.USER || process.env.USERNAME || 'unknown',
+  };
+  
+  if (!['list', 'show', 'approve', 'reject'].includes(action)) {
+    throw new ValidationError(`review expects list, show, approve or reject, got: ${action || 'nothing'}`, 'reviewCommand', action);
+  }
+  
+  if (action === 'list') {
+    if (target && !target.startsWith('--')) {
+      if (!REVIEW_STATES.includes(target)) {
+        throw new ValidationError(`review list state must be one of: ${REVIEW_STATES.join(', ')}`, 'reviewState', target);
+      }
+      command.state = target;
+    }
+  } else {
+    if (!target || target.startsWith('--')) {
+      throw new ValidationError(`review ${action} expects a review item ID`, 'reviewId');
+    }
+    command.id = target;
+  }
+  
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--reason') {
+      command.reason = args[++i]?.trim() || null;
+    } else if (args[i] === '--reviewer') {
+      command.reviewer = args[++i]?.trim() || command.reviewer;
+    }
+  }
+  
+  if (action === 'reject' && !command.reason) {
+    throw new ValidationError('review reject expects --reason "<why the article was rejected>"', 'reason');
+  }
+  
+  return command;
+}
+
+/**
+ * Parse a comma-separated list of job IDs
+ * @param {string} value - Raw argument value
+ * @returns {Array<string>} Job IDs
+ */
+function parseJobIds(value) {
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether any article selection option was given
+ * @param {Object} options - Parsed command line options
+ * @returns {boolean} True if articles should be selected instead of using the latest one
+ */
+function hasArticleSelection(options) {
+  return options.ids.length > 0 || Boolean(options.since || options.category || options.unenhanced);
+}
+
+/**
+ * Log token usage and estimated cost
+ * @param {Object} usage - Usage summary from summarizeUsage
+ */
+function logUsageSummary(usage) {
+  if (!usage || usage.calls === 0) return;
+  
+  logger.info(`💰 Token usage: ${usage.totalTokens} tokens (${usage.promptTokens} prompt, ${usage.completionTokens} completion) over ${usage.calls} LLM call(s), estimated cost $${usage.estimatedCost.toFixed(4)}`);
+  if (usage.unpricedModels.length > 0) {
+    logger.warn(`  No price configured for: ${usage.unpricedModels.join(', ')} (set LLM_PRICE_TABLE)`);
+  }
+}
+
+/**
+ * Log HTTP cache hits and misses for the run
+ */
+function logCacheSummary() {
+  const { hits, misses, revalidated } = httpCache.stats;
+  if (hits + misses + revalidated === 0) return;
+  
+  logger.info(`💾 HTTP cache: ${hits} hit(s), ${revalidated} revalidated, ${misses} miss(es)`);
+}
+
+/**
+ * Wait for a delay, returning early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Ends the wait early when aborted
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal = null) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, Math.max(0, ms));
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Log the per-article results of a batch
+ * @param {Object} results - Batch results from processJobs
+ */
+function logBatchSummary(results) {
+  logger.info(`📊 Batch processing summary: ${results.totalProcessed} articles, ${results.successRate}% success rate`);
+  results.articles.forEach(entry => {
+    const label = `Article ${entry.articleId}${entry.locale ? ` (${entry.locale})` : ''}`;
+    if (entry.status === 'succeeded') {
+      logger.info(`  ✅ ${label}: enhanced in ${entry.duration}s, ${entry.tokens} tokens (run ${entry.runId}${entry.attempts > 1 ? `, ${entry.attempts} attempts` : ''})`);
+      entry.factWarnings.forEach(warning => logger.warn(`     ⚠️ ${warning}`));
+      if (entry.reviewId) {
+        logger.info(`     🧑‍⚖️ Queued for review: ${entry.reviewId}`);
+      }
+      if (entry.report) {
+        logger.info(`     📝 Review report: ${entry.report.html}`);
+      }
+    } else if (entry.status === 'skipped') {
+      logger.warn(`  ⏭️ ${label}: skipped - ${entry.reason}`);
+    } else {
+      logger.warn(`  ❌ ${label}: failed at ${entry.step} after ${entry.attempts} attempt(s) - ${entry.error} (job ${entry.jobId}, run ${entry.runId})`);
+    }
+  });
+}
+
+/**
+ * Log the jobs of the durable job queue
+ * @param {string} state - Only list jobs in this state
+ * @returns {Promise<void>}
+ */
+async function listJobs(state) {
+  const jobs = await jobQueue.list(state);
+  if (jobs.length === 0) {
+    logger.info(state ? `📭 No ${state} jobs in ${jobQueue.file}` : `📭 No jobs in ${jobQueue.file}`);
+    return;
+  }
+  
+  const counts = JOB_STATES.map(name => `${jobs.filter(job => job.state === name).length} ${name}`).join(', ');
+  logger.info(`🗂️ ${jobs.length} job(s) in ${jobQueue.file}: ${counts}`);
+  jobs.forEach(job => {
+    const detail = {
+      failed: `retry at ${job.nextAttemptAt}`,
+      dead: job.lastError?.retryable ? 'out of attempts' : 'not retryable',
+      succeeded: `run ${job.runId}`,
+    }[job.state];
+    logger.info(`  ${job.id}  ${job.state.padEnd(9)} article ${job.articleId}${job.options.locale ? ` (${job.options.locale})` : ''} "${job.title}" - ${job.attempts}/${job.maxAttempts} attempt(s)${detail ? `, ${detail}` : ''}`);
+    if (job.lastError && job.state !== 'succeeded') {
+      logger.info(`      last error at ${job.lastError.step}: ${job.lastError.message}`);
+    }
+  });
+}
+
+/**
+ * Run a "review" command against the review queue
+ * @param {Object} command - Review command from parseReviewCommand
+ * @returns {Promise<void>}
+ */
+async function runReviewCommand({ action, id, state, reason, reviewer }) {
+  switch (action) {
+    case 'list':
+      await listReviews(state);
+      break;
+    case 'show':
+      showReview(await reviewQueue.get(id));
+      break;
+    case 'approve':
+      await approveReview(id, reviewer);
+      break;
+    case 'reject': {
+      const item = await reviewQueue.reject(id, reviewer, reason);
+      logger.info(`🚫 Rejected ${item.id} "${item.title}" (by ${reviewer}): ${reason}`);
+      break;
+    }
+  }
+}
+
+/**
+ * Log the items of the review queue
+ * @param {string} state - Only list items in this state
+ * @returns {Promise<void>}
+ */
+async function listReviews(state) {
+  const items = await reviewQueue.list(state);
+  if (items.length === 0) {
+    logger.info(state ? `📭 No ${state} review items in ${reviewQueue.file}` : `📭 No review items in ${reviewQueue.file}`);
+    return;
+  }
+  
+  const counts = REVIEW_STATES.map(name => `${items.filter(item => item.state === name).length} ${name}`).join(', ');
+  logger.info(`🧑‍⚖️ ${items.length} review item(s) in ${reviewQueue.file}: ${counts}`);
+  items.forEach(item => {
+    const detail = {
+      pending: `${item.warnings.length} warning(s)`,
+      approved: item.publication?.error ? `publishing failed: ${item.publication.error}` : 'not published yet',
+      published: `${item.publication?.action} article ${item.publication?.articleId}`,
+      rejected: item.decision?.reason,
+    }[item.state];
+    logger.info(`  ${item.id}  ${item.state.padEnd(9)} article ${item.articleId}${item.locale ? ` (${item.locale})` : ''} "${item.title}" [${item.enhancementType}] - ${detail}`);
+  });
+}
+
+/**
+ * Print a review item: its details, warnings, decision and the enhanced article
+ * @param {Object} item - Review item
+ */
+function showReview(item) {
+  logger.info(`🧑‍⚖️ ${item.id} (${item.state}) - run ${item.runId}, queued ${item.createdAt}`);
+  logger.info(`  Original: article ${item.articleId} "${item.originalTitle}"`);
+  logger.info(`  Enhancement: ${item.enhancementType}${item.locale ? ` (${item.locale})` : ''}, publish mode ${item.options.publishMode}, duplicate policy ${item.options.duplicatePolicy}`);
+  if (item.report) {
+    logger.info(`  Review report: ${item.report.html}`);
+  }
+  item.warnings.forEach(warning => logger.warn(`  ⚠️ ${warning}`));
+  if (item.decision) {
+    logger.info(`  Decision: ${item.decision.status} by ${item.decision.reviewer} at ${item.decision.decided_at}${item.decision.reason ? ` - ${item.decision.reason}` : ''}`);
+  }
+  if (item.publication) {
+    logger.info(`  Publication: ${item.publication.error ? `failed - ${item.publication.error}` : `${item.publication.action} article ${item.publication.articleId}`} at ${item.publication.at}`);
+  }
+  
+  // The article goes to stdout as-is so it can be piped or redirected
+  process.stdout.write(`\n${item.article.content}\n`);
+}
+
+/**
+ * Approve a review item and publish its article with the options of its run
+ * An item whose publishing fails stays approved and can be approved again to retry
+ * @param {string} id - Review item ID
+ * @param {string} reviewer - Name of the reviewer
+ * @returns {Promise<void>}
+ */
+async function approveReview(id, reviewer) {
+  const item = await reviewQueue.approve(id, reviewer);
+  logger.info(`👍 Approved ${item.id} "${item.title}" (by ${reviewer}) - publishing...`);
+  
+  const publisher = new ArticlePublisher();
+  let result;
+  try {
+    result = item.options.publishMode === 'update'
+      ? await publisher.updateArticle(item.articleId, item.article)
+      : await publisher.publishArticle(item.article, { duplicatePolicy: item.options.duplicatePolicy });
+  } catch (error) {
+    await reviewQueue.recordPublication(item.id, { error: error.message });
+    logger.error(`💡 ${item.id} stays approved - run "review approve ${item.id}" again to retry publishing`);
+    throw error;
+  }
+  
+  await reviewQueue.recordPublication(item.id, result);
+  if (result.action === 'skipped') {
+    logger.info(`⏭️ Publishing skipped: ${result.reason} (ID: ${result.article.id})`);
+  } else {
+    logger.info(`✅ Published ${item.id} as article ${result.article.id}`);
+  }
+}
+
+/**
+ * Run the workflow once for the given options and log its summary
+ * @param {ArticleEnhancementWorkflow} workflow - Workflow instance
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Object>} Workflow or batch results
+ */
+async function runWorkflow(workflow, options) {
+  let results;
+  if (options.retryJobs) {
+    results = await workflow.retryJobs(options.retryJobs, options);
+    logBatchSummary(results);
+  } else if (!options.resumeRunId && (hasArticleSelection(options) || options.batchCount > 1 || options.locales?.length > 0)) {
+    // Localized types run as one job per article and locale
+    results = hasArticleSelection(options)
+      ? await workflow.executeSelection(options)
+      : await workflow.executeMultiple(options.batchCount, options);
+    
+    logBatchSummary(results);
+  } else {
+    results = await workflow.execute(options);
+    logger.info(`📊 Processing summary: Enhanced "${results.originalArticle.title}" in ${results.duration}s`);
+    if (results.factWarnings.length > 0) {
+      logger.warn(`⚠️ ${results.factWarnings.length} fact warning(s):`);
+      results.factWarnings.forEach(warning => logger.warn(`  ${warning}`));
+    }
+  }
+  
+  logUsageSummary(results.usage);
+  logCacheSummary();
+  
+  return results;
+}
+
+/**
+ * Build daemon schedules from --schedule, DAEMON_SCHEDULES or DAEMON_SCHEDULE
+ * Command line options apply to every schedule; a schedule's own options override them
+ * @param {Object} options - Parsed command line options
+ * @returns {Array<Object>} Schedules ({ name, cron, options })
+ */
+function getDaemonSchedules(options) {
+  if (options.schedule || !config.daemonSchedules) {
+    return [{ name: 'default', cron: options.schedule || config.daemonSchedule, options }];
+  }
+  
+  return config.daemonSchedules.map((schedule, index) => ({
+    name: schedule.name || `schedule-${index + 1}`,
+    cron: schedule.cron,
+    options: { ...options, ...schedule.options, ids: schedule.options?.ids || options.ids },
+  }));
+}
+
+/**
+ * Run the workflow on a schedule until SIGTERM/SIGINT
+ * @param {ArticleEnhancementWorkflow} workflow - Workflow instance
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<void>} Resolves once the daemon has stopped
+ */
+async function runDaemon(workflow, options) {
+  if (options.resumeRunId) {
+    throw new ValidationError('--resume cannot be used in daemon mode', 'resume', options.resumeRunId);
+  }
+  
+  // Reject unknown enhancement types and missing locales now rather than at the first scheduled run
+  const schedules = getDaemonSchedules(options);
+  schedules.forEach(schedule => {
+    schedule.options.locales = resolveLocales(schedule.options, `locales of schedule "${schedule.name}"`);
+  });
+  
+  const daemon = new Daemon({
+    schedules,
+    runJob: async (jobOptions) => {
+      httpCache.stats = { hits: 0, misses: 0, revalidated: 0 };
+      try {
+        await runWorkflow(workflow, jobOptions);
+      } finally {
+        // Keep the Puppeteer browser closed while waiting for the next run
+        await workflow.cleanup();
+      }
+    },
+  });
+  
+  onShutdown(signal => daemon.stop(signal));
+  
+  logger.info('👻 Daemon started - waiting for scheduled runs (SIGTERM or Ctrl+C to stop)');
+  await daemon.start();
+}
+
+/**
+ * Serve the control API until SIGTERM/SIGINT
+ * Each requested run gets its own workflow instance, since workflows hold per-run state
+ * @param {Object} options - Parsed command line options, applied to every requested run
+ * @returns {Promise<void>} Resolves once the server is listening
+ */
+async function runServer(options) {
+  const runManager = new RunManager({
+    runJob: async (run) => {
+      const workflow = new ArticleEnhancementWorkflow();
+      run.workflow = workflow;
+      try {
+        // Articles come from the request only, never from command line selection flags
+        return await runWorkflow(workflow, {
+          ...options,
+          since: null,
+          category: null,
+          unenhanced: false,
+          batchCount: 1,
+          retryJobs: null,
+          ...run.options,
+          signal: run.signal,
+        });
+      } finally {
+        await workflow.cleanup();
+      }
+    },
+  });
+  
+  const server = new ControlServer({
+    runManager,
+    checkHealth: async () => {
+      const workflow = new ArticleEnhancementWorkflow();
+      try {
+        return await workflow.testWorkflow();
+      } finally {
+        await workflow.cleanup();
+      }
+    },
+    enhancementTypes: promptTemplates.names(),
+    localizedTypes: promptTemplates.localizedNames(),
+  });
+  
+  onShutdown(async () => {
+    await server.stop();
+    await runManager.stop();
+  });
+  
+  await server.start();
+  logger.info('🛰️ Control API started - waiting for requests (SIGTERM or Ctrl+C to stop)');
+}
+
 /**
  * Print usage information
  */
@@ -395,19 +1471,66 @@ Article Enhancement Automation
 Usage: node src/index.js [options]
 
 Options:
-  --enhancement-type <type>    Enhancement type: structure, seo, comprehensive (default: comprehensive)
+  --enhancement-type <type>    Prompt template in PROMPT_TEMPLATE_DIR: structure, seo, comprehensive, translate or a custom one (default: comprehensive)
+  --locales <locale,...>      Target locales of a localized type such as translate (e.g. de,fr,pt-BR);
+                              each article is enhanced once per locale
   --publish-mode <mode>        Publishing mode: create, update (default: create)
-  --skip-publishing           Skip the publishing step
+  --duplicate-policy <policy> When an enhanced version already exists: skip, update, version
+                              (default: PUBLISH_DUPLICATE_POLICY or skip)
+  --skip-publishing           Skip the publishing step and write a review report
+  --review                    Queue enhanced articles for human review instead of publishing them
+                              (default: PUBLISH_REVIEW)
+  --resume <runId>            Resume a previous run from its last checkpoint
+  --article-id <id>           Enhance a specific article
+  --ids <id,id,...>           Enhance a list of articles
+  --since <date>              Enhance original articles published on or after a date
+  --category <name>           Enhance original articles in a category
+  --unenhanced                Enhance every original article without an enhanced version
   --test                      Run component tests only
   --batch <count>             Process multiple articles (default: 1)
+  --max-tokens-budget <n>     Stop a batch once this many LLM tokens have been used
+  --strict-facts              Fail the run if numbers, dates, names or quotes of the original
+                              are missing or altered (default: FACT_CHECK_STRICT)
+  --no-cache                  Bypass the HTTP cache for scraping and search
+  --clear-cache               Delete all cached HTTP responses before running
+  --daemon                    Keep running and execute the workflow on a schedule
+                              (also enabled by EXECUTION_MODE=daemon)
+  --schedule <cron>           Cron schedule for --daemon (default: DAEMON_SCHEDULES or
+                              DAEMON_SCHEDULE, every 6 hours)
+  --serve                     Serve the HTTP control API for triggering and inspecting runs
+                              (also enabled by EXECUTION_MODE=server)
+  --list-jobs [state]         List batch jobs (queued, running, succeeded, failed, dead)
+  --retry-jobs [id,...]       Requeue dead-lettered jobs (all, or the given ones) and run them
+                              together with jobs an interrupted run left pending
+  --purge-jobs [id,...]       Delete dead-lettered jobs (all, or the given ones)
   --help                      Show this help message
 
+Review commands:
+  review list [state]                   List review items (pending, approved, published, rejected)
+  review show <id>                      Show a review item and its enhanced article
+  review approve <id> [--reviewer <name>]
+                                        Approve an item and publish it
+  review reject <id> --reason <text> [--reviewer <name>]
+                                        Reject an item; it is never published
+
 Examples:
   node src/index.js                                    # Process one article with default settings
   node src/index.js --enhancement-type seo            # Use SEO enhancement
+  node src/index.js --enhancement-type translate --locales de,fr --article-id 12   # German and French variants of article 12
   node src/index.js --skip-publishing                 # Don't publish, just enhance
   node src/index.js --test                            # Test all components
   node src/index.js --batch 5                         # Process 5 articles
+  node src/index.js --resume <runId>                  # Retry a failed run without repeating finished steps
+  node src/index.js --ids 3,7,9                       # Enhance articles 3, 7 and 9
+  node src/index.js --unenhanced --since 2025-01-01   # Enhance recent articles that have no enhanced version
+  node src/index.js --clear-cache --test              # Drop cached pages and search results, then test
+  node src/index.js --daemon --unenhanced             # Enhance unenhanced articles every 6 hours
+  node src/index.js --daemon --schedule "30 2 * * *" --batch 3   # Enhance 3 articles every night at 02:30
+  node src/index.js --serve                           # Start the control API on CONTROL_API_PORT
+  node src/index.js --list-jobs dead                  # Show articles that failed for good
+  node src/index.js --retry-jobs                      # Run every dead-lettered article again
+  node src/index.js --review --ids 3,7                # Enhance articles 3 and 7 and queue them for review
+  node src/index.js review approve <id>               # Publish a reviewed article
 `);
 }
 
@@ -421,7 +1544,43 @@ async function main() {
     // Parse command line arguments
     const options = parseArguments();
     
-    logger.info(`📋 Configuration loaded for ${config.executionMode} mode`);
+    if (options.daemon && options.serve) {
+      throw new ValidationError('--daemon and --serve cannot be combined', 'executionMode');
+    }
+    
+    const executionMode = options.daemon ? 'daemon' : options.serve ? 'server' : config.executionMode;
+    logger.info(`📋 Configuration loaded for ${executionMode} mode`);
+    
+    // Configure the HTTP cache before any component uses it
+    if (options.clearCache) {
+      await httpCache.clear();
+    }
+    if (options.noCache) {
+      httpCache.enabled = false;
+      logger.info('💾 HTTP cache bypassed for this run (--no-cache)');
+    }
+    
+    // Review decisions only need the review queue (and the Laravel API to publish approved articles)
+    if (options.reviewCommand) {
+      await runReviewCommand(options.reviewCommand);
+      return;
+    }
+    
+    // Job queue maintenance does not need the rest of the system
+    if (options.listJobs || options.purgeJobs) {
+      if (options.purgeJobs) {
+        const purged = await jobQueue.purge(options.purgeJobs);
+        logger.info(`🗑️ Purged ${purged.length} dead-lettered job(s)`);
+      }
+      if (options.listJobs) {
+        await listJobs(options.jobState);
+      }
+      return;
+    }
+    
+    // Load prompt templates; an unknown enhancement type or missing locales fail before any work starts
+    await promptTemplates.load();
+    options.locales = resolveLocales(options);
     
     // Validate system requirements
     await validateSystemRequirements();
@@ -447,16 +1606,21 @@ async function main() {
       }
     }
     
-    // Execute workflow
-    let results;
-    if (options.batchCount > 1) {
-      results = await workflow.executeMultiple(options.batchCount, options);
-      logger.info(`📊 Batch processing summary: ${results.successRate}% success rate`);
-    } else {
-      results = await workflow.execute(options);
-      logger.info(`📊 Processing summary: Enhanced "${results.originalArticle.title}" in ${results.duration}s`);
+    // Run on a schedule until stopped
+    if (executionMode === 'daemon') {
+      await runDaemon(workflow, options);
+      return;
+    }
+    
+    // Serve the control API until stopped
+    if (executionMode === 'server') {
+      await runServer(options);
+      return;
     }
     
+    // Execute workflow
+    await runWorkflow(workflow, options);
+    
     logger.info('🎉 Article Enhancement Automation completed successfully');
     
   } catch (error) {
@@ -475,5 +1639,9 @@ async function main() {
   }
 }
 
-// Start the application
-main();
\ No newline at end of file
+// Start the application when run directly (tests import the workflow)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Set up global error handlers
+  setupGlobalErrorHandlers();
+  main();
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+describe('ArticleEnhancementWorkflow.processJobs', () => {
+  let dir;
+  let ArticleEnhancementWorkflow;
+  let jobQueue;
+  let NetworkError;
+  let createUsage;
+
+  beforeAll(async () => {
+    // The configuration is read when it is first imported, so every module is imported after the environment is set
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'workflow-'));
+    process.env.CHECKPOINT_DIR = dir;
+    process.env.JOB_QUEUE_FILE = path.join(dir, 'jobs.json');
+    // Long enough for the failed job not to be due right away, which would add the delay between articles
+    process.env.JOB_RETRY_DELAY = '500';
+    ({ ArticleEnhancementWorkflow } = await import('./index.js'));
+    ({ jobQueue } = await import('./utils/jobQueue.js'));
+    ({ NetworkError } = await import('./utils/errors.js'));
+    ({ createUsage } = await import('./utils/usage.js'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a workflow whose components never leave the process
+   * @param {Function} publish - Stand-in for ArticlePublisher.publishArticle
+   * @returns {Object} Workflow and the number of enhancements it ran ({ workflow, enhancements })
+   */
+  function createWorkflow(publish) {
+    const workflow = new ArticleEnhancementWorkflow();
+    const state = { workflow, enhancements: 0 };
+
+    workflow.articleFetcher.fetchArticleById = async id => ({ id, title: 'Remote work', content: 'Teams at Acme Corp work remotely.' });
+    workflow.googleSearcher.findSimilarArticles = async () => [];
+    workflow.contentScraper.scrapeMultiple = async () => [];
+    workflow.aiEnhancer.enhanceArticle = async (article) => {
+      state.enhancements++;
+      return {
+        title: article.title,
+        content: `${article.content}\n\nMore detail.`,
+        metadata: {
+          enhancement_type: 'comprehensive',
+          enhancement_stats: { chunks: 1, llm_calls: [createUsage({ promptTokens: 100, completionTokens: 50 }, 'mock')] },
+        },
+      };
+    };
+    workflow.articlePublisher.publishArticle = publish;
+
+    return state;
+  }
+
+  it('counts the LLM calls of a job retried after its enhancing step once', async () => {
+    let publishAttempts = 0;
+    const state = createWorkflow(async () => {
+      if (++publishAttempts === 1) {
+        throw new NetworkError('Laravel API unavailable', 'http://localhost:8000/api/articles');
+      }
+      return { action: 'created', article: { id: 99 } };
+    });
+    const job = await jobQueue.enqueue({ id: 5, title: 'Remote work' }, { enhancementType: 'comprehensive' });
+
+    const batch = await state.workflow.processJobs([{ article: null, job }]);
+
+    expect(publishAttempts).toBe(2);
+    expect(batch.successful).toHaveLength(1);
+    expect(batch.articles[0]).toMatchObject({ status: 'succeeded', attempts: 2, publishedArticleId: 99 });
+    expect(state.enhancements).toBe(1);
+    expect(batch.usage).toMatchObject({ calls: 1, totalTokens: 150 });
+  });
+});
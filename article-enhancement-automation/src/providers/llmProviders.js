@@ -0,0 +1,521 @@
+/**
+ * LLM Provider Module
+ *
+ * Defines the LLM provider interface used by AIEnhancer and ships implementations
+ * for Groq, generic OpenAI-compatible endpoints, a local Ollama server and a
+ * deterministic mock for tests
+ * Providers map their transport failures to AIProcessingError
+ * Remote providers stream responses by default (LLM_STREAMING) and report progress while tokens arrive
+ * Every completion carries a token usage record (estimated when the provider reports none)
+ */
+
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/config.js';
+import { AIProcessingError, ConfigurationError, NetworkError, ErrorUtils } from '../utils/errors.js';
+import { readStreamLines, StreamProgress } from '../utils/streaming.js';
+import { createUsage, estimateUsage } from '../utils/usage.js';
+
+/**
+ * Base LLM provider
+ */
+export class LLMProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model identifier
+   * @param {string} options.label - Human-readable service name for error messages
+   */
+  constructor(name, { model, label = name } = {}) {
+    this.name = name;
+    this.model = model;
+    this.label = label;
+    this.logger = logger.child(`LLMProvider:${name}`);
+  }
+
+  /**
+   * Generate a completion for a single user prompt
+   * @param {string} _prompt - Prompt text
+   * @param {Object} _options - Generation options ({ maxTokens, temperature, stream })
+   * @returns {Promise<Object>} Completion ({ content, model, usage })
+   */
+  async complete(_prompt, _options = {}) {
+    throw new Error(`LLM provider "${this.name}" does not implement complete()`);
+  }
+
+  /**
+   * Ensure a completion has usable content
+   * @param {string} content - Completion text
+   * @returns {string} Completion text
+   */
+  assertContent(content) {
+    if (!content || content.trim().length === 0) {
+      throw new AIProcessingError(`Empty response from ${this.label}`, this.model);
+    }
+    return content;
+  }
+
+  /**
+   * Build the usage record for a completion
+   * @param {Object|null} counts - Reported token counts ({ promptTokens, completionTokens })
+   * @param {string} model - Model that served the call
+   * @param {string} prompt - Prompt text (for estimates)
+   * @param {string} content - Completion text (for estimates)
+   * @returns {Object} Usage record
+   */
+  buildUsage(counts, model, prompt, content) {
+    if (counts && Number.isFinite(counts.promptTokens) && Number.isFinite(counts.completionTokens)) {
+      return createUsage(counts, model);
+    }
+
+    this.logger.debug(`${this.label} did not report token usage - using an estimate`);
+    return estimateUsage(prompt, content, model);
+  }
+
+  /**
+   * Throw if a stream ended without its completion marker
+   * @param {boolean} finished - Whether the completion marker was received
+   * @param {string} content - Text received so far
+   * @param {string} url - Endpoint URL for the error
+   */
+  assertStreamFinished(finished, content, url) {
+    if (!finished) {
+      throw new NetworkError(
+        `${this.label} stream ended before completion (${content.length} chars received)`,
+        url,
+        'STREAM_INTERRUPTED'
+      );
+    }
+  }
+
+  /**
+   * Map a transport error to AIProcessingError
+   * @param {Error} error - Original error
+   * @returns {Error} Mapped error
+   */
+  mapError(error) {
+    if (error instanceof AIProcessingError) {
+      return error;
+    }
+
+    if (error.code === 'ECONNREFUSED') {
+      return new AIProcessingError(`Cannot connect to ${this.label} - check network connectivity`, this.model, null, { cause: error });
+    }
+
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+      return new AIProcessingError(`${this.label} request timeout`, this.model, null, { retryable: true, cause: error });
+    }
+
+    return error;
+  }
+}
+
+/**
+ * Provider for OpenAI-compatible chat-completions endpoints
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - Provider options
+   * @param {boolean} options.streamUsage - Request a usage event at the end of streams (stream_options.include_usage)
+   */
+  constructor(name, { baseUrl, apiKey, model, label = 'OpenAI-compatible API', streamUsage = true } = {}) {
+    super(name, { model, label });
+    this.streamUsage = streamUsage;
+
+    if (!baseUrl) {
+      throw new ConfigurationError(`Base URL is required for the ${name} LLM provider`, 'baseUrl');
+    }
+
+    this.apiClient = axios.create({
+      baseURL: baseUrl,
+      timeout: config.requestTimeout,
+      headers: {
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+
+  async complete(prompt, { maxTokens = 4000, temperature = 0.7, stream = config.llmStreaming } = {}) {
+    try {
+      this.logger.debug(`🔄 Calling ${this.label} (${this.model})${stream ? ' with streaming' : ''}...`);
+
+      const request = {
+        model: this.model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        max_tokens: maxTokens,
+        temperature,
+        stream,
+      };
+
+      if (stream) {
+        if (this.streamUsage) {
+          request.stream_options = { include_usage: true };
+        }
+        return await this.completeStreaming(request);
+      }
+
+      const response = await this.apiClient.post('/chat/completions', request);
+
+      if (!response.data || !response.data.choices || response.data.choices.length === 0) {
+        throw new AIProcessingError(`Invalid response from ${this.label}`, this.model);
+      }
+
+      const content = this.assertContent(response.data.choices[0].message?.content);
+
+      const model = response.data.model || this.model;
+      const usage = this.buildUsage(this.parseUsage(response.data.usage), model, prompt, content);
+
+      this.logger.debug(`✅ ${this.label} response received (${content.length} chars, ${usage.total_tokens} tokens)`);
+      return { content, model, usage };
+
+    } catch (error) {
+      throw this.mapError(error);
+    }
+  }
+
+  /**
+   * Send a chat-completions request and assemble the server-sent event stream
+   * @param {Object} request - Request body with stream: true
+   * @returns {Promise<Object>} Completion ({ content, model, usage })
+   */
+  async completeStreaming(request) {
+    const response = await this.apiClient.post('/chat/completions', request, { responseType: 'stream' });
+    const progress = new StreamProgress(this.label);
+    let content = '';
+    let model = this.model;
+    let finished = false;
+    let counts = null;
+
+    await readStreamLines(response.data, (line) => {
+      if (!line.startsWith('data:')) return;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') {
+        finished = true;
+        return;
+      }
+
+      const event = ErrorUtils.safeJsonParse(data);
+      if (!event) return;
+
+      if (event.error) {
+        throw new AIProcessingError(`${this.label} stream error: ${event.error.message || 'Unknown error'}`, this.model, null, { retryable: true });
+      }
+
+      model = event.model || model;
+      // Usage arrives in the last event (Groq reports it under x_groq)
+      counts = this.parseUsage(event.usage || event.x_groq?.usage) || counts;
+
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        progress.add(delta);
+      }
+    }, { idleTimeout: config.llmStreamIdleTimeout, label: this.label });
+
+    this.assertStreamFinished(finished, content, `${this.apiClient.defaults.baseURL}/chat/completions`);
+    progress.report(true);
+
+    return {
+      content: this.assertContent(content),
+      model,
+      usage: this.buildUsage(counts, model, request.messages[0].content, content),
+    };
+  }
+
+  /**
+   * Read token counts from an OpenAI-style usage object
+   * @param {Object} usage - Usage object ({ prompt_tokens, completion_tokens })
+   * @returns {Object|null} Token counts or null if missing
+   */
+  parseUsage(usage) {
+    if (!usage || usage.prompt_tokens == null) {
+      return null;
+    }
+    return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens ?? 0 };
+  }
+
+  mapError(error) {
+    if (error.response) {
+      const { status, data } = error.response;
+      // Error bodies of streamed requests are not parsed, so detail may be missing
+      const detail = data?.error?.message;
+
+      if (status === 401) {
+        return new AIProcessingError(`${this.label} authentication failed - check API key`, this.model, null, { cause: error });
+      }
+
+      if (status === 429) {
+        const retryAfter = error.response.headers?.['retry-after'];
+        return new AIProcessingError(`${this.label} rate limit exceeded${retryAfter ? ` - retry after ${retryAfter}s` : ''}`, this.model, null, { retryable: true, cause: error });
+      }
+
+      if (status === 400) {
+        return new AIProcessingError(`${this.label} request error: ${detail || 'Invalid request'}`, this.model, null, { cause: error });
+      }
+
+      if (status === 404) {
+        return new AIProcessingError(`${this.label} model or endpoint not found: ${detail || this.model}`, this.model, null, { cause: error });
+      }
+
+      // Server errors are usually transient (overloaded or restarting)
+      return new AIProcessingError(`${this.label} error (${status}): ${detail || 'Unknown error'}`, this.model, null, { retryable: status >= 500, cause: error });
+    }
+
+    return super.mapError(error);
+  }
+}
+
+/**
+ * Groq chat-completions provider
+ */
+export class GroqProvider extends OpenAICompatibleProvider {
+  constructor({
+    baseUrl = config.groqApiBaseUrl,
+    apiKey = config.groqApiKey,
+    model = config.groqModel,
+  } = {}) {
+    // Groq always reports stream usage (x_groq.usage), so stream_options is not sent
+    super('groq', { baseUrl, apiKey, model, label: 'Groq API', streamUsage: false });
+  }
+}
+
+/**
+ * Local Ollama server provider (native /api/chat endpoint)
+ */
+export class OllamaProvider extends LLMProvider {
+  constructor({ baseUrl = config.ollamaBaseUrl, model = config.ollamaModel } = {}) {
+    super('ollama', { model, label: 'Ollama' });
+    this.baseUrl = baseUrl;
+
+    this.apiClient = axios.create({
+      baseURL: baseUrl,
+      timeout: config.requestTimeout,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+
+  async complete(prompt, { maxTokens = 4000, temperature = 0.7, stream = config.llmStreaming } = {}) {
+    try {
+      this.logger.debug(`🔄 Calling Ollama (${this.model})${stream ? ' with streaming' : ''}...`);
+
+      const request = {
+        model: this.model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        stream,
+        options: {
+          num_predict: maxTokens,
+          temperature,
+        },
+      };
+
+      if (stream) {
+        return await this.completeStreaming(request);
+      }
+
+      const response = await this.apiClient.post('/api/chat', request);
+
+      const content = this.assertContent(response.data?.message?.content);
+
+      const model = response.data.model || this.model;
+      const usage = this.buildUsage(this.parseUsage(response.data), model, prompt, content);
+
+      this.logger.debug(`✅ Ollama response received (${content.length} chars, ${usage.total_tokens} tokens)`);
+      return { content, model, usage };
+
+    } catch (error) {
+      throw this.mapError(error);
+    }
+  }
+
+  /**
+   * Send a chat request and assemble the newline-delimited JSON stream
+   * @param {Object} request - Request body with stream: true
+   * @returns {Promise<Object>} Completion ({ content, model, usage })
+   */
+  async completeStreaming(request) {
+    const response = await this.apiClient.post('/api/chat', request, { responseType: 'stream' });
+    const progress = new StreamProgress(this.label);
+    let content = '';
+    let model = this.model;
+    let finished = false;
+    let counts = null;
+
+    await readStreamLines(response.data, (line) => {
+      const event = ErrorUtils.safeJsonParse(line);
+      if (!event) return;
+
+      if (event.error) {
+        throw new AIProcessingError(`Ollama stream error: ${event.error}`, this.model, null, { retryable: true });
+      }
+
+      model = event.model || model;
+      const delta = event.message?.content;
+      if (delta) {
+        content += delta;
+        progress.add(delta);
+      }
+
+      if (event.done) {
+        finished = true;
+        counts = this.parseUsage(event);
+      }
+    }, { idleTimeout: config.llmStreamIdleTimeout, label: this.label });
+
+    this.assertStreamFinished(finished, content, `${this.baseUrl}/api/chat`);
+    progress.report(true);
+
+    return {
+      content: this.assertContent(content),
+      model,
+      usage: this.buildUsage(counts, model, request.messages[0].content, content),
+    };
+  }
+
+  /**
+   * Read token counts from a final Ollama response
+   * @param {Object} data - Response with prompt_eval_count and eval_count
+   * @returns {Object|null} Token counts or null if missing
+   */
+  parseUsage(data) {
+    if (!data || data.prompt_eval_count == null) {
+      return null;
+    }
+    return { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count ?? 0 };
+  }
+
+  mapError(error) {
+    if (error.response) {
+      const { status, data } = error.response;
+
+      if (status === 404) {
+        return new AIProcessingError(`Ollama model "${this.model}" not found - run: ollama pull ${this.model}`, this.model, null, { cause: error });
+      }
+
+      return new AIProcessingError(`Ollama error (${status}): ${data?.error || 'Unknown error'}`, this.model, null, { retryable: status >= 500, cause: error });
+    }
+
+    if (error.code === 'ECONNREFUSED') {
+      return new AIProcessingError(`Cannot connect to Ollama at ${this.baseUrl} - is "ollama serve" running?`, this.model, null, { cause: error });
+    }
+
+    return super.mapError(error);
+  }
+}
+
+/**
+ * Deterministic mock provider for tests and offline runs
+ *
+ * Builds a structured markdown article from the title, content and references
+ * found in the prompt, so the same prompt always yields the same output
+ */
+export class MockProvider extends LLMProvider {
+  constructor({ model = 'mock' } = {}) {
+    super('mock', { model, label: 'Mock LLM' });
+    this.calls = [];
+  }
+
+  async complete(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+
+    // Reference blocks are four lines each (see AIEnhancer.formatReferences)
+    const referencePattern = /^Reference \d+:\nTitle: (.+)\nDomain: (.+)\nContent: .*$/gm;
+    const references = [...prompt.matchAll(referencePattern)]
+      .map(([, refTitle, domain]) => `- ${refTitle.trim()} - ${domain.trim()}`);
+    const articlePrompt = prompt.replace(referencePattern, '');
+
+    const title = articlePrompt.match(/^Title:\s*(.+)$/m)?.[1]?.trim() || 'Mock Article';
+
+    // SEO package prompts (see AIEnhancer.generateSeoPrompt) get a JSON answer
+    if (prompt.includes('"meta_description"')) {
+      const content = JSON.stringify(this.buildSeoPackage(title), null, 2);
+      return { content, model: this.model, usage: estimateUsage(prompt, content, this.model) };
+    }
+    const body = articlePrompt.match(/^Content:\s*([\s\S]*?)(?=\n\n[^\n]+:(?:\n|$)|$(?![\s\S]))/m)?.[1]?.trim() || '';
+
+    const content = [
+      `# ${title}`,
+      '## Introduction',
+      `This article revisits "${title}" with a clearer structure, concise sections and practical takeaways for readers.`,
+      '## Overview',
+      body.substring(0, 1500) || 'No original content was provided.',
+      '## Key Points',
+      '- The core ideas of the original article are preserved.\n- Sections are organized with descriptive headings.\n- Supporting context is summarized from the references.',
+      '## Conclusion',
+      'Applying these points consistently leads to better results over time.',
+      '## References',
+      references.length > 0 ? references.join('\n') : '- No external references were used.',
+    ].join('\n\n');
+
+    return { content, model: this.model, usage: estimateUsage(prompt, content, this.model) };
+  }
+
+  /**
+   * Build a valid SEO package from an article title
+   * @param {string} title - Article title
+   * @returns {Object} SEO package as the LLM would return it
+   */
+  buildSeoPackage(title) {
+    const topic = title.replace(/\s+/g, ' ').substring(0, 60).trim();
+    const keyword = topic.toLowerCase().split(' ').slice(0, 3).join(' ');
+
+    return {
+      meta_description: `${topic}: a structured overview with the key points, practical takeaways and answers to common questions.`.substring(0, 160),
+      slug: topic,
+      focus_keyword: keyword,
+      secondary_keywords: [`${keyword} guide`, `${keyword} tips`, `${keyword} overview`],
+      og_title: `${topic.substring(0, 44).trim()} - Key Points`,
+      faq: [
+        { question: `What is ${topic} about?`, answer: `It revisits "${topic}" with a clearer structure and concise sections.` },
+        { question: 'What are the key points?', answer: 'The core ideas of the original article, organized under descriptive headings.' },
+        { question: 'How should readers apply this?', answer: 'By applying the key points consistently, which leads to better results over time.' },
+      ],
+    };
+  }
+}
+
+/**
+ * Registered LLM providers by name
+ */
+const providerFactories = {
+  groq: () => new GroqProvider(),
+  openai: () => new OpenAICompatibleProvider('openai', {
+    baseUrl: config.openaiApiBaseUrl,
+    apiKey: config.openaiApiKey,
+    model: config.openaiModel,
+  }),
+  ollama: () => new OllamaProvider(),
+  mock: () => new MockProvider(),
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(providerFactories);
+
+/**
+ * Create an LLM provider by name
+ * @param {string} name - Provider name (defaults to LLM_PROVIDER)
+ * @returns {LLMProvider} Provider instance
+ */
+export function createLLMProvider(name = config.llmProvider) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new ConfigurationError(
+      `Unknown LLM provider "${name}" (available: ${LLM_PROVIDER_NAMES.join(', ')})`,
+      'llmProvider'
+    );
+  }
+  return factory();
+}
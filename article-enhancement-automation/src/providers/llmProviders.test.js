@@ -0,0 +1,64 @@
+import { describe, it, expect } from '@jest/globals';
+import { OpenAICompatibleProvider, OllamaProvider } from './llmProviders.js';
+import { AIProcessingError, ErrorClassifier, NetworkError } from '../utils/errors.js';
+
+/**
+ * Build an axios-style HTTP error
+ * @param {number} status - Response status
+ * @param {Object} data - Response body
+ * @returns {Error} Error with a response
+ */
+function httpError(status, data = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    code: status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+    response: { status, data, headers: {} },
+  });
+}
+
+describe('OpenAICompatibleProvider.mapError', () => {
+  const provider = new OpenAICompatibleProvider('openai', { baseUrl: 'http://llm.test/v1', model: 'test-model', label: 'Test API' });
+
+  it.each([
+    [429, true],
+    [500, true],
+    [503, true],
+    [400, false],
+    [401, false],
+    [404, false],
+  ])('maps HTTP %i to an AIProcessingError with retryable=%s', (status, retryable) => {
+    const error = provider.mapError(httpError(status));
+
+    expect(error).toBeInstanceOf(AIProcessingError);
+    expect(ErrorClassifier.isRetryable(error)).toBe(retryable);
+  });
+
+  it('keeps the transport error as the cause', () => {
+    const original = httpError(429);
+
+    expect(provider.mapError(original).cause).toBe(original);
+  });
+
+  it('marks request timeouts and refused connections as retryable', () => {
+    const timeout = provider.mapError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    const refused = provider.mapError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }));
+
+    expect(ErrorClassifier.isRetryable(timeout)).toBe(true);
+    expect(ErrorClassifier.isRetryable(refused)).toBe(true);
+  });
+
+  it('passes interrupted streams through unchanged', () => {
+    const interrupted = new NetworkError('stream ended early', 'http://llm.test', 'STREAM_INTERRUPTED');
+
+    expect(provider.mapError(interrupted)).toBe(interrupted);
+    expect(ErrorClassifier.isRetryable(interrupted)).toBe(true);
+  });
+});
+
+describe('OllamaProvider.mapError', () => {
+  const provider = new OllamaProvider({ baseUrl: 'http://localhost:11434', model: 'llama3' });
+
+  it('retries server errors but not a missing model', () => {
+    expect(ErrorClassifier.isRetryable(provider.mapError(httpError(500, { error: 'overloaded' })))).toBe(true);
+    expect(ErrorClassifier.isRetryable(provider.mapError(httpError(404, { error: 'not found' })))).toBe(false);
+  });
+});
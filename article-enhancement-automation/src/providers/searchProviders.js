@@ -0,0 +1,294 @@
+/**
+ * Search Provider Module
+ *
+ * Defines the search provider interface used by GoogleSearcher and ships
+ * implementations for google-it, DuckDuckGo HTML, SearXNG JSON and local fixtures
+ * All providers return results normalized to { url, title, snippet, domain }
+ */
+
+import fs from 'fs/promises';
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import googleIt from 'google-it';
+import { logger } from '../utils/logger.js';
+import { config } from '../config/config.js';
+import { ConfigurationError, NetworkError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Extract domain from URL
+ * @param {string} url - URL to extract domain from
+ * @returns {string} Domain name
+ */
+function extractDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Normalize a raw provider result to the shape produced by GoogleSearcher.parseSearchResults
+ * @param {Object} raw - Raw result with url/link, title and snippet/content
+ * @returns {Object|null} Normalized result or null if unusable
+ */
+export function normalizeSearchResult(raw) {
+  const url = (raw?.url || raw?.link || '').trim();
+  const title = (raw?.title || raw?.snippet || '').trim();
+
+  if (!url || !title) {
+    return null;
+  }
+
+  return {
+    url,
+    title,
+    snippet: (raw.snippet || raw.content || '').trim(),
+    domain: extractDomain(url),
+  };
+}
+
+/**
+ * Base search provider
+ */
+export class SearchProvider {
+  constructor(name) {
+    this.name = name;
+    this.logger = logger.child(`SearchProvider:${name}`);
+  }
+
+  /**
+   * Search for the given query
+   * @param {string} _query - Search query
+   * @param {number} _maxResults - Maximum number of results
+   * @returns {Promise<Array>} Normalized search results
+   */
+  async search(_query, _maxResults) {
+    throw new Error(`Search provider "${this.name}" does not implement search()`);
+  }
+
+  /**
+   * Normalize and truncate raw results
+   * @param {Array} rawResults - Raw provider results
+   * @param {number} maxResults - Maximum number of results
+   * @returns {Array} Normalized results
+   */
+  normalizeResults(rawResults, maxResults) {
+    return rawResults
+      .map(normalizeSearchResult)
+      .filter(Boolean)
+      .slice(0, maxResults);
+  }
+}
+
+/**
+ * Google search through the google-it scraper
+ */
+export class GoogleItProvider extends SearchProvider {
+  constructor() {
+    super('google-it');
+  }
+
+  async search(query, maxResults) {
+    try {
+      const searchOptions = {
+        query,
+        limit: Math.min(maxResults, 20), // Limit to avoid being blocked
+        'user-agent': config.userAgent,
+        'no-display': true, // Don't display results in console
+      };
+
+      this.logger.debug('Performing Google search with options:', searchOptions);
+
+      const results = await googleIt(searchOptions);
+
+      if (!Array.isArray(results)) {
+        throw new ValidationError('Google search returned invalid results format');
+      }
+
+      this.logger.debug(`Google search returned ${results.length} raw results`);
+      return this.normalizeResults(results, maxResults);
+
+    } catch (error) {
+      if (error.message.includes('blocked') || error.message.includes('captcha')) {
+        throw new NetworkError('Google search blocked - may need to wait or use different approach', null, 'BLOCKED');
+      }
+
+      if (error.message.includes('timeout')) {
+        throw new NetworkError('Google search timed out', null, 'TIMEOUT');
+      }
+
+      throw new NetworkError(`Google search failed: ${error.message}`, null, error.code);
+    }
+  }
+}
+
+/**
+ * DuckDuckGo search through its HTML-only endpoint
+ */
+export class DuckDuckGoProvider extends SearchProvider {
+  constructor(endpoint = config.duckDuckGoHtmlUrl) {
+    super('duckduckgo');
+    this.endpoint = endpoint;
+  }
+
+  async search(query, maxResults) {
+    let response;
+    try {
+      response = await axios.post(this.endpoint, new URLSearchParams({ q: query }).toString(), {
+        timeout: config.requestTimeout,
+        headers: {
+          'User-Agent': config.userAgent,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'text/html',
+        },
+      });
+    } catch (error) {
+      if (error.response?.status === 403 || error.response?.status === 429) {
+        throw new NetworkError(`DuckDuckGo search blocked (${error.response.status})`, this.endpoint, 'BLOCKED');
+      }
+      throw new NetworkError(`DuckDuckGo search failed: ${error.message}`, this.endpoint, error.code);
+    }
+
+    // DuckDuckGo answers bot checks with 202 and an "anomaly" page
+    if (response.status === 202 || /anomaly/i.test(response.data)) {
+      throw new NetworkError('DuckDuckGo search blocked - anomaly page returned', this.endpoint, 'BLOCKED');
+    }
+
+    const $ = cheerio.load(response.data);
+    const results = $('.result').map((i, el) => {
+      const link = $(el).find('a.result__a').first();
+      return {
+        url: this.resolveRedirect(link.attr('href')),
+        title: link.text(),
+        snippet: $(el).find('.result__snippet').text(),
+      };
+    }).get();
+
+    this.logger.debug(`DuckDuckGo returned ${results.length} raw results`);
+    return this.normalizeResults(results, maxResults);
+  }
+
+  /**
+   * Resolve DuckDuckGo redirect links (//duckduckgo.com/l/?uddg=...) to the target URL
+   * @param {string} href - Result link
+   * @returns {string} Target URL
+   */
+  resolveRedirect(href) {
+    if (!href) return '';
+
+    try {
+      const url = new URL(href, 'https://duckduckgo.com');
+      return url.searchParams.get('uddg') || url.href;
+    } catch {
+      return href;
+    }
+  }
+}
+
+/**
+ * Search through a SearXNG-compatible JSON endpoint
+ */
+export class SearxngProvider extends SearchProvider {
+  constructor(baseUrl = config.searxngBaseUrl) {
+    super('searxng');
+    this.baseUrl = baseUrl;
+  }
+
+  async search(query, maxResults) {
+    if (!this.baseUrl) {
+      throw new ConfigurationError('SEARXNG_BASE_URL must be set to use the searxng search provider', 'searxngBaseUrl');
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl.replace(/\/$/, '')}/search`, {
+        timeout: config.requestTimeout,
+        params: { q: query, format: 'json' },
+        headers: { 'Accept': 'application/json' },
+      });
+
+      if (!Array.isArray(response.data?.results)) {
+        throw new ValidationError('SearXNG returned invalid results format');
+      }
+
+      this.logger.debug(`SearXNG returned ${response.data.results.length} raw results`);
+      return this.normalizeResults(response.data.results, maxResults);
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      if (error.response?.status === 429) {
+        throw new NetworkError('SearXNG search rate limited', this.baseUrl, 'BLOCKED');
+      }
+
+      throw new NetworkError(`SearXNG search failed: ${error.message}`, this.baseUrl, error.code);
+    }
+  }
+}
+
+/**
+ * Search results read from a local JSON fixture file
+ *
+ * The file holds either an array of results used for every query, or an object
+ * mapping queries to result arrays with an optional "*" entry as the default
+ */
+export class FixtureProvider extends SearchProvider {
+  constructor(filePath = config.searchFixtureFile) {
+    super('fixture');
+    this.filePath = filePath;
+  }
+
+  async search(query, maxResults) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new ConfigurationError(`Cannot read search fixture file ${this.filePath}: ${error.message}`, 'searchFixtureFile');
+    }
+
+    const results = Array.isArray(fixture) ? fixture : (fixture[query] || fixture['*'] || []);
+
+    this.logger.debug(`Fixture returned ${results.length} raw results for "${query}"`);
+    return this.normalizeResults(results, maxResults);
+  }
+}
+
+/**
+ * Registered search providers by name
+ */
+const providerFactories = {
+  'google-it': () => new GoogleItProvider(),
+  duckduckgo: () => new DuckDuckGoProvider(),
+  searxng: () => new SearxngProvider(),
+  fixture: () => new FixtureProvider(),
+};
+
+export const SEARCH_PROVIDER_NAMES = Object.keys(providerFactories);
+
+/**
+ * Create a search provider by name
+ * @param {string} name - Provider name
+ * @returns {SearchProvider} Provider instance
+ */
+export function createSearchProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new ConfigurationError(
+      `Unknown search provider "${name}" (available: ${SEARCH_PROVIDER_NAMES.join(', ')})`,
+      'searchProviders'
+    );
+  }
+  return factory();
+}
+
+/**
+ * Create providers in configured fallback order
+ * @param {Array<string>} names - Provider names
+ * @returns {Array<SearchProvider>} Provider instances
+ */
+export function createSearchProviders(names = config.searchProviders) {
+  return names.map(createSearchProvider);
+}
@@ -0,0 +1,52 @@
+/**
+ * Article Queue Module
+ *
+ * In-memory queue of distinct articles walked with a cursor
+ * Used by batch and selection runs so each article is processed exactly once
+ */
+
+export class ArticleQueue {
+  /**
+   * @param {Array} articles - Articles to process (duplicates by ID are dropped)
+   */
+  constructor(articles = []) {
+    const seen = new Set();
+    this.items = articles.filter(article => {
+      if (seen.has(article.id)) return false;
+      seen.add(article.id);
+      return true;
+    });
+    this.cursor = 0;
+  }
+
+  /**
+   * Number of distinct articles in the queue
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Number of articles not yet taken from the queue
+   */
+  get remaining() {
+    return this.items.length - this.cursor;
+  }
+
+  /**
+   * Check whether more articles are available
+   * @returns {boolean} True if next() will return an article
+   */
+  hasNext() {
+    return this.cursor < this.items.length;
+  }
+
+  /**
+   * Take the next article and advance the cursor
+   * @returns {Object|null} Next article or null when the queue is exhausted
+   */
+  next() {
+    if (!this.hasNext()) return null;
+    return this.items[this.cursor++];
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Run Checkpoint Module
+ *
+ * Persists the output of each workflow step to disk so that an interrupted run
+ * can be resumed from the first step that did not finish
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Workflow steps in execution order
+ */
+export const WORKFLOW_STEPS = [
+  'fetching-article',
+  'searching-articles',
+  'scraping-content',
+  'enhancing-content',
+  'publishing-article',
+];
+
+/**
+ * Generate a sortable, filesystem-safe run ID
+ * @returns {string} Run ID
+ */
+export function generateRunId() {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${timestamp}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+export class CheckpointStore {
+  constructor(directory = config.checkpointDir) {
+    this.logger = logger.child('CheckpointStore');
+    this.directory = directory;
+  }
+
+  /**
+   * Get checkpoint file path for a run
+   * @param {string} runId - Run ID
+   * @returns {string} Checkpoint file path
+   */
+  getPath(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new ValidationError(`Invalid run ID: ${runId}`, 'runId', runId);
+    }
+    return path.join(this.directory, `${runId}.json`);
+  }
+
+  /**
+   * Save checkpoint for a run (written atomically via temp file + rename)
+   * @param {Object} checkpoint - Checkpoint data (must include runId)
+   * @returns {Promise<Object>} Saved checkpoint
+   */
+  async save(checkpoint) {
+    const filePath = this.getPath(checkpoint.runId);
+    const tempPath = `${filePath}.tmp`;
+    const data = {
+      ...checkpoint,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+
+    this.logger.debug(`💾 Checkpoint saved for run ${checkpoint.runId} (${data.completedSteps?.length || 0} steps)`);
+    return data;
+  }
+
+  /**
+   * Load checkpoint for a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Checkpoint data
+   */
+  async load(runId) {
+    const filePath = this.getPath(runId);
+
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ValidationError(`No checkpoint found for run ${runId} in ${this.directory}`, 'runId', runId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all checkpoints, most recent first
+   * @returns {Promise<Array>} Checkpoint data for each run
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const checkpoints = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        checkpoints.push(await this.load(path.basename(file, '.json')));
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable checkpoint ${file}:`, error.message);
+      }
+    }
+
+    return checkpoints.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Delete checkpoint for a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<boolean>} True if a checkpoint was removed
+   */
+  async remove(runId) {
+    try {
+      await fs.unlink(this.getPath(runId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
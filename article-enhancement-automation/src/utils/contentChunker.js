@@ -0,0 +1,188 @@
+/**
+ * Content Chunker Module
+ *
+ * Splits long article content into section-aware chunks that each fit in a single LLM prompt
+ * Chunks break at headings first, then at paragraphs, then at sentences, so no content is dropped
+ */
+
+const MARKDOWN_HEADING = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/;
+const HTML_HEADING = /^\s*<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i;
+
+/**
+ * Get the heading text of a line, if the line is a heading
+ * @param {string} line - Line of content
+ * @returns {string|null} Heading text or null
+ */
+export function parseHeading(line) {
+  const markdown = line.match(MARKDOWN_HEADING);
+  if (markdown) {
+    return markdown[1].trim();
+  }
+
+  const html = line.match(HTML_HEADING);
+  if (html) {
+    return html[1].replace(/<[^>]+>/g, '').trim() || null;
+  }
+
+  return null;
+}
+
+/**
+ * Put HTML headings and paragraphs on their own lines so they split like markdown
+ * @param {string} content - Article content
+ * @returns {string} Content with block-level breaks
+ */
+function normalizeBlocks(content) {
+  return content
+    .replace(/\r\n/g, '\n')
+    .replace(/\s*(<h[1-6][^>]*>)/gi, '\n\n$1')
+    .replace(/(<\/h[1-6]>|<\/p>)\s*/gi, '$1\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split content into sections that start at headings
+ * @param {string} content - Article content (markdown, HTML or plain text)
+ * @returns {Array<Object>} Sections ({ heading, text }); heading is null for text before the first heading
+ */
+export function splitIntoSections(content) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  for (const line of normalizeBlocks(content).split('\n')) {
+    const heading = parseHeading(line);
+
+    if (heading && current.lines.some(existing => existing.trim())) {
+      sections.push(current);
+      current = { heading, lines: [] };
+    } else if (heading) {
+      current.heading = heading;
+    }
+
+    current.lines.push(line);
+  }
+
+  sections.push(current);
+
+  return sections
+    .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+}
+
+/**
+ * Greedily join pieces into groups no longer than maxChars
+ * @param {Array<Object>} pieces - Text pieces ({ text, separator }); separator joins a piece to the previous one
+ * @param {number} maxChars - Maximum group length
+ * @returns {Array<string>} Joined groups
+ */
+function packPieces(pieces, maxChars) {
+  const groups = [];
+  let current = '';
+
+  for (const { text, separator } of pieces) {
+    const candidate = current ? `${current}${separator}${text}` : text;
+
+    if (candidate.length <= maxChars || !current) {
+      current = candidate;
+    } else {
+      groups.push(current);
+      current = text;
+    }
+  }
+
+  if (current) {
+    groups.push(current);
+  }
+
+  return groups;
+}
+
+/**
+ * Split a block of text that is too long for one chunk
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<string>} Pieces of at most maxChars characters
+ */
+export function splitLongText(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [text];
+  }
+
+  const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+  const pieces = paragraphs.flatMap(paragraph => {
+    if (paragraph.length <= maxChars) {
+      return [{ text: paragraph, separator: '\n\n' }];
+    }
+
+    // Oversized paragraphs break at sentences; unbroken text is hard split as a last resort
+    return paragraph.split(/(?<=[.!?])\s+/).flatMap((sentence, sentenceIndex) => {
+      const separator = sentenceIndex === 0 ? '\n\n' : ' ';
+      if (sentence.length <= maxChars) {
+        return [{ text: sentence, separator }];
+      }
+
+      const parts = [];
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        parts.push({ text: sentence.substring(i, i + maxChars), separator: i === 0 ? separator : '' });
+      }
+      return parts;
+    });
+  });
+
+  return packPieces(pieces, maxChars);
+}
+
+/**
+ * Split article content into section-aware chunks
+ * @param {string} content - Article content
+ * @param {number} maxChars - Maximum chunk length in characters
+ * @returns {Array<Object>} Chunks ({ text, headings }) covering the whole content in order
+ */
+export function chunkContent(content, maxChars) {
+  if (!content || content.length <= maxChars) {
+    const headings = splitIntoSections(content || '').map(section => section.heading).filter(Boolean);
+    return [{ text: content || '', headings }];
+  }
+
+  // Sections that are too long on their own are split at paragraphs/sentences
+  const units = splitIntoSections(content).flatMap(section =>
+    splitLongText(section.text, maxChars).map((text, index) => ({
+      heading: index === 0 ? section.heading : null,
+      text,
+    }))
+  );
+
+  const chunks = [];
+  let current = null;
+
+  for (const unit of units) {
+    if (current && current.text.length + 2 + unit.text.length <= maxChars) {
+      current.text += `\n\n${unit.text}`;
+    } else {
+      current = { text: unit.text, headings: [] };
+      chunks.push(current);
+    }
+
+    if (unit.heading) {
+      current.headings.push(unit.heading);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Build a short outline of the chunks for shared prompt context
+ * @param {Array<Object>} chunks - Chunks from chunkContent
+ * @returns {string} One line per chunk
+ */
+export function buildOutline(chunks) {
+  return chunks.map((chunk, index) => {
+    const summary = chunk.headings.length > 0
+      ? chunk.headings.join('; ')
+      : `${chunk.text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim().substring(0, 80)}...`;
+    return `Part ${index + 1}: ${summary}`;
+  }).join('\n');
+}
@@ -0,0 +1,416 @@
+/**
+ * Control Server Module
+ *
+ * HTTP API for triggering and inspecting workflow runs:
+ *   POST /runs, GET /runs, GET /runs/:id, DELETE /runs/:id and GET /health
+ * Requests and responses are JSON. When a token is configured, every endpoint except
+ * /health requires an "Authorization: Bearer <token>" header
+ */
+
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { AppError, ValidationError } from './errors.js';
+import { normalizeLocale } from './validation.js';
+import { RUN_STATUSES } from './runManager.js';
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Health checks call every component (including the LLM), so results are reused briefly
+const HEALTH_CACHE_TTL = 30000;
+
+const PUBLISH_MODES = ['create', 'update'];
+const DUPLICATE_POLICIES = ['skip', 'update', 'version'];
+
+const ROUTES = [
+  { method: 'GET', pattern: /^\/health$/, handler: 'getHealth', public: true },
+  { method: 'GET', pattern: /^\/runs$/, handler: 'listRuns' },
+  { method: 'POST', pattern: /^\/runs$/, handler: 'createRun' },
+  { method: 'GET', pattern: /^\/runs\/([\w-]+)$/, handler: 'getRun' },
+  { method: 'DELETE', pattern: /^\/runs\/([\w-]+)$/, handler: 'cancelRun' },
+];
+
+/**
+ * Validate a POST /runs body and turn it into workflow options
+ * @param {Object} body - Parsed request body
+ * @param {Array<string>} enhancementTypes - Available enhancement types (prompt template names)
+ * @param {Array<string>} localizedTypes - Enhancement types that need target locales
+ * @returns {Object} Workflow options ({ ids, enhancementType, locales, publishMode, duplicatePolicy, skipPublishing, review })
+ */
+export function parseRunRequest(body, enhancementTypes, localizedTypes = []) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object', 'body');
+  }
+
+  const {
+    articleIds = [],
+    enhancementType = 'comprehensive',
+    locales = [],
+    publishMode = 'create',
+    duplicatePolicy,
+    skipPublishing = false,
+    review,
+  } = body;
+
+  if (!Array.isArray(articleIds) || articleIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new ValidationError('articleIds must be an array of positive article IDs', 'articleIds', articleIds);
+  }
+  if (!enhancementTypes.includes(enhancementType)) {
+    throw new ValidationError(`enhancementType must be one of: ${enhancementTypes.join(', ')}`, 'enhancementType', enhancementType);
+  }
+  if (!Array.isArray(locales) || locales.some(locale => !normalizeLocale(locale))) {
+    throw new ValidationError('locales must be an array of locale tags (e.g. ["de", "pt-BR"])', 'locales', locales);
+  }
+  if (localizedTypes.includes(enhancementType) && locales.length === 0) {
+    throw new ValidationError(`enhancementType "${enhancementType}" needs locales`, 'locales', locales);
+  }
+  if (!localizedTypes.includes(enhancementType) && locales.length > 0) {
+    throw new ValidationError(`locales only apply to enhancement types: ${localizedTypes.join(', ') || 'none'}`, 'locales', locales);
+  }
+  if (!PUBLISH_MODES.includes(publishMode)) {
+    throw new ValidationError(`publishMode must be one of: ${PUBLISH_MODES.join(', ')}`, 'publishMode', publishMode);
+  }
+  if (duplicatePolicy !== undefined && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    throw new ValidationError(`duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`, 'duplicatePolicy', duplicatePolicy);
+  }
+  if (typeof skipPublishing !== 'boolean') {
+    throw new ValidationError('skipPublishing must be true or false', 'skipPublishing', skipPublishing);
+  }
+  if (review !== undefined && typeof review !== 'boolean') {
+    throw new ValidationError('review must be true or false', 'review', review);
+  }
+
+  const options = {
+    ids: [...new Set(articleIds)],
+    enhancementType,
+    locales: [...new Set(locales.map(normalizeLocale))],
+    publishMode,
+    skipPublishing,
+  };
+  if (duplicatePolicy !== undefined) {
+    options.duplicatePolicy = duplicatePolicy;
+  }
+  if (review !== undefined) {
+    options.review = review;
+  }
+  return options;
+}
+
+export class ControlServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {RunManager} options.runManager - Run manager that executes requested runs
+   * @param {Function} options.checkHealth - Async component test, resolving like ArticleEnhancementWorkflow.testWorkflow()
+   * @param {string} options.host - Interface to listen on
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.token - Bearer token required by the API (none if empty)
+   * @param {string} options.corsOrigin - Origin allowed to call the API from a browser (none if empty)
+   * @param {Array<string>} options.enhancementTypes - Enhancement types runs may request
+   * @param {Array<string>} options.localizedTypes - Enhancement types that need target locales
+   */
+  constructor({
+    runManager,
+    checkHealth,
+    host = config.controlApiHost,
+    port = config.controlApiPort,
+    token = config.controlApiToken,
+    corsOrigin = config.controlApiCorsOrigin,
+    enhancementTypes,
+    localizedTypes = [],
+  }) {
+    this.logger = logger.child('ControlServer');
+    this.runManager = runManager;
+    this.checkHealth = checkHealth;
+    this.host = host;
+    this.port = port;
+    this.token = token || null;
+    this.corsOrigin = corsOrigin || null;
+    this.enhancementTypes = enhancementTypes;
+    this.localizedTypes = localizedTypes;
+
+    this.health = null;
+    this.pendingHealth = null;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} Bound address ({ address, port })
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = this.server.address();
+    this.logger.info(`🛰️ Control API listening on http://${this.host}:${address.port}`);
+    if (!this.token && !['127.0.0.1', '::1', 'localhost'].includes(this.host)) {
+      this.logger.warn(`⚠️ Control API is reachable on ${this.host} without a token - set CONTROL_API_TOKEN`);
+    }
+
+    return address;
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server.listening) return;
+
+    await new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections?.();
+    });
+    this.logger.info('🛰️ Control API stopped');
+  }
+
+  /**
+   * Route a request and send its JSON response
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let statusCode = 500;
+
+    try {
+      if (req.method === 'OPTIONS' && this.corsOrigin) {
+        statusCode = 204;
+        this.send(res, statusCode, null);
+        return;
+      }
+
+      const routes = ROUTES.filter(route => route.pattern.test(url.pathname));
+      const route = routes.find(candidate => candidate.method === req.method);
+
+      if (routes.length === 0) {
+        throw new AppError(`Not found: ${url.pathname}`, 'NOT_FOUND', 404);
+      }
+      if (!route) {
+        res.setHeader('Allow', routes.map(candidate => candidate.method).join(', '));
+        throw new AppError(`Method ${req.method} not allowed on ${url.pathname}`, 'METHOD_NOT_ALLOWED', 405);
+      }
+      if (!route.public && !this.isAuthorized(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw new AppError('Missing or invalid bearer token', 'UNAUTHORIZED', 401);
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1);
+      const response = await this[route.handler]({ req, url, params });
+      statusCode = response.statusCode || 200;
+      this.send(res, statusCode, response.body, response.headers);
+    } catch (error) {
+      statusCode = error instanceof AppError && error.statusCode < 500 ? error.statusCode : 500;
+      if (statusCode === 500) {
+        this.logger.error(`💥 ${req.method} ${url.pathname} failed:`, error.message);
+      }
+
+      this.send(res, statusCode, {
+        error: {
+          message: statusCode === 500 ? 'Internal server error' : error.message,
+          code: error.code || 'INTERNAL_ERROR',
+          field: error.field || undefined,
+        },
+      });
+    } finally {
+      this.logger.debug(`${req.method} ${url.pathname} → ${statusCode}`);
+    }
+  }
+
+  /**
+   * GET /health - component tests plus run counts; 503 when a component fails
+   * @returns {Promise<Object>} Response
+   */
+  async getHealth() {
+    const health = await this.getCachedHealth();
+
+    return {
+      statusCode: health.allPassed ? 200 : 503,
+      body: {
+        status: health.allPassed ? 'ok' : 'degraded',
+        checkedAt: health.checkedAt,
+        tests: health.tests,
+        passedTests: health.passedTests,
+        totalTests: health.totalTests,
+        runs: this.runManager.getCounts(),
+      },
+    };
+  }
+
+  /**
+   * GET /runs - list runs, most recent first (?status= filters by status)
+   * @param {Object} request - Routed request
+   * @returns {Object} Response
+   */
+  listRuns({ url }) {
+    const status = url.searchParams.get('status');
+    if (status && !RUN_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of: ${RUN_STATUSES.join(', ')}`, 'status', status);
+    }
+
+    return {
+      body: {
+        runs: this.runManager.list(status).map(run => this.runManager.describe(run)),
+        counts: this.runManager.getCounts(),
+      },
+    };
+  }
+
+  /**
+   * POST /runs - queue a run
+   * @param {Object} request - Routed request
+   * @returns {Promise<Object>} Response (202 with the queued run)
+   */
+  async createRun({ req }) {
+    const options = parseRunRequest(await this.readJson(req), this.enhancementTypes, this.localizedTypes);
+    const run = this.runManager.submit(options);
+
+    return {
+      statusCode: 202,
+      headers: { Location: `/runs/${run.id}` },
+      body: this.runManager.describe(run),
+    };
+  }
+
+  /**
+   * GET /runs/:id - run status with the workflow's current step, stats and errors
+   * @param {Object} request - Routed request
+   * @returns {Object} Response
+   */
+  getRun({ params }) {
+    return { body: this.runManager.describe(this.findRun(params[0]), true) };
+  }
+
+  /**
+   * DELETE /runs/:id - cancel a queued or running run
+   * @param {Object} request - Routed request
+   * @returns {Object} Response (202 while a running run is stopping, 200 once cancelled)
+   */
+  cancelRun({ params }) {
+    const run = this.findRun(params[0]);
+
+    if (run.finishedAt && run.status !== 'cancelled') {
+      throw new AppError(`Run ${run.id} already ${run.status}`, 'RUN_FINISHED', 409);
+    }
+
+    this.runManager.cancel(run.id);
+    return {
+      statusCode: run.status === 'cancelled' ? 200 : 202,
+      body: this.runManager.describe(run),
+    };
+  }
+
+  /**
+   * Look up a run or fail with 404
+   * @param {string} id - Run ID
+   * @returns {Object} Run
+   */
+  findRun(id) {
+    const run = this.runManager.get(id);
+    if (!run) {
+      throw new AppError(`Run not found: ${id}`, 'NOT_FOUND', 404);
+    }
+    return run;
+  }
+
+  /**
+   * Run the component tests, reusing a recent result and sharing one in-flight check
+   * @returns {Promise<Object>} Test results with checkedAt
+   */
+  async getCachedHealth() {
+    if (this.health && Date.now() - Date.parse(this.health.checkedAt) < HEALTH_CACHE_TTL) {
+      return this.health;
+    }
+
+    if (!this.pendingHealth) {
+      this.pendingHealth = this.checkHealth()
+        .then(result => {
+          this.health = { ...result, checkedAt: new Date().toISOString() };
+          return this.health;
+        })
+        .finally(() => {
+          this.pendingHealth = null;
+        });
+    }
+
+    return this.pendingHealth;
+  }
+
+  /**
+   * Check the request's bearer token
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if no token is configured or the token matches
+   */
+  isAuthorized(req) {
+    if (!this.token) return true;
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body ({} when empty)
+   */
+  async readJson(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        throw new AppError(`Request body exceeds ${MAX_BODY_SIZE} bytes`, 'PAYLOAD_TOO_LARGE', 413);
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf-8').trim();
+    if (!text) return {};
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`Request body is not valid JSON: ${error.message}`, 'body');
+    }
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status
+   * @param {Object|null} body - Response body (none if null)
+   * @param {Object} headers - Extra headers
+   */
+  send(res, statusCode, body, headers = {}) {
+    if (this.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.setHeader('Vary', 'Origin');
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+
+    if (body === null) {
+      res.writeHead(statusCode);
+      res.end();
+      return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
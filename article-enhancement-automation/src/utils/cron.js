@@ -0,0 +1,186 @@
+/**
+ * Cron Module
+ *
+ * Parses five-field cron expressions (minute hour day-of-month month day-of-week)
+ * and finds their next occurrence in local time
+ * Supports *, lists, ranges, steps, month/day names and the @hourly/@daily/... macros
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Field-by-field search steps; a schedule that fires at all does so within 8 years
+// (Feb 29 on a given weekday), which takes far fewer steps than this
+const MAX_SEARCH_STEPS = 100000;
+
+/**
+ * Parse a field value (number or name)
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  // Month names start at 1, day names at 0
+  const number = nameIndex !== -1 ? nameIndex + (field.min === 1 ? 1 : 0) : Number(value);
+
+  if (!/^\d+$/.test(value) && nameIndex === -1) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text (e.g. "*\/15", "1-5", "mon,wed,fri")
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name}: ${range}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 from 5 to the end of the range
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * A parsed cron expression
+ */
+export class CronSchedule {
+  /**
+   * @param {string} expression - Five-field cron expression or macro (e.g. "0 *\/6 * * *", "@daily")
+   */
+  constructor(expression) {
+    const source = (expression || '').trim();
+    const parts = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expression must have ${FIELDS.length} fields, got "${expression}"`);
+    }
+
+    this.expression = source;
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    // Sunday may be written as 7
+    if (this.weekdays.has(7)) {
+      this.weekdays.add(0);
+    }
+
+    // When both day fields are restricted, a date matching either one matches (standard cron)
+    this.anyDay = parts[2] !== '*' && parts[4] !== '*';
+  }
+
+  /**
+   * Check whether a date (to the minute) matches the schedule
+   * @param {Date} date - Date to check
+   * @returns {boolean} True if the schedule fires at this minute
+   */
+  matches(date) {
+    return this.minutes.has(date.getMinutes())
+      && this.hours.has(date.getHours())
+      && this.months.has(date.getMonth() + 1)
+      && this.matchesDay(date);
+  }
+
+  /**
+   * Check whether a date's day matches the day-of-month and day-of-week fields
+   * @param {Date} date - Date to check
+   * @returns {boolean} True if the schedule fires on this day
+   */
+  matchesDay(date) {
+    const dayMatches = this.days.has(date.getDate());
+    const weekdayMatches = this.weekdays.has(date.getDay());
+    return this.anyDay ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+  }
+
+  /**
+   * Find the next time the schedule fires after a date
+   * @param {Date} after - Start point (exclusive)
+   * @returns {Date} Next occurrence
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Skip whole months, days and hours that cannot match before stepping minutes
+    for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never fires`);
+  }
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if it parses and ever fires
+ */
+export function isValidCron(expression) {
+  try {
+    new CronSchedule(expression).next();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from '@jest/globals';
+import { CronSchedule, isValidCron } from './cron.js';
+
+describe('CronSchedule', () => {
+  describe('parsing', () => {
+    it('expands wildcards, lists, ranges and steps', () => {
+      const schedule = new CronSchedule('*/15 9-11 1,15 * *');
+
+      expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...schedule.hours]).toEqual([9, 10, 11]);
+      expect([...schedule.days]).toEqual([1, 15]);
+      expect(schedule.months.size).toBe(12);
+    });
+
+    it('steps from a start value to the end of the field', () => {
+      expect([...new CronSchedule('5/20 * * * *').minutes]).toEqual([5, 25, 45]);
+    });
+
+    it('accepts month and day names in any case', () => {
+      const schedule = new CronSchedule('0 0 * JAN,jun mon-fri');
+
+      expect([...schedule.months]).toEqual([1, 6]);
+      expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('treats 7 as Sunday', () => {
+      expect(new CronSchedule('0 0 * * 7').weekdays.has(0)).toBe(true);
+    });
+
+    it('expands macros', () => {
+      expect(new CronSchedule('@daily').next(new Date(2024, 0, 1, 10, 30))).toEqual(new Date(2024, 0, 2, 0, 0));
+      expect(new CronSchedule('@hourly').next(new Date(2024, 0, 1, 10, 30))).toEqual(new Date(2024, 0, 1, 11, 0));
+    });
+
+    it.each([
+      ['', 'must have 5 fields'],
+      ['* * * *', 'must have 5 fields'],
+      ['60 * * * *', 'outside 0-59'],
+      ['* 24 * * *', 'outside 0-23'],
+      ['* * 0 * *', 'outside 1-31'],
+      ['* * * 13 *', 'outside 1-12'],
+      ['* * * * 8', 'outside 0-7'],
+      ['*/0 * * * *', 'Invalid step'],
+      ['10-5 * * * *', 'Invalid range'],
+      ['x * * * *', 'Invalid minute value'],
+    ])('rejects "%s"', (expression, message) => {
+      expect(() => new CronSchedule(expression)).toThrow(message);
+    });
+  });
+
+  describe('next', () => {
+    it('returns the next matching minute after the start point', () => {
+      const schedule = new CronSchedule('*/15 * * * *');
+
+      expect(schedule.next(new Date(2024, 0, 1, 10, 7, 30))).toEqual(new Date(2024, 0, 1, 10, 15));
+      // The start point itself is excluded
+      expect(schedule.next(new Date(2024, 0, 1, 10, 15))).toEqual(new Date(2024, 0, 1, 10, 30));
+    });
+
+    it('rolls over hours, days, months and years', () => {
+      expect(new CronSchedule('30 2 * * *').next(new Date(2024, 0, 1, 3, 0))).toEqual(new Date(2024, 0, 2, 2, 30));
+      expect(new CronSchedule('0 0 1 * *').next(new Date(2024, 0, 31, 12, 0))).toEqual(new Date(2024, 1, 1, 0, 0));
+      expect(new CronSchedule('0 0 1 1 *').next(new Date(2024, 5, 1))).toEqual(new Date(2025, 0, 1, 0, 0));
+    });
+
+    it('matches either day field when both are restricted', () => {
+      // 2024-01-01 is a Monday; the 13th or any Friday
+      const schedule = new CronSchedule('0 0 13 * fri');
+
+      expect(schedule.next(new Date(2024, 0, 1))).toEqual(new Date(2024, 0, 5, 0, 0));
+      expect(schedule.next(new Date(2024, 0, 12, 1, 0))).toEqual(new Date(2024, 0, 13, 0, 0));
+    });
+
+    it('matches both day fields when only one is restricted', () => {
+      expect(new CronSchedule('0 9 * * mon').next(new Date(2024, 0, 2))).toEqual(new Date(2024, 0, 8, 9, 0));
+    });
+
+    it('finds leap days', () => {
+      expect(new CronSchedule('0 0 29 2 *').next(new Date(2024, 2, 1))).toEqual(new Date(2028, 1, 29, 0, 0));
+    });
+
+    it('throws for schedules that never fire', () => {
+      expect(() => new CronSchedule('0 0 30 2 *').next(new Date(2024, 0, 1))).toThrow('never fires');
+    });
+  });
+
+  describe('matches', () => {
+    it('checks the minute, hour, day and month of a date', () => {
+      const schedule = new CronSchedule('0 9 * * mon-fri');
+
+      expect(schedule.matches(new Date(2024, 0, 1, 9, 0))).toBe(true);
+      expect(schedule.matches(new Date(2024, 0, 1, 9, 1))).toBe(false);
+      expect(schedule.matches(new Date(2024, 0, 6, 9, 0))).toBe(false);
+    });
+  });
+});
+
+describe('isValidCron', () => {
+  it('accepts expressions that parse and fire', () => {
+    expect(isValidCron('0 */6 * * *')).toBe(true);
+    expect(isValidCron('@weekly')).toBe(true);
+  });
+
+  it('rejects invalid and never-firing expressions', () => {
+    expect(isValidCron('not a cron')).toBe(false);
+    expect(isValidCron(null)).toBe(false);
+    expect(isValidCron('0 0 31 4 *')).toBe(false);
+  });
+});
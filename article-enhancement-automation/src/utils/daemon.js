@@ -0,0 +1,350 @@
+/**
+ * Daemon Module
+ *
+ * Runs jobs on cron schedules in a long-running process
+ * Runs never overlap: a schedule that comes due while a job is running waits for it to finish,
+ * and occurrences of a schedule that pass while its own previous run is still going are skipped
+ * Each scheduled time gets a random jitter, and the last run of every schedule is
+ * persisted so a restarted daemon catches up on a missed run instead of repeating one
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+import { CronSchedule } from './cron.js';
+
+// setTimeout cannot wait longer than ~24.8 days, so long waits are split
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Lock files held by daemons in this process (a lock with our own PID may be left by an
+// earlier container run, where the PID is reused)
+const heldLocks = new Set();
+
+export class Daemon {
+  /**
+   * @param {Object} options - Daemon options
+   * @param {Array<Object>} options.schedules - Schedules ({ name, cron, options }); options are passed to runJob
+   * @param {Function} options.runJob - Async job, called with (options, schedule)
+   * @param {string} options.stateFile - File for persisted schedule state (a .lock file is kept next to it)
+   * @param {number} options.jitter - Maximum random delay added to each scheduled time, in milliseconds
+   * @param {number} options.shutdownTimeout - How long stop() waits for a running job, in milliseconds
+   */
+  constructor({
+    schedules,
+    runJob,
+    stateFile = config.daemonStateFile,
+    jitter = config.daemonJitter,
+    shutdownTimeout = config.daemonShutdownTimeout,
+  }) {
+    this.logger = logger.child('Daemon');
+    this.runJob = runJob;
+    this.stateFile = stateFile;
+    this.lockFile = `${stateFile}.lock`;
+    this.jitter = jitter;
+    this.shutdownTimeout = shutdownTimeout;
+
+    const names = new Set();
+    this.schedules = schedules.map((schedule, index) => {
+      const name = schedule.name || `schedule-${index + 1}`;
+      if (names.has(name)) {
+        throw new ValidationError(`Duplicate daemon schedule name: ${name}`, 'daemonSchedules', name);
+      }
+      names.add(name);
+
+      try {
+        return { name, cron: new CronSchedule(schedule.cron), options: schedule.options || {}, nextRunAt: null };
+      } catch (error) {
+        throw new ValidationError(`Invalid cron expression for schedule "${name}": ${error.message}`, 'daemonSchedules', schedule.cron);
+      }
+    });
+
+    this.state = { schedules: {} };
+    this.running = null;
+    this.stopping = false;
+    this.wake = null;
+    this.stopped = null;
+  }
+
+  /**
+   * Start the daemon
+   * @returns {Promise<void>} Resolves once the daemon has stopped
+   */
+  async start() {
+    await this.acquireLock();
+    await this.loadState();
+
+    const now = new Date();
+    for (const schedule of this.schedules) {
+      const state = this.getScheduleState(schedule.name);
+      // The persisted next run only counts if the schedule's cron expression is unchanged
+      const missed = state.cron === schedule.cron.expression && state.nextRunAt && new Date(state.nextRunAt) <= now;
+
+      // A run that came due while the daemon was down runs once, right away
+      schedule.nextRunAt = missed ? now : this.addJitter(schedule.cron.next(now));
+      state.cron = schedule.cron.expression;
+      state.nextRunAt = schedule.nextRunAt.toISOString();
+
+      this.logger.info(`🗓️ Schedule "${schedule.name}" (${schedule.cron.expression}): ${missed ? 'missed a run while stopped, running now' : `next run at ${schedule.nextRunAt.toISOString()}`}`);
+    }
+    await this.saveState();
+
+    this.stopped = this.loop();
+    return this.stopped;
+  }
+
+  /**
+   * Run due schedules until stopped
+   * @returns {Promise<void>}
+   */
+  async loop() {
+    try {
+      while (!this.stopping) {
+        const schedule = this.schedules.reduce((soonest, candidate) => (candidate.nextRunAt < soonest.nextRunAt ? candidate : soonest));
+
+        await this.sleepUntil(schedule.nextRunAt);
+        if (this.stopping) break;
+
+        await this.runSchedule(schedule);
+      }
+    } finally {
+      await this.releaseLock();
+      this.logger.info('🛑 Daemon stopped');
+    }
+  }
+
+  /**
+   * Run one schedule's job and record the result
+   * @param {Object} schedule - Schedule to run
+   * @returns {Promise<void>}
+   */
+  async runSchedule(schedule) {
+    const state = this.getScheduleState(schedule.name);
+    const startedAt = new Date();
+
+    this.logger.info(`▶️ Running schedule "${schedule.name}"`);
+    state.lastRunAt = startedAt.toISOString();
+    state.lastStatus = 'running';
+    await this.saveState();
+
+    this.running = (async () => {
+      try {
+        await this.runJob(schedule.options, schedule);
+        state.lastStatus = 'succeeded';
+        state.lastError = null;
+      } catch (error) {
+        // A failed job must not stop the daemon; the next occurrence runs as usual
+        state.lastStatus = 'failed';
+        state.lastError = error.message;
+        state.failures = (state.failures || 0) + 1;
+        this.logger.error(`❌ Schedule "${schedule.name}" failed:`, error.message);
+      }
+    })();
+
+    await this.running;
+    this.running = null;
+
+    const finishedAt = new Date();
+    const skipped = this.countOccurrences(schedule, startedAt, finishedAt);
+    if (skipped > 0) {
+      state.skipped = (state.skipped || 0) + skipped;
+      this.logger.warn(`⏭️ Skipped ${skipped} run(s) of schedule "${schedule.name}" that came due while it was still running`);
+    }
+
+    state.runs = (state.runs || 0) + 1;
+    state.lastDuration = Math.round((finishedAt.getTime() - startedAt.getTime()) / 1000);
+    schedule.nextRunAt = this.addJitter(schedule.cron.next(finishedAt));
+    state.nextRunAt = schedule.nextRunAt.toISOString();
+    await this.saveState();
+
+    this.logger.info(`⏹️ Schedule "${schedule.name}" ${state.lastStatus} in ${state.lastDuration}s${this.stopping ? '' : `, next run at ${state.nextRunAt}`}`);
+  }
+
+  /**
+   * Count the occurrences of a schedule in a time window
+   * @param {Object} schedule - Schedule
+   * @param {Date} from - Window start (exclusive)
+   * @param {Date} to - Window end (inclusive)
+   * @returns {number} Occurrences (capped at 1000)
+   */
+  countOccurrences(schedule, from, to) {
+    let count = 0;
+    for (let date = schedule.cron.next(from); date <= to && count < 1000; date = schedule.cron.next(date)) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Stop scheduling and wait for a running job to finish
+   * @param {string} reason - Why the daemon is stopping (for the log)
+   * @returns {Promise<void>}
+   */
+  async stop(reason = 'stop requested') {
+    if (this.stopping) return this.stopped;
+    this.stopping = true;
+    this.logger.info(`🛑 Stopping daemon (${reason})`);
+
+    if (this.wake) {
+      this.wake();
+    }
+
+    if (this.running) {
+      this.logger.info(`⏳ Waiting up to ${Math.round(this.shutdownTimeout / 1000)}s for the current run to finish...`);
+      let timer;
+      const finished = await Promise.race([
+        this.running.then(() => true),
+        new Promise(resolve => {
+          timer = setTimeout(() => resolve(false), this.shutdownTimeout);
+        }),
+      ]);
+      clearTimeout(timer);
+
+      if (!finished) {
+        this.logger.warn('⚠️ Current run did not finish in time; its checkpoint can be resumed with --resume');
+        await this.releaseLock();
+        return;
+      }
+    }
+
+    await this.stopped;
+  }
+
+  /**
+   * Wait until a time, or until stop() is called
+   * @param {Date} date - Time to wake up
+   * @returns {Promise<void>}
+   */
+  async sleepUntil(date) {
+    while (!this.stopping && date.getTime() > Date.now()) {
+      const delay = Math.min(date.getTime() - Date.now(), MAX_TIMEOUT);
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        this.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this.wake = null;
+    }
+  }
+
+  /**
+   * Add a random delay of up to the configured jitter
+   * @param {Date} date - Scheduled time
+   * @returns {Date} Jittered time
+   */
+  addJitter(date) {
+    return new Date(date.getTime() + Math.floor(Math.random() * (this.jitter + 1)));
+  }
+
+  /**
+   * Get (or create) the persisted state of a schedule
+   * @param {string} name - Schedule name
+   * @returns {Object} Schedule state ({ cron, lastRunAt, lastStatus, lastDuration, lastError, nextRunAt, runs, failures, skipped })
+   */
+  getScheduleState(name) {
+    if (!this.state.schedules[name]) {
+      this.state.schedules[name] = { cron: null, lastRunAt: null, lastStatus: null, nextRunAt: null };
+    }
+    return this.state.schedules[name];
+  }
+
+  /**
+   * Load persisted schedule state
+   * @returns {Promise<void>}
+   */
+  async loadState() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.stateFile, 'utf-8'));
+      this.state = { ...data, schedules: data.schedules || {} };
+      this.logger.debug(`📂 Loaded daemon state from ${this.stateFile}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not read daemon state from ${this.stateFile}, starting fresh:`, error.message);
+      }
+      this.state = { schedules: {} };
+    }
+
+    // A run still marked as running was interrupted
+    for (const state of Object.values(this.state.schedules)) {
+      if (state.lastStatus === 'running') {
+        state.lastStatus = 'interrupted';
+      }
+    }
+  }
+
+  /**
+   * Persist schedule state (written atomically via temp file + rename)
+   * @returns {Promise<void>}
+   */
+  async saveState() {
+    const tempPath = `${this.stateFile}.tmp`;
+    this.state.updatedAt = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tempPath, this.stateFile);
+  }
+
+  /**
+   * Take the lock file so a second daemon on the same state cannot run jobs at the same time
+   * A lock left by a process that no longer exists is replaced
+   * @returns {Promise<void>}
+   */
+  async acquireLock() {
+    await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+
+    try {
+      await fs.writeFile(this.lockFile, String(process.pid), { flag: 'wx' });
+      heldLocks.add(this.lockFile);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const pid = Number(await fs.readFile(this.lockFile, 'utf-8'));
+    const held = pid === process.pid ? heldLocks.has(this.lockFile) : pid && isProcessAlive(pid);
+    if (held) {
+      throw new ValidationError(`Another daemon (PID ${pid}) is already running with ${this.stateFile}`, 'daemon', pid);
+    }
+
+    this.logger.warn(`Removing stale daemon lock left by PID ${pid}`);
+    await fs.writeFile(this.lockFile, String(process.pid));
+    heldLocks.add(this.lockFile);
+  }
+
+  /**
+   * Release the lock file
+   * @returns {Promise<void>}
+   */
+  async releaseLock() {
+    try {
+      const pid = Number(await fs.readFile(this.lockFile, 'utf-8'));
+      if (pid === process.pid && heldLocks.has(this.lockFile)) {
+        heldLocks.delete(this.lockFile);
+        await fs.unlink(this.lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Could not release daemon lock:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a process exists
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
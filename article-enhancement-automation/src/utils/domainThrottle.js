@@ -0,0 +1,82 @@
+/**
+ * Domain Throttle Module
+ *
+ * Spaces requests to the same domain by a minimum interval (or the site's Crawl-delay)
+ * and caps how many requests run at once across all callers
+ */
+
+import { config } from '../config/config.js';
+
+export class DomainThrottle {
+  /**
+   * @param {Object} options - Throttle options
+   * @param {number} options.interval - Minimum time between requests to one domain in milliseconds
+   * @param {number} options.maxConcurrency - Maximum requests in flight at once
+   */
+  constructor({ interval = config.scrapeDomainInterval, maxConcurrency = config.scrapeMaxConcurrency } = {}) {
+    this.interval = interval;
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+
+    // Domain -> earliest time the next request may start
+    this.nextSlot = new Map();
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Run a request once the domain interval has passed and a concurrency slot is free
+   * @param {string} domain - Domain being requested
+   * @param {Function} fn - Request function
+   * @param {number} minInterval - Site-specific interval (e.g. Crawl-delay) in milliseconds
+   * @returns {Promise<any>} Result of the request
+   */
+  async schedule(domain, fn, minInterval = 0) {
+    const interval = Math.max(this.interval, minInterval);
+    const now = Date.now();
+
+    // Reserve the domain slot synchronously so concurrent callers queue behind each other
+    const start = Math.max(now, this.nextSlot.get(domain) || 0);
+    this.nextSlot.set(domain, start + interval);
+
+    if (start > now) {
+      await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a free concurrency slot
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a concurrency slot, handing it to the next waiting request
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * Shared throttle so the cap applies across every scrapeMultiple call
+ */
+export const domainThrottle = new DomainThrottle();
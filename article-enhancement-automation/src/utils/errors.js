@@ -92,12 +92,16 @@ export class ScrapingError extends AppError {
 
 /**
  * AI processing error - LLM API failures
+ * Transient failures (rate limits, timeouts, broken streams) are marked retryable,
+ * and the transport error they were mapped from is kept as the cause
  */
 export class AIProcessingError extends AppError {
-  constructor(message, model = null, prompt = null) {
+  constructor(message, model = null, prompt = null, { retryable = false, cause = null } = {}) {
     super(message, 'AI_PROCESSING_ERROR', 502, true);
     this.model = model;
     this.prompt = prompt;
+    this.retryable = retryable;
+    this.cause = cause;
   }
 }
 
@@ -123,6 +127,16 @@ export class TimeoutError extends AppError {
   }
 }
 
+/**
+ * Cancellation error - a run was cancelled before it finished
+ */
+export class CancellationError extends AppError {
+  constructor(message, step = null) {
+    super(message, 'CANCELLATION_ERROR', 409, true);
+    this.step = step;
+  }
+}
+
 /**
  * Error classification utilities
  */
@@ -140,6 +154,10 @@ export const ErrorClassifier = {
       return error.statusCode >= 500 || error.statusCode === 429;
     }
     
+    if (error instanceof AIProcessingError) {
+      return error.retryable || (error.cause ? ErrorClassifier.isRetryable(error.cause) : false);
+    }
+    
     // Check for specific network error codes
     if (error.code) {
       const retryableCodes = [
@@ -349,6 +367,46 @@ export class ErrorHandler {
   }
 }
 
+// Cleanup callbacks run on SIGTERM/SIGINT before the process exits
+const shutdownHandlers = [];
+let shuttingDown = false;
+
+/**
+ * Register a callback to run before the process exits on SIGTERM/SIGINT
+ * @param {Function} handler - Async cleanup callback, receives the signal name
+ * @returns {Function} Call to unregister the handler
+ */
+export function onShutdown(handler) {
+  shutdownHandlers.push(handler);
+  return () => {
+    const index = shutdownHandlers.indexOf(handler);
+    if (index !== -1) shutdownHandlers.splice(index, 1);
+  };
+}
+
+/**
+ * Run shutdown handlers, then exit
+ * A second signal while handlers are running exits immediately
+ * @param {string} signal - Signal name
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`🛑 ${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  
+  for (const handler of [...shutdownHandlers]) {
+    try {
+      await handler(signal);
+    } catch (error) {
+      logger.error('Error during shutdown:', error.message);
+    }
+  }
+  
+  process.exit(0);
+}
+
 /**
  * Global error handlers for unhandled errors
  */
@@ -366,13 +424,13 @@ export function setupGlobalErrorHandlers() {
   // Graceful shutdown on SIGTERM
   process.on('SIGTERM', () => {
     logger.info('🛑 SIGTERM received, shutting down gracefully');
-    process.exit(0);
+    shutdown('SIGTERM');
   });
   
   // Graceful shutdown on SIGINT (Ctrl+C)
   process.on('SIGINT', () => {
     logger.info('🛑 SIGINT received, shutting down gracefully');
-    process.exit(0);
+    shutdown('SIGINT');
   });
 }
 
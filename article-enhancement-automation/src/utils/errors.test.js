@@ -0,0 +1,63 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  ErrorClassifier,
+  ApiError,
+  NetworkError,
+  ValidationError,
+  AIProcessingError,
+  RateLimitError,
+  TimeoutError,
+  CancellationError,
+} from './errors.js';
+
+describe('ErrorClassifier.isRetryable', () => {
+  it('retries network, timeout and rate limit errors', () => {
+    expect(ErrorClassifier.isRetryable(new NetworkError('reset', 'http://x', 'ECONNRESET'))).toBe(true);
+    expect(ErrorClassifier.isRetryable(new TimeoutError('slow', 'fetch', 1000))).toBe(true);
+    expect(ErrorClassifier.isRetryable(new RateLimitError('slow down', 'api', 30))).toBe(true);
+  });
+
+  it('retries API server errors and 429 but not other client errors', () => {
+    expect(ErrorClassifier.isRetryable(new ApiError('down', 'laravel', 503))).toBe(true);
+    expect(ErrorClassifier.isRetryable(new ApiError('busy', 'laravel', 429))).toBe(true);
+    expect(ErrorClassifier.isRetryable(new ApiError('missing', 'laravel', 404))).toBe(false);
+  });
+
+  it('retries plain errors with transient network codes', () => {
+    expect(ErrorClassifier.isRetryable(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }))).toBe(true);
+    expect(ErrorClassifier.isRetryable(Object.assign(new Error('denied'), { code: 'EACCES' }))).toBe(false);
+    expect(ErrorClassifier.isRetryable(new Error('bug'))).toBe(false);
+  });
+
+  it('does not retry validation or cancellation errors', () => {
+    expect(ErrorClassifier.isRetryable(new ValidationError('bad', 'title'))).toBe(false);
+    expect(ErrorClassifier.isRetryable(new CancellationError('cancelled', 'enhance'))).toBe(false);
+  });
+
+  describe('AIProcessingError', () => {
+    it('is not retryable by default', () => {
+      expect(ErrorClassifier.isRetryable(new AIProcessingError('auth failed', 'model'))).toBe(false);
+    });
+
+    it('is retryable when marked by the provider', () => {
+      expect(ErrorClassifier.isRetryable(new AIProcessingError('rate limited', 'model', null, { retryable: true }))).toBe(true);
+    });
+
+    it('follows its cause', () => {
+      const interrupted = new NetworkError('stream ended early', 'http://llm', 'STREAM_INTERRUPTED');
+      const timeout = new TimeoutError('no data', 'stream', 60000);
+      const invalid = new ValidationError('bad output');
+
+      expect(ErrorClassifier.isRetryable(new AIProcessingError('failed', 'model', null, { cause: interrupted }))).toBe(true);
+      expect(ErrorClassifier.isRetryable(new AIProcessingError('failed', 'model', null, { cause: timeout }))).toBe(true);
+      expect(ErrorClassifier.isRetryable(new AIProcessingError('failed', 'model', null, { cause: invalid }))).toBe(false);
+    });
+
+    it('follows nested causes', () => {
+      const mapped = new AIProcessingError('rate limited', 'model', null, { retryable: true });
+      const wrapped = new AIProcessingError('enhancement failed', 'model', 'enhancement', { cause: mapped });
+
+      expect(ErrorClassifier.isRetryable(wrapped)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Fact Check Module
+ *
+ * Checks that an enhanced article preserves the facts of its original:
+ * numbers, dates, percentages, proper nouns and quoted strings
+ * A fact is missing when it no longer appears; it is altered when the same
+ * lead-in words are followed by a different value in the enhanced article
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+const DATE_PATTERNS = [
+  { regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: match => [match[1], match[2], match[3]] },
+  { regex: new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN},?\\s+(\\d{4})\\b`, 'gi'), parts: match => [match[3], match[1], match[2]] },
+  { regex: new RegExp(`\\b${DAY_PATTERN}\\s+${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'gi'), parts: match => [match[3], match[2], match[1]] },
+  { regex: new RegExp(`\\b${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'gi'), parts: match => [match[2], match[1], null] },
+];
+const PERCENT_REGEX = /(\d+(?:\.\d+)?)\s*(?:%|percent\b|per cent\b)/gi;
+const NUMBER_REGEX = /(?<![\w.])(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s*(thousand|million|billion|trillion))?(?![\w])/gi;
+const QUOTE_REGEX = /["“]([^"“”\n]{3,300})["”]/g;
+const CONTEXT_WORDS = 3;
+
+/**
+ * Reduce markdown/HTML to plain text (links keep their text, References section dropped)
+ * HTML headings become markdown heading lines and block ends become line breaks,
+ * so headings and paragraphs are not run together
+ * @param {string} text - Content
+ * @returns {string} Plain text
+ */
+function toPlainText(text) {
+  return (text || '')
+    .replace(/<h([1-6])\b[^>]*>/gi, (match, level) => `\n${'#'.repeat(Number(level))} `)
+    .replace(/<\/(?:h[1-6]|p|li|div|blockquote|tr)\s*>|<br\s*\/?>/gi, '\n')
+    .replace(/^#{1,6}\s*References\s*$[\s\S]*/im, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[*_`]/g, '')
+    .replace(/[‘’]/g, '\'');
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD (or YYYY-MM without a day)
+ * @param {string} year - Year
+ * @param {string} month - Month number or name
+ * @param {string|null} day - Day of month
+ * @returns {string|null} Normalized date or null if invalid
+ */
+function normalizeDate(year, month, day) {
+  const monthNumber = /^\d+$/.test(month)
+    ? Number(month)
+    : MONTHS.findIndex(name => name.startsWith(month.toLowerCase().replace('.', '').substring(0, 3))) + 1;
+
+  if (monthNumber < 1 || monthNumber > 12 || (day && (Number(day) < 1 || Number(day) > 31))) {
+    return null;
+  }
+
+  const pad = value => String(value).padStart(2, '0');
+  return day ? `${year}-${pad(monthNumber)}-${pad(day)}` : `${year}-${pad(monthNumber)}`;
+}
+
+/**
+ * Normalize a number (drop thousands separators, keep the scale word)
+ * @param {string} integer - Integer part
+ * @param {string} decimals - Decimal part including the dot
+ * @param {string} scale - Scale word (e.g. "million")
+ * @returns {string} Normalized number
+ */
+function normalizeNumber(integer, decimals = '', scale = '') {
+  const value = String(Number(`${integer.replace(/,/g, '')}${decimals || ''}`));
+  return scale ? `${value} ${scale.toLowerCase()}` : value;
+}
+
+/**
+ * Get the words just before a position, used to pair facts across versions
+ * @param {string} text - Plain text
+ * @param {number} index - Position of the fact
+ * @returns {string|null} Lowercase lead-in words, or null if there are too few
+ */
+function getContext(text, index) {
+  const words = text.substring(Math.max(0, index - 80), index).toLowerCase().match(/[\p{L}]+/gu) || [];
+  return words.length >= 2 ? words.slice(-CONTEXT_WORDS).join(' ') : null;
+}
+
+/**
+ * Extract capitalized names and acronyms that do not start a sentence
+ * Headings are skipped because they are usually title-cased
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Proper nouns
+ */
+function extractProperNouns(text) {
+  const nouns = [];
+
+  for (const line of text.split('\n')) {
+    if (/^\s*#/.test(line)) continue;
+
+    for (const sentence of line.split(/(?<=[.!?:;])\s+|^\s*(?:[-*+>]|\d+\.)\s+/)) {
+      const words = [...sentence.matchAll(/[\p{L}\p{N}][\p{L}\p{N}'&.-]*/gu)];
+      let phrase = [];
+
+      const flush = () => {
+        const startsSentence = phrase[0]?.index === 0;
+        // A lone capitalized word at the start of a sentence is not evidence of a name
+        if (phrase.length > 1 || (phrase.length === 1 && !startsSentence) || /^[A-Z]{2,}$/.test(phrase[0]?.word)) {
+          nouns.push(phrase.map(item => item.word).join(' ').replace(/[.'-]+$/, ''));
+        }
+        phrase = [];
+      };
+
+      words.forEach((match, index) => {
+        const word = match[0];
+        const previous = words[index - 1];
+
+        // Punctuation between two capitalized words ends the phrase ("Later, Globex")
+        if (previous && /\S/.test(sentence.substring(previous.index + previous[0].length, match.index))) {
+          flush();
+        }
+
+        if (/^\p{Lu}/u.test(word) && word !== 'I') {
+          phrase.push({ word, index });
+        } else {
+          flush();
+        }
+      });
+      flush();
+    }
+  }
+
+  // Month and day names are covered by date checks
+  return nouns.filter(noun => noun.length > 1 && ![...MONTHS, ...WEEKDAYS].includes(noun.toLowerCase()));
+}
+
+/**
+ * Extract checkable facts from article content
+ * @param {string} content - Article content (markdown, HTML or plain text)
+ * @returns {Array<Object>} Facts ({ type, value, text, context }) with type date, percentage, number, proper_noun or quote
+ */
+export function extractFacts(content) {
+  let text = toPlainText(content);
+  const facts = [];
+
+  for (const match of text.matchAll(QUOTE_REGEX)) {
+    facts.push({ type: 'quote', value: match[1].replace(/\s+/g, ' ').trim(), text: match[0], context: null });
+  }
+
+  // Dates and percentages are masked once found so their digits are not counted again as numbers
+  const mask = (match) => {
+    text = text.substring(0, match.index) + ' '.repeat(match[0].length) + text.substring(match.index + match[0].length);
+  };
+
+  for (const { regex, parts } of DATE_PATTERNS) {
+    for (const match of [...text.matchAll(regex)]) {
+      const value = normalizeDate(...parts(match));
+      if (value) {
+        facts.push({ type: 'date', value, text: match[0], context: getContext(text, match.index) });
+        mask(match);
+      }
+    }
+  }
+
+  for (const match of [...text.matchAll(PERCENT_REGEX)]) {
+    facts.push({ type: 'percentage', value: `${Number(match[1])}%`, text: match[0], context: getContext(text, match.index) });
+    mask(match);
+  }
+
+  for (const match of text.matchAll(NUMBER_REGEX)) {
+    // Single digits are usually list positions or spelled-out counts; keep them only with a scale word
+    if (match[1].length === 1 && !match[2] && !match[3]) continue;
+    facts.push({ type: 'number', value: normalizeNumber(match[1], match[2], match[3]), text: match[0], context: getContext(text, match.index) });
+  }
+
+  for (const noun of extractProperNouns(toPlainText(content))) {
+    facts.push({ type: 'proper_noun', value: noun, text: noun, context: null });
+  }
+
+  // Keep the first occurrence of each fact
+  const seen = new Set();
+  return facts.filter(fact => {
+    const key = `${fact.type}:${fact.value}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Check that the facts of an original article survive in its enhanced version
+ * @param {string} originalContent - Original article content
+ * @param {string} enhancedContent - Enhanced article content
+ * @returns {Object} Result ({ checked_at, facts_checked, missing, altered, warnings }); keys are snake_case for article metadata
+ */
+export function checkFactPreservation(originalContent, enhancedContent) {
+  const originalFacts = extractFacts(originalContent);
+  const enhancedFacts = extractFacts(enhancedContent);
+  const enhancedText = toPlainText(enhancedContent).replace(/\s+/g, ' ');
+
+  const enhancedKeys = new Set(enhancedFacts.map(fact => `${fact.type}:${fact.value}`));
+  const byContext = new Map();
+  for (const fact of enhancedFacts) {
+    if (fact.context) byContext.set(`${fact.type}:${fact.context}`, fact);
+  }
+
+  const missing = [];
+  const altered = [];
+
+  for (const fact of originalFacts) {
+    // Names, quotes and numbers may appear as-is even when extraction splits them differently
+    // (e.g. a year that became part of a full date)
+    const preserved = enhancedKeys.has(`${fact.type}:${fact.value}`)
+      || ((fact.type === 'proper_noun' || fact.type === 'quote') && enhancedText.includes(fact.value))
+      || (fact.type === 'number' && new RegExp(`(?<![\\d.,])${fact.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\d])`, 'i').test(enhancedText));
+    if (preserved) continue;
+
+    const replacement = fact.context ? byContext.get(`${fact.type}:${fact.context}`) : null;
+    if (replacement && replacement.value !== fact.value) {
+      altered.push({ type: fact.type, original: fact.text, enhanced: replacement.text, context: fact.context });
+    } else {
+      missing.push({ type: fact.type, value: fact.text });
+    }
+  }
+
+  const label = type => type.replace('_', ' ');
+  const warnings = [
+    ...altered.map(fact => `Altered ${label(fact.type)}: "${fact.original}" became "${fact.enhanced}" (after "${fact.context}")`),
+    ...missing.map(fact => `Missing ${label(fact.type)}: "${fact.value}"`),
+  ];
+
+  return {
+    checked_at: new Date().toISOString(),
+    facts_checked: originalFacts.length,
+    missing,
+    altered,
+    warnings,
+  };
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from '@jest/globals';
+import { extractFacts, checkFactPreservation } from './factCheck.js';
+
+/**
+ * Get the values of extracted facts of one type
+ * @param {string} content - Article content
+ * @param {string} type - Fact type
+ * @returns {Array<string>} Fact values
+ */
+function factValues(content, type) {
+  return extractFacts(content).filter(fact => fact.type === type).map(fact => fact.value);
+}
+
+describe('extractFacts', () => {
+  describe('HTML input', () => {
+    it('does not join a heading to the paragraph after it', () => {
+      const nouns = factValues('<h2>Why Chatbots Matter</h2><p>In 2023, support teams at Acme Corp adopted them.</p>', 'proper_noun');
+
+      expect(nouns).toEqual(['Acme Corp']);
+    });
+
+    it('ends sentences at paragraph, list item and line breaks', () => {
+      const nouns = factValues('<p>Built by Acme Corp</p><p>Globex followed</p><ul><li>Made by Initech</li><li>Teams liked it</li></ul>Used by Umbrella<br>Support grew', 'proper_noun');
+
+      expect(nouns).toEqual(['Acme Corp', 'Initech', 'Umbrella']);
+    });
+
+    it('still checks numbers in headings', () => {
+      expect(factValues('<h3 class="title">Top 10 tools of 2024</h3>', 'number')).toEqual(['10', '2024']);
+    });
+
+    it('drops an HTML References section', () => {
+      expect(factValues('<p>Acme Corp grew.</p><h2>References</h2><ul><li>Globex Report 2020</li></ul>', 'proper_noun')).toEqual(['Acme Corp']);
+    });
+  });
+
+  describe('markdown input', () => {
+    it('skips headings and keeps link text', () => {
+      const content = '## Why Chatbots Matter\n\nSupport teams at [Acme Corp](https://acme.example) adopted them.';
+
+      expect(factValues(content, 'proper_noun')).toEqual(['Acme Corp']);
+    });
+
+    it('ignores a capitalized word that starts a sentence or list item', () => {
+      expect(factValues('Support grew.\n\n- Teams liked it\n- Costs fell', 'proper_noun')).toEqual([]);
+    });
+
+    it('drops a markdown References section', () => {
+      expect(factValues('Acme Corp grew 5 million.\n\n## References\n\n1. [Globex 2020](https://globex.example)', 'number')).toEqual(['5 million']);
+    });
+
+    it('extracts quotes', () => {
+      expect(factValues('She said “Ship it today” and left.', 'quote')).toEqual(['Ship it today']);
+    });
+  });
+
+  describe('normalization', () => {
+    it.each([
+      ['2024-03-05', '2024-03-05'],
+      ['March 5, 2024', '2024-03-05'],
+      ['Mar. 5th 2024', '2024-03-05'],
+      ['5 March 2024', '2024-03-05'],
+      ['March 2024', '2024-03'],
+    ])('normalizes the date %s', (text, value) => {
+      expect(factValues(`It launched on ${text} worldwide.`, 'date')).toEqual([value]);
+    });
+
+    it('rejects impossible dates', () => {
+      expect(factValues('On 2024-13-40 nothing happened.', 'date')).toEqual([]);
+    });
+
+    it('normalizes numbers, scales and percentages', () => {
+      const content = 'Sales of 1,200 units and 3.50 million dollars, up 12 percent and 7.5% in 2023 over 9 quarters.';
+
+      expect(factValues(content, 'number')).toEqual(['1200', '3.5 million', '2023']);
+      expect(factValues(content, 'percentage')).toEqual(['12%', '7.5%']);
+    });
+
+    it('does not count the digits of dates and percentages as numbers', () => {
+      expect(factValues('On March 5, 2024 usage rose 40%.', 'number')).toEqual([]);
+    });
+  });
+});
+
+describe('checkFactPreservation', () => {
+  const original = '<h2>Why Chatbots Matter</h2><p>In 2023, Acme Corp answered 1,200 tickets a day and cut costs by 30%. '
+    + 'The pilot started on March 5, 2024.</p><p>"Customers noticed right away", said Jane Doe.</p>';
+
+  it('reports nothing when the facts are kept in another format', () => {
+    const enhanced = '## Why Chatbots Matter\n\nIn 2023, **Acme Corp** answered 1200 tickets a day and cut costs by 30 percent. '
+      + 'The pilot started on 2024-03-05.\n\n> "Customers noticed right away", said Jane Doe.';
+
+    const result = checkFactPreservation(original, enhanced);
+
+    expect(result.warnings).toEqual([]);
+    expect(result.facts_checked).toBe(7);
+  });
+
+  it('reports an altered fact when the same lead-in has a different value', () => {
+    const enhanced = '## Why Chatbots Matter\n\nIn 2023, Acme Corp answered 1,500 tickets a day and cut costs by 30%. '
+      + 'The pilot started on March 5, 2024.\n\n"Customers noticed right away", said Jane Doe.';
+
+    const result = checkFactPreservation(original, enhanced);
+
+    expect(result.missing).toEqual([]);
+    expect(result.altered).toEqual([{ type: 'number', original: '1,200', enhanced: '1,500', context: 'acme corp answered' }]);
+    expect(result.warnings).toEqual(['Altered number: "1,200" became "1,500" (after "acme corp answered")']);
+  });
+
+  it('reports missing facts', () => {
+    const result = checkFactPreservation(original, 'Chatbots help support teams answer tickets faster.');
+
+    expect(result.altered).toEqual([]);
+    expect(result.missing.map(fact => fact.value)).toEqual(
+      expect.arrayContaining(['2023', '1,200', '30%', 'March 5, 2024', 'Acme Corp', 'Jane Doe', '"Customers noticed right away"'])
+    );
+    expect(result.warnings).toContain('Missing proper noun: "Acme Corp"');
+  });
+});
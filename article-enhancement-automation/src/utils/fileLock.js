@@ -0,0 +1,129 @@
+/**
+ * File Lock Module
+ *
+ * Serializes read-modify-write cycles on a shared file across processes (CLI commands,
+ * the daemon and the control server can all change the same queue file)
+ * The lock is a `<file>.lock` file created exclusively and holding its owner's PID; a lock whose
+ * process is gone or that is older than staleAfter was left by a crashed or hung owner and is broken
+ * Owners are identified by PID, so the processes sharing a file must run on the same host
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { logger } from './logger.js';
+import { TimeoutError } from './errors.js';
+import { isProcessAlive } from './daemon.js';
+
+// Delay between attempts to take a held lock
+const RETRY_INTERVAL = 25;
+
+const lockLogger = logger.child('FileLock');
+
+/**
+ * Run a function while holding the lock of a file
+ * @param {string} file - File to lock
+ * @param {Function} fn - Async function to run under the lock
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - How long to wait for the lock, in milliseconds
+ * @param {number} options.staleAfter - Age after which a held lock is considered abandoned, in milliseconds
+ * @returns {Promise<any>} Result of fn
+ * @throws {TimeoutError} If the lock is not released in time
+ */
+export async function withFileLock(file, fn, { timeout = 10000, staleAfter = 60000 } = {}) {
+  const lockFile = `${file}.lock`;
+  const token = `${process.pid} ${randomBytes(8).toString('hex')}`;
+
+  await acquireLock(lockFile, token, { timeout, staleAfter });
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(lockFile, token);
+  }
+}
+
+/**
+ * Create the lock file, waiting while another owner holds it
+ * @param {string} lockFile - Lock file
+ * @param {string} token - Owner token written to the lock ("<pid> <random>")
+ * @param {Object} options - Lock options ({ timeout, staleAfter })
+ * @returns {Promise<void>}
+ */
+async function acquireLock(lockFile, token, { timeout, staleAfter }) {
+  const deadline = Date.now() + timeout;
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockFile, token, { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = await readLock(lockFile);
+    if (owner && isStale(owner, staleAfter)) {
+      lockLogger.warn(`Removing stale lock ${lockFile} left by PID ${owner.pid}`);
+      await removeLock(lockFile);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new TimeoutError(`Timed out waiting for ${lockFile}${owner ? ` (held by PID ${owner.pid})` : ''}`, 'fileLock', timeout);
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL));
+  }
+}
+
+/**
+ * Remove the lock file if it is still ours (a stale-lock check may have broken it meanwhile)
+ * @param {string} lockFile - Lock file
+ * @param {string} token - Owner token
+ * @returns {Promise<void>}
+ */
+async function releaseLock(lockFile, token) {
+  const owner = await readLock(lockFile);
+  if (owner?.token === token) {
+    await removeLock(lockFile);
+  } else {
+    lockLogger.warn(`Lock ${lockFile} was taken over by PID ${owner?.pid ?? 'unknown'} before it was released`);
+  }
+}
+
+/**
+ * Read the owner of a lock file
+ * @param {string} lockFile - Lock file
+ * @returns {Promise<Object|null>} Owner ({ token, pid, createdAt }), or null if the lock is gone
+ */
+async function readLock(lockFile) {
+  try {
+    const [token, stats] = await Promise.all([fs.readFile(lockFile, 'utf-8'), fs.stat(lockFile)]);
+    return { token, pid: Number(token.split(' ')[0]), createdAt: stats.mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check whether a lock was abandoned
+ * @param {Object} owner - Lock owner from readLock
+ * @param {number} staleAfter - Maximum age of a held lock, in milliseconds
+ * @returns {boolean} True if the owner process is gone or the lock is too old
+ */
+function isStale(owner, staleAfter) {
+  return !owner.pid || !isProcessAlive(owner.pid) || Date.now() - owner.createdAt > staleAfter;
+}
+
+/**
+ * Delete a lock file
+ * @param {string} lockFile - Lock file
+ * @returns {Promise<void>}
+ */
+async function removeLock(lockFile) {
+  try {
+    await fs.unlink(lockFile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { withFileLock } from './fileLock.js';
+import { TimeoutError } from './errors.js';
+
+describe('withFileLock', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-'));
+    file = path.join(dir, 'queue.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('returns the result of the function and removes the lock', async () => {
+    expect(await withFileLock(file, async () => 'done')).toBe('done');
+    await expect(fs.access(`${file}.lock`)).rejects.toThrow();
+  });
+
+  it('removes the lock when the function throws', async () => {
+    await expect(withFileLock(file, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    await expect(fs.access(`${file}.lock`)).rejects.toThrow();
+  });
+
+  it('runs holders one at a time', async () => {
+    const events = [];
+    const hold = name => withFileLock(file, async () => {
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      events.push(`${name} end`);
+    });
+
+    await Promise.all([hold('a'), hold('b')]);
+
+    expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+  });
+
+  it('times out while a live process holds the lock', async () => {
+    await fs.writeFile(`${file}.lock`, `${process.pid} other`);
+
+    await expect(withFileLock(file, async () => 'never', { timeout: 100 })).rejects.toThrow(TimeoutError);
+    expect(await fs.readFile(`${file}.lock`, 'utf-8')).toBe(`${process.pid} other`);
+  });
+
+  it('breaks a lock left by a process that is gone', async () => {
+    // PIDs above the kernel maximum (2^22) never exist
+    await fs.writeFile(`${file}.lock`, `${2 ** 22 + 1} crashed`);
+
+    expect(await withFileLock(file, async () => 'done', { timeout: 100 })).toBe('done');
+  });
+
+  it('breaks a lock older than staleAfter', async () => {
+    await fs.writeFile(`${file}.lock`, `${process.pid} hung`);
+    const past = new Date(Date.now() - 10000);
+    await fs.utimes(`${file}.lock`, past, past);
+
+    expect(await withFileLock(file, async () => 'done', { timeout: 100, staleAfter: 5000 })).toBe('done');
+  });
+});
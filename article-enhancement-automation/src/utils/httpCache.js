@@ -0,0 +1,163 @@
+/**
+ * HTTP Cache Module
+ *
+ * Disk-backed cache for scraped pages and search results, keyed by URL or query
+ * Entries expire after a TTL; expired page entries keep their ETag/Last-Modified
+ * validators so they can be revalidated with a conditional request
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+
+export class HttpCache {
+  /**
+   * @param {string} directory - Cache directory
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time to live in milliseconds
+   * @param {boolean} options.enabled - Whether the cache is read and written
+   */
+  constructor(directory = config.httpCacheDir, { ttl = config.httpCacheTtl, enabled = config.httpCacheEnabled } = {}) {
+    this.logger = logger.child('HttpCache');
+    this.directory = directory;
+    this.ttl = ttl;
+    this.enabled = enabled;
+    this.stats = { hits: 0, misses: 0, revalidated: 0 };
+  }
+
+  /**
+   * Get the file path of a cache entry
+   * @param {string} namespace - Entry namespace (e.g. "pages", "search")
+   * @param {string} key - URL or query
+   * @returns {string} Entry file path
+   */
+  getPath(namespace, key) {
+    const hash = createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, namespace, `${hash}.json`);
+  }
+
+  /**
+   * Read a cache entry, fresh or expired
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - URL or query
+   * @returns {Promise<Object|null>} Entry ({ key, data, storedAt, expiresAt, etag, lastModified }) or null
+   */
+  async get(namespace, key) {
+    if (!this.enabled) return null;
+
+    try {
+      const raw = await fs.readFile(this.getPath(namespace, key), 'utf8');
+      const entry = JSON.parse(raw);
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable cache entry for ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an entry is still within its TTL
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if the entry can be used without revalidation
+   */
+  isFresh(entry) {
+    return Boolean(entry) && new Date(entry.expiresAt).getTime() > Date.now();
+  }
+
+  /**
+   * Build conditional request headers from an entry's validators
+   * @param {Object|null} entry - Cache entry
+   * @returns {Object} If-None-Match / If-Modified-Since headers
+   */
+  getRevalidationHeaders(entry) {
+    return {
+      ...(entry?.etag && { 'If-None-Match': entry.etag }),
+      ...(entry?.lastModified && { 'If-Modified-Since': entry.lastModified }),
+    };
+  }
+
+  /**
+   * Store an entry (written atomically via temp file + rename)
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - URL or query
+   * @param {*} data - JSON-serializable data
+   * @param {Object} validators - Response validators ({ etag, lastModified })
+   * @returns {Promise<Object|null>} Stored entry, or null when the cache is disabled
+   */
+  async set(namespace, key, data, { etag = null, lastModified = null } = {}) {
+    if (!this.enabled) return null;
+
+    const filePath = this.getPath(namespace, key);
+    const tempPath = `${filePath}.tmp`;
+    const now = Date.now();
+    const entry = {
+      key,
+      data,
+      etag,
+      lastModified,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString(),
+    };
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(entry));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      // A cache that cannot be written must never fail the caller
+      this.logger.warn(`Failed to write cache entry for ${key}:`, error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Extend an entry's TTL after a successful revalidation (HTTP 304)
+   * @param {string} namespace - Entry namespace
+   * @param {Object} entry - Cache entry
+   * @returns {Promise<Object|null>} Refreshed entry
+   */
+  async refresh(namespace, entry) {
+    return this.set(namespace, entry.key, entry.data, { etag: entry.etag, lastModified: entry.lastModified });
+  }
+
+  /**
+   * Record a cache lookup result for statistics
+   * @param {string} result - "hit", "miss" or "revalidated"
+   */
+  record(result) {
+    const stat = result === 'hit' ? 'hits' : result === 'miss' ? 'misses' : 'revalidated';
+    this.stats[stat]++;
+  }
+
+  /**
+   * Delete every cache entry
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    let removed = 0;
+
+    try {
+      for (const namespace of await fs.readdir(this.directory)) {
+        const namespaceDir = path.join(this.directory, namespace);
+        const files = await fs.readdir(namespaceDir).catch(() => []);
+        removed += files.filter(file => file.endsWith('.json')).length;
+        await fs.rm(namespaceDir, { recursive: true, force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.logger.info(`🧹 Cleared ${removed} cached responses from ${this.directory}`);
+    return removed;
+  }
+}
+
+/**
+ * Shared cache used by the scraper and searcher
+ */
+export const httpCache = new HttpCache();
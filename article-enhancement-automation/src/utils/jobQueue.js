@@ -0,0 +1,334 @@
+/**
+ * Job Queue Module
+ *
+ * Durable queue of article enhancement jobs, persisted to a JSON file
+ * Each job moves through queued → running → succeeded, or failed (waiting for a retry)
+ * and finally dead once its error is not retryable or its attempts are used up
+ * Dead jobs stay in the file until they are retried or purged
+ * Every change re-reads and rewrites the file under a lock file, so several processes can share a queue
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { ErrorClassifier, CancellationError } from './errors.js';
+import { calculateBackoffDelay } from './retry.js';
+import { generateRunId } from './checkpoint.js';
+import { isProcessAlive } from './daemon.js';
+import { withFileLock } from './fileLock.js';
+
+export const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'dead'];
+
+// Workflow options stored with a job so a retry runs it the same way
+const JOB_OPTION_KEYS = ['enhancementType', 'locale', 'publishMode', 'duplicatePolicy', 'skipPublishing', 'review', 'maxReferences', 'strictFacts'];
+
+// Succeeded jobs kept as history; older ones are dropped
+const MAX_SUCCEEDED_JOBS = 500;
+
+export class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.file - Queue file
+   * @param {number} options.maxAttempts - Attempts before a retryable job is dead-lettered
+   * @param {number} options.retryDelay - Base delay before the first retry, in milliseconds (doubles per attempt)
+   * @param {number} options.retryMaxDelay - Maximum delay between attempts, in milliseconds
+   */
+  constructor({
+    file = config.jobQueueFile,
+    maxAttempts = config.jobMaxAttempts,
+    retryDelay = config.jobRetryDelay,
+    retryMaxDelay = config.jobRetryMaxDelay,
+  } = {}) {
+    this.logger = logger.child('JobQueue');
+    this.file = file;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.retryMaxDelay = retryMaxDelay;
+
+    // Jobs this process is running (a running job of ours that is not here was interrupted)
+    this.activeJobs = new Set();
+    // Changes of this process are applied one at a time (other processes are kept out by the lock file)
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Add an article to the queue
+   * An unfinished job for the same article, enhancement type and locale is reused (a dead one is revived)
+   * instead of adding another. If its options changed, its checkpoint is dropped so the next attempt starts over
+   * @param {Object} article - Article to enhance
+   * @param {Object} options - Workflow options (only the enhancement, locale and publishing settings are kept)
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(article, options = {}) {
+    const jobOptions = Object.fromEntries(JOB_OPTION_KEYS.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+
+    return this.update(jobs => {
+      const now = new Date().toISOString();
+      const existing = jobs.find(job => job.articleId === article.id
+        && (job.options.enhancementType ?? null) === (jobOptions.enhancementType ?? null)
+        && (job.options.locale ?? null) === (jobOptions.locale ?? null)
+        && ['queued', 'failed', 'dead'].includes(job.state));
+
+      if (existing) {
+        if (existing.state === 'dead') {
+          this.revive(existing, now);
+        }
+        if (JOB_OPTION_KEYS.some(key => existing.options[key] !== jobOptions[key])) {
+          existing.runId = null;
+        }
+        existing.title = article.title;
+        existing.options = jobOptions;
+        existing.updatedAt = now;
+        return existing;
+      }
+
+      const job = {
+        id: `job-${generateRunId()}`,
+        articleId: article.id,
+        title: article.title,
+        options: jobOptions,
+        state: 'queued',
+        attempts: 0,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: null,
+        runId: null,
+        pid: null,
+        lastError: null,
+        history: [],
+        createdAt: now,
+        updatedAt: now,
+      };
+      jobs.push(job);
+      return job;
+    });
+  }
+
+  /**
+   * Mark a job as running and count the attempt
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} The job, or null if it is not queued or waiting for a retry
+   */
+  async start(id) {
+    return this.update(jobs => {
+      const job = jobs.find(candidate => candidate.id === id);
+      if (!job || !['queued', 'failed'].includes(job.state)) return null;
+
+      job.state = 'running';
+      job.attempts++;
+      job.pid = process.pid;
+      job.nextAttemptAt = null;
+      job.updatedAt = new Date().toISOString();
+      job.history.push({ attempt: job.attempts, startedAt: job.updatedAt, finishedAt: null, state: 'running', runId: job.runId, error: null });
+
+      this.activeJobs.add(job.id);
+      return job;
+    });
+  }
+
+  /**
+   * Mark a running job as succeeded
+   * @param {string} id - Job ID
+   * @param {string} runId - Workflow run that enhanced the article
+   * @returns {Promise<Object|null>} The job
+   */
+  async succeed(id, runId) {
+    return this.finish(id, job => {
+      job.state = 'succeeded';
+      job.runId = runId;
+      job.lastError = null;
+    });
+  }
+
+  /**
+   * Record a failed attempt
+   * Retryable errors schedule another attempt with exponential backoff until the attempts run out;
+   * other errors dead-letter the job. A cancelled attempt puts the job back in the queue
+   * @param {string} id - Job ID
+   * @param {Error} error - Error of the attempt
+   * @param {Object} details - Attempt details
+   * @param {string} details.runId - Workflow run of the attempt (retries resume its checkpoint)
+   * @param {string} details.step - Workflow step that failed
+   * @returns {Promise<Object|null>} The job
+   */
+  async fail(id, error, { runId = null, step = null } = {}) {
+    return this.finish(id, job => {
+      job.runId = runId;
+
+      if (error instanceof CancellationError) {
+        job.state = 'queued';
+        job.attempts--;
+        return;
+      }
+
+      const retryable = ErrorClassifier.isRetryable(error);
+      job.lastError = { message: error.message, code: error.code || null, step, retryable, at: new Date().toISOString() };
+
+      if (retryable && job.attempts < job.maxAttempts) {
+        job.state = 'failed';
+        job.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(job.attempts)).toISOString();
+      } else {
+        job.state = 'dead';
+      }
+    });
+  }
+
+  /**
+   * Requeue dead jobs
+   * @param {Array<string>} ids - Jobs to requeue (every dead job if empty)
+   * @returns {Promise<Array<Object>>} Requeued jobs
+   */
+  async retry(ids = []) {
+    return this.update(jobs => {
+      const now = new Date().toISOString();
+      const dead = jobs.filter(job => job.state === 'dead' && (ids.length === 0 || ids.includes(job.id)));
+      dead.forEach(job => this.revive(job, now));
+      return dead;
+    });
+  }
+
+  /**
+   * Delete dead jobs
+   * @param {Array<string>} ids - Jobs to delete (every dead job if empty)
+   * @returns {Promise<Array<Object>>} Deleted jobs
+   */
+  async purge(ids = []) {
+    return this.update(jobs => {
+      const purged = jobs.filter(job => job.state === 'dead' && (ids.length === 0 || ids.includes(job.id)));
+      purged.forEach(job => jobs.splice(jobs.indexOf(job), 1));
+      return purged;
+    });
+  }
+
+  /**
+   * List jobs, oldest first
+   * @param {string} state - Only list jobs in this state
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  async list(state = null) {
+    await this.pending;
+    const jobs = await this.read();
+    return jobs.filter(job => !state || job.state === state);
+  }
+
+  /**
+   * Check whether a job can run now
+   * @param {Object} job - Job
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the job is queued, or failed and its retry is due
+   */
+  isDue(job, now = Date.now()) {
+    return job.state === 'queued' || (job.state === 'failed' && Date.parse(job.nextAttemptAt) <= now);
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.round(calculateBackoffDelay(attempts - 1, this.retryDelay, this.retryMaxDelay));
+  }
+
+  /**
+   * Reset a dead job so it runs again with a fresh set of attempts
+   * @param {Object} job - Job
+   * @param {string} now - Current time (ISO string)
+   */
+  revive(job, now) {
+    job.state = 'queued';
+    job.attempts = 0;
+    job.nextAttemptAt = null;
+    job.updatedAt = now;
+  }
+
+  /**
+   * Close the current attempt of a running job
+   * @param {string} id - Job ID
+   * @param {Function} apply - Sets the job's new state
+   * @returns {Promise<Object|null>} The job
+   */
+  async finish(id, apply) {
+    this.activeJobs.delete(id);
+
+    return this.update(jobs => {
+      const job = jobs.find(candidate => candidate.id === id);
+      if (!job) return null;
+
+      apply(job);
+      job.pid = null;
+      job.updatedAt = new Date().toISOString();
+
+      const attempt = job.history[job.history.length - 1];
+      if (attempt && !attempt.finishedAt) {
+        Object.assign(attempt, { finishedAt: job.updatedAt, state: job.state, runId: job.runId, error: job.state === 'succeeded' ? null : job.lastError?.message || null });
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Apply a change to the queue file
+   * @param {Function} change - Called with the jobs array (mutated in place); its return value is passed through
+   * @returns {Promise<any>} Result of the change
+   */
+  async update(change) {
+    const result = this.pending.then(() => withFileLock(this.file, async () => {
+      const jobs = await this.read();
+      const value = change(jobs);
+      await this.write(jobs);
+      return value;
+    }));
+
+    // A failed change must not block the ones after it
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read jobs from the queue file
+   * A running job whose process is gone was interrupted and is queued again
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  async read() {
+    let jobs;
+    try {
+      jobs = JSON.parse(await fs.readFile(this.file, 'utf-8')).jobs || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not read job queue from ${this.file}:`, error.message);
+        throw error;
+      }
+      return [];
+    }
+
+    for (const job of jobs) {
+      const interrupted = job.state === 'running'
+        && (job.pid === process.pid ? !this.activeJobs.has(job.id) : !job.pid || !isProcessAlive(job.pid));
+      if (interrupted) {
+        this.logger.warn(`Job ${job.id} (article ${job.articleId}) was interrupted, queuing it again`);
+        job.state = 'queued';
+        job.pid = null;
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Write jobs to the queue file (atomically via temp file + rename)
+   * @param {Array<Object>} jobs - Jobs
+   * @returns {Promise<void>}
+   */
+  async write(jobs) {
+    const succeeded = jobs.filter(job => job.state === 'succeeded');
+    const dropped = new Set(succeeded.slice(0, Math.max(0, succeeded.length - MAX_SUCCEEDED_JOBS)));
+    const tempPath = `${this.file}.tmp`;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify({ jobs: jobs.filter(job => !dropped.has(job)), updatedAt: new Date().toISOString() }, null, 2));
+    await fs.rename(tempPath, this.file);
+  }
+}
+
+export const jobQueue = new JobQueue();
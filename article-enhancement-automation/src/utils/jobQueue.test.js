@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from './jobQueue.js';
+import { AIProcessingError, CancellationError, NetworkError, ValidationError } from './errors.js';
+
+describe('JobQueue', () => {
+  let dir;
+  let queue;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+    queue = new JobQueue({ file: path.join(dir, 'jobs.json'), maxAttempts: 2, retryDelay: 60000, retryMaxDelay: 60000 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const article = { id: 7, title: 'Original title' };
+
+  describe('enqueue', () => {
+    it('adds a queued job with only the workflow options it keeps', async () => {
+      const job = await queue.enqueue(article, { enhancementType: 'seo', publishMode: 'create', resume: 'run-1' });
+
+      expect(job).toMatchObject({ articleId: 7, title: 'Original title', state: 'queued', attempts: 0, maxAttempts: 2, runId: null });
+      expect(job.options).toEqual({ enhancementType: 'seo', publishMode: 'create' });
+      expect(await queue.list()).toHaveLength(1);
+    });
+
+    it('reuses an unfinished job for the same article, enhancement type and locale', async () => {
+      const first = await queue.enqueue(article, { enhancementType: 'seo', locale: 'de' });
+      const second = await queue.enqueue({ ...article, title: 'Renamed' }, { enhancementType: 'seo', locale: 'de' });
+
+      expect(second.id).toBe(first.id);
+      expect(second.title).toBe('Renamed');
+      expect(await queue.list()).toHaveLength(1);
+    });
+
+    it('adds separate jobs per enhancement type and locale', async () => {
+      await queue.enqueue(article, { enhancementType: 'seo' });
+      await queue.enqueue(article, { enhancementType: 'structure' });
+      await queue.enqueue(article, { enhancementType: 'translate', locale: 'de' });
+      await queue.enqueue(article, { enhancementType: 'translate', locale: 'fr' });
+
+      expect(await queue.list()).toHaveLength(4);
+    });
+
+    it('keeps the checkpoint of a failed job when its options are unchanged', async () => {
+      const job = await queue.enqueue(article, { enhancementType: 'seo', publishMode: 'create' });
+      await queue.start(job.id);
+      await queue.fail(job.id, new NetworkError('reset', null, 'ECONNRESET'), { runId: 'run-1', step: 'enhance' });
+
+      const requeued = await queue.enqueue(article, { enhancementType: 'seo', publishMode: 'create' });
+
+      expect(requeued.runId).toBe('run-1');
+    });
+
+    it('drops the checkpoint of a job whose options changed', async () => {
+      const job = await queue.enqueue(article, { enhancementType: 'seo', publishMode: 'create' });
+      await queue.start(job.id);
+      await queue.fail(job.id, new NetworkError('reset', null, 'ECONNRESET'), { runId: 'run-1', step: 'enhance' });
+
+      const requeued = await queue.enqueue(article, { enhancementType: 'seo', publishMode: 'update' });
+
+      expect(requeued.id).toBe(job.id);
+      expect(requeued.runId).toBeNull();
+      expect(requeued.options.publishMode).toBe('update');
+    });
+
+    it('revives a dead job', async () => {
+      const job = await queue.enqueue(article, { enhancementType: 'seo' });
+      await queue.start(job.id);
+      await queue.fail(job.id, new ValidationError('bad output'));
+
+      const revived = await queue.enqueue(article, { enhancementType: 'seo' });
+
+      expect(revived).toMatchObject({ id: job.id, state: 'queued', attempts: 0 });
+    });
+
+    it('adds a new job once the previous one succeeded', async () => {
+      const job = await queue.enqueue(article, { enhancementType: 'seo' });
+      await queue.start(job.id);
+      await queue.succeed(job.id, 'run-1');
+
+      const next = await queue.enqueue(article, { enhancementType: 'seo' });
+
+      expect(next.id).not.toBe(job.id);
+    });
+  });
+
+  describe('state machine', () => {
+    it('runs a queued job and records the attempt', async () => {
+      const job = await queue.enqueue(article, {});
+      const started = await queue.start(job.id);
+
+      expect(started).toMatchObject({ state: 'running', attempts: 1, pid: process.pid });
+      expect(await queue.start(job.id)).toBeNull();
+
+      const succeeded = await queue.succeed(job.id, 'run-1');
+
+      expect(succeeded).toMatchObject({ state: 'succeeded', runId: 'run-1', pid: null, lastError: null });
+      expect(succeeded.history).toEqual([expect.objectContaining({ attempt: 1, state: 'succeeded', runId: 'run-1', error: null })]);
+    });
+
+    it('schedules a retry for a retryable error', async () => {
+      const job = await queue.enqueue(article, {});
+      await queue.start(job.id);
+
+      const failed = await queue.fail(job.id, new AIProcessingError('rate limited', 'model', null, { retryable: true }), { runId: 'run-1', step: 'enhance' });
+
+      expect(failed).toMatchObject({ state: 'failed', runId: 'run-1' });
+      expect(failed.lastError).toMatchObject({ message: 'rate limited', step: 'enhance', retryable: true });
+      expect(Date.parse(failed.nextAttemptAt)).toBeGreaterThan(Date.now());
+      expect(queue.isDue(failed)).toBe(false);
+      expect(queue.isDue(failed, Date.parse(failed.nextAttemptAt))).toBe(true);
+    });
+
+    it('dead-letters a job once its attempts are used up', async () => {
+      const job = await queue.enqueue(article, {});
+      const error = new NetworkError('reset', null, 'ECONNRESET');
+
+      await queue.start(job.id);
+      await queue.fail(job.id, error);
+      await queue.start(job.id);
+      const dead = await queue.fail(job.id, error);
+
+      expect(dead).toMatchObject({ state: 'dead', attempts: 2 });
+      expect(dead.history.map(attempt => attempt.state)).toEqual(['failed', 'dead']);
+    });
+
+    it('dead-letters a job on a non-retryable error', async () => {
+      const job = await queue.enqueue(article, {});
+      await queue.start(job.id);
+
+      const dead = await queue.fail(job.id, new ValidationError('bad output'));
+
+      expect(dead).toMatchObject({ state: 'dead', attempts: 1 });
+      expect(dead.lastError.retryable).toBe(false);
+    });
+
+    it('puts a cancelled job back in the queue without counting the attempt', async () => {
+      const job = await queue.enqueue(article, {});
+      await queue.start(job.id);
+
+      const cancelled = await queue.fail(job.id, new CancellationError('cancelled', 'enhance'), { runId: 'run-1' });
+
+      expect(cancelled).toMatchObject({ state: 'queued', attempts: 0, runId: 'run-1' });
+    });
+
+    it('requeues and purges dead jobs', async () => {
+      const first = await queue.enqueue(article, {});
+      const second = await queue.enqueue({ id: 8, title: 'Other' }, {});
+      for (const job of [first, second]) {
+        await queue.start(job.id);
+        await queue.fail(job.id, new ValidationError('bad output'));
+      }
+
+      const retried = await queue.retry([first.id]);
+      const purged = await queue.purge();
+
+      expect(retried.map(job => job.id)).toEqual([first.id]);
+      expect(purged.map(job => job.id)).toEqual([second.id]);
+      expect((await queue.list()).map(job => [job.id, job.state])).toEqual([[first.id, 'queued']]);
+    });
+
+    it('queues a running job again when its process is gone', async () => {
+      const job = await queue.enqueue(article, {});
+      await queue.start(job.id);
+
+      // A new queue instance stands in for a restarted process
+      const restarted = new JobQueue({ file: queue.file });
+      const [interrupted] = await restarted.list();
+
+      expect(interrupted).toMatchObject({ id: job.id, state: 'queued', pid: null });
+    });
+  });
+
+  describe('concurrent writers', () => {
+    it('does not lose changes made through separate queue instances', async () => {
+      const other = new JobQueue({ file: queue.file });
+      const articles = Array.from({ length: 20 }, (_, index) => ({ id: index + 1, title: `Article ${index + 1}` }));
+
+      await Promise.all(articles.map((item, index) => (index % 2 ? queue : other).enqueue(item, {})));
+
+      expect((await queue.list()).map(job => job.articleId).sort((a, b) => a - b)).toEqual(articles.map(item => item.id));
+      await expect(fs.access(`${queue.file}.lock`)).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Markdown Module
+ *
+ * Renders article markdown to HTML for review reports with markdown-it, a CommonMark
+ * renderer with the same GFM tables, strikethrough and autolinks as the league/commonmark
+ * renderer the Laravel API fills content_html with, so previews match the published page
+ * Raw HTML is escaped, and links and images are limited to the URLs sanitizeUrl allows
+ */
+
+import MarkdownIt from 'markdown-it';
+
+const renderer = new MarkdownIt({ html: false, linkify: true });
+
+// Links and images with other URLs are left as text
+renderer.validateLink = url => sanitizeUrl(url) !== null;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Allow only http(s), mailto and relative URLs (data: URLs are dropped, images included)
+ * @param {string} url - URL from a link or image
+ * @returns {string|null} URL or null if its scheme is not allowed
+ */
+export function sanitizeUrl(url) {
+  const value = (url || '').trim();
+  // Control characters and whitespace can hide a scheme ("java\nscript:")
+  const scheme = [...value].filter(char => char > ' ').join('').match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (!scheme) return value;
+  return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? value : null;
+}
+
+/**
+ * Render markdown to HTML
+ * Raw HTML in the markdown is escaped rather than passed through
+ * @param {string} markdown - Markdown content
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+  if (!markdown || typeof markdown !== 'string') return '';
+  return renderer.render(markdown).trim();
+}
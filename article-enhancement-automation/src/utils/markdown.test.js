@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import { renderMarkdown, sanitizeUrl, escapeHtml } from './markdown.js';
+
+describe('renderMarkdown', () => {
+  it('renders CommonMark blocks', () => {
+    expect(renderMarkdown('# Title\n\nSome **bold** and *italic* text')).toBe('<h1>Title</h1>\n<p>Some <strong>bold</strong> and <em>italic</em> text</p>');
+    expect(renderMarkdown('- a\n- b\n\n1. x\n2. y')).toBe('<ul>\n<li>a</li>\n<li>b</li>\n</ul>\n<ol>\n<li>x</li>\n<li>y</li>\n</ol>');
+    expect(renderMarkdown('> quote')).toBe('<blockquote>\n<p>quote</p>\n</blockquote>');
+  });
+
+  it('renders the GFM extensions the API renders too', () => {
+    expect(renderMarkdown('| a | b |\n|:--|--:|\n| 1 | 2 |')).toContain('<th style="text-align:left">a</th>');
+    expect(renderMarkdown('~~old~~')).toBe('<p><s>old</s></p>');
+    expect(renderMarkdown('See https://example.com')).toBe('<p>See <a href="https://example.com">https://example.com</a></p>');
+  });
+
+  it('renders links and images with safe URLs', () => {
+    expect(renderMarkdown('[docs](https://example.com/a_(b) "Docs")')).toBe('<p><a href="https://example.com/a_(b)" title="Docs">docs</a></p>');
+    expect(renderMarkdown('![chart](/images/chart.png)')).toBe('<p><img src="/images/chart.png" alt="chart"></p>');
+    expect(renderMarkdown('<mailto:team@example.com>')).toBe('<p><a href="mailto:team@example.com">mailto:team@example.com</a></p>');
+  });
+
+  it('returns an empty string for missing content', () => {
+    expect(renderMarkdown('')).toBe('');
+    expect(renderMarkdown(null)).toBe('');
+  });
+
+  describe('XSS', () => {
+    it('escapes raw HTML, including event handler attributes', () => {
+      const html = renderMarkdown('Hello <img src=x onerror="alert(1)"> <b onclick="steal()">there</b>');
+
+      expect(html).toBe('<p>Hello &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &lt;b onclick=&quot;steal()&quot;&gt;there&lt;/b&gt;</p>');
+    });
+
+    it('escapes nested script and svg markup', () => {
+      const html = renderMarkdown('<div><script>alert(1)</script></div>\n\n<svg onload="alert(1)"><script>alert(2)</script></svg>');
+
+      expect(html).not.toMatch(/<(script|svg|div)/);
+      expect(html).toContain('&lt;svg onload=&quot;alert(1)&quot;&gt;');
+    });
+
+    it('escapes HTML inside code', () => {
+      expect(renderMarkdown('```js\n<script>alert(1)</script>\n```')).toBe('<pre><code class="language-js">&lt;script&gt;alert(1)&lt;/script&gt;\n</code></pre>');
+      expect(renderMarkdown('`<svg onload=alert(1)>`')).toBe('<p><code>&lt;svg onload=alert(1)&gt;</code></p>');
+    });
+
+    it.each([
+      '[click](javascript:alert(1))',
+      '[click](JaVaScRiPt:alert(1))',
+      '[click](javascript&#58;alert(1))',
+      '[click](vbscript:msgbox(1))',
+      '[click](data:text/html;base64,PHNjcmlwdD4=)',
+      '![pixel](data:image/png;base64,iVBORw0KGgo=)',
+      '![vector](data:image/svg+xml;base64,PHN2Zz4=)',
+      '![x](javascript:alert(1))',
+      '<javascript:alert(1)>',
+    ])('does not link the URL of %s', (markdown) => {
+      const html = renderMarkdown(markdown);
+
+      expect(html).not.toMatch(/<(a|img)\b/);
+      expect(html).toMatch(/^<p>[^<]*<\/p>$/);
+    });
+
+    it('breaks out of neither attributes nor tags', () => {
+      expect(renderMarkdown('[x](https://a.test/"onmouseover="alert(1))')).not.toContain('" onmouseover');
+      expect(renderMarkdown('![a" onerror="alert(1)](https://a.test/i.png)')).toBe('<p><img src="https://a.test/i.png" alt="a&quot; onerror=&quot;alert(1)"></p>');
+    });
+  });
+});
+
+describe('sanitizeUrl', () => {
+  it('allows http(s), mailto and relative URLs', () => {
+    expect(sanitizeUrl(' https://example.com ')).toBe('https://example.com');
+    expect(sanitizeUrl('mailto:a@b.test')).toBe('mailto:a@b.test');
+    expect(sanitizeUrl('/path?q=1')).toBe('/path?q=1');
+    expect(sanitizeUrl('#section')).toBe('#section');
+  });
+
+  it('rejects other schemes, including data: images', () => {
+    expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+    expect(sanitizeUrl('java\tscript:alert(1)')).toBeNull();
+    expect(sanitizeUrl('data:image/png;base64,AAAA')).toBeNull();
+    expect(sanitizeUrl('file:///etc/passwd')).toBeNull();
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes markup and quotes', () => {
+    expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
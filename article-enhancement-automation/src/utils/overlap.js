@@ -0,0 +1,143 @@
+/**
+ * Overlap Module
+ *
+ * Measures how much of an enhanced article was copied from its references
+ * using word shingles (n-grams) and the longest verbatim runs of words
+ * Reports use snake_case keys because they are stored in article metadata
+ */
+
+/**
+ * Reduce markdown/HTML content to lowercase word tokens
+ * Link targets, URLs, markup and the References section are ignored
+ * @param {string} text - Content
+ * @returns {Array<string>} Word tokens
+ */
+export function tokenize(text) {
+  return (text || '')
+    .replace(/^#{1,6}\s*References\s*$[\s\S]*/im, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+}
+
+/**
+ * Build the set of word shingles of a token list
+ * @param {Array<string>} tokens - Word tokens
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} Shingles
+ */
+export function buildShingles(tokens, size) {
+  const shingles = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Find runs of words that appear verbatim in both texts
+ * @param {Array<string>} tokens - Tokens of the checked text
+ * @param {Array<string>} sourceTokens - Tokens of the source text
+ * @param {number} minLength - Shortest run to report, in words
+ * @returns {Array<Object>} Runs ({ words, text }), longest first
+ */
+export function findVerbatimRuns(tokens, sourceTokens, minLength) {
+  // Index where each minLength-gram starts in the source
+  const index = new Map();
+  for (let i = 0; i + minLength <= sourceTokens.length; i++) {
+    const key = sourceTokens.slice(i, i + minLength).join(' ');
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(i);
+  }
+
+  const runs = [];
+  let i = 0;
+
+  while (i + minLength <= tokens.length) {
+    const starts = index.get(tokens.slice(i, i + minLength).join(' '));
+    if (!starts) {
+      i++;
+      continue;
+    }
+
+    // Extend the match as far as possible from every place it starts in the source
+    let longest = 0;
+    for (const start of starts) {
+      let length = minLength;
+      while (i + length < tokens.length && start + length < sourceTokens.length && tokens[i + length] === sourceTokens[start + length]) {
+        length++;
+      }
+      longest = Math.max(longest, length);
+    }
+
+    runs.push({ words: longest, text: tokens.slice(i, i + longest).join(' ') });
+    i += longest;
+  }
+
+  return runs.sort((a, b) => b.words - a.words);
+}
+
+/**
+ * Compare a text with one source
+ * @param {Array<string>} tokens - Tokens of the checked text
+ * @param {Set<string>} shingles - Shingles of the checked text
+ * @param {string} sourceText - Source text
+ * @param {Object} options - Comparison options
+ * @param {number} options.shingleSize - Words per shingle
+ * @param {number} options.maxRuns - Maximum verbatim runs to report
+ * @returns {Object} Result ({ similarity, jaccard, longest_run_words, runs })
+ */
+function compareWithSource(tokens, shingles, sourceText, { shingleSize, maxRuns }) {
+  const sourceTokens = tokenize(sourceText);
+  const sourceShingles = buildShingles(sourceTokens, shingleSize);
+
+  let shared = 0;
+  for (const shingle of shingles) {
+    if (sourceShingles.has(shingle)) shared++;
+  }
+
+  const union = shingles.size + sourceShingles.size - shared;
+  const runs = findVerbatimRuns(tokens, sourceTokens, shingleSize * 2);
+  const toPercent = (value) => Math.round(value * 1000) / 10;
+
+  return {
+    // Share of the checked text's shingles that also appear in the source
+    similarity: shingles.size > 0 ? toPercent(shared / shingles.size) : 0,
+    jaccard: union > 0 ? toPercent(shared / union) : 0,
+    longest_run_words: runs[0]?.words || 0,
+    runs: runs.slice(0, maxRuns),
+  };
+}
+
+/**
+ * Analyze how much of an enhanced article overlaps with each reference
+ * @param {string} content - Enhanced article content
+ * @param {Array<Object>} references - Scraped references ({ url, title, content })
+ * @param {Object} options - Analysis options
+ * @param {number} options.shingleSize - Words per shingle (default 5)
+ * @param {number} options.maxRuns - Verbatim runs to keep per reference (default 3)
+ * @returns {Object} Report ({ checked_at, shingle_size, max_similarity, longest_run_words, references })
+ */
+export function analyzeOverlap(content, references = [], { shingleSize = 5, maxRuns = 3 } = {}) {
+  const tokens = tokenize(content);
+  const shingles = buildShingles(tokens, shingleSize);
+
+  const results = references
+    .filter(ref => ref?.content)
+    .map(ref => ({
+      url: ref.url,
+      title: ref.title,
+      ...compareWithSource(tokens, shingles, ref.content, { shingleSize, maxRuns }),
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  return {
+    checked_at: new Date().toISOString(),
+    shingle_size: shingleSize,
+    max_similarity: results[0]?.similarity || 0,
+    longest_run_words: Math.max(0, ...results.map(result => result.longest_run_words)),
+    references: results,
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Page Metadata Module
+ *
+ * Extracts structured metadata (author, dates, canonical URL, language, site name,
+ * description, lead image) from JSON-LD, OpenGraph/Twitter meta tags and <time> elements
+ * For each field the most specific source that has it wins
+ */
+
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report', 'AnalysisNewsArticle', 'ReportageNewsArticle'];
+
+/**
+ * Return the first value that is a non-empty string
+ * @param {...*} values - Candidate values
+ * @returns {string|null} First non-empty trimmed string or null
+ */
+function firstString(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize a date string to ISO 8601
+ * @param {string} value - Date string
+ * @returns {string|null} ISO date or null if unparseable
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Resolve a URL against the page URL
+ * @param {string} value - URL or path
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} Absolute http(s) URL or null
+ */
+function toAbsoluteUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a name from a JSON-LD person/organization value (string, object or list)
+ * @param {*} value - JSON-LD value
+ * @returns {string|null} Comma-separated names or null
+ */
+function getJsonLdName(value) {
+  const names = (Array.isArray(value) ? value : [value])
+    .map(item => (typeof item === 'string' ? item : item?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+
+  return names.length > 0 ? [...new Set(names)].join(', ') : null;
+}
+
+/**
+ * Get a URL from a JSON-LD image/page value (string, ImageObject or list)
+ * @param {*} value - JSON-LD value
+ * @returns {string|null} URL or null
+ */
+function getJsonLdUrl(value) {
+  const item = Array.isArray(value) ? value[0] : value;
+  return firstString(typeof item === 'string' ? item : null, item?.url, item?.['@id']);
+}
+
+/**
+ * Find the JSON-LD Article node of a page
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object|null} Article node (or WebPage node as a fallback) or null
+ */
+export function findJsonLdArticle($) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text().trim());
+    } catch {
+      // Broken JSON-LD on third-party pages is common; other sources still apply
+      return;
+    }
+
+    const queue = Array.isArray(data) ? [...data] : [data];
+
+    // Flatten arrays and @graph containers
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+      if (Array.isArray(node)) {
+        queue.push(...node);
+        continue;
+      }
+      if (Array.isArray(node['@graph'])) {
+        queue.push(...node['@graph']);
+      }
+      nodes.push(node);
+    }
+  });
+
+  const hasType = (node, types) => [].concat(node['@type'] || []).some(type => types.includes(type));
+
+  return nodes.find(node => hasType(node, ARTICLE_TYPES))
+    || nodes.find(node => hasType(node, ['WebPage']))
+    || null;
+}
+
+/**
+ * Extract structured metadata from a page
+ * Must run before script/header/footer elements are removed from the document
+ * @param {Object} $ - Cheerio instance
+ * @param {string} url - Page URL
+ * @returns {Object} Metadata ({ author, publishedAt, modifiedAt, canonicalUrl, language, siteName, description, image }); missing fields are null
+ */
+export function extractPageMetadata($, url) {
+  const jsonLd = findJsonLdArticle($) || {};
+  const meta = (...names) => firstString(...names.map(name =>
+    $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content')
+  ));
+
+  // <time> elements: prefer ones marked up as publish/modify dates, inside the article when possible
+  const $times = $('article time[datetime]').length ? $('article time[datetime]') : $('time[datetime]');
+  const publishedTime = firstString(
+    $('time[itemprop="datePublished"]').attr('datetime'),
+    $('time[pubdate]').attr('datetime'),
+    $times.first().attr('datetime')
+  );
+  const modifiedTime = $('time[itemprop="dateModified"]').attr('datetime');
+
+  // article:author is often a profile URL rather than a name, so URLs are skipped
+  const metaAuthor = firstString(...['author', 'article:author', 'parsely-author', 'twitter:creator']
+    .map(name => meta(name))
+    .filter(value => value && !/^https?:\/\//.test(value)));
+  const author = firstString(
+    getJsonLdName(jsonLd.author),
+    metaAuthor,
+    $('[rel="author"]').first().text(),
+    $('[itemprop="author"] [itemprop="name"], [itemprop="author"]').first().text()
+  );
+
+  return {
+    author: author ? author.replace(/^by\s+/i, '').replace(/\s+/g, ' ') : null,
+    publishedAt: toIsoDate(firstString(
+      jsonLd.datePublished,
+      meta('article:published_time', 'og:published_time', 'date', 'pubdate', 'publish-date', 'dc.date'),
+      publishedTime
+    )),
+    modifiedAt: toIsoDate(firstString(
+      jsonLd.dateModified,
+      meta('article:modified_time', 'og:updated_time', 'last-modified'),
+      modifiedTime
+    )),
+    canonicalUrl: toAbsoluteUrl(firstString(
+      $('link[rel="canonical"]').attr('href'),
+      meta('og:url'),
+      getJsonLdUrl(jsonLd.mainEntityOfPage),
+      jsonLd.url
+    ), url),
+    language: firstString(
+      typeof jsonLd.inLanguage === 'string' ? jsonLd.inLanguage : jsonLd.inLanguage?.name,
+      $('html').attr('lang'),
+      $('meta[http-equiv="content-language"]').attr('content'),
+      meta('og:locale')?.replace('_', '-')
+    ),
+    siteName: firstString(
+      meta('og:site_name', 'application-name'),
+      getJsonLdName(jsonLd.publisher)
+    ),
+    description: firstString(
+      jsonLd.description,
+      meta('og:description', 'twitter:description', 'description')
+    ),
+    image: toAbsoluteUrl(firstString(
+      getJsonLdUrl(jsonLd.image),
+      meta('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src')
+    ), url),
+  };
+}
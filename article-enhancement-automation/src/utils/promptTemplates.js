@@ -0,0 +1,274 @@
+/**
+ * Prompt Templates Module
+ *
+ * Loads the enhancement prompt templates from PROMPT_TEMPLATE_DIR. Each template is a
+ * markdown file whose front-matter declares its name (the enhancement type), version,
+ * model parameters, multi-pass and SEO package settings and the variables it uses; the
+ * body refers to them as {{variable}}
+ * A template that uses {{locale}} is localized: it runs once per target locale
+ * Templates are validated when loaded: every placeholder must be declared and every
+ * declared variable must be used, so a typo fails at startup instead of reaching the LLM
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+
+const FRONT_MATTER_REGEX = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]*)\s*\}\}/g;
+const NAME_REGEX = /^[a-z][a-z0-9_-]*$/;
+const MAX_PASSES = 5;
+const LOCALE_VARIABLE = 'locale';
+
+/**
+ * Parse a front-matter value (string, number, boolean or inline [list])
+ * @param {string} raw - Raw value
+ * @returns {any} Parsed value
+ */
+function parseValue(raw) {
+  const value = raw.trim();
+
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(item => parseValue(item)).filter(item => item !== '');
+  }
+  if (/^(["']).*\1$/.test(value)) {
+    return value.slice(1, -1);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Split a template file into front-matter attributes and body
+ * Front-matter supports "key: value" lines, inline lists ([a, b]) and block lists ("- item" lines)
+ * @param {string} text - File content
+ * @param {string} file - File name (for errors)
+ * @returns {Object} { attributes, body }
+ */
+export function parseFrontMatter(text, file = 'template') {
+  const match = text.match(FRONT_MATTER_REGEX);
+  if (!match) {
+    throw new ValidationError(`Prompt template ${file} must start with a --- front-matter block`, 'promptTemplate', file);
+  }
+
+  const attributes = {};
+  let listKey = null;
+
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s*-\s*(.*)$/);
+    if (item && listKey) {
+      attributes[listKey].push(parseValue(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) {
+      throw new ValidationError(`Invalid front-matter in prompt template ${file} (line ${index + 2}): ${line.trim()}`, 'promptTemplate', file);
+    }
+
+    const key = pair[1].replace(/-/g, '_');
+    if (pair[2].trim() === '') {
+      // A key without a value starts a block list
+      attributes[key] = [];
+      listKey = key;
+    } else {
+      attributes[key] = parseValue(pair[2]);
+      listKey = null;
+    }
+  });
+
+  return { attributes, body: text.substring(match[0].length).trim() };
+}
+
+/**
+ * Turn a parsed template file into a validated template
+ * @param {Object} parsed - Result of parseFrontMatter
+ * @param {string} file - File name (for errors)
+ * @returns {Object} Template ({ name, version, description, temperature, maxTokens, passes, rubric, seoPackage, localized, variables, body, file })
+ */
+export function createPromptTemplate({ attributes, body }, file = 'template') {
+  const fail = message => {
+    throw new ValidationError(`Prompt template ${file}: ${message}`, 'promptTemplate', file);
+  };
+
+  const {
+    name,
+    version,
+    description = '',
+    temperature,
+    max_tokens: maxTokens,
+    passes = 0,
+    rubric = null,
+    seo_package: seoPackage = false,
+    variables = [],
+  } = attributes;
+
+  if (typeof name !== 'string' || !NAME_REGEX.test(name)) {
+    fail('name is required (lowercase letters, digits, "-" and "_")');
+  }
+  if (version === undefined || version === '') {
+    fail('version is required');
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    fail(`temperature must be a number between 0 and 2, got: ${temperature}`);
+  }
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+    fail(`max_tokens must be a positive integer, got: ${maxTokens}`);
+  }
+  if (!Number.isInteger(passes) || passes < 0 || passes > MAX_PASSES) {
+    fail(`passes must be an integer from 0 to ${MAX_PASSES}, got: ${passes}`);
+  }
+  if (rubric !== null && (!Array.isArray(rubric) || rubric.length === 0 || rubric.some(criterion => typeof criterion !== 'string' || !criterion))) {
+    fail('rubric must be a list of criteria');
+  }
+  if (typeof seoPackage !== 'boolean') {
+    fail(`seo_package must be true or false, got: ${seoPackage}`);
+  }
+  if (!Array.isArray(variables) || variables.some(variable => typeof variable !== 'string' || !variable)) {
+    fail('variables must be a list of variable names');
+  }
+  if (!body) {
+    fail('template body is empty');
+  }
+
+  const placeholders = new Set([...body.matchAll(PLACEHOLDER_REGEX)].map(placeholder => placeholder[1]));
+  const undeclared = [...placeholders].filter(placeholder => !variables.includes(placeholder));
+  const unused = variables.filter(variable => !placeholders.has(variable));
+
+  if (undeclared.length > 0) {
+    fail(`placeholder(s) not declared in variables: ${undeclared.map(placeholder => `{{${placeholder}}}`).join(', ')}`);
+  }
+  if (unused.length > 0) {
+    fail(`declared variable(s) not used in the template: ${unused.join(', ')}`);
+  }
+
+  return {
+    name,
+    version: String(version),
+    description,
+    temperature: temperature ?? null,
+    maxTokens: maxTokens ?? null,
+    passes,
+    rubric,
+    seoPackage,
+    localized: variables.includes(LOCALE_VARIABLE),
+    variables,
+    body,
+    file,
+  };
+}
+
+/**
+ * Fill in a template's placeholders
+ * @param {Object} template - Template
+ * @param {Object} values - Variable values
+ * @returns {string} Prompt
+ */
+export function renderPromptTemplate(template, values) {
+  const missing = template.variables.filter(variable => values[variable] === undefined || values[variable] === null);
+  if (missing.length > 0) {
+    throw new ValidationError(`Prompt template "${template.name}" needs variable(s): ${missing.join(', ')}`, 'promptTemplate', template.name);
+  }
+
+  // Replacer function keeps "$" sequences in the values literal
+  return template.body.replace(PLACEHOLDER_REGEX, (_placeholder, variable) => String(values[variable]));
+}
+
+export class PromptTemplateStore {
+  /**
+   * @param {string} directory - Directory with *.md template files
+   */
+  constructor(directory = config.promptTemplateDir) {
+    this.logger = logger.child('PromptTemplates');
+    this.directory = directory;
+    this.templates = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load and validate every template in the directory (once)
+   * @returns {Promise<Map<string, Object>>} Templates by name
+   */
+  async load() {
+    if (this.templates) return this.templates;
+    if (!this.loading) {
+      this.loading = this.readTemplates().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the template files
+   * @returns {Promise<Map<string, Object>>} Templates by name
+   */
+  async readTemplates() {
+    let files;
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.md')).sort();
+    } catch (error) {
+      throw new ValidationError(`Could not read prompt templates from ${this.directory}: ${error.message}`, 'promptTemplateDir', this.directory);
+    }
+
+    const templates = new Map();
+    for (const file of files) {
+      const text = await fs.readFile(path.join(this.directory, file), 'utf-8');
+      const template = createPromptTemplate(parseFrontMatter(text, file), file);
+
+      if (templates.has(template.name)) {
+        throw new ValidationError(`Prompt template "${template.name}" is defined in both ${templates.get(template.name).file} and ${file}`, 'promptTemplate', template.name);
+      }
+      templates.set(template.name, template);
+    }
+
+    if (templates.size === 0) {
+      throw new ValidationError(`No prompt templates (*.md) found in ${this.directory}`, 'promptTemplateDir', this.directory);
+    }
+
+    this.logger.debug(`📄 Loaded ${templates.size} prompt template(s) from ${this.directory}: ${[...templates.keys()].join(', ')}`);
+    this.templates = templates;
+    return templates;
+  }
+
+  /**
+   * Get a loaded template
+   * @param {string} name - Template name (enhancement type)
+   * @returns {Object} Template
+   * @throws {ValidationError} If no template has this name
+   */
+  get(name) {
+    const template = this.templates?.get(name);
+    if (!template) {
+      throw new ValidationError(`Unknown enhancement type "${name}". Available types: ${this.names().join(', ')}`, 'enhancementType', name);
+    }
+    return template;
+  }
+
+  /**
+   * Names of the loaded templates
+   * @returns {Array<string>} Enhancement types
+   */
+  names() {
+    return [...(this.templates?.keys() || [])];
+  }
+
+  /**
+   * Names of the loaded localized templates (those that need target locales)
+   * @returns {Array<string>} Enhancement types
+   */
+  localizedNames() {
+    return [...(this.templates?.values() || [])].filter(template => template.localized).map(template => template.name);
+  }
+}
+
+export const promptTemplates = new PromptTemplateStore();
@@ -0,0 +1,370 @@
+/**
+ * Readability Module
+ *
+ * Finds the main content of a page by scoring candidate containers on text density,
+ * link density and paragraph counts, then converts it to structured markdown
+ * that keeps headings, lists, blockquotes, code blocks, tables and links
+ */
+
+const POSITIVE_HINTS = /article|body|content|entry|main|page|post|text|blog|story|prose/i;
+const NEGATIVE_HINTS = /comment|meta|footer|footnote|sidebar|sponsor|share|social|related|promo|nav|menu|widget|banner|(^|[\s_-])ads?([\s_-]|$)|hidden|byline|author-bio|subscribe|newsletter|pagination/i;
+const CANDIDATE_TAGS = new Set(['div', 'article', 'section', 'main', 'td', 'blockquote', 'body']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul',
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'form', 'button', 'input', 'select', 'textarea', 'img', 'picture', 'video', 'audio']);
+
+/**
+ * Collapse whitespace in inline text
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Score an element's class and id for content hints
+ * @param {Object} $el - Cheerio element
+ * @returns {number} Positive for content-like names, negative for boilerplate-like names
+ */
+function getClassWeight($el) {
+  let weight = 0;
+
+  for (const name of [$el.attr('class'), $el.attr('id')]) {
+    if (!name) continue;
+    if (NEGATIVE_HINTS.test(name)) weight -= 25;
+    if (POSITIVE_HINTS.test(name)) weight += 25;
+  }
+
+  return weight;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $el - Cheerio element
+ * @returns {number} Link density between 0 and 1
+ */
+export function getLinkDensity($, $el) {
+  const textLength = normalizeText($el.text()).trim().length;
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  $el.find('a').each((i, link) => {
+    linkLength += normalizeText($(link).text()).trim().length;
+  });
+
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Find the element most likely to hold the main content
+ *
+ * Each paragraph adds points to its parent (and half to its grandparent) for its length
+ * and commas; a container's total is weighted by class/id hints and reduced by its link density
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object} Cheerio element of the best candidate (body if nothing scores)
+ */
+export function findMainContent($) {
+  const scores = new Map();
+
+  const addScore = (element, points) => {
+    if (!element || !CANDIDATE_TAGS.has(element.tagName)) return;
+    if (!scores.has(element)) {
+      scores.set(element, { score: getClassWeight($(element)), paragraphs: 0 });
+    }
+    const entry = scores.get(element);
+    entry.score += points;
+    entry.paragraphs++;
+  };
+
+  $('p, pre, td, blockquote').each((i, element) => {
+    const text = normalizeText($(element).text()).trim();
+    if (text.length < 25) return;
+
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(element.parent, points);
+    addScore(element.parent?.parent, points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const [element, entry] of scores) {
+    const score = entry.score * (1 - getLinkDensity($, $(element)));
+    if (score > bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  }
+
+  if (!best) {
+    return $('body').length ? $('body') : $.root();
+  }
+
+  // Prefer an ancestor that holds several comparably scored candidates (content split across wrappers)
+  let $best = $(best);
+  const $parent = $best.parent();
+  if ($parent.length && scores.has($parent[0])) {
+    const siblingScores = $parent.children().toArray().filter(child => (scores.get(child)?.score || 0) >= bestScore * 0.5);
+    if (siblingScores.length > 1) {
+      $best = $parent;
+    }
+  }
+
+  return $best;
+}
+
+/**
+ * Remove boilerplate blocks left inside the main content (link lists, share bars, empty wrappers)
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $root - Main content element
+ */
+export function cleanConditionally($, $root) {
+  $root.find('div, section, aside, ul, ol, table, form').each((i, element) => {
+    const $el = $(element);
+    const text = normalizeText($el.text()).trim();
+    const hasStructure = $el.find('p, pre, h1, h2, h3, h4, h5, h6, blockquote').length > 0;
+
+    if (text.length === 0 && $el.find('pre, table').length === 0) {
+      $el.remove();
+    } else if (getClassWeight($el) < 0 && !hasStructure) {
+      $el.remove();
+    } else if (getLinkDensity($, $el) > 0.5 && text.length < 500 && !hasStructure) {
+      $el.remove();
+    }
+  });
+}
+
+/**
+ * Resolve a link against the page URL
+ * @param {string} href - Link target
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} Absolute http(s) URL or null
+ */
+function resolveUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert an element's inline content to markdown
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {string} baseUrl - Page URL for resolving links
+ * @returns {string} Inline markdown
+ */
+function inlineToMarkdown($, node, baseUrl) {
+  if (node.type === 'text') {
+    return normalizeText(node.data);
+  }
+  if (node.type !== 'tag' || SKIP_TAGS.has(node.tagName)) {
+    return '';
+  }
+
+  const children = () => (node.children || []).map(child => inlineToMarkdown($, child, baseUrl)).join('');
+
+  switch (node.tagName) {
+  case 'br':
+    return '\n';
+  case 'code':
+  case 'kbd':
+  case 'samp': {
+    const code = $(node).text().replace(/\s+/g, ' ');
+    return code.trim() ? `\`${code}\`` : '';
+  }
+  case 'strong':
+  case 'b': {
+    const text = children().trim();
+    return text ? `**${text}**` : '';
+  }
+  case 'em':
+  case 'i': {
+    const text = children().trim();
+    return text ? `*${text}*` : '';
+  }
+  case 'a': {
+    const text = children().trim();
+    const href = resolveUrl($(node).attr('href') || '', baseUrl);
+    return text && href ? `[${text}](${href})` : text;
+  }
+  default:
+    return children();
+  }
+}
+
+/**
+ * Tidy inline markdown: trim each line and collapse repeated spaces
+ * @param {string} text - Inline markdown
+ * @returns {string} Tidy text
+ */
+function tidyInline(text) {
+  return text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim()).join('\n').trim();
+}
+
+/**
+ * Convert a list to markdown, indenting nested lists
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} list - ul/ol node
+ * @param {string} baseUrl - Page URL
+ * @param {number} depth - Nesting depth
+ * @returns {string} Markdown list
+ */
+function listToMarkdown($, list, baseUrl, depth = 0) {
+  const ordered = list.tagName === 'ol';
+  // Four spaces nest under both "- " and "10. " items
+  const indent = '    '.repeat(depth);
+  const lines = [];
+  let number = Number($(list).attr('start')) || 1;
+
+  for (const item of $(list).children('li').toArray()) {
+    const inlineNodes = [];
+    const nested = [];
+
+    for (const child of item.children || []) {
+      if (child.type === 'tag' && (child.tagName === 'ul' || child.tagName === 'ol')) {
+        nested.push(listToMarkdown($, child, baseUrl, depth + 1));
+      } else if (child.type === 'tag' && BLOCK_TAGS.has(child.tagName) && child.tagName !== 'p') {
+        inlineNodes.push({ type: 'text', data: ' ' }, child, { type: 'text', data: ' ' });
+      } else {
+        inlineNodes.push(child);
+      }
+    }
+
+    const text = tidyInline(inlineNodes.map(node => inlineToMarkdown($, node, baseUrl)).join('')).replace(/\n+/g, ' ');
+    if (text) {
+      lines.push(`${indent}${ordered ? `${number}.` : '-'} ${text}`);
+      number++;
+    }
+    lines.push(...nested.filter(Boolean));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a table to markdown (header row from th cells or the first row)
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} table - table node
+ * @param {string} baseUrl - Page URL
+ * @returns {string} Markdown table
+ */
+function tableToMarkdown($, table, baseUrl) {
+  const rows = $(table).find('tr').toArray().map(row =>
+    $(row).children('th, td').toArray().map(cell =>
+      tidyInline(inlineToMarkdown($, cell, baseUrl)).replace(/\n+/g, ' ').replace(/\|/g, '\\|')
+    )
+  ).filter(cells => cells.some(Boolean));
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const pad = cells => [...cells, ...Array(width - cells.length).fill('')];
+  const formatRow = cells => `| ${pad(cells).join(' | ')} |`;
+
+  return [
+    formatRow(rows[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(formatRow),
+  ].join('\n');
+}
+
+/**
+ * Convert block-level content to markdown blocks
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {string} baseUrl - Page URL
+ * @param {Array<string>} blocks - Output blocks
+ */
+function collectBlocks($, node, baseUrl, blocks) {
+  let inline = [];
+
+  const flushInline = () => {
+    const text = tidyInline(inline.map(child => inlineToMarkdown($, child, baseUrl)).join(''));
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const child of node.children || []) {
+    if (child.type === 'tag' && (SKIP_TAGS.has(child.tagName) || child.tagName === 'nav')) {
+      continue;
+    }
+
+    if (child.type !== 'tag' || !BLOCK_TAGS.has(child.tagName)) {
+      inline.push(child);
+      continue;
+    }
+
+    flushInline();
+    const tag = child.tagName;
+
+    if (/^h[1-6]$/.test(tag)) {
+      const text = tidyInline(inlineToMarkdown($, child, baseUrl)).replace(/\n+/g, ' ');
+      if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    } else if (tag === 'p') {
+      const text = tidyInline(inlineToMarkdown($, child, baseUrl));
+      if (text) blocks.push(text);
+    } else if (tag === 'ul' || tag === 'ol') {
+      const list = listToMarkdown($, child, baseUrl);
+      if (list) blocks.push(list);
+    } else if (tag === 'pre') {
+      const code = $(child).text().replace(/^\n+|\s+$/g, '');
+      const language = (($(child).find('code').attr('class') || $(child).attr('class') || '').match(/(?:language|lang)-([\w+-]+)/) || [])[1] || '';
+      if (code) blocks.push(`\`\`\`${language}\n${code}\n\`\`\``);
+    } else if (tag === 'blockquote') {
+      const inner = [];
+      collectBlocks($, child, baseUrl, inner);
+      if (inner.length > 0) {
+        blocks.push(inner.join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+      }
+    } else if (tag === 'table') {
+      const table = tableToMarkdown($, child, baseUrl);
+      if (table) blocks.push(table);
+    } else if (tag === 'hr') {
+      blocks.push('---');
+    } else {
+      collectBlocks($, child, baseUrl, blocks);
+    }
+  }
+
+  flushInline();
+}
+
+/**
+ * Convert an element to structured markdown
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $root - Element to convert
+ * @param {string} baseUrl - Page URL for resolving links
+ * @returns {string} Markdown
+ */
+export function toMarkdown($, $root, baseUrl) {
+  const blocks = [];
+  for (const element of $root.toArray()) {
+    collectBlocks($, element, baseUrl, blocks);
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Extract the main content of a page as markdown
+ * @param {Object} $ - Cheerio instance (boilerplate selectors already removed)
+ * @param {string} baseUrl - Page URL
+ * @returns {Object} Result ({ markdown, textLength })
+ */
+export function extractReadableContent($, baseUrl) {
+  const $main = findMainContent($);
+  cleanConditionally($, $main);
+
+  const markdown = toMarkdown($, $main, baseUrl);
+  return {
+    markdown,
+    textLength: normalizeText($main.text()).trim().length,
+  };
+}
@@ -24,7 +24,7 @@ function sleep(ms) {
  * @param {number} maxDelay - Maximum delay in milliseconds
  * @returns {number} Delay in milliseconds
  */
-function calculateBackoffDelay(attempt, baseDelay = config.retryDelay, maxDelay = 30000) {
+export function calculateBackoffDelay(attempt, baseDelay = config.retryDelay, maxDelay = 30000) {
   const exponentialDelay = baseDelay * Math.pow(2, attempt);
   const jitteredDelay = exponentialDelay * (0.5 + Math.random() * 0.5); // Add jitter
   return Math.min(jitteredDelay, maxDelay);
@@ -0,0 +1,230 @@
+/**
+ * Review Queue Module
+ *
+ * Local queue of enhanced articles waiting for a human decision, persisted to a JSON file
+ * An item is pending until an editor rejects it or approves it; an approved item is
+ * published by the caller and then marked as published (it stays approved if publishing fails)
+ * Every decision is recorded on the item and in its article's metadata.review
+ * Changes are made under a lock file, so review commands and running workflows can share the queue
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { ValidationError } from './errors.js';
+import { generateRunId } from './checkpoint.js';
+import { withFileLock } from './fileLock.js';
+
+export const REVIEW_STATES = ['pending', 'approved', 'published', 'rejected'];
+
+export class ReviewQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.file - Queue file
+   */
+  constructor({ file = config.reviewQueueFile } = {}) {
+    this.logger = logger.child('ReviewQueue');
+    this.file = file;
+
+    // Changes of this process are applied one at a time (other processes are kept out by the lock file)
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Add an enhanced article to the queue
+   * A run that was already queued (e.g. a resumed run) returns its existing item
+   * @param {Object} enhancedArticle - Enhanced article (with AIEnhancer metadata)
+   * @param {Object} details - Run details
+   * @param {string} details.runId - Workflow run that enhanced the article
+   * @param {Object} details.originalArticle - Original article
+   * @param {Object} details.options - Publishing options applied on approval ({ publishMode, duplicatePolicy })
+   * @param {Array<string>} details.warnings - Fact-check and publishing warnings for the reviewer
+   * @param {Object} details.report - Review report files ({ html, json }), if written
+   * @returns {Promise<Object>} The queued item
+   */
+  async add(enhancedArticle, { runId, originalArticle, options = {}, warnings = [], report = null }) {
+    return this.update(items => {
+      const existing = items.find(item => item.runId === runId);
+      if (existing) return existing;
+
+      const now = new Date().toISOString();
+      const item = {
+        id: `review-${generateRunId()}`,
+        state: 'pending',
+        runId,
+        articleId: originalArticle.id,
+        originalTitle: originalArticle.title,
+        title: enhancedArticle.title,
+        enhancementType: enhancedArticle.metadata?.enhancement_type || null,
+        locale: enhancedArticle.metadata?.locale || null,
+        options: {
+          publishMode: options.publishMode || 'create',
+          duplicatePolicy: options.duplicatePolicy || config.publishDuplicatePolicy,
+        },
+        warnings,
+        report,
+        article: enhancedArticle,
+        decision: null,
+        publication: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      items.push(item);
+      return item;
+    });
+  }
+
+  /**
+   * Get an item
+   * @param {string} id - Review item ID
+   * @returns {Promise<Object>} The item
+   * @throws {ValidationError} If no item has this ID
+   */
+  async get(id) {
+    const item = (await this.list()).find(candidate => candidate.id === id);
+    if (!item) {
+      throw new ValidationError(`Unknown review item: ${id}`, 'reviewId', id);
+    }
+    return item;
+  }
+
+  /**
+   * List items, oldest first
+   * @param {string} state - Only list items in this state
+   * @returns {Promise<Array<Object>>} Items
+   */
+  async list(state = null) {
+    await this.pending;
+    const items = await this.read();
+    return items.filter(item => !state || item.state === state);
+  }
+
+  /**
+   * Approve an item for publishing
+   * An approved item whose publishing failed can be approved again to retry it
+   * @param {string} id - Review item ID
+   * @param {string} reviewer - Name of the reviewer
+   * @returns {Promise<Object>} The approved item
+   * @throws {ValidationError} If the item is unknown, rejected or already published
+   */
+  async approve(id, reviewer) {
+    return this.decide(id, ['pending', 'approved'], item => {
+      item.state = 'approved';
+      return { status: 'approved', reviewer, reason: null };
+    });
+  }
+
+  /**
+   * Reject an item; it is never published
+   * @param {string} id - Review item ID
+   * @param {string} reviewer - Name of the reviewer
+   * @param {string} reason - Why the article was rejected
+   * @returns {Promise<Object>} The rejected item
+   * @throws {ValidationError} If the item is unknown or no longer pending
+   */
+  async reject(id, reviewer, reason) {
+    return this.decide(id, ['pending'], item => {
+      item.state = 'rejected';
+      return { status: 'rejected', reviewer, reason };
+    });
+  }
+
+  /**
+   * Record the publishing of an approved item
+   * @param {string} id - Review item ID
+   * @param {Object} result - Publishing result from ArticlePublisher, or { error } if publishing failed
+   * @returns {Promise<Object>} The item
+   */
+  async recordPublication(id, result) {
+    return this.update(items => {
+      const item = items.find(candidate => candidate.id === id);
+      if (!item) return null;
+
+      const now = new Date().toISOString();
+      if (result.error) {
+        item.publication = { action: null, articleId: null, error: result.error, at: now };
+      } else {
+        item.state = 'published';
+        item.publication = { action: result.action || 'updated', articleId: result.article?.id ?? null, error: null, at: now };
+      }
+      item.updatedAt = now;
+      return item;
+    });
+  }
+
+  /**
+   * Record a reviewer decision
+   * @param {string} id - Review item ID
+   * @param {Array<string>} allowedStates - States the item may be in
+   * @param {Function} apply - Sets the item's new state and returns the decision ({ status, reviewer, reason })
+   * @returns {Promise<Object>} The item
+   */
+  async decide(id, allowedStates, apply) {
+    return this.update(items => {
+      const item = items.find(candidate => candidate.id === id);
+      if (!item) {
+        throw new ValidationError(`Unknown review item: ${id}`, 'reviewId', id);
+      }
+      if (!allowedStates.includes(item.state)) {
+        throw new ValidationError(`Review item ${id} is ${item.state}`, 'reviewState', item.state);
+      }
+
+      const now = new Date().toISOString();
+      const decision = { ...apply(item), decided_at: now, review_id: item.id };
+      item.decision = decision;
+      item.article.metadata = { ...item.article.metadata, review: decision };
+      item.updatedAt = now;
+      return item;
+    });
+  }
+
+  /**
+   * Apply a change to the queue file
+   * @param {Function} change - Called with the items array (mutated in place); its return value is passed through
+   * @returns {Promise<any>} Result of the change
+   */
+  async update(change) {
+    const result = this.pending.then(() => withFileLock(this.file, async () => {
+      const items = await this.read();
+      const value = change(items);
+      await this.write(items);
+      return value;
+    }));
+
+    // A failed change must not block the ones after it
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read items from the queue file
+   * @returns {Promise<Array<Object>>} Items
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf-8')).items || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not read review queue from ${this.file}:`, error.message);
+        throw error;
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write items to the queue file (atomically via temp file + rename)
+   * @param {Array<Object>} items - Items
+   * @returns {Promise<void>}
+   */
+  async write(items) {
+    const tempPath = `${this.file}.tmp`;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify({ items, updatedAt: new Date().toISOString() }, null, 2));
+    await fs.rename(tempPath, this.file);
+  }
+}
+
+export const reviewQueue = new ReviewQueue();
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ReviewQueue } from './reviewQueue.js';
+import { ValidationError } from './errors.js';
+
+describe('ReviewQueue', () => {
+  let dir;
+  let queue;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'review-queue-'));
+    queue = new ReviewQueue({ file: path.join(dir, 'review.json') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const originalArticle = { id: 3, title: 'Original' };
+  const enhancedArticle = (title = 'Enhanced') => ({
+    title,
+    content: '# Enhanced\n\nBody',
+    metadata: { enhancement_type: 'translate', locale: 'de' },
+  });
+
+  /**
+   * Queue an enhanced article for a run
+   * @param {string} runId - Workflow run ID
+   * @returns {Promise<Object>} The queued item
+   */
+  const addItem = (runId = 'run-1') => queue.add(enhancedArticle(), {
+    runId,
+    originalArticle,
+    options: { publishMode: 'update', duplicatePolicy: 'skip' },
+    warnings: ['Number 42 is missing'],
+  });
+
+  describe('add', () => {
+    it('queues a pending item with the run details', async () => {
+      const item = await addItem();
+
+      expect(item).toMatchObject({
+        state: 'pending',
+        runId: 'run-1',
+        articleId: 3,
+        originalTitle: 'Original',
+        title: 'Enhanced',
+        enhancementType: 'translate',
+        locale: 'de',
+        options: { publishMode: 'update', duplicatePolicy: 'skip' },
+        warnings: ['Number 42 is missing'],
+        decision: null,
+        publication: null,
+      });
+      expect(item.id).toMatch(/^review-/);
+    });
+
+    it('returns the existing item for a run that was already queued', async () => {
+      const first = await addItem();
+      const second = await addItem();
+
+      expect(second.id).toBe(first.id);
+      expect(await queue.list()).toHaveLength(1);
+    });
+  });
+
+  describe('decisions', () => {
+    it('approves a pending item and records the decision in the article metadata', async () => {
+      const { id } = await addItem();
+
+      const item = await queue.approve(id, 'alice');
+
+      expect(item.state).toBe('approved');
+      expect(item.decision).toMatchObject({ status: 'approved', reviewer: 'alice', reason: null, review_id: id });
+      expect(item.article.metadata.review).toEqual(item.decision);
+      expect(item.article.metadata.enhancement_type).toBe('translate');
+      expect((await queue.get(id)).state).toBe('approved');
+    });
+
+    it('rejects a pending item with a reason', async () => {
+      const { id } = await addItem();
+
+      const item = await queue.reject(id, 'bob', 'Too generic');
+
+      expect(item.state).toBe('rejected');
+      expect(item.decision).toMatchObject({ status: 'rejected', reviewer: 'bob', reason: 'Too generic' });
+    });
+
+    it('never approves or rejects a rejected item', async () => {
+      const { id } = await addItem();
+      await queue.reject(id, 'bob', 'Too generic');
+
+      await expect(queue.approve(id, 'alice')).rejects.toThrow('is rejected');
+      await expect(queue.reject(id, 'alice', 'Again')).rejects.toThrow(ValidationError);
+    });
+
+    it('does not reject an approved item', async () => {
+      const { id } = await addItem();
+      await queue.approve(id, 'alice');
+
+      await expect(queue.reject(id, 'bob', 'Changed my mind')).rejects.toThrow('is approved');
+    });
+
+    it('throws for unknown items', async () => {
+      await expect(queue.get('review-missing')).rejects.toThrow('Unknown review item');
+      await expect(queue.approve('review-missing', 'alice')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('recordPublication', () => {
+    it('marks an approved item as published', async () => {
+      const { id } = await addItem();
+      await queue.approve(id, 'alice');
+
+      const item = await queue.recordPublication(id, { action: 'created', article: { id: 99 } });
+
+      expect(item.state).toBe('published');
+      expect(item.publication).toMatchObject({ action: 'created', articleId: 99, error: null });
+      await expect(queue.approve(id, 'alice')).rejects.toThrow('is published');
+    });
+
+    it('keeps an item approved when publishing failed so it can be approved again', async () => {
+      const { id } = await addItem();
+      await queue.approve(id, 'alice');
+
+      const failed = await queue.recordPublication(id, { error: 'API down' });
+      const retried = await queue.approve(id, 'carol');
+
+      expect(failed.state).toBe('approved');
+      expect(failed.publication).toMatchObject({ action: null, articleId: null, error: 'API down' });
+      expect(retried.decision.reviewer).toBe('carol');
+    });
+  });
+
+  describe('list', () => {
+    it('filters items by state, oldest first', async () => {
+      const first = await addItem('run-1');
+      const second = await addItem('run-2');
+      await queue.reject(first.id, 'bob', 'Too generic');
+
+      expect((await queue.list()).map(item => item.id)).toEqual([first.id, second.id]);
+      expect((await queue.list('pending')).map(item => item.id)).toEqual([second.id]);
+    });
+  });
+
+  describe('concurrent writers', () => {
+    it('does not lose changes made through separate queue instances', async () => {
+      const other = new ReviewQueue({ file: queue.file });
+      const runIds = Array.from({ length: 20 }, (_, index) => `run-${index}`);
+
+      await Promise.all(runIds.map((runId, index) => (index % 2 ? queue : other).add(enhancedArticle(), { runId, originalArticle })));
+
+      expect((await queue.list()).map(item => item.runId).sort()).toEqual([...runIds].sort());
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Review Report Module
+ *
+ * Builds the review report of a dry run (--skip-publishing): the original and enhanced
+ * article, a word-level diff of their text, the references used, the prompt template,
+ * the SEO package, enhancement stats and every warning that would matter when publishing
+ * Reports are written as JSON and as a self-contained HTML page (inline CSS, no scripts)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/config.js';
+import { escapeHtml, sanitizeUrl, renderMarkdown } from './markdown.js';
+import { diffWords } from './wordDiff.js';
+import { validateEnhancedArticle } from './validation.js';
+
+const BLOCK_TAG_REGEX = /<\/?(?:p|div|h[1-6]|li|ul|ol|blockquote|pre|table|tr|section|article|header|footer)\b[^>]*>|<br\s*\/?>/gi;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Reduce article content (HTML or markdown) to plain text for diffing
+ * Block elements and paragraphs stay on separate lines; markup is dropped
+ * @param {string} content - Content
+ * @returns {string} Plain text
+ */
+export function toReviewText(content) {
+  return (content || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(BLOCK_TAG_REGEX, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : Number(name.substring(1));
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]{0,3}(?:#{1,6}[ \t]+|>[ \t]?|[-*+][ \t]+|\d{1,9}[.)][ \t]+)/gm, '')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build the review report of a dry run
+ * @param {Object} details - Run details
+ * @param {string} details.runId - Workflow run ID
+ * @param {Object} details.originalArticle - Original article
+ * @param {Object} details.enhancedArticle - Enhanced article (with AIEnhancer metadata)
+ * @param {Object} details.stats - Enhancement stats from AIEnhancer.getEnhancementStats
+ * @param {Array<string>} details.publishingErrors - Reasons publishing would refuse the article
+ * @returns {Object} Report
+ */
+export function buildReviewReport({ runId, originalArticle, enhancedArticle, stats, publishingErrors = [] }) {
+  const metadata = enhancedArticle.metadata || {};
+  const enhancementStats = metadata.enhancement_stats || {};
+  const similarity = new Map((metadata.overlap?.references || []).map(ref => [ref.url, ref.similarity]));
+
+  const warnings = [
+    ...(metadata.fact_check?.warnings || []).map(message => ({ source: 'fact-check', message })),
+    ...validateEnhancedArticle(enhancedArticle).errors.map(message => ({ source: 'validation', message })),
+    ...publishingErrors.map(message => ({ source: 'publishing', message })),
+  ];
+
+  const diff = diffWords(toReviewText(originalArticle.content), toReviewText(enhancedArticle.content));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    runId,
+    original: {
+      id: originalArticle.id,
+      title: originalArticle.title,
+      content: originalArticle.content,
+    },
+    enhanced: {
+      title: enhancedArticle.title,
+      content: enhancedArticle.content,
+    },
+    promptTemplate: {
+      name: metadata.prompt_template || null,
+      version: metadata.prompt_template_version || null,
+    },
+    seo: metadata.seo || null,
+    references: (metadata.references || []).map(ref => ({
+      title: ref.title,
+      url: ref.url,
+      domain: ref.domain,
+      author: ref.author,
+      publishedAt: ref.published_at,
+      similarity: similarity.get(ref.url) ?? null,
+    })),
+    stats: {
+      ...stats,
+      llmProvider: metadata.llm_provider || null,
+      llmCalls: enhancementStats.llm_calls?.length || 0,
+      totalTokens: enhancementStats.total_tokens || 0,
+      estimatedCostUsd: enhancementStats.estimated_cost_usd ?? null,
+      factsChecked: metadata.fact_check?.facts_checked ?? null,
+      maxReferenceSimilarity: metadata.overlap?.max_similarity ?? null,
+    },
+    warnings,
+    diff: {
+      inserted: diff.inserted,
+      deleted: diff.deleted,
+      unchanged: diff.unchanged,
+      ops: diff.ops,
+    },
+  };
+}
+
+/**
+ * Render a review report as a self-contained HTML page
+ * @param {Object} report - Report from buildReviewReport
+ * @returns {string} HTML document
+ */
+export function renderReviewReport(report) {
+  const stats = Object.entries(report.stats)
+    .map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value ?? '–')}</td></tr>`)
+    .join('\n');
+
+  const warnings = report.warnings.length > 0
+    ? `<ul class="warnings">\n${report.warnings.map(warning => `<li><span class="source">${escapeHtml(warning.source)}</span> ${escapeHtml(warning.message)}</li>`).join('\n')}\n</ul>`
+    : '<p class="ok">No warnings</p>';
+
+  const diff = report.diff.ops.map(op => {
+    const text = escapeHtml(op.text);
+    if (op.type === 'insert') return `<ins>${text}</ins>`;
+    if (op.type === 'delete') return `<del>${text}</del>`;
+    return text;
+  }).join('');
+
+  const references = report.references.length > 0
+    ? `<ol>\n${report.references.map(ref => {
+      const url = sanitizeUrl(ref.url);
+      const title = escapeHtml(ref.title || ref.url);
+      const link = url ? `<a href="${escapeHtml(url)}">${title}</a>` : title;
+      const similarity = ref.similarity !== null ? ` – ${escapeHtml(ref.similarity)}% similar` : '';
+      return `<li>${link} <span class="muted">(${escapeHtml(ref.domain || '')})${similarity}</span></li>`;
+    }).join('\n')}\n</ol>`
+    : '<p class="muted">No references were used</p>';
+
+  const seo = report.seo
+    ? `<h2>SEO</h2>
+<table>
+${[
+    ['Meta description', report.seo.meta_description],
+    ['Slug', report.seo.slug],
+    ['Focus keyword', report.seo.focus_keyword],
+    ['Secondary keywords', report.seo.secondary_keywords.join(', ')],
+    ['OpenGraph title', report.seo.og_title],
+    ['FAQ', report.seo.faq.map(item => item.question).join(' ')],
+  ].map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Review: ${escapeHtml(report.original.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+h1 { font-size: 1.5rem; }
+.muted { color: #666; }
+.ok { color: #1a7f37; }
+.warnings li { color: #9a6700; }
+.source { display: inline-block; min-width: 6rem; font-size: 0.8rem; text-transform: uppercase; color: #666; }
+table { border-collapse: collapse; }
+th, td { text-align: left; padding: 0.2rem 1rem 0.2rem 0; border-bottom: 1px solid #eee; }
+.diff { white-space: pre-wrap; border: 1px solid #ddd; padding: 1rem; background: #fafafa; }
+ins { background: #d1f4d9; text-decoration: none; }
+del { background: #fbd3d0; }
+details { margin: 1rem 0; }
+summary { cursor: pointer; font-weight: 600; }
+.original { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.enhanced.title)}</h1>
+<p class="muted">Dry run ${escapeHtml(report.runId)} of article ${escapeHtml(report.original.id)} “${escapeHtml(report.original.title)}” – prompt template <code>${escapeHtml(report.promptTemplate.name || 'unknown')}</code> v${escapeHtml(report.promptTemplate.version || '?')} – generated ${escapeHtml(report.generatedAt)}</p>
+<h2>Warnings</h2>
+${warnings}
+<h2>Stats</h2>
+<table>
+${stats}
+</table>
+${seo}<h2>Changes</h2>
+<p class="muted">${report.diff.inserted} word(s) inserted, ${report.diff.deleted} deleted, ${report.diff.unchanged} unchanged</p>
+<div class="diff">${diff}</div>
+<details>
+<summary>Enhanced article</summary>
+${renderMarkdown(report.enhanced.content)}
+</details>
+<details>
+<summary>Original article</summary>
+<div class="original">${escapeHtml(report.original.content)}</div>
+</details>
+<details open>
+<summary>References</summary>
+${references}
+</details>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a review report as JSON and HTML
+ * @param {Object} report - Report from buildReviewReport
+ * @param {string} directory - Report directory
+ * @returns {Promise<Object>} Written file paths ({ html, json })
+ */
+export async function writeReviewReport(report, directory = config.reportDir) {
+  const basePath = path.join(directory, `${report.runId}-article-${report.original.id}`);
+  const files = { html: `${basePath}.html`, json: `${basePath}.json` };
+
+  await fs.mkdir(directory, { recursive: true });
+  await writeAtomically(files.json, JSON.stringify(report, null, 2));
+  await writeAtomically(files.html, renderReviewReport(report));
+
+  return files;
+}
+
+/**
+ * Write a file via temp file + rename
+ * @param {string} file - File path
+ * @param {string} data - Content
+ * @returns {Promise<void>}
+ */
+async function writeAtomically(file, data) {
+  const tempPath = `${file}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, file);
+}
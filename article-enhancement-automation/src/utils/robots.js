@@ -0,0 +1,257 @@
+/**
+ * Robots Module
+ *
+ * Fetches, parses and caches robots.txt per origin (RFC 9309 matching rules)
+ * Rules are kept in memory for as long as their HTTP cache entry is fresh, so a long-running
+ * daemon fetches robots.txt again once it expires
+ * Answers whether a URL may be scraped and which Crawl-delay applies to it
+ */
+
+import axios from 'axios';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+import { httpCache } from './httpCache.js';
+
+/**
+ * Parse robots.txt into user agent groups
+ * @param {string} text - robots.txt content
+ * @returns {Array<Object>} Groups ({ agents, rules: [{ allow, path }], crawlDelay })
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Check whether a robots.txt path pattern matches a URL path
+ * Supports the * wildcard and the $ end anchor
+ * @param {string} pattern - Rule path pattern
+ * @param {string} urlPath - URL path including the query string
+ * @returns {boolean} True if the pattern matches
+ */
+function matchesPattern(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Rules from one robots.txt that apply to our user agent
+ */
+export class RobotsRules {
+  /**
+   * @param {Array<Object>} groups - Parsed groups from parseRobotsTxt
+   * @param {string} userAgent - Product token to match (e.g. "ArticleEnhancerBot")
+   * @param {Object} options - Rule options
+   * @param {boolean} options.disallowAll - Treat every URL as disallowed (robots.txt unreachable)
+   * @param {number|null} options.expiresAt - When the rules must be fetched again (ms timestamp)
+   */
+  constructor(groups, userAgent, { disallowAll = false, expiresAt = null } = {}) {
+    const token = userAgent.toLowerCase();
+    const matching = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+    const selected = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+
+    this.disallowAll = disallowAll;
+    this.expiresAt = expiresAt;
+    this.rules = selected.flatMap(group => group.rules);
+    const delays = selected.map(group => group.crawlDelay).filter(delay => delay !== null);
+    this.crawlDelay = delays.length > 0 ? Math.max(...delays) : null;
+  }
+
+  /**
+   * Check whether a URL may be fetched
+   * The longest matching rule wins; Allow wins a tie
+   * @param {string} url - URL to check
+   * @returns {boolean} True if allowed
+   */
+  isAllowed(url) {
+    if (this.disallowAll) return false;
+
+    const { pathname, search } = new URL(url);
+    let urlPath = pathname + search;
+    try {
+      urlPath = decodeURIComponent(pathname) + search;
+    } catch {
+      // Malformed percent-encoding is matched as-is
+    }
+
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (!matchesPattern(rule.path, urlPath)) continue;
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+}
+
+/**
+ * Fetches and caches robots.txt rules per origin
+ */
+export class RobotsChecker {
+  /**
+   * @param {string} userAgent - Product token matched against User-agent lines
+   * @param {HttpCache} cache - Disk cache for robots.txt responses
+   */
+  constructor(userAgent = config.robotsUserAgent, cache = httpCache) {
+    this.logger = logger.child('RobotsChecker');
+    this.userAgent = userAgent;
+    this.cache = cache;
+
+    // Origin -> { rules: Promise<RobotsRules>, expiresAt }, so concurrent scrapes share one fetch
+    // (expiresAt is null while the rules are loading)
+    this.rules = new Map();
+  }
+
+  /**
+   * Get the robots.txt rules for a URL's origin
+   * @param {string} url - Any URL on the site
+   * @returns {Promise<RobotsRules>} Rules for our user agent
+   */
+  async getRules(url) {
+    const { origin } = new URL(url);
+    const entry = this.rules.get(origin);
+
+    if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+      return entry.rules;
+    }
+
+    const loading = { rules: this.loadRules(origin), expiresAt: null };
+    this.rules.set(origin, loading);
+
+    // Unreachable robots.txt is only shared by the scrapes waiting for it; the next one tries again
+    loading.rules.then(rules => {
+      if (rules.disallowAll) {
+        this.forget(origin, loading);
+      } else {
+        loading.expiresAt = rules.expiresAt;
+      }
+    }, () => this.forget(origin, loading));
+
+    return loading.rules;
+  }
+
+  /**
+   * Drop the in-memory rules of an origin, unless they were replaced meanwhile
+   * @param {string} origin - Site origin
+   * @param {Object} entry - Entry to drop
+   */
+  forget(origin, entry) {
+    if (this.rules.get(origin) === entry) {
+      this.rules.delete(origin);
+    }
+  }
+
+  /**
+   * Load rules from the disk cache or fetch robots.txt
+   * @param {string} origin - Site origin (e.g. "https://example.com")
+   * @returns {Promise<RobotsRules>} Rules for our user agent
+   */
+  async loadRules(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const cached = await this.cache.get('robots', robotsUrl);
+
+    if (this.cache.isFresh(cached)) {
+      this.logger.debug(`Using cached robots.txt for ${origin}`);
+      return this.buildRules(cached.data, Date.parse(cached.expiresAt));
+    }
+
+    const result = await this.fetchRobotsTxt(robotsUrl);
+
+    // Unreachable robots.txt is not cached, so the next run tries again
+    if (!result.unreachable) {
+      await this.cache.set('robots', robotsUrl, result);
+    }
+
+    return this.buildRules(result, Date.now() + this.cache.ttl);
+  }
+
+  /**
+   * Fetch robots.txt
+   *
+   * A 4xx response means there are no rules; a 5xx response or network failure
+   * means the site is unreachable and everything is disallowed (RFC 9309)
+   * @param {string} robotsUrl - robots.txt URL
+   * @returns {Promise<Object>} Result ({ status, text, unreachable })
+   */
+  async fetchRobotsTxt(robotsUrl) {
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: config.requestTimeout,
+        headers: { 'User-Agent': this.userAgent },
+        responseType: 'text',
+        maxRedirects: 5,
+        validateStatus: () => true,
+      });
+
+      if (response.status >= 500) {
+        this.logger.warn(`robots.txt unavailable (HTTP ${response.status}) for ${robotsUrl} - treating site as disallowed`);
+        return { status: response.status, text: '', unreachable: true };
+      }
+
+      if (response.status >= 400) {
+        this.logger.debug(`No robots.txt (HTTP ${response.status}) at ${robotsUrl} - all URLs allowed`);
+        return { status: response.status, text: '', unreachable: false };
+      }
+
+      this.logger.debug(`Fetched robots.txt from ${robotsUrl}`);
+      return { status: response.status, text: String(response.data), unreachable: false };
+
+    } catch (error) {
+      this.logger.warn(`Could not fetch ${robotsUrl} - treating site as disallowed:`, error.message);
+      return { status: null, text: '', unreachable: true };
+    }
+  }
+
+  /**
+   * Build rules for our user agent from a fetch result
+   * @param {Object} result - Fetch result ({ text, unreachable })
+   * @param {number} expiresAt - When the rules must be fetched again (ms timestamp)
+   * @returns {RobotsRules} Rules
+   */
+  buildRules(result, expiresAt) {
+    return new RobotsRules(parseRobotsTxt(result.text), this.userAgent, { disallowAll: result.unreachable, expiresAt });
+  }
+}
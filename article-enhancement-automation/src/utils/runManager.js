@@ -0,0 +1,245 @@
+/**
+ * Run Manager Module
+ *
+ * Queues workflow runs requested through the control API and executes them in the
+ * background, at most a configured number at a time
+ * Runs are kept in memory; the oldest finished runs are dropped once the history is full
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+import { config } from '../config/config.js';
+
+// Finished runs kept for GET /runs
+const MAX_FINISHED_RUNS = 100;
+
+export const RUN_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+export class RunManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Function} options.runJob - Async job, called with (run); it reads run.options and run.signal,
+   *   may set run.workflow so progress can be reported, and resolves with the run's results
+   * @param {number} options.maxConcurrent - Maximum number of runs executing at the same time
+   */
+  constructor({ runJob, maxConcurrent = config.controlApiMaxConcurrentRuns }) {
+    this.logger = logger.child('RunManager');
+    this.runJob = runJob;
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+
+    this.runs = new Map();
+    this.queue = [];
+    this.active = new Set();
+    this.stopping = false;
+  }
+
+  /**
+   * Queue a run
+   * @param {Object} options - Workflow options for the run
+   * @returns {Object} The queued run
+   */
+  submit(options) {
+    const controller = new AbortController();
+    const run = {
+      id: randomUUID(),
+      status: 'queued',
+      options,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false,
+      result: null,
+      error: null,
+      workflow: null,
+      controller,
+      signal: controller.signal,
+      promise: null,
+    };
+
+    this.runs.set(run.id, run);
+    this.queue.push(run);
+    this.logger.info(`📥 Run ${run.id} queued (${this.active.size}/${this.maxConcurrent} running, ${this.queue.length} waiting)`);
+
+    this.drain();
+    return run;
+  }
+
+  /**
+   * Start queued runs while there is capacity
+   */
+  drain() {
+    while (!this.stopping && this.active.size < this.maxConcurrent && this.queue.length > 0) {
+      const run = this.queue.shift();
+      this.active.add(run);
+
+      run.promise = this.execute(run).finally(() => {
+        this.active.delete(run);
+        this.prune();
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * Execute a run and record its outcome
+   * @param {Object} run - Run to execute
+   * @returns {Promise<void>}
+   */
+  async execute(run) {
+    run.status = 'running';
+    run.startedAt = new Date();
+    this.logger.info(`▶️ Run ${run.id} started`);
+
+    try {
+      run.result = await this.runJob(run);
+      run.status = 'succeeded';
+    } catch (error) {
+      run.status = run.signal.aborted ? 'cancelled' : 'failed';
+      run.error = {
+        message: error.message,
+        code: error.code || null,
+        step: run.workflow ? run.workflow.getCurrentStep() : null,
+      };
+    }
+
+    run.finishedAt = new Date();
+    const duration = Math.round((run.finishedAt - run.startedAt) / 1000);
+    if (run.status === 'failed') {
+      this.logger.error(`❌ Run ${run.id} failed after ${duration}s:`, run.error.message);
+    } else {
+      this.logger.info(`⏹️ Run ${run.id} ${run.status} in ${duration}s`);
+    }
+  }
+
+  /**
+   * Cancel a run
+   * A queued run is cancelled right away; a running run stops before its next workflow step
+   * @param {string} id - Run ID
+   * @returns {Object|null} The run, or null if it does not exist
+   */
+  cancel(id) {
+    const run = this.runs.get(id);
+    if (!run) return null;
+
+    if (run.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(run), 1);
+      run.status = 'cancelled';
+      run.cancelRequested = true;
+      run.finishedAt = new Date();
+      this.logger.info(`🛑 Run ${run.id} cancelled before it started`);
+    } else if (run.status === 'running' && !run.cancelRequested) {
+      run.cancelRequested = true;
+      run.controller.abort();
+      this.logger.info(`🛑 Cancelling run ${run.id} (stops before its next step)`);
+    }
+
+    return run;
+  }
+
+  /**
+   * Get a run
+   * @param {string} id - Run ID
+   * @returns {Object|null} The run, or null if it does not exist
+   */
+  get(id) {
+    return this.runs.get(id) || null;
+  }
+
+  /**
+   * List runs, most recent first
+   * @param {string} status - Only list runs with this status
+   * @returns {Array<Object>} Runs
+   */
+  list(status = null) {
+    return [...this.runs.values()]
+      .filter(run => !status || run.status === status)
+      .reverse();
+  }
+
+  /**
+   * Count runs by status
+   * @returns {Object} Counts ({ queued, running, succeeded, failed, cancelled })
+   */
+  getCounts() {
+    const counts = Object.fromEntries(RUN_STATUSES.map(status => [status, 0]));
+    for (const run of this.runs.values()) {
+      counts[run.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Describe a run for API responses
+   * @param {Object} run - Run
+   * @param {boolean} detailed - Include the workflow summary and batch results
+   * @returns {Object} Serializable run description
+   */
+  describe(run, detailed = false) {
+    // A succeeded run may have skipped publishing, which leaves that step unfinished
+    const step = run.status === 'succeeded' ? 'completed' : run.workflow?.getCurrentStep() || null;
+    const description = {
+      id: run.id,
+      status: run.status,
+      options: run.options,
+      createdAt: run.createdAt.toISOString(),
+      startedAt: run.startedAt?.toISOString() || null,
+      finishedAt: run.finishedAt?.toISOString() || null,
+      cancelRequested: run.cancelRequested,
+      step,
+      workflowRunId: run.workflow?.runId || null,
+      error: run.error,
+    };
+
+    if (detailed) {
+      // Stats and errors of the article being (or last) processed
+      description.summary = run.workflow?.runId ? run.workflow.getWorkflowSummary() : null;
+      description.batch = run.result?.articles ? {
+        articles: run.result.articles,
+        totalProcessed: run.result.totalProcessed,
+        totalSelected: run.result.totalSelected,
+        successRate: run.result.successRate,
+        usage: run.result.usage,
+        budgetExhausted: run.result.budgetExhausted,
+      } : null;
+    }
+
+    return description;
+  }
+
+  /**
+   * Drop the oldest finished runs beyond the history limit
+   */
+  prune() {
+    const finished = [...this.runs.values()].filter(run => run.finishedAt);
+    for (const run of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))) {
+      this.runs.delete(run.id);
+    }
+  }
+
+  /**
+   * Stop starting runs, cancel queued and running ones, and wait for running ones to stop
+   * @param {number} timeout - How long to wait for running runs, in milliseconds
+   * @returns {Promise<boolean>} True if every run stopped in time
+   */
+  async stop(timeout = config.daemonShutdownTimeout) {
+    this.stopping = true;
+    [...this.queue, ...this.active].forEach(run => this.cancel(run.id));
+
+    if (this.active.size === 0) return true;
+
+    this.logger.info(`⏳ Waiting up to ${Math.round(timeout / 1000)}s for ${this.active.size} run(s) to stop...`);
+    let timer;
+    const stopped = await Promise.race([
+      Promise.allSettled([...this.active].map(run => run.promise)).then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeout);
+      }),
+    ]);
+    clearTimeout(timer);
+
+    if (!stopped) {
+      this.logger.warn('⚠️ Some runs did not stop in time; their checkpoints can be resumed with --resume');
+    }
+    return stopped;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * SEO Package Module
+ *
+ * Parses, normalizes and validates the SEO metadata generated for an enhanced article:
+ * meta description, URL slug, focus and secondary keywords, OpenGraph title and an FAQ,
+ * and builds the FAQ section and its FAQPage JSON-LD from the same questions and answers
+ */
+
+import { ValidationError } from './errors.js';
+
+export const SEO_LIMITS = {
+  metaDescription: { min: 70, max: 160 },
+  slug: { max: 75 },
+  focusKeyword: { maxWords: 5, maxLength: 60 },
+  secondaryKeywords: { min: 3, max: 8 },
+  ogTitle: { min: 10, max: 60 },
+  faq: { min: 3, max: 6, questionMax: 150, answerMin: 20, answerMax: 500 },
+};
+
+export const FAQ_HEADING = 'Frequently Asked Questions';
+
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Collapse whitespace in a value that should be a single-line string
+ * @param {any} value - Value
+ * @returns {string} Trimmed string ('' for non-strings)
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Turn text into a URL slug
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum slug length (cut at a word boundary)
+ * @returns {string} Slug (lowercase ASCII letters, digits and single hyphens)
+ */
+export function slugify(text, maxLength = SEO_LIMITS.slug.max) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= maxLength) return slug;
+  const cut = slug.substring(0, maxLength + 1);
+  return cut.substring(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : maxLength).replace(/-+$/, '');
+}
+
+/**
+ * Extract the JSON object from an LLM response (code fences and surrounding text are ignored)
+ * @param {string} response - LLM response
+ * @returns {Object} Parsed object
+ * @throws {ValidationError} If the response contains no valid JSON object
+ */
+export function parseSeoResponse(response) {
+  const text = String(response || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      const value = JSON.parse(text.substring(start, end + 1));
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value;
+      }
+    } catch {
+      // Reported below
+    }
+  }
+
+  throw new ValidationError('SEO package response is not a JSON object', 'seo', text.substring(0, 200));
+}
+
+/**
+ * Normalize a generated SEO package (whitespace, slug format, keyword and FAQ shapes)
+ * @param {Object} raw - Parsed LLM response
+ * @returns {Object} Package ({ meta_description, slug, focus_keyword, secondary_keywords, og_title, faq })
+ */
+export function normalizeSeoPackage(raw) {
+  const keywords = Array.isArray(raw.secondary_keywords) ? raw.secondary_keywords : [];
+  const faq = Array.isArray(raw.faq) ? raw.faq : [];
+
+  return {
+    meta_description: cleanText(raw.meta_description),
+    slug: slugify(raw.slug),
+    focus_keyword: cleanText(raw.focus_keyword).toLowerCase(),
+    secondary_keywords: keywords.map(keyword => cleanText(keyword).toLowerCase()).filter(Boolean),
+    og_title: cleanText(raw.og_title),
+    faq: faq
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({ question: cleanText(item.question), answer: cleanText(item.answer) })),
+  };
+}
+
+/**
+ * Validate an SEO package
+ * @param {Object} seo - Package from normalizeSeoPackage
+ * @param {Object} article - Enhanced article ({ title, content }) the package describes
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export function validateSeoPackage(seo, article = {}) {
+  const errors = [];
+  const limits = SEO_LIMITS;
+  const checkLength = (label, value, min, max) => {
+    if (value.length < min || value.length > max) {
+      errors.push(`${label} must be ${min}-${max} characters, got ${value.length}`);
+    }
+  };
+
+  checkLength('meta_description', seo.meta_description, limits.metaDescription.min, limits.metaDescription.max);
+  checkLength('og_title', seo.og_title, limits.ogTitle.min, limits.ogTitle.max);
+
+  if (!seo.slug) {
+    errors.push('slug is required');
+  } else if (!SLUG_REGEX.test(seo.slug) || seo.slug.length > limits.slug.max) {
+    errors.push(`slug must be lowercase words joined by hyphens, at most ${limits.slug.max} characters`);
+  }
+
+  const focusWords = seo.focus_keyword.split(' ').filter(Boolean).length;
+  if (focusWords === 0 || focusWords > limits.focusKeyword.maxWords || seo.focus_keyword.length > limits.focusKeyword.maxLength) {
+    errors.push(`focus_keyword must be 1-${limits.focusKeyword.maxWords} words and at most ${limits.focusKeyword.maxLength} characters`);
+  } else if (article.content && !`${article.title} ${article.content}`.toLowerCase().includes(seo.focus_keyword)) {
+    errors.push(`focus_keyword "${seo.focus_keyword}" does not appear in the article`);
+  }
+
+  const { min: keywordsMin, max: keywordsMax } = limits.secondaryKeywords;
+  if (seo.secondary_keywords.length < keywordsMin || seo.secondary_keywords.length > keywordsMax) {
+    errors.push(`secondary_keywords must list ${keywordsMin}-${keywordsMax} keywords, got ${seo.secondary_keywords.length}`);
+  }
+  const duplicateKeywords = seo.secondary_keywords.filter((keyword, index) => seo.secondary_keywords.indexOf(keyword) !== index);
+  if (duplicateKeywords.length > 0) {
+    errors.push(`secondary_keywords must be unique, repeated: ${[...new Set(duplicateKeywords)].join(', ')}`);
+  }
+  if (seo.focus_keyword && seo.secondary_keywords.includes(seo.focus_keyword)) {
+    errors.push('secondary_keywords must not repeat the focus_keyword');
+  }
+
+  if (seo.og_title && seo.og_title.toLowerCase() === seo.meta_description.toLowerCase()) {
+    errors.push('og_title and meta_description must differ');
+  }
+
+  const { min: faqMin, max: faqMax, questionMax, answerMin, answerMax } = limits.faq;
+  if (seo.faq.length < faqMin || seo.faq.length > faqMax) {
+    errors.push(`faq must have ${faqMin}-${faqMax} questions, got ${seo.faq.length}`);
+  }
+  const questions = seo.faq.map(item => item.question.toLowerCase());
+  seo.faq.forEach((item, index) => {
+    if (!item.question.endsWith('?') || item.question.length > questionMax) {
+      errors.push(`faq ${index + 1}: question must end with "?" and be at most ${questionMax} characters`);
+    }
+    if (item.answer.length < answerMin || item.answer.length > answerMax) {
+      errors.push(`faq ${index + 1}: answer must be ${answerMin}-${answerMax} characters, got ${item.answer.length}`);
+    }
+    if (questions.indexOf(questions[index]) !== index) {
+      errors.push(`faq ${index + 1}: question repeats faq ${questions.indexOf(questions[index]) + 1}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Build the FAQPage JSON-LD of an FAQ
+ * @param {Array<Object>} faq - Questions and answers ({ question, answer })
+ * @returns {Object} schema.org FAQPage
+ */
+export function buildFaqJsonLd(faq) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: faq.map(item => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: item.answer,
+      },
+    })),
+  };
+}
+
+/**
+ * Render an FAQ as a markdown section (same text as its JSON-LD)
+ * @param {Array<Object>} faq - Questions and answers ({ question, answer })
+ * @returns {string} Markdown section
+ */
+export function renderFaqSection(faq) {
+  return [`## ${FAQ_HEADING}`, ...faq.map(item => `### ${item.question}\n\n${item.answer}`)].join('\n\n');
+}
@@ -0,0 +1,126 @@
+/**
+ * Streaming Module
+ *
+ * Helpers for reading line-delimited HTTP response streams (server-sent events, NDJSON)
+ * Detects broken and stalled streams so callers can retry them
+ */
+
+import { logger } from './logger.js';
+import { NetworkError, TimeoutError } from './errors.js';
+
+/**
+ * Read a response stream line by line
+ *
+ * Resolves when the stream ends normally. Rejects with NetworkError (code STREAM_INTERRUPTED)
+ * if the stream errors or closes early, with TimeoutError if no data arrives for idleTimeout ms,
+ * or with any error thrown by onLine.
+ * @param {Readable} stream - Response stream
+ * @param {Function} onLine - Called with each non-empty line
+ * @param {Object} options - Reading options
+ * @param {number} options.idleTimeout - Maximum time without data in milliseconds
+ * @param {string} options.label - Stream name for error messages
+ * @returns {Promise<void>}
+ */
+export function readStreamLines(stream, onLine, { idleTimeout = 30000, label = 'Stream' } = {}) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let settled = false;
+    let idleTimer = null;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+
+      if (error) {
+        stream.destroy?.();
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        finish(new TimeoutError(`${label} stream stalled - no data for ${idleTimeout}ms`, label, idleTimeout));
+      }, idleTimeout);
+    };
+
+    const handleLine = (line) => {
+      if (settled || !line.trim()) return;
+      try {
+        onLine(line);
+      } catch (error) {
+        finish(error);
+      }
+    };
+
+    // Decode multi-byte characters split across chunks correctly
+    stream.setEncoding?.('utf8');
+    resetIdleTimer();
+
+    stream.on('data', (chunk) => {
+      if (settled) return;
+      resetIdleTimer();
+
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    stream.on('end', () => {
+      handleLine(buffer);
+      finish();
+    });
+
+    stream.on('error', (error) => {
+      finish(new NetworkError(`${label} stream failed: ${error.message}`, null, 'STREAM_INTERRUPTED'));
+    });
+
+    // 'close' without 'end' means the connection dropped mid-stream
+    stream.on('close', () => {
+      finish(new NetworkError(`${label} stream closed before it ended`, null, 'STREAM_INTERRUPTED'));
+    });
+  });
+}
+
+/**
+ * Reports streamed tokens through the logger's progress channel
+ */
+export class StreamProgress {
+  /**
+   * @param {string} label - Name shown in progress messages
+   * @param {number} interval - Minimum time between progress messages in milliseconds
+   */
+  constructor(label, interval = 2000) {
+    this.label = label;
+    this.interval = interval;
+    this.tokens = 0;
+    this.chars = 0;
+    this.lastReport = Date.now();
+  }
+
+  /**
+   * Record a streamed token (delta) and report progress if the interval has passed
+   * @param {string} text - Token text
+   */
+  add(text) {
+    this.tokens++;
+    this.chars += text.length;
+
+    if (Date.now() - this.lastReport >= this.interval) {
+      this.report();
+    }
+  }
+
+  /**
+   * Report the current progress
+   * @param {boolean} done - Whether the stream has completed
+   */
+  report(done = false) {
+    this.lastReport = Date.now();
+    logger.progress(`${this.label}: ${done ? 'completed with' : 'received'} ${this.tokens} tokens (${this.chars} chars)`);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Token Usage Module
+ *
+ * Normalizes token usage reported by LLM providers, totals it across calls
+ * and estimates cost from a per-model price table (USD per million tokens)
+ * Usage records use snake_case keys because they are stored in article metadata
+ */
+
+import { config } from '../config/config.js';
+
+/**
+ * Built-in prices in USD per million tokens; LLM_PRICE_TABLE entries override these
+ */
+export const DEFAULT_MODEL_PRICES = {
+  'llama-3.1-8b-instant': { prompt: 0.05, completion: 0.08 },
+  'llama-3.1-70b-versatile': { prompt: 0.59, completion: 0.79 },
+  'llama-3.3-70b-versatile': { prompt: 0.59, completion: 0.79 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+};
+
+/**
+ * Rough token estimate for providers that do not report usage (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Build a usage record for one LLM call
+ * @param {Object} usage - Token counts ({ promptTokens, completionTokens })
+ * @param {string} model - Model that served the call
+ * @param {boolean} estimated - Whether the counts are estimates
+ * @returns {Object} Usage record ({ prompt_tokens, completion_tokens, total_tokens, model, estimated })
+ */
+export function createUsage({ promptTokens = 0, completionTokens = 0 } = {}, model = null, estimated = false) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    model,
+    estimated,
+  };
+}
+
+/**
+ * Estimate a usage record from prompt and completion text
+ * @param {string} prompt - Prompt text
+ * @param {string} completion - Completion text
+ * @param {string} model - Model that served the call
+ * @returns {Object} Estimated usage record
+ */
+export function estimateUsage(prompt, completion, model = null) {
+  return createUsage({
+    promptTokens: estimateTokens(prompt),
+    completionTokens: estimateTokens(completion),
+  }, model, true);
+}
+
+/**
+ * Look up the price of a model
+ * @param {string} model - Model identifier
+ * @param {Object} priceTable - Price overrides (defaults to LLM_PRICE_TABLE)
+ * @returns {Object|null} Price ({ prompt, completion } per million tokens) or null if unknown
+ */
+export function getModelPrice(model, priceTable = config.llmPriceTable) {
+  const prices = { ...DEFAULT_MODEL_PRICES, ...priceTable };
+  return prices[model] || null;
+}
+
+/**
+ * Estimate the cost of token usage
+ * @param {Object} usage - Usage record
+ * @param {Object} priceTable - Price overrides (defaults to LLM_PRICE_TABLE)
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+export function estimateCost(usage, priceTable = config.llmPriceTable) {
+  const price = getModelPrice(usage.model, priceTable);
+  if (!price) {
+    return null;
+  }
+
+  const cost = (usage.prompt_tokens * price.prompt + usage.completion_tokens * price.completion) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * Total a list of usage records
+ * @param {Array<Object>} records - Usage records
+ * @returns {Object} Totals ({ calls, promptTokens, completionTokens, totalTokens, estimatedCost, unpricedModels })
+ */
+export function summarizeUsage(records = []) {
+  const summary = {
+    calls: records.length,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0,
+    unpricedModels: [],
+  };
+
+  for (const record of records) {
+    summary.promptTokens += record.prompt_tokens;
+    summary.completionTokens += record.completion_tokens;
+    summary.totalTokens += record.total_tokens;
+
+    const cost = estimateCost(record);
+    if (cost === null) {
+      if (!summary.unpricedModels.includes(record.model)) {
+        summary.unpricedModels.push(record.model);
+      }
+    } else {
+      summary.estimatedCost += cost;
+    }
+  }
+
+  summary.estimatedCost = Math.round(summary.estimatedCost * 1000000) / 1000000;
+  return summary;
+}
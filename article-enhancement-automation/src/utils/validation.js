@@ -100,6 +100,20 @@ export function isValidDateString(dateString) {
   return !isNaN(date.getTime());
 }
 
+/**
+ * Normalize a BCP 47 locale tag (e.g. "pt-br" becomes "pt-BR")
+ * @param {string} locale - Locale tag to validate
+ * @returns {string|null} Canonical locale tag, or null if invalid
+ */
+export function normalizeLocale(locale) {
+  if (typeof locale !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(locale.trim())[0] || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Validate search results array
  * @param {Array} results - Search results to validate
@@ -198,8 +212,8 @@ export function validateEnhancedArticle(article) {
     errors.push('Enhanced article must have substantial content (at least 500 characters)');
   }
   
-  // Check for references section
-  if (!article.content.includes('References') && !article.content.includes('## References')) {
+  // Check for references section (a translation has the one of its source, if any)
+  if (!article.metadata?.locale && !article.content.includes('References') && !article.content.includes('## References')) {
     errors.push('Enhanced article must include a References section');
   }
   
@@ -261,13 +275,25 @@ export function validateAndSanitizeConfig(config) {
     errors.push('Groq API base URL is not valid');
   }
   
+  if (config.openaiApiBaseUrl && !isValidUrl(config.openaiApiBaseUrl)) {
+    errors.push('OpenAI-compatible API base URL is not valid');
+  }
+  
+  if (config.ollamaBaseUrl && !isValidUrl(config.ollamaBaseUrl)) {
+    errors.push('Ollama base URL is not valid');
+  }
+  
+  if (config.searxngBaseUrl && !isValidUrl(config.searxngBaseUrl)) {
+    errors.push('SearXNG base URL is not valid');
+  }
+  
   // Validate API keys
   if (config.groqApiKey && !isValidApiKey(config.groqApiKey)) {
     errors.push('Groq API key format appears invalid');
   }
   
   // Validate numeric values
-  const numericFields = ['requestTimeout', 'maxRetries', 'retryDelay', 'maxContentLength', 'minContentLength'];
+  const numericFields = ['requestTimeout', 'maxRetries', 'retryDelay', 'maxContentLength', 'minContentLength', 'enhancementChunkSize', 'llmStreamIdleTimeout', 'httpCacheTtl', 'maxCrawlDelay', 'scrapeDomainInterval', 'scrapeMaxConcurrency', 'overlapThreshold', 'overlapShingleSize', 'daemonJitter', 'daemonShutdownTimeout', 'controlApiPort', 'controlApiMaxConcurrentRuns', 'jobMaxAttempts', 'jobRetryDelay', 'jobRetryMaxDelay'];
   for (const field of numericFields) {
     if (config[field] !== undefined) {
       const value = Number(config[field]);
@@ -280,7 +306,7 @@ export function validateAndSanitizeConfig(config) {
   }
   
   // Sanitize string fields
-  const stringFields = ['userAgent', 'groqModel'];
+  const stringFields = ['userAgent', 'groqModel', 'openaiModel', 'ollamaModel'];
   for (const field of stringFields) {
     if (config[field]) {
       sanitizedConfig[field] = sanitizeString(config[field]);
@@ -0,0 +1,182 @@
+/**
+ * Word Diff Module
+ *
+ * Word-level diff of two texts using Myers' algorithm in linear space
+ * (the middle-snake bisection also used by diff-match-patch)
+ * Whitespace is kept with the word that follows it but ignored when comparing
+ */
+
+/**
+ * Split text into words, each carrying the whitespace before it
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return (text || '').match(/\s*\S+/g) || [];
+}
+
+/**
+ * Diff two sequences of word IDs
+ * @param {Int32Array} a - Old sequence
+ * @param {Int32Array} b - New sequence
+ * @param {Array<Object>} ops - Output operations ({ type, count }), appended in order
+ */
+function diffSequences(a, b, ops) {
+  const push = (type, count) => {
+    if (count === 0) return;
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.count += count;
+    } else {
+      ops.push({ type, count });
+    }
+  };
+
+  // Common prefix and suffix need no search
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  push('equal', prefix);
+  const restA = a.subarray(prefix, a.length - suffix);
+  const restB = b.subarray(prefix, b.length - suffix);
+
+  if (restA.length === 0 || restB.length === 0) {
+    push('delete', restA.length);
+    push('insert', restB.length);
+  } else {
+    const [x, y] = findMiddleSnake(restA, restB);
+    diffSequences(restA.subarray(0, x), restB.subarray(0, y), ops);
+    diffSequences(restA.subarray(x), restB.subarray(y), ops);
+  }
+
+  push('equal', suffix);
+}
+
+/**
+ * Find where the forward and reverse searches of the shortest edit script meet
+ * @param {Int32Array} a - Old sequence (no common prefix or suffix with b)
+ * @param {Int32Array} b - New sequence
+ * @returns {Array<number>} Split point [x, y] in a and b
+ */
+function findMiddleSnake(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const forward = new Int32Array(2 * maxD + 2).fill(-1);
+  const reverse = new Int32Array(2 * maxD + 2).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the paths meet during the forward pass, otherwise during the reverse pass
+  const checkForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let reverseStart = 0;
+  let reverseEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1]) ? forward[index + 1] : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (checkForward) {
+        const reverseIndex = offset + delta - k;
+        if (reverseIndex >= 0 && reverseIndex < reverse.length && reverse[reverseIndex] !== -1 && x >= n - reverse[reverseIndex]) {
+          return [x, y];
+        }
+      }
+    }
+
+    for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && reverse[index - 1] < reverse[index + 1]) ? reverse[index + 1] : reverse[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+        x++;
+        y++;
+      }
+      reverse[index] = x;
+
+      if (x > n) {
+        reverseEnd += 2;
+      } else if (y > m) {
+        reverseStart += 2;
+      } else if (!checkForward) {
+        const forwardIndex = offset + delta - k;
+        if (forwardIndex >= 0 && forwardIndex < forward.length && forward[forwardIndex] !== -1) {
+          const forwardX = forward[forwardIndex];
+          if (forwardX >= n - x) {
+            return [forwardX, forwardX - (forwardIndex - offset)];
+          }
+        }
+      }
+    }
+  }
+
+  // Not reached for valid input; treat everything as replaced
+  return [n, 0];
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Object} Diff ({ ops, inserted, deleted, unchanged }); ops are { type: 'equal'|'insert'|'delete', text }
+ *   with equal and inserted text taken from the new version and deleted text from the old one; counts are in words
+ */
+export function diffWords(before, after) {
+  const oldTokens = tokenize(before);
+  const newTokens = tokenize(after);
+
+  // Compare words as integer IDs
+  const ids = new Map();
+  const toIds = tokens => Int32Array.from(tokens, token => {
+    const word = token.trim();
+    if (!ids.has(word)) ids.set(word, ids.size);
+    return ids.get(word);
+  });
+
+  const counts = [];
+  diffSequences(toIds(oldTokens), toIds(newTokens), counts);
+
+  const ops = [];
+  const totals = { equal: 0, insert: 0, delete: 0 };
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  for (const { type, count } of counts) {
+    let text;
+    if (type === 'delete') {
+      text = oldTokens.slice(oldIndex, oldIndex + count).join('');
+      oldIndex += count;
+    } else {
+      text = newTokens.slice(newIndex, newIndex + count).join('');
+      newIndex += count;
+      if (type === 'equal') oldIndex += count;
+    }
+
+    // Whitespace comes from one version only, so keep words of neighbouring operations apart
+    if (ops.length > 0 && !/^\s/.test(text)) {
+      text = ` ${text}`;
+    }
+
+    totals[type] += count;
+    ops.push({ type, text });
+  }
+
+  return { ops, inserted: totals.insert, deleted: totals.delete, unchanged: totals.equal };
+}
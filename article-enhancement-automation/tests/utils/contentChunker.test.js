@@ -0,0 +1,115 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseHeading, splitIntoSections, splitLongText, chunkContent, buildOutline } from '../../src/utils/contentChunker.js';
+
+/**
+ * Build a markdown section of about 40 characters
+ * @param {string} heading - Heading text
+ * @param {string} level - Heading marker
+ * @returns {string} Section
+ */
+const section = (heading, level = '#') => `${level} ${heading}\n${`${heading} sentence. `.repeat(3).trim()}`;
+
+describe('parseHeading', () => {
+  it('reads markdown headings with or without closing hashes', () => {
+    expect(parseHeading('## Getting started')).toBe('Getting started');
+    expect(parseHeading('### Setup ###')).toBe('Setup');
+  });
+
+  it('reads HTML headings without their inline markup', () => {
+    expect(parseHeading('<h2 class="title">Intro <em>now</em></h2>')).toBe('Intro now');
+    expect(parseHeading('<h3></h3>')).toBeNull();
+  });
+
+  it('ignores hashtags and ordinary lines', () => {
+    expect(parseHeading('#hashtag')).toBeNull();
+    expect(parseHeading('Plain text with <b>markup</b>')).toBeNull();
+  });
+});
+
+describe('splitIntoSections', () => {
+  it('starts a section at every markdown heading', () => {
+    expect(splitIntoSections('Intro text\n\n# A\nalpha\n\n## B\nbeta')).toEqual([
+      { heading: null, text: 'Intro text' },
+      { heading: 'A', text: '# A\nalpha' },
+      { heading: 'B', text: '## B\nbeta' },
+    ]);
+  });
+
+  it('starts a section at every HTML heading, even when the HTML has no line breaks', () => {
+    expect(splitIntoSections('<p>Intro</p><h2>A</h2><p>alpha</p><h3 id="b">B</h3><p>beta</p>')).toEqual([
+      { heading: null, text: '<p>Intro</p>' },
+      { heading: 'A', text: '<h2>A</h2>\n\n<p>alpha</p>' },
+      { heading: 'B', text: '<h3 id="b">B</h3>\n\n<p>beta</p>' },
+    ]);
+  });
+
+  it('names the first section after a leading heading and gives a heading without text its own section', () => {
+    expect(splitIntoSections('# Title\n## Subtitle\ntext')).toEqual([
+      { heading: 'Title', text: '# Title' },
+      { heading: 'Subtitle', text: '## Subtitle\ntext' },
+    ]);
+  });
+});
+
+describe('splitLongText', () => {
+  it('splits at paragraphs, then at sentences', () => {
+    expect(splitLongText('First paragraph.\n\nOne two. Three four.', 16)).toEqual(['First paragraph.', 'One two.', 'Three four.']);
+  });
+
+  it('hard splits text without sentence breaks', () => {
+    expect(splitLongText('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+  });
+});
+
+describe('chunkContent', () => {
+  it('returns short content as a single chunk', () => {
+    const content = `${section('A')}\n\n${section('B', '##')}`;
+
+    expect(chunkContent(content, 1000)).toEqual([{ text: content, headings: ['A', 'B'] }]);
+    expect(chunkContent('', 1000)).toEqual([{ text: '', headings: [] }]);
+  });
+
+  it('breaks markdown content at headings and packs small sections together', () => {
+    const content = [section('A'), section('B', '##'), '## C\nShort.'].join('\n\n');
+    const chunks = chunkContent(content, 80);
+
+    expect(chunks).toEqual([
+      { text: section('A'), headings: ['A'] },
+      { text: `${section('B', '##')}\n\n## C\nShort.`, headings: ['B', 'C'] },
+    ]);
+    expect(chunks.map(chunk => chunk.text).join('\n\n')).toBe(content);
+  });
+
+  it('breaks HTML content at headings', () => {
+    const content = `<h2>A</h2><p>${'x'.repeat(40)}</p><h2>B</h2><p>${'y'.repeat(40)}</p>`;
+    const chunks = chunkContent(content, 80);
+
+    expect(chunks).toEqual([
+      { text: `<h2>A</h2>\n\n<p>${'x'.repeat(40)}</p>`, headings: ['A'] },
+      { text: `<h2>B</h2>\n\n<p>${'y'.repeat(40)}</p>`, headings: ['B'] },
+    ]);
+  });
+
+  it('splits an oversized section at paragraphs and keeps its heading on the first chunk', () => {
+    const first = 'First paragraph of the section.';
+    const second = 'Second paragraph of the section.';
+    const chunks = chunkContent(`# A\n${first}\n\n${second}`, 40);
+
+    expect(chunks).toEqual([
+      { text: `# A\n${first}`, headings: ['A'] },
+      { text: second, headings: [] },
+    ]);
+    expect(chunks.every(chunk => chunk.text.length <= 40)).toBe(true);
+  });
+});
+
+describe('buildOutline', () => {
+  it('lists the headings of each chunk, or the start of its text', () => {
+    const outline = buildOutline([
+      { text: '# A\n...', headings: ['A', 'B'] },
+      { text: '<p>Plain   text</p>', headings: [] },
+    ]);
+
+    expect(outline).toBe('Part 1: A; B\nPart 2: Plain text...');
+  });
+});
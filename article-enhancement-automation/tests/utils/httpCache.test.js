@@ -0,0 +1,195 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { HttpCache } from '../../src/utils/httpCache.js';
+import { ContentScraper } from '../../src/components/ContentScraper.js';
+
+const TTL = 60 * 1000;
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+const URL = 'https://example.com/posts/1';
+
+describe('HttpCache', () => {
+  let directory;
+  let cache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'http-cache-'));
+    cache = new HttpCache(directory, { ttl: TTL, enabled: true });
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('stores entries with their validators and an expiry one TTL ahead', async () => {
+    await cache.set('pages', URL, '<html></html>', { etag: '"v1"', lastModified: 'Wed, 31 Dec 2025 12:00:00 GMT' });
+
+    expect(await cache.get('pages', URL)).toEqual({
+      key: URL,
+      data: '<html></html>',
+      etag: '"v1"',
+      lastModified: 'Wed, 31 Dec 2025 12:00:00 GMT',
+      storedAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-01-01T00:01:00.000Z',
+    });
+  });
+
+  it('keeps namespaces apart and misses unknown keys', async () => {
+    await cache.set('pages', URL, 'page');
+
+    expect(await cache.get('search', URL)).toBeNull();
+    expect(await cache.get('pages', `${URL}?page=2`)).toBeNull();
+  });
+
+  it('ignores unreadable entries', async () => {
+    const filePath = cache.getPath('pages', URL);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, '{ not json');
+
+    expect(await cache.get('pages', URL)).toBeNull();
+  });
+
+  it('treats entries as fresh until they expire', async () => {
+    const entry = await cache.set('pages', URL, 'page');
+
+    expect(cache.isFresh(entry)).toBe(true);
+
+    Date.now.mockReturnValue(NOW + TTL);
+    expect(cache.isFresh(entry)).toBe(false);
+    expect(cache.isFresh(null)).toBe(false);
+  });
+
+  it('builds conditional request headers from the validators it has', () => {
+    expect(cache.getRevalidationHeaders({ etag: '"v1"', lastModified: 'Wed, 31 Dec 2025 12:00:00 GMT' })).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Wed, 31 Dec 2025 12:00:00 GMT',
+    });
+    expect(cache.getRevalidationHeaders({ etag: '"v1"', lastModified: null })).toEqual({ 'If-None-Match': '"v1"' });
+    expect(cache.getRevalidationHeaders({ etag: null, lastModified: null })).toEqual({});
+    expect(cache.getRevalidationHeaders(null)).toEqual({});
+  });
+
+  it('extends the expiry of a revalidated entry and keeps its data and validators', async () => {
+    const entry = await cache.set('pages', URL, 'page', { etag: '"v1"' });
+
+    Date.now.mockReturnValue(NOW + 2 * TTL);
+    await cache.refresh('pages', entry);
+
+    expect(await cache.get('pages', URL)).toMatchObject({
+      data: 'page',
+      etag: '"v1"',
+      lastModified: null,
+      expiresAt: new Date(NOW + 3 * TTL).toISOString(),
+    });
+  });
+
+  it('neither reads nor writes when disabled', async () => {
+    const disabled = new HttpCache(directory, { ttl: TTL, enabled: false });
+
+    expect(await disabled.set('pages', URL, 'page')).toBeNull();
+    expect(await disabled.get('pages', URL)).toBeNull();
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  it('counts hits, misses and revalidations', () => {
+    cache.record('hit');
+    cache.record('miss');
+    cache.record('revalidated');
+    cache.record('hit');
+
+    expect(cache.stats).toEqual({ hits: 2, misses: 1, revalidated: 1 });
+  });
+
+  it('clears every namespace and reports how many entries were removed', async () => {
+    await cache.set('pages', URL, 'page');
+    await cache.set('pages', `${URL}?page=2`, 'page 2');
+    await cache.set('search', 'query', []);
+
+    expect(await cache.clear()).toBe(3);
+    expect(await cache.get('pages', URL)).toBeNull();
+    expect(await new HttpCache(path.join(directory, 'missing'), { ttl: TTL, enabled: true }).clear()).toBe(0);
+  });
+});
+
+describe('ContentScraper page revalidation', () => {
+  let directory;
+  let cache;
+  let scraper;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'http-cache-'));
+    cache = new HttpCache(directory, { ttl: TTL, enabled: true });
+    const robots = { getRules: async () => ({ crawlDelay: null }) };
+    const throttle = { schedule: (domain, request) => request() };
+    scraper = new ContentScraper(cache, robots, throttle);
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Store a page and let its entry expire
+   * @param {Object} validators - Response validators ({ etag, lastModified })
+   */
+  async function storeExpiredPage(validators) {
+    await cache.set('pages', URL, '<html>cached</html>', validators);
+    Date.now.mockReturnValue(NOW + 2 * TTL);
+  }
+
+  it('serves fresh entries without a request', async () => {
+    const get = jest.spyOn(axios, 'get');
+    await cache.set('pages', URL, '<html>cached</html>');
+
+    expect(await scraper.fetchPage(URL)).toEqual({ html: '<html>cached</html>', fromCache: true });
+    expect(get).not.toHaveBeenCalled();
+    expect(cache.stats.hits).toBe(1);
+  });
+
+  it('revalidates expired entries with their ETag and Last-Modified and reuses them on 304', async () => {
+    await storeExpiredPage({ etag: '"v1"', lastModified: 'Wed, 31 Dec 2025 12:00:00 GMT' });
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({ status: 304, headers: {} });
+
+    expect(await scraper.fetchPage(URL)).toEqual({ html: '<html>cached</html>', fromCache: true });
+
+    const { headers, validateStatus } = get.mock.calls[0][1];
+    expect(headers['If-None-Match']).toBe('"v1"');
+    expect(headers['If-Modified-Since']).toBe('Wed, 31 Dec 2025 12:00:00 GMT');
+    expect(validateStatus(304)).toBe(true);
+    expect(cache.stats.revalidated).toBe(1);
+    expect(cache.isFresh(await cache.get('pages', URL))).toBe(true);
+  });
+
+  it('returns the new page and its validators when the page changed', async () => {
+    await storeExpiredPage({ etag: '"v1"' });
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      status: 200,
+      data: '<html>new</html>',
+      headers: { etag: '"v2"', 'last-modified': 'Thu, 01 Jan 2026 00:00:00 GMT' },
+    });
+
+    expect(await scraper.fetchPage(URL)).toEqual({
+      html: '<html>new</html>',
+      fromCache: false,
+      validators: { etag: '"v2"', lastModified: 'Thu, 01 Jan 2026 00:00:00 GMT' },
+    });
+    expect(cache.stats.misses).toBe(1);
+  });
+
+  it('sends no conditional headers without a cached entry and does not accept 304', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, data: '<html>new</html>', headers: {} });
+
+    await scraper.fetchPage(URL);
+
+    const { headers, validateStatus } = get.mock.calls[0][1];
+    expect(headers).not.toHaveProperty('If-None-Match');
+    expect(headers).not.toHaveProperty('If-Modified-Since');
+    expect(validateStatus(304)).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from '@jest/globals';
+import { tokenize, buildShingles, findVerbatimRuns, analyzeOverlap } from '../../src/utils/overlap.js';
+import { ArticlePublisher } from '../../src/components/ArticlePublisher.js';
+import { config } from '../../src/config/config.js';
+
+/**
+ * Build text of distinct words
+ * @param {number} from - First word number
+ * @param {number} to - Last word number (exclusive)
+ * @returns {string} Text
+ */
+function words(from, to) {
+  return Array.from({ length: to - from }, (_, i) => `word${from + i}`).join(' ');
+}
+
+describe('tokenize', () => {
+  it('keeps lowercase words and drops link targets, URLs, markup and the References section', () => {
+    const text = [
+      '# The Title',
+      'See [the guide](https://example.com/guide) at https://example.com/raw <b>now</b>, it’s fine.',
+      '',
+      '## References',
+      '- [Copied source](https://example.com/source) with many copied words',
+    ].join('\n');
+
+    expect(tokenize(text)).toEqual(['the', 'title', 'see', 'the', 'guide', 'at', 'now', 'it’s', 'fine']);
+  });
+
+  it('returns no tokens for empty content', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('buildShingles', () => {
+  it('builds every run of consecutive words once', () => {
+    expect(buildShingles(['a', 'b', 'c', 'a', 'b', 'c'], 2)).toEqual(new Set(['a b', 'b c', 'c a']));
+  });
+
+  it('builds no shingles when the text is shorter than a shingle', () => {
+    expect(buildShingles(['a', 'b'], 3).size).toBe(0);
+  });
+});
+
+describe('findVerbatimRuns', () => {
+  it('extends each match as far as it goes and reports the longest runs first', () => {
+    const tokens = 'x a b c y a b c d e'.split(' ');
+    const source = 'a b c d e z a b c'.split(' ');
+
+    expect(findVerbatimRuns(tokens, source, 3)).toEqual([
+      { words: 5, text: 'a b c d e' },
+      { words: 3, text: 'a b c' },
+    ]);
+  });
+
+  it('ignores runs shorter than the minimum length', () => {
+    expect(findVerbatimRuns('a b x c d'.split(' '), 'a b y c d'.split(' '), 3)).toEqual([]);
+  });
+});
+
+describe('analyzeOverlap', () => {
+  it('reports the share of the article shingles found in a reference and the Jaccard index', () => {
+    const report = analyzeOverlap('a b c d e', [{ url: 'https://example.com/a', title: 'A', content: 'a b c x y' }], { shingleSize: 2 });
+
+    expect(report.shingle_size).toBe(2);
+    expect(report.max_similarity).toBe(50);
+    expect(report.references).toEqual([
+      { url: 'https://example.com/a', title: 'A', similarity: 50, jaccard: 33.3, longest_run_words: 0, runs: [] },
+    ]);
+  });
+
+  it('sorts references by similarity, skips references without content and keeps the longest run', () => {
+    const content = words(0, 40);
+    const report = analyzeOverlap(content, [
+      { url: 'https://example.com/some', content: words(0, 12) },
+      { url: 'https://example.com/none', content: words(100, 140) },
+      { url: 'https://example.com/empty', content: '' },
+      { url: 'https://example.com/all', content },
+    ]);
+
+    expect(report.references.map(ref => ref.url)).toEqual([
+      'https://example.com/all',
+      'https://example.com/some',
+      'https://example.com/none',
+    ]);
+    expect(report.max_similarity).toBe(100);
+    expect(report.references[0].jaccard).toBe(100);
+    expect(report.references[1].similarity).toBe(22.2); // 8 of 36 shingles
+    expect(report.references[2].similarity).toBe(0);
+    expect(report.longest_run_words).toBe(40);
+    expect(report.references[1].runs).toEqual([{ words: 12, text: words(0, 12) }]);
+  });
+
+  it('limits the verbatim runs kept per reference', () => {
+    const content = [words(0, 10), 'gap', words(20, 30), 'gap', words(40, 50)].join(' ');
+    const report = analyzeOverlap(content, [{ url: 'https://example.com/a', content: words(0, 50) }], { maxRuns: 2 });
+
+    expect(report.references[0].runs).toHaveLength(2);
+    expect(report.references[0].longest_run_words).toBe(10);
+  });
+
+  it('reports no overlap without references', () => {
+    expect(analyzeOverlap(words(0, 20))).toMatchObject({ max_similarity: 0, longest_run_words: 0, references: [] });
+  });
+});
+
+describe('overlap threshold', () => {
+  const publisher = new ArticlePublisher();
+  const content = `# Title\n\n${words(0, 150)}`;
+
+  /**
+   * Build an enhanced article carrying an overlap report
+   * @param {Object} overlap - Overlap report
+   * @returns {Object} Article
+   */
+  const article = (overlap) => ({ title: 'Title', content, metadata: { overlap } });
+
+  it('blocks publishing when the article copies more than the threshold from one reference', () => {
+    const overlap = analyzeOverlap(content, [{ url: 'https://example.com/copied', content: words(0, 100) }]);
+
+    expect(overlap.max_similarity).toBeGreaterThan(config.overlapThreshold);
+    expect(publisher.getPublishingErrors(article(overlap))).toEqual([
+      `Article overlaps ${overlap.max_similarity}% with reference https://example.com/copied (threshold ${config.overlapThreshold}%, longest verbatim run 100 words)`,
+    ]);
+  });
+
+  it('allows articles that quote a reference below the threshold', () => {
+    const overlap = analyzeOverlap(content, [{ url: 'https://example.com/quoted', content: words(0, 20) }]);
+
+    expect(overlap.max_similarity).toBeGreaterThan(0);
+    expect(publisher.getPublishingErrors(article(overlap))).toEqual([]);
+  });
+
+  it('only blocks similarity above the threshold, not equal to it', () => {
+    const report = (similarity) => ({
+      max_similarity: similarity,
+      references: [{ url: 'https://example.com/a', similarity, longest_run_words: 12 }],
+    });
+
+    expect(publisher.getPublishingErrors(article(report(config.overlapThreshold)))).toEqual([]);
+    expect(publisher.getPublishingErrors(article(report(config.overlapThreshold + 0.1)))).toHaveLength(1);
+  });
+});
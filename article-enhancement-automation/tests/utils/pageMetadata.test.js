@@ -0,0 +1,132 @@
+import { describe, it, expect } from '@jest/globals';
+import * as cheerio from 'cheerio';
+import { findJsonLdArticle, extractPageMetadata } from '../../src/utils/pageMetadata.js';
+
+const URL = 'https://example.com/blog/remote-work';
+
+/**
+ * Extract the metadata of a page
+ * @param {string} head - HTML inside <head>
+ * @param {string} body - HTML inside <body>
+ * @param {string} htmlAttributes - Attributes of the <html> element
+ * @returns {Object} Metadata
+ */
+function metadataOf(head, body = '', htmlAttributes = '') {
+  return extractPageMetadata(cheerio.load(`<html ${htmlAttributes}><head>${head}</head><body>${body}</body></html>`), URL);
+}
+
+/**
+ * Build a JSON-LD script element
+ * @param {*} data - JSON-LD data
+ * @returns {string} Script element
+ */
+const jsonLd = (data) => `<script type="application/ld+json">${typeof data === 'string' ? data : JSON.stringify(data)}</script>`;
+
+describe('findJsonLdArticle', () => {
+  it('finds the Article node inside @graph containers and lists, skipping broken scripts', () => {
+    const $ = cheerio.load([
+      jsonLd('{ broken'),
+      jsonLd([{ '@type': 'Organization', name: 'Example' }]),
+      jsonLd({ '@graph': [{ '@type': 'WebPage', name: 'Page' }, { '@type': ['BlogPosting'], headline: 'Remote work' }] }),
+    ].join(''));
+
+    expect(findJsonLdArticle($)).toEqual({ '@type': ['BlogPosting'], headline: 'Remote work' });
+  });
+
+  it('falls back to the WebPage node, then to nothing', () => {
+    expect(findJsonLdArticle(cheerio.load(jsonLd({ '@type': 'WebPage', name: 'Page' })))).toEqual({ '@type': 'WebPage', name: 'Page' });
+    expect(findJsonLdArticle(cheerio.load(jsonLd({ '@type': 'Organization' })))).toBeNull();
+  });
+});
+
+describe('extractPageMetadata', () => {
+  it('prefers JSON-LD over meta tags', () => {
+    const metadata = metadataOf([
+      jsonLd({
+        '@type': 'NewsArticle',
+        author: [{ '@type': 'Person', name: 'Ada Lovelace' }, 'Grace Hopper', { name: 'Ada Lovelace' }],
+        datePublished: '2025-03-01T10:00:00+01:00',
+        dateModified: '2025-03-02',
+        mainEntityOfPage: { '@id': '/blog/remote-work-canonical' },
+        inLanguage: 'en-GB',
+        publisher: { '@type': 'Organization', name: 'Example News' },
+        description: 'From JSON-LD',
+        image: [{ '@type': 'ImageObject', url: '/images/lead.jpg' }],
+      }),
+      '<meta name="author" content="Meta Author">',
+      '<meta property="article:published_time" content="2020-01-01">',
+      '<meta property="og:description" content="From OpenGraph">',
+      '<meta property="og:image" content="https://cdn.example.com/og.jpg">',
+    ].join(''));
+
+    expect(metadata).toEqual({
+      author: 'Ada Lovelace, Grace Hopper',
+      publishedAt: '2025-03-01T09:00:00.000Z',
+      modifiedAt: '2025-03-02T00:00:00.000Z',
+      canonicalUrl: 'https://example.com/blog/remote-work-canonical',
+      language: 'en-GB',
+      siteName: 'Example News',
+      description: 'From JSON-LD',
+      image: 'https://example.com/images/lead.jpg',
+    });
+  });
+
+  it('falls back to OpenGraph and other meta tags', () => {
+    const metadata = metadataOf([
+      '<meta property="article:author" content="https://example.com/authors/ada">',
+      '<meta name="twitter:creator" content="By  Ada   Lovelace">',
+      '<meta property="article:published_time" content="2025-03-01T09:00:00Z">',
+      '<meta property="og:updated_time" content="not a date">',
+      '<meta property="og:url" content="/blog/remote-work?ref=og">',
+      '<meta property="og:locale" content="en_US">',
+      '<meta property="og:site_name" content="Example Blog">',
+      '<meta name="description" content="Plain description">',
+      '<meta name="twitter:image" content="//cdn.example.com/card.png">',
+    ].join(''));
+
+    expect(metadata).toEqual({
+      author: 'Ada Lovelace',
+      publishedAt: '2025-03-01T09:00:00.000Z',
+      modifiedAt: null,
+      canonicalUrl: 'https://example.com/blog/remote-work?ref=og',
+      language: 'en-US',
+      siteName: 'Example Blog',
+      description: 'Plain description',
+      image: 'https://cdn.example.com/card.png',
+    });
+  });
+
+  it('reads the page markup when there is no structured metadata', () => {
+    const metadata = metadataOf(
+      '<link rel="canonical" href="https://example.com/canonical">',
+      [
+        '<time datetime="2024-12-31">Sidebar date</time>',
+        '<article><span itemprop="author"><span itemprop="name">Grace Hopper</span></span>',
+        '<time datetime="2025-01-15">Published</time>',
+        '<time itemprop="dateModified" datetime="2025-02-01">Updated</time></article>',
+      ].join(''),
+      'lang="de"'
+    );
+
+    expect(metadata).toMatchObject({
+      author: 'Grace Hopper',
+      publishedAt: '2025-01-15T00:00:00.000Z',
+      modifiedAt: '2025-02-01T00:00:00.000Z',
+      canonicalUrl: 'https://example.com/canonical',
+      language: 'de',
+    });
+  });
+
+  it('returns null for missing fields and ignores non-http URLs', () => {
+    expect(metadataOf('<meta property="og:image" content="data:image/png;base64,AAAA">')).toEqual({
+      author: null,
+      publishedAt: null,
+      modifiedAt: null,
+      canonicalUrl: null,
+      language: null,
+      siteName: null,
+      description: null,
+      image: null,
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from '@jest/globals';
+import * as cheerio from 'cheerio';
+import { getLinkDensity, findMainContent, cleanConditionally, toMarkdown, extractReadableContent } from '../../src/utils/readability.js';
+
+const BASE_URL = 'https://example.com/blog/post';
+
+const PARAGRAPH = 'Remote teams rely on written communication, clear rules and regular check-ins, which keeps everyone aligned across time zones.';
+
+/**
+ * Convert an HTML fragment to markdown
+ * @param {string} html - HTML inside the body
+ * @returns {string} Markdown
+ */
+function markdownOf(html) {
+  const $ = cheerio.load(`<body>${html}</body>`);
+  return toMarkdown($, $('body'), BASE_URL);
+}
+
+describe('getLinkDensity', () => {
+  it('measures the share of text inside links', () => {
+    const $ = cheerio.load('<div id="a"><a href="/x">12345</a>67890</div><div id="b"></div>');
+
+    expect(getLinkDensity($, $('#a'))).toBe(0.5);
+    expect(getLinkDensity($, $('#b'))).toBe(0);
+  });
+});
+
+describe('findMainContent', () => {
+  it('picks the container with the most paragraph text over link-heavy and boilerplate blocks', () => {
+    const $ = cheerio.load(`<body>
+      <div class="sidebar"><p>${PARAGRAPH}</p></div>
+      <div class="links"><p><a href="/1">${PARAGRAPH}</a></p><p><a href="/2">${PARAGRAPH}</a></p></div>
+      <div id="story"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+    </body>`);
+
+    expect(findMainContent($).attr('id')).toBe('story');
+  });
+
+  it('uses the common parent when the content is split across wrappers', () => {
+    const $ = cheerio.load(`<body><div id="post">
+      <div class="part"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+      <div class="part"><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></div>
+    </div></body>`);
+
+    expect(findMainContent($).attr('id')).toBe('post');
+  });
+
+  it('falls back to the body when no paragraph is long enough', () => {
+    const $ = cheerio.load('<body><div><p>Too short.</p></div></body>');
+
+    expect(findMainContent($).is('body')).toBe(true);
+  });
+});
+
+describe('cleanConditionally', () => {
+  it('removes empty wrappers, boilerplate blocks and link lists but keeps structured content', () => {
+    const $ = cheerio.load(`<div id="root">
+      <p>${PARAGRAPH}</p>
+      <div class="share-bar">Share on social media</div>
+      <ul><li><a href="/1">Related post one</a></li><li><a href="/2">Related post two</a></li></ul>
+      <div></div>
+      <div class="comments"><p>Comments keep their paragraphs.</p></div>
+      <ul><li>A list item without links</li></ul>
+    </div>`);
+
+    cleanConditionally($, $('#root'));
+
+    expect($('#root').children().toArray().map(element => element.tagName)).toEqual(['p', 'div', 'ul']);
+    expect($('#root ul').text()).toBe('A list item without links');
+  });
+});
+
+describe('toMarkdown', () => {
+  it('converts headings, paragraphs and inline formatting', () => {
+    expect(markdownOf('<h2>Getting <em>started</em></h2><p>Use <strong>clear</strong> rules and <code>git  log</code>.<br>Next line.</p>'))
+      .toBe('## Getting *started*\n\nUse **clear** rules and `git log`.\nNext line.');
+  });
+
+  it('resolves links against the page URL and drops non-http links', () => {
+    expect(markdownOf('<p><a href="../guide">the guide</a>, <a href="javascript:alert(1)">a script</a> and <a href="mailto:me@example.com">mail</a></p>'))
+      .toBe('[the guide](https://example.com/guide), a script and mail');
+  });
+
+  it('keeps nested and numbered lists', () => {
+    expect(markdownOf('<ol start="3"><li>Plan<ul><li>Goals</li><li>Dates</li></ul></li><li><p>Ship</p></li></ol>'))
+      .toBe('3. Plan\n    - Goals\n    - Dates\n4. Ship');
+  });
+
+  it('keeps code blocks with their language, quotes, tables and rules', () => {
+    const markdown = markdownOf([
+      '<pre><code class="language-js">const a = 1;\n\nconsole.log(a);\n</code></pre>',
+      '<blockquote><p>First.</p><p>Second.</p></blockquote>',
+      '<table><tr><th>Tool</th><th>Use</th></tr><tr><td>Chat</td><td>Quick | short</td></tr><tr><td>Mail</td></tr></table>',
+      '<hr>',
+    ].join(''));
+
+    expect(markdown).toBe([
+      '```js\nconst a = 1;\n\nconsole.log(a);\n```',
+      '> First.\n>\n> Second.',
+      '| Tool | Use |\n| --- | --- |\n| Chat | Quick \\| short |\n| Mail |  |',
+      '---',
+    ].join('\n\n'));
+  });
+
+  it('skips scripts, media and navigation', () => {
+    expect(markdownOf('<nav><a href="/">Home</a></nav><script>track()</script><p>Text<img src="a.png"></p><iframe></iframe>'))
+      .toBe('Text');
+  });
+});
+
+describe('extractReadableContent', () => {
+  it('returns the main content as markdown with its text length', () => {
+    const $ = cheerio.load(`<body>
+      <div class="sidebar"><a href="/1">Related post</a></div>
+      <article><h1>Remote work</h1><p>${PARAGRAPH}</p><div class="share">Share</div><p>${PARAGRAPH}</p></article>
+    </body>`);
+
+    const { markdown, textLength } = extractReadableContent($, BASE_URL);
+
+    expect(markdown).toBe(`# Remote work\n\n${PARAGRAPH}\n\n${PARAGRAPH}`);
+    expect(textLength).toBeGreaterThan(2 * PARAGRAPH.length);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { toReviewText, buildReviewReport, renderReviewReport, writeReviewReport } from '../../src/utils/reviewReport.js';
+
+const BODY = 'Remote work changed how teams communicate. '.repeat(12).trim();
+
+const originalArticle = {
+  id: 7,
+  title: 'Working <remotely>',
+  content: `<h1>Working remotely</h1><p>${BODY}</p><p>Teams use chat daily.</p>`,
+};
+
+const enhancedArticle = {
+  title: 'Working remotely, done well',
+  content: `# Working remotely\n\n${BODY}\n\nTeams use **chat and video** daily.\n\n## References\n\n- [Study](https://example.com/study)`,
+  metadata: {
+    ai_enhanced: true,
+    original_article_id: 7,
+    prompt_template: 'default',
+    prompt_template_version: 2,
+    llm_provider: 'mock',
+    references: [
+      { title: 'Study', url: 'https://example.com/study', domain: 'example.com', author: 'Ada', published_at: '2025-01-01T00:00:00.000Z' },
+      { title: 'Bad <link>', url: 'javascript:alert(1)', domain: 'evil.example', author: null, published_at: null },
+    ],
+    overlap: { max_similarity: 12.5, references: [{ url: 'https://example.com/study', similarity: 12.5 }] },
+    fact_check: { facts_checked: 4, warnings: ['Number "40%" is missing'] },
+    enhancement_stats: { llm_calls: [{}, {}], total_tokens: 1500, estimated_cost_usd: 0.01 },
+  },
+};
+
+describe('toReviewText', () => {
+  it('reduces HTML to text with blocks on separate lines and entities decoded', () => {
+    expect(toReviewText('<h2>Title</h2><p>Fish &amp; chips&nbsp;&#8212; <b>tasty</b></p><ul><li>One</li><li>Two</li></ul>'))
+      .toBe('Title\n\nFish & chips — tasty\n\nOne\n\nTwo');
+  });
+
+  it('drops markdown markup but keeps link text', () => {
+    expect(toReviewText('## Title\n\n> Quote with **bold** and `code`\n\n- [Link](https://example.com) ![alt](a.png)\n1. First'))
+      .toBe('Title\n\nQuote with bold and code\n\nLink alt\nFirst');
+  });
+});
+
+describe('buildReviewReport', () => {
+  it('collects warnings, references, stats and the diff of the article text', () => {
+    const report = buildReviewReport({
+      runId: 'run-1',
+      originalArticle,
+      enhancedArticle,
+      stats: { totalEnhanced: 1 },
+      publishingErrors: ['Article overlaps too much'],
+    });
+
+    expect(report).toMatchObject({
+      runId: 'run-1',
+      original: { id: 7, title: 'Working <remotely>' },
+      enhanced: { title: 'Working remotely, done well' },
+      promptTemplate: { name: 'default', version: 2 },
+      seo: null,
+      stats: {
+        totalEnhanced: 1,
+        llmProvider: 'mock',
+        llmCalls: 2,
+        totalTokens: 1500,
+        estimatedCostUsd: 0.01,
+        factsChecked: 4,
+        maxReferenceSimilarity: 12.5,
+      },
+      warnings: [
+        { source: 'fact-check', message: 'Number "40%" is missing' },
+        { source: 'publishing', message: 'Article overlaps too much' },
+      ],
+    });
+    expect(report.references.map(ref => [ref.url, ref.similarity])).toEqual([
+      ['https://example.com/study', 12.5],
+      ['javascript:alert(1)', null],
+    ]);
+    expect(report.diff).toMatchObject({ inserted: 4, deleted: 0 });
+    expect(report.diff.ops.filter(op => op.type === 'insert').map(op => op.text.replace(/\s+/g, ' ').trim())).toEqual([
+      'and video',
+      'References Study',
+    ]);
+  });
+
+  it('reports validation problems of the enhanced article', () => {
+    const report = buildReviewReport({
+      runId: 'run-1',
+      originalArticle,
+      enhancedArticle: { ...enhancedArticle, content: 'Too short' },
+      stats: {},
+    });
+
+    expect(report.warnings).toContainEqual({ source: 'validation', message: 'Enhanced article must have substantial content (at least 500 characters)' });
+    expect(report.warnings).toContainEqual({ source: 'validation', message: 'Enhanced article must include a References section' });
+  });
+});
+
+describe('renderReviewReport', () => {
+  const report = buildReviewReport({ runId: 'run-1', originalArticle, enhancedArticle, stats: {}, publishingErrors: ['<b>refused</b>'] });
+
+  it('renders the diff, warnings and references with all text escaped', () => {
+    const html = renderReviewReport(report);
+
+    expect(html).toContain('<title>Review: Working &lt;remotely&gt;</title>');
+    expect(html).toContain('<ins> and video</ins>');
+    expect(html).toContain('&lt;b&gt;refused&lt;/b&gt;');
+    expect(html).toContain('<a href="https://example.com/study">Study</a>');
+    expect(html).toContain('Bad &lt;link&gt; <span class="muted">(evil.example)</span>');
+    expect(html).not.toContain('javascript:');
+    expect(html).not.toContain('<script');
+  });
+
+  it('lists the SEO package when there is one', () => {
+    const seo = { meta_description: 'Desc', slug: 'working-remotely', focus_keyword: 'remote', secondary_keywords: ['chat', 'video'], og_title: 'OG', faq: [{ question: 'Why?' }] };
+
+    expect(renderReviewReport({ ...report, seo })).toContain('<tr><th>Secondary keywords</th><td>chat, video</td></tr>');
+    expect(renderReviewReport(report)).not.toContain('<h2>SEO</h2>');
+  });
+});
+
+describe('writeReviewReport', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'review-report-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('writes the report as JSON and HTML named after the run and article', async () => {
+    const report = buildReviewReport({ runId: 'run-1', originalArticle, enhancedArticle, stats: {} });
+    const reportDir = path.join(directory, 'reports');
+
+    const files = await writeReviewReport(report, reportDir);
+
+    expect(files).toEqual({ html: path.join(reportDir, 'run-1-article-7.html'), json: path.join(reportDir, 'run-1-article-7.json') });
+    expect(JSON.parse(await fs.readFile(files.json, 'utf8'))).toEqual(report);
+    expect(await fs.readFile(files.html, 'utf8')).toBe(renderReviewReport(report));
+    expect((await fs.readdir(reportDir)).sort()).toEqual(['run-1-article-7.html', 'run-1-article-7.json']);
+  });
+});
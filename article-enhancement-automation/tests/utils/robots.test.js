@@ -0,0 +1,173 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { parseRobotsTxt, RobotsRules, RobotsChecker } from '../../src/utils/robots.js';
+import { HttpCache } from '../../src/utils/httpCache.js';
+
+/**
+ * Build the rules of a robots.txt for a user agent
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token
+ * @returns {RobotsRules} Rules
+ */
+function rulesFor(text, userAgent = 'ArticleEnhancerBot') {
+  return new RobotsRules(parseRobotsTxt(text), userAgent);
+}
+
+describe('parseRobotsTxt', () => {
+  it('groups consecutive User-agent lines and ignores comments and unknown fields', () => {
+    const groups = parseRobotsTxt([
+      '# robots.txt',
+      'User-agent: FooBot',
+      'User-agent: BarBot # both',
+      'Disallow: /private',
+      'Allow: /private/open',
+      'Crawl-delay: 5',
+      'Sitemap: https://example.com/sitemap.xml',
+      '',
+      'User-agent: *',
+      'Disallow:',
+    ].join('\n'));
+
+    expect(groups).toEqual([
+      { agents: ['foobot', 'barbot'], rules: [{ allow: false, path: '/private' }, { allow: true, path: '/private/open' }], crawlDelay: 5 },
+      { agents: ['*'], rules: [], crawlDelay: null },
+    ]);
+  });
+
+  it('ignores rules before the first User-agent line and invalid Crawl-delay values', () => {
+    expect(parseRobotsTxt('Disallow: /\nUser-agent: *\nCrawl-delay: soon')).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+  });
+});
+
+describe('RobotsRules', () => {
+  describe('group selection', () => {
+    const text = 'User-agent: *\nDisallow: /\n\nUser-agent: ArticleEnhancerBot\nDisallow: /drafts\nCrawl-delay: 2';
+
+    it('uses the groups naming our user agent instead of *', () => {
+      const rules = rulesFor(text);
+
+      expect(rules.isAllowed('https://example.com/posts/1')).toBe(true);
+      expect(rules.isAllowed('https://example.com/drafts/1')).toBe(false);
+      expect(rules.crawlDelay).toBe(2);
+    });
+
+    it('falls back to the * group', () => {
+      const rules = rulesFor(text, 'OtherBot');
+
+      expect(rules.isAllowed('https://example.com/posts/1')).toBe(false);
+      expect(rules.crawlDelay).toBeNull();
+    });
+
+    it('allows everything without a matching group', () => {
+      expect(rulesFor('User-agent: OtherBot\nDisallow: /').isAllowed('https://example.com/')).toBe(true);
+    });
+  });
+
+  describe('precedence', () => {
+    it('applies the longest matching rule', () => {
+      const rules = rulesFor('User-agent: *\nDisallow: /blog\nAllow: /blog/public\nDisallow: /blog/public/drafts');
+
+      expect(rules.isAllowed('https://example.com/blog/post')).toBe(false);
+      expect(rules.isAllowed('https://example.com/blog/public/post')).toBe(true);
+      expect(rules.isAllowed('https://example.com/blog/public/drafts/post')).toBe(false);
+      expect(rules.isAllowed('https://example.com/about')).toBe(true);
+    });
+
+    it('lets Allow win a tie regardless of order', () => {
+      expect(rulesFor('User-agent: *\nDisallow: /page\nAllow: /page').isAllowed('https://example.com/page')).toBe(true);
+      expect(rulesFor('User-agent: *\nAllow: /page\nDisallow: /page').isAllowed('https://example.com/page')).toBe(true);
+    });
+
+    it('compares rule lengths, not match lengths, for wildcards', () => {
+      const rules = rulesFor('User-agent: *\nAllow: /*.html\nDisallow: /archive/');
+
+      expect(rules.isAllowed('https://example.com/archive/post.html')).toBe(false);
+      expect(rules.isAllowed('https://example.com/news/post.html')).toBe(true);
+    });
+  });
+
+  describe('patterns', () => {
+    it('supports * wildcards and the $ anchor', () => {
+      const rules = rulesFor('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=');
+
+      expect(rules.isAllowed('https://example.com/files/report.pdf')).toBe(false);
+      expect(rules.isAllowed('https://example.com/files/report.pdf?download=1')).toBe(true);
+      expect(rules.isAllowed('https://example.com/search?page=2&q=ai')).toBe(false);
+    });
+
+    it('matches the query string and decoded paths', () => {
+      const rules = rulesFor('User-agent: *\nDisallow: /?print\nDisallow: /café');
+
+      expect(rules.isAllowed('https://example.com/?print=1')).toBe(false);
+      expect(rules.isAllowed('https://example.com/caf%C3%A9/menu')).toBe(false);
+    });
+
+    it('treats regex characters in rules literally', () => {
+      expect(rulesFor('User-agent: *\nDisallow: /a.b').isAllowed('https://example.com/axb')).toBe(true);
+    });
+  });
+
+  it('disallows everything when robots.txt was unreachable', () => {
+    expect(new RobotsRules([], 'ArticleEnhancerBot', { disallowAll: true }).isAllowed('https://example.com/')).toBe(false);
+  });
+});
+
+describe('RobotsChecker', () => {
+  const TTL = 60000;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Create a checker whose robots.txt fetches return the given results in turn
+   * @param {Array<Object>} results - Fetch results ({ status, text, unreachable })
+   * @returns {RobotsChecker} Checker with a jest.fn fetchRobotsTxt
+   */
+  function createChecker(results) {
+    const checker = new RobotsChecker('ArticleEnhancerBot', new HttpCache('unused', { ttl: TTL, enabled: false }));
+    checker.fetchRobotsTxt = jest.fn();
+    results.forEach(result => checker.fetchRobotsTxt.mockResolvedValueOnce(result));
+    return checker;
+  }
+
+  const ALLOW_ALL = { status: 404, text: '', unreachable: false };
+  const DISALLOW_ALL = { status: 200, text: 'User-agent: *\nDisallow: /', unreachable: false };
+  const UNREACHABLE = { status: 503, text: '', unreachable: true };
+
+  it('fetches robots.txt once per origin for concurrent scrapes', async () => {
+    const checker = createChecker([ALLOW_ALL]);
+
+    const [first, second] = await Promise.all([
+      checker.getRules('https://example.com/a'),
+      checker.getRules('https://example.com/b'),
+    ]);
+
+    expect(first).toBe(second);
+    expect(checker.fetchRobotsTxt).toHaveBeenCalledTimes(1);
+    expect(checker.fetchRobotsTxt).toHaveBeenCalledWith('https://example.com/robots.txt');
+  });
+
+  it('fetches robots.txt again once the cache TTL has passed', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const checker = createChecker([ALLOW_ALL, DISALLOW_ALL]);
+
+    expect((await checker.getRules('https://example.com/a')).isAllowed('https://example.com/a')).toBe(true);
+
+    clock.mockReturnValue(now + TTL - 1);
+    expect((await checker.getRules('https://example.com/a')).isAllowed('https://example.com/a')).toBe(true);
+    expect(checker.fetchRobotsTxt).toHaveBeenCalledTimes(1);
+
+    clock.mockReturnValue(now + TTL);
+    expect((await checker.getRules('https://example.com/a')).isAllowed('https://example.com/a')).toBe(false);
+    expect(checker.fetchRobotsTxt).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not keep an unreachable robots.txt', async () => {
+    const checker = createChecker([UNREACHABLE, ALLOW_ALL]);
+
+    expect((await checker.getRules('https://example.com/a')).disallowAll).toBe(true);
+    expect((await checker.getRules('https://example.com/a')).disallowAll).toBe(false);
+    expect(checker.fetchRobotsTxt).toHaveBeenCalledTimes(2);
+  });
+});
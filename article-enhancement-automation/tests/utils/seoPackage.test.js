@@ -0,0 +1,240 @@
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import {
+  SEO_LIMITS,
+  slugify,
+  parseSeoResponse,
+  normalizeSeoPackage,
+  validateSeoPackage,
+  buildFaqJsonLd,
+  renderFaqSection,
+} from '../../src/utils/seoPackage.js';
+import { ValidationError } from '../../src/utils/errors.js';
+import { AIEnhancer } from '../../src/components/AIEnhancer.js';
+import { ArticlePublisher } from '../../src/components/ArticlePublisher.js';
+import { ArticleFetcher } from '../../src/components/ArticleFetcher.js';
+import { LLMProvider } from '../../src/providers/llmProviders.js';
+import { createUsage } from '../../src/utils/usage.js';
+
+const article = {
+  title: 'Remote work tips',
+  content: '# Remote work tips\n\nRemote work needs clear rules, good tools and regular video calls to keep the team in sync.',
+};
+
+const faq = [
+  { question: 'What makes remote work succeed?', answer: 'Clear rules, good tools and regular check-ins.' },
+  { question: 'Which tools do remote teams need?', answer: 'A chat tool, video calls and a shared task board.' },
+  { question: 'How often should remote teams meet?', answer: 'A short video call a few times a week keeps everyone in sync.' },
+];
+
+const validPackage = {
+  meta_description: 'Practical remote work tips for teams: set clear rules, pick the right tools and keep everyone in sync.',
+  slug: 'remote-work-tips',
+  focus_keyword: 'remote work',
+  secondary_keywords: ['clear rules', 'video calls', 'team communication'],
+  og_title: 'Remote work tips that actually help',
+  faq,
+};
+
+/**
+ * Validate a copy of the valid package with some fields replaced
+ * @param {Object} changes - Fields to replace
+ * @returns {Array<string>} Validation errors
+ */
+const errorsFor = (changes) => validateSeoPackage({ ...validPackage, ...changes }, article).errors;
+
+describe('slugify', () => {
+  it('turns text into lowercase ASCII words joined by single hyphens', () => {
+    expect(slugify('  Café Crème: Tips & Tricks!  ')).toBe('cafe-creme-tips-and-tricks');
+    expect(slugify(null)).toBe('');
+  });
+
+  it('cuts long slugs at a word boundary, or hard when there is none', () => {
+    expect(slugify('alpha beta gamma', 12)).toBe('alpha-beta');
+    expect(slugify('abcdefghij', 4)).toBe('abcd');
+  });
+});
+
+describe('parseSeoResponse', () => {
+  it('reads the JSON object out of code fences and surrounding text', () => {
+    expect(parseSeoResponse('Here it is:\n```json\n{ "slug": "remote-work" }\n```')).toEqual({ slug: 'remote-work' });
+  });
+
+  it.each([
+    ['no JSON', 'Sorry, I cannot help with that.'],
+    ['a JSON array', '["remote-work", "tips"]'],
+    ['broken JSON', '{ "slug": "remote-work", }'],
+  ])('rejects %s', (label, response) => {
+    expect(() => parseSeoResponse(response)).toThrow(ValidationError);
+  });
+});
+
+describe('normalizeSeoPackage', () => {
+  it('repairs whitespace, slug format, keyword case and FAQ shapes', () => {
+    expect(normalizeSeoPackage({
+      meta_description: '  Practical   remote work tips\nfor teams. ',
+      slug: 'Remote Work: Tips & Tricks!',
+      focus_keyword: ' Remote  Work ',
+      secondary_keywords: ['Video Calls', '  ', 42, 'clear rules'],
+      og_title: 'Remote work\ttips',
+      faq: [{ question: ' Why? ', answer: ' Because.\n' }, null, 'not a question'],
+    })).toEqual({
+      meta_description: 'Practical remote work tips for teams.',
+      slug: 'remote-work-tips-and-tricks',
+      focus_keyword: 'remote work',
+      secondary_keywords: ['video calls', 'clear rules'],
+      og_title: 'Remote work tips',
+      faq: [{ question: 'Why?', answer: 'Because.' }],
+    });
+  });
+
+  it('fills missing fields with empty values', () => {
+    expect(normalizeSeoPackage({})).toEqual({
+      meta_description: '',
+      slug: '',
+      focus_keyword: '',
+      secondary_keywords: [],
+      og_title: '',
+      faq: [],
+    });
+  });
+});
+
+describe('validateSeoPackage', () => {
+  it('accepts a complete package', () => {
+    expect(validateSeoPackage(validPackage, article)).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('checks lengths and the slug format', () => {
+    expect(errorsFor({ meta_description: 'Too short', slug: '' })).toEqual([
+      'meta_description must be 70-160 characters, got 9',
+      'slug is required',
+    ]);
+    expect(errorsFor({ slug: 'Remote_Work' })).toEqual([
+      `slug must be lowercase words joined by hyphens, at most ${SEO_LIMITS.slug.max} characters`,
+    ]);
+  });
+
+  it('requires a short focus keyword that appears in the article', () => {
+    expect(errorsFor({ focus_keyword: 'office plants' })).toEqual(['focus_keyword "office plants" does not appear in the article']);
+    expect(errorsFor({ focus_keyword: 'one two three four five six' })).toHaveLength(1);
+    expect(validateSeoPackage({ ...validPackage, focus_keyword: 'office plants' }).isValid).toBe(true);
+  });
+
+  it('requires distinct secondary keywords that do not repeat the focus keyword', () => {
+    expect(errorsFor({ secondary_keywords: ['video calls', 'remote work', 'video calls'] })).toEqual([
+      'secondary_keywords must be unique, repeated: video calls',
+      'secondary_keywords must not repeat the focus_keyword',
+    ]);
+    expect(errorsFor({ secondary_keywords: ['video calls'] })).toEqual(['secondary_keywords must list 3-8 keywords, got 1']);
+  });
+
+  it('checks every FAQ entry', () => {
+    expect(errorsFor({ faq: [faq[0], { question: 'No question mark', answer: 'Short.' }, { ...faq[0] }] })).toEqual([
+      'faq 2: question must end with "?" and be at most 150 characters',
+      'faq 2: answer must be 20-500 characters, got 6',
+      'faq 3: question repeats faq 1',
+    ]);
+    expect(errorsFor({ faq: faq.slice(0, 2) })).toEqual(['faq must have 3-6 questions, got 2']);
+  });
+});
+
+describe('FAQ output', () => {
+  it('renders the same questions and answers as markdown and FAQPage JSON-LD', () => {
+    const section = renderFaqSection(faq.slice(0, 1));
+    const jsonLd = buildFaqJsonLd(faq.slice(0, 1));
+
+    expect(section).toBe('## Frequently Asked Questions\n\n### What makes remote work succeed?\n\nClear rules, good tools and regular check-ins.');
+    expect(jsonLd).toEqual({
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: [{
+        '@type': 'Question',
+        name: 'What makes remote work succeed?',
+        acceptedAnswer: { '@type': 'Answer', text: 'Clear rules, good tools and regular check-ins.' },
+      }],
+    });
+  });
+});
+
+/**
+ * Provider stand-in that gives prepared answers in order
+ */
+class ScriptedProvider extends LLMProvider {
+  constructor(answers) {
+    super('scripted', { model: 'scripted' });
+    this.answers = answers;
+    this.prompts = [];
+  }
+
+  async complete(prompt) {
+    this.prompts.push(prompt);
+    return { content: this.answers.shift(), model: this.model, usage: createUsage({ promptTokens: 10, completionTokens: 10 }, this.model) };
+  }
+}
+
+describe('SEO package repair', () => {
+  it('sends an invalid package back once with its problems', async () => {
+    const provider = new ScriptedProvider([
+      JSON.stringify({ ...validPackage, faq: [] }),
+      JSON.stringify(validPackage),
+    ]);
+    const llmCalls = [];
+
+    const seo = await new AIEnhancer(provider).generateSeoPackage(article, null, llmCalls);
+
+    expect(provider.prompts).toHaveLength(2);
+    expect(provider.prompts[1]).toContain('- faq must have 3-6 questions, got 0');
+    expect(seo).toEqual({ ...validPackage, json_ld: buildFaqJsonLd(faq) });
+    expect(llmCalls).toHaveLength(2);
+  });
+
+  it('asks again when the answer is not JSON', async () => {
+    const provider = new ScriptedProvider(['I cannot do that.', JSON.stringify(validPackage)]);
+
+    await new AIEnhancer(provider).generateSeoPackage(article, null, []);
+
+    expect(provider.prompts[1]).toContain('- SEO package response is not a JSON object');
+  });
+
+  it('gives up when the repaired package is still invalid', async () => {
+    const invalid = JSON.stringify({ ...validPackage, slug: '' });
+    const provider = new ScriptedProvider([invalid, invalid, JSON.stringify(validPackage)]);
+
+    await expect(new AIEnhancer(provider).generateSeoPackage(article, null, [])).rejects.toThrow(ValidationError);
+    expect(provider.prompts).toHaveLength(2);
+  });
+});
+
+describe('SEO slug collisions', () => {
+  let fetcher;
+  let publisher;
+  let taken;
+
+  beforeEach(() => {
+    taken = new Map();
+    fetcher = new ArticleFetcher();
+    fetcher.fetchArticlesPage = jest.fn(async ({ filters }) => ({
+      articles: taken.has(filters.seo_slug) ? [{ id: taken.get(filters.seo_slug), metadata: JSON.stringify({ seo: { slug: filters.seo_slug } }) }] : [],
+      lastPage: 1,
+    }));
+    publisher = new ArticlePublisher(fetcher);
+  });
+
+  it('reads the slug from metadata stored as a JSON string', async () => {
+    taken.set('remote-work-tips', 10);
+
+    expect(await publisher.isSlugTaken('remote-work-tips')).toBe(true);
+    expect(await publisher.isSlugTaken('remote-work-tips', '10')).toBe(false);
+    expect(await publisher.isSlugTaken('office-plants')).toBe(false);
+  });
+
+  it('shortens a long slug so the suffixed slug stays within the limit and valid', async () => {
+    const slug = slugify(Array.from({ length: 20 }, () => 'word').join(' '));
+    taken.set(slug, 10);
+
+    const resolved = await publisher.resolveSeoSlug({ ...validPackage, slug });
+
+    expect(resolved.slug).toBe(`${slug.substring(0, SEO_LIMITS.slug.max - 2).replace(/-+$/, '')}-2`);
+    expect(validateSeoPackage(resolved, article).errors).toEqual([]);
+  });
+});
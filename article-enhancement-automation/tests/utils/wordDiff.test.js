@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import { diffWords } from '../../src/utils/wordDiff.js';
+
+/**
+ * Rebuild the words of one side of a diff
+ * @param {Array<Object>} ops - Diff operations
+ * @param {string} skip - Operation type that belongs to the other side
+ * @returns {Array<string>} Words
+ */
+const sideOf = (ops, skip) => ops.filter(op => op.type !== skip).flatMap(op => op.text.split(/\s+/).filter(Boolean));
+
+/**
+ * Split text into words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+const wordsOf = (text) => text.split(/\s+/).filter(Boolean);
+
+describe('diffWords', () => {
+  it('reports identical texts as unchanged, ignoring whitespace', () => {
+    expect(diffWords('Remote  work\nchanged teams', 'Remote work changed teams')).toEqual({
+      ops: [{ type: 'equal', text: 'Remote work changed teams' }],
+      inserted: 0,
+      deleted: 0,
+      unchanged: 4,
+    });
+  });
+
+  it('reports a replaced word as one deletion and one insertion', () => {
+    const diff = diffWords('the quick brown fox', 'the slow brown fox');
+
+    expect(diff.ops).toEqual([
+      { type: 'equal', text: 'the' },
+      { type: 'delete', text: ' quick' },
+      { type: 'insert', text: ' slow' },
+      { type: 'equal', text: ' brown fox' },
+    ]);
+    expect(diff).toMatchObject({ inserted: 1, deleted: 1, unchanged: 3 });
+  });
+
+  it('keeps the words of neighbouring operations apart', () => {
+    expect(diffWords('old\ntext', 'new\ntext').ops.map(op => op.text)).toEqual(['old', ' new', '\ntext']);
+  });
+
+  it('handles empty texts', () => {
+    expect(diffWords('', 'two words')).toEqual({ ops: [{ type: 'insert', text: 'two words' }], inserted: 2, deleted: 0, unchanged: 0 });
+    expect(diffWords('two words', null)).toEqual({ ops: [{ type: 'delete', text: 'two words' }], inserted: 0, deleted: 2, unchanged: 0 });
+    expect(diffWords('', '')).toEqual({ ops: [], inserted: 0, deleted: 0, unchanged: 0 });
+  });
+
+  it('finds a shortest edit script', () => {
+    // Example from Myers' paper: ABCABBA -> CBABAC takes 5 edits
+    const diff = diffWords('a b c a b b a', 'c b a b a c');
+
+    expect(diff.inserted + diff.deleted).toBe(5);
+    expect(diff.unchanged).toBe(4);
+  });
+
+  it.each([
+    ['moved paragraph', 'one two three four five six seven', 'five six seven one two three four'],
+    ['interleaved edits', 'a b c d e f g h i j', 'a x c d y f g z i j k'],
+    ['repeated words', 'the cat and the dog and the bird', 'the dog and the cat and the fish and the bird'],
+    ['nothing in common', 'alpha beta gamma', 'delta epsilon'],
+  ])('rebuilds both texts from the operations (%s)', (label, before, after) => {
+    const diff = diffWords(before, after);
+
+    expect(sideOf(diff.ops, 'insert')).toEqual(wordsOf(before));
+    expect(sideOf(diff.ops, 'delete')).toEqual(wordsOf(after));
+    expect(diff.unchanged + diff.deleted).toBe(wordsOf(before).length);
+    expect(diff.unchanged + diff.inserted).toBe(wordsOf(after).length);
+  });
+});
@@ -21,6 +21,7 @@ public function __construct(ArticleService $articleService)
 
     /**
      * Display a listing of articles.
+     * Enhanced articles can be filtered by their metadata, e.g. ?original_article_id=5&enhancement_type=seo
      *
      * @param Request $request
      * @return JsonResponse
@@ -30,8 +31,14 @@ public function index(Request $request): JsonResponse
         try {
             $perPage = $request->get('per_page', 15);
             $perPage = min(max($perPage, 1), 100); // Limit between 1 and 100
+            $page = max((int) $request->get('page', 1), 1);
             
-            $articles = $this->articleService->getAllArticles($perPage);
+            $filters = array_filter(
+                $request->only(array_keys(ArticleService::METADATA_FILTERS)),
+                fn ($value) => is_string($value) && $value !== ''
+            );
+            
+            $articles = $this->articleService->getAllArticles($perPage, $page, $filters);
             
             return response()->json([
                 'success' => true,
@@ -28,7 +28,9 @@ public function rules(): array
             'author' => 'required|string|max:255',
             'publication_date' => 'nullable|date',
             'content' => 'required|string|min:10',
+            'content_format' => 'nullable|string|in:html,markdown',
             'category' => 'nullable|string|max:100',
+            'metadata' => 'nullable|array',
             'html' => 'nullable|string', // For HTML scraping
         ];
     }
@@ -48,7 +50,9 @@ public function messages(): array
             'publication_date.date' => 'The publication date must be a valid date.',
             'content.required' => 'The article content is required.',
             'content.min' => 'The article content must be at least 10 characters long.',
+            'content_format.in' => 'The content format must be either html or markdown.',
             'category.max' => 'The category cannot exceed 100 characters.',
+            'metadata.array' => 'The article metadata must be an object.',
         ];
     }
 
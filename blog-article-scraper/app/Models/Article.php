@@ -19,7 +19,10 @@ class Article extends Model
         'author',
         'publication_date',
         'content',
+        'content_format',
+        'content_html',
         'category',
+        'metadata',
     ];
 
     /**
@@ -29,6 +32,7 @@ class Article extends Model
      */
     protected $casts = [
         'publication_date' => 'datetime',
+        'metadata' => 'array',
         'created_at' => 'datetime',
         'updated_at' => 'datetime',
     ];
@@ -52,7 +56,9 @@ public static function validationRules(): array
             'author' => 'required|string|max:255',
             'publication_date' => 'nullable|date',
             'content' => 'required|string',
+            'content_format' => 'nullable|string|in:html,markdown',
             'category' => 'nullable|string|max:100',
+            'metadata' => 'nullable|array',
         ];
     }
 
@@ -68,7 +74,9 @@ public static function updateValidationRules(): array
             'author' => 'sometimes|required|string|max:255',
             'publication_date' => 'nullable|date',
             'content' => 'sometimes|required|string',
+            'content_format' => 'nullable|string|in:html,markdown',
             'category' => 'nullable|string|max:100',
+            'metadata' => 'nullable|array',
         ];
     }
 }
@@ -8,10 +8,23 @@
 use Illuminate\Pagination\LengthAwarePaginator;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Str;
 use Illuminate\Validation\ValidationException;
 
 class ArticleService
 {
+    /**
+     * Listing filters matched against the article metadata, with their JSON columns.
+     *
+     * @var array<string, string>
+     */
+    public const METADATA_FILTERS = [
+        'original_article_id' => 'metadata->original_article_id',
+        'enhancement_type' => 'metadata->enhancement_type',
+        'locale' => 'metadata->locale',
+        'seo_slug' => 'metadata->seo->slug',
+    ];
+
     protected ArticleScraperService $scraperService;
 
     public function __construct(ArticleScraperService $scraperService)
@@ -105,7 +118,7 @@ public function updateArticle(int $id, array $data): Article
             }
             
             // Sanitize input data
-            $sanitizedData = $this->sanitizeArticleData($data);
+            $sanitizedData = $this->sanitizeArticleData($data, $article);
             
             // Update article
             $article->fill($sanitizedData);
@@ -183,12 +196,22 @@ public function findArticle(int $id): Article
      *
      * @param int $perPage
      * @param int $page
+     * @param array $filters Metadata filters (see METADATA_FILTERS)
      * @return LengthAwarePaginator
      */
-    public function getAllArticles(int $perPage = 15, int $page = 1): LengthAwarePaginator
+    public function getAllArticles(int $perPage = 15, int $page = 1, array $filters = []): LengthAwarePaginator
     {
-        return Article::orderBy('created_at', 'desc')
-            ->paginate($perPage, ['*'], 'page', $page);
+        $query = Article::orderBy('created_at', 'desc');
+        
+        foreach (self::METADATA_FILTERS as $filter => $column) {
+            if (isset($filters[$filter])) {
+                // Original article IDs are stored as JSON numbers
+                $value = $filter === 'original_article_id' ? (int) $filters[$filter] : $filters[$filter];
+                $query->where($column, $value);
+            }
+        }
+        
+        return $query->paginate($perPage, ['*'], 'page', $page);
     }
 
     /**
@@ -262,10 +285,14 @@ protected function isDuplicate(string $title, ?string $publicationDate, ?int $ex
     /**
      * Sanitize article data to prevent XSS and other security issues.
      *
+     * content_html is never taken from the client: it is rendered here from
+     * markdown content whenever the content or its format changes.
+     *
      * @param array $data
+     * @param Article|null $article Article being updated, for its current content and format
      * @return array
      */
-    protected function sanitizeArticleData(array $data): array
+    protected function sanitizeArticleData(array $data, ?Article $article = null): array
     {
         $sanitized = [];
         
@@ -284,10 +311,26 @@ protected function sanitizeArticleData(array $data): array
             $sanitized['publication_date'] = $data['publication_date'];
         }
         
-        // Sanitize content (allow basic HTML tags)
+        if (isset($data['content_format'])) {
+            $sanitized['content_format'] = $data['content_format'];
+        }
+        
+        $format = $data['content_format'] ?? $article?->content_format ?? 'html';
+        
+        // Sanitize content (basic HTML tags without attributes). Markdown is escaped when it
+        // is rendered, so it is stored as-is to keep code samples like `Array<string>`
         if (isset($data['content'])) {
-            $allowedTags = '<p><br><strong><em><ul><ol><li><h1><h2><h3><h4><h5><h6><blockquote>';
-            $sanitized['content'] = strip_tags(trim($data['content']), $allowedTags);
+            $sanitized['content'] = $format === 'markdown'
+                ? trim($data['content'])
+                : $this->sanitizeHtml(trim($data['content']));
+        }
+        
+        // Rendered HTML of markdown content
+        if (isset($data['content']) || isset($data['content_format'])) {
+            $content = $sanitized['content'] ?? $article?->content;
+            $sanitized['content_html'] = $format === 'markdown' && $content !== null
+                ? $this->renderMarkdown($content)
+                : null;
         }
         
         // Sanitize category
@@ -295,9 +338,51 @@ protected function sanitizeArticleData(array $data): array
             $sanitized['category'] = strip_tags(trim($data['category']));
         }
         
+        // Metadata is stored as JSON and never rendered directly
+        if (isset($data['metadata']) && is_array($data['metadata'])) {
+            $sanitized['metadata'] = $data['metadata'];
+        }
+        
         return $sanitized;
     }
 
+    /**
+     * Keep basic HTML tags and drop all of their attributes (event handlers, styles, URLs).
+     *
+     * @param string $html
+     * @return string
+     */
+    protected function sanitizeHtml(string $html): string
+    {
+        $allowedTags = '<p><br><strong><em><ul><ol><li><h1><h2><h3><h4><h5><h6><blockquote>';
+        
+        return preg_replace(
+            '/<(\/?)([a-z][a-z0-9]*)\b(?:[^>"\']|"[^"]*"|\'[^\']*\')*>/i',
+            '<$1$2>',
+            strip_tags($html, $allowedTags)
+        ) ?? '';
+    }
+
+    /**
+     * Render markdown content to HTML.
+     *
+     * Raw HTML in the markdown is escaped, and links and images may not use
+     * javascript:, vbscript:, file: or data: URLs.
+     *
+     * @param string $markdown
+     * @return string
+     */
+    protected function renderMarkdown(string $markdown): string
+    {
+        $html = Str::markdown($markdown, [
+            'html_input' => 'escape',
+            'allow_unsafe_links' => false,
+        ]);
+        
+        // CommonMark still allows data: images; attribute values are escaped, so they never contain a quote
+        return trim(preg_replace('/\s(?:href|src)="data:[^"]*"/i', '', $html));
+    }
+
     /**
      * Get article statistics.
      *
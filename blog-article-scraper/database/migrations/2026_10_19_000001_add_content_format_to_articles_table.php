@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            // Format of `content` ("html" for scraped articles, "markdown" for enhanced ones)
+            $table->string('content_format', 20)->default('html')->after('content');
+            // Rendered HTML of markdown content
+            $table->longText('content_html')->nullable()->after('content_format');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropColumn(['content_format', 'content_html']);
+        });
+    }
+};
@@ -43,7 +43,7 @@
 
         // Get articles
         $query = "
-            SELECT id, title, author, content, category, created_at, updated_at, 
+            SELECT id, title, author, content, content_format, content_html, category, created_at, updated_at, 
                    'original' as type, null as enhancement_date, null as references
             FROM articles 
             {$whereClause}
@@ -101,7 +101,7 @@
 
         // Get article by ID
         $stmt = $pdo->prepare("
-            SELECT id, title, author, content, category, created_at, updated_at, 
+            SELECT id, title, author, content, content_format, content_html, category, created_at, updated_at, 
                    'original' as type, null as enhancement_date, null as references
             FROM articles 
             WHERE id = :id
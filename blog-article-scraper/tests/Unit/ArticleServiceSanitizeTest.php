@@ -0,0 +1,68 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Models\Article;
+use App\Services\ArticleScraperService;
+use App\Services\ArticleService;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+class ArticleServiceSanitizeTest extends TestCase
+{
+    /**
+     * Run ArticleService::sanitizeArticleData.
+     */
+    private function sanitize(array $data, ?Article $article = null): array
+    {
+        $method = new ReflectionMethod(ArticleService::class, 'sanitizeArticleData');
+
+        return $method->invoke(new ArticleService(new ArticleScraperService()), $data, $article);
+    }
+
+    public function test_html_content_keeps_basic_tags_without_attributes(): void
+    {
+        $sanitized = $this->sanitize([
+            'content' => '<p onclick="steal()" style="color:red">Text <strong title="a>b" onmouseover=alert(1)>bold</strong></p>'
+                . '<a href="javascript:alert(1)">link</a><img src=x onerror="alert(1)"><script>alert(1)</script>',
+            'content_format' => 'html',
+        ]);
+
+        $this->assertSame('<p>Text <strong>bold</strong></p>linkalert(1)', $sanitized['content']);
+        $this->assertNull($sanitized['content_html']);
+    }
+
+    public function test_content_html_is_rendered_from_markdown_and_never_taken_from_the_client(): void
+    {
+        $sanitized = $this->sanitize([
+            'content' => "# Title\n\n[docs](https://example.com) <img src=x onerror=\"alert(1)\">",
+            'content_format' => 'markdown',
+            'content_html' => '<img src=x onerror="alert(1)">',
+        ]);
+
+        $this->assertSame(
+            "<h1>Title</h1>\n<p><a href=\"https://example.com\">docs</a> &lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>",
+            $sanitized['content_html']
+        );
+    }
+
+    public function test_rendered_markdown_drops_unsafe_urls(): void
+    {
+        $sanitized = $this->sanitize([
+            'content' => '[a](javascript:alert(1)) [b](data:text/html;base64,PHNjcmlwdD4=) ![c](data:image/png;base64,iVBORw0KGgo=)',
+            'content_format' => 'markdown',
+        ]);
+
+        $this->assertStringNotContainsString('javascript:', $sanitized['content_html']);
+        $this->assertStringNotContainsString('data:', $sanitized['content_html']);
+    }
+
+    public function test_content_html_follows_updates_of_the_content_or_its_format(): void
+    {
+        $article = new Article(['content' => '**bold**', 'content_format' => 'markdown']);
+
+        $this->assertSame('<p><em>new</em></p>', $this->sanitize(['content' => '*new*'], $article)['content_html']);
+        $this->assertNull($this->sanitize(['content_format' => 'html'], $article)['content_html']);
+        $this->assertArrayNotHasKey('content_html', $this->sanitize(['title' => 'Renamed'], $article));
+    }
+}
@@ -1,6 +1,7 @@
 import { Link } from 'react-router-dom';
 import ArticleTypeLabel from './ArticleTypeLabel';
 import { formatDate, formatRelativeTime, generateExcerpt, formatReadingTime } from '../../utils/formatters';
+import { renderArticleContent } from '../../utils/articleContent';
 import styles from './ArticleCard.module.css';
 
 const ArticleCard = ({ article, onClick }) => {
@@ -17,7 +18,9 @@ const ArticleCard = ({ article, onClick }) => {
 
   if (!article) return null;
 
-  const excerpt = article.excerpt || generateExcerpt(article.content, 150);
+  // Markdown articles are rendered first so excerpts and reading times skip the markup
+  const contentHtml = renderArticleContent(article);
+  const excerpt = article.excerpt || generateExcerpt(contentHtml, 150);
   const hasReferences = article.references && article.references.length > 0;
   const publishedDate = article.published_at || article.created_at;
 
@@ -61,7 +64,7 @@ const ArticleCard = ({ article, onClick }) => {
             
             {article.content && (
               <span className={styles.readingTime}>
-                {formatReadingTime(article.content)}
+                {formatReadingTime(contentHtml)}
               </span>
             )}
           </div>
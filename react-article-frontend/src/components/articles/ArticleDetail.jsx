@@ -3,7 +3,7 @@ import ArticleTypeLabel from './ArticleTypeLabel';
 import LoadingSpinner from '../common/LoadingSpinner';
 import Button from '../ui/Button';
 import { formatDate, formatRelativeTime, formatReadingTime } from '../../utils/formatters';
-import { sanitizeHtml } from '../../utils/validators';
+import { renderArticleContent } from '../../utils/articleContent';
 import styles from './ArticleDetail.module.css';
 
 const ArticleDetail = ({ article, isLoading, isError, error, onRetry }) => {
@@ -73,6 +73,7 @@ const ArticleDetail = ({ article, isLoading, isError, error, onRetry }) => {
 
   const publishedDate = article.published_at || article.created_at;
   const hasReferences = article.references && article.references.length > 0;
+  const contentHtml = renderArticleContent(article);
 
   return (
     <div className={styles.container}>
@@ -99,7 +100,7 @@ const ArticleDetail = ({ article, isLoading, isError, error, onRetry }) => {
             <div className={styles.metadataRow}>
               {article.content && (
                 <span className={styles.readingTime}>
-                  {formatReadingTime(article.content)} read
+                  {formatReadingTime(contentHtml)} read
                 </span>
               )}
 
@@ -132,7 +133,7 @@ const ArticleDetail = ({ article, isLoading, isError, error, onRetry }) => {
             <div 
               className={styles.htmlContent}
               dangerouslySetInnerHTML={{ 
-                __html: sanitizeHtml(article.content) 
+                __html: contentHtml 
               }}
             />
           ) : (
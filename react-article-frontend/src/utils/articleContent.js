@@ -0,0 +1,38 @@
+/**
+ * Article content rendering
+ * Markdown articles are shown from the content_html the API renders with CommonMark
+ * whenever they are saved; HTML articles are shown from their content
+ */
+
+import { sanitizeHtml } from './validators';
+import { CONTENT_FORMATS } from './constants';
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Get an article's content as sanitized HTML
+ * A markdown article without content_html (saved before the API rendered it) is shown as plain text
+ * @param {Object} article - Article with content, content_format and content_html
+ * @returns {string} Sanitized HTML string
+ */
+export const renderArticleContent = (article) => {
+  if (!article?.content) return '';
+
+  if (article.content_format === CONTENT_FORMATS.MARKDOWN) {
+    if (article.content_html) return sanitizeHtml(article.content_html);
+
+    return article.content
+      .split(/\n\s*\n/)
+      .filter((paragraph) => paragraph.trim())
+      .map((paragraph) => `<p>${escapeHtml(paragraph.trim())}</p>`)
+      .join('\n');
+  }
+
+  return sanitizeHtml(article.content);
+};
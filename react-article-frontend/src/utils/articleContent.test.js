@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { renderArticleContent } from './articleContent';
+import { CONTENT_FORMATS } from './constants';
+
+// content_html as the API's CommonMark renderer (GFM) writes it
+const COMMONMARK_HTML = [
+  '<h1>Title</h1>',
+  '<p>Some <strong>bold</strong>, <em>italic</em>, <del>old</del> and <code>code</code>.</p>',
+  '<p><a href="https://example.com" title="Docs">docs</a> <img src="/chart.png" alt="chart" /></p>',
+  '<ol start="3">\n<li>three</li>\n</ol>',
+  '<table>\n<thead>\n<tr>\n<th align="left">a</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td align="left">1</td>\n</tr>\n</tbody>\n</table>',
+  '<pre><code class="language-js">const a = 1;\n</code></pre>',
+].join('\n');
+
+describe('renderArticleContent', () => {
+  describe('markdown articles', () => {
+    it('keeps the content_html rendered by the API', () => {
+      const article = { content: '# Title', content_format: CONTENT_FORMATS.MARKDOWN, content_html: COMMONMARK_HTML };
+
+      expect(renderArticleContent(article)).toBe(COMMONMARK_HTML.replace(' />', '>'));
+    });
+
+    it('sanitizes content_html', () => {
+      const article = {
+        content: '# Title',
+        content_format: CONTENT_FORMATS.MARKDOWN,
+        content_html: '<h1 onclick="alert(1)">Title</h1><div><script>alert(2)</script></div><svg onload="alert(3)"></svg>'
+          + '<a href="javascript:alert(4)">x</a><img src="data:image/png;base64,AAAA" alt="y">',
+      };
+
+      expect(renderArticleContent(article)).toBe('<h1>Title</h1><div></div><a>x</a><img alt="y">');
+    });
+
+    it('shows markdown without content_html as escaped text, without rendering it', () => {
+      const article = { content: '[x](javascript:alert(1)) <svg onload=alert(1)>\n\n# Not a heading', content_format: CONTENT_FORMATS.MARKDOWN };
+
+      expect(renderArticleContent(article)).toBe('<p>[x](javascript:alert(1)) &lt;svg onload=alert(1)&gt;</p>\n<p># Not a heading</p>');
+    });
+  });
+
+  it('sanitizes HTML articles', () => {
+    const article = { content: '<p onmouseover="alert(1)">Text</p><svg><script>alert(1)</script></svg>', content_format: CONTENT_FORMATS.HTML };
+
+    expect(renderArticleContent(article)).toBe('<p>Text</p>');
+  });
+
+  it('treats articles without a content format as HTML', () => {
+    expect(renderArticleContent({ content: '<p>Text<img src=x onerror=alert(1)></p>' })).toBe('<p>Text<img src="x"></p>');
+  });
+
+  it('returns an empty string without content', () => {
+    expect(renderArticleContent(null)).toBe('');
+    expect(renderArticleContent({ content: '' })).toBe('');
+  });
+});
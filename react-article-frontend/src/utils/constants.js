@@ -28,4 +28,9 @@ export const DEFAULT_PAGE_SIZE = 12;
 export const CACHE_TIME = {
   STALE_TIME: 5 * 60 * 1000, // 5 minutes
   CACHE_TIME: 10 * 60 * 1000, // 10 minutes
-};
\ No newline at end of file
+};
+// Content Formats (articles.content_format)
+export const CONTENT_FORMATS = {
+  HTML: 'html',
+  MARKDOWN: 'markdown',
+};
@@ -2,39 +2,90 @@
  * Utility functions for data validation
  */
 
+// Tags and attributes allowed in rendered article content
+// (covers what the API's CommonMark renderer emits for content_html)
+export const ALLOWED_TAGS = [
+  'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'del', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'blockquote', 'a', 'img', 'code', 'pre', 'span', 'div',
+  'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+];
+
+export const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title'],
+  ol: ['start'],
+  code: ['class'],
+  th: ['align'],
+  td: ['align'],
+};
+
+// Removed together with their content; other disallowed tags are unwrapped
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'form', 'textarea', 'select', 'svg', 'math'];
+
+/**
+ * Check whether a URL is safe for a link or image
+ * Allows http(s), mailto and relative URLs only, for links and images alike
+ * (the same policy as sanitizeUrl in the automation's review report renderer)
+ * @param {string} url - URL to check
+ * @returns {boolean} Whether the URL is safe
+ */
+export const isSafeUrl = (url) => {
+  // Control characters and whitespace can hide a scheme ("java\nscript:")
+  const value = [...(url || '')].filter((char) => char > ' ').join('');
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (!scheme) return true;
+  return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+};
+
 /**
- * Basic HTML sanitization for safe rendering
+ * HTML sanitization for safe rendering
+ * Keeps only ALLOWED_TAGS and ALLOWED_ATTRIBUTES and drops unsafe URLs
  * @param {string} html - HTML string to sanitize
  * @returns {string} Sanitized HTML string
  */
 export const sanitizeHtml = (html) => {
   if (!html || typeof html !== 'string') return '';
 
-  // Allow basic formatting tags but remove potentially dangerous ones
-  const allowedTags = [
-    'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-    'ul', 'ol', 'li', 'blockquote', 'a', 'img', 'code', 'pre', 'span', 'div'
-  ];
-
-  // Remove script tags and their content
-  let sanitized = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-  
-  // Remove style tags and their content
-  sanitized = sanitized.replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
-  
-  // Remove on* event handlers
-  sanitized = sanitized.replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, '');
-  
-  // Remove javascript: links
-  sanitized = sanitized.replace(/href\s*=\s*["']javascript:[^"']*["']/gi, '');
-  
-  // Remove data: URLs (except for images)
-  sanitized = sanitized.replace(/src\s*=\s*["']data:(?!image\/)[^"']*["']/gi, '');
-  
-  // Clean up any remaining dangerous attributes
-  sanitized = sanitized.replace(/\s*(onerror|onload|onclick|onmouseover)\s*=\s*["'][^"']*["']/gi, '');
-
-  return sanitized;
+  // Template content is inert: scripts do not run and images do not load while parsing
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const cleanChildren = (parent) => {
+    for (const node of [...parent.childNodes]) {
+      if (node.nodeType === Node.TEXT_NODE) continue;
+
+      // Comments, processing instructions, etc.
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        continue;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      if (DROPPED_TAGS.includes(tag)) {
+        node.remove();
+        continue;
+      }
+
+      cleanChildren(node);
+
+      if (!ALLOWED_TAGS.includes(tag)) {
+        node.replaceWith(...node.childNodes);
+        continue;
+      }
+
+      for (const { name, value } of [...node.attributes]) {
+        const allowed = (ALLOWED_ATTRIBUTES[tag] || []).includes(name);
+        const unsafeUrl = (name === 'href' || name === 'src') && !isSafeUrl(value);
+        if (!allowed || unsafeUrl) {
+          node.removeAttribute(name);
+        }
+      }
+    }
+  };
+
+  cleanChildren(template.content);
+  return template.innerHTML;
 };
 
 /**
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeHtml, isSafeUrl } from './validators';
+
+describe('sanitizeHtml', () => {
+  it('keeps allowed tags and attributes', () => {
+    const html = '<h2>Title</h2><p>Text with <a href="https://example.com" title="Example">a link</a> and <img src="/a.png" alt="A"></p>';
+
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  it('returns an empty string for missing content', () => {
+    expect(sanitizeHtml('')).toBe('');
+    expect(sanitizeHtml(null)).toBe('');
+    expect(sanitizeHtml(42)).toBe('');
+  });
+
+  describe('XSS', () => {
+    it.each([
+      ['<img src="/a.png" onerror="alert(1)">', '<img src="/a.png">'],
+      ['<p onclick="steal()" style="color:red">Text</p>', '<p>Text</p>'],
+      ['<a href="https://example.com" onmouseover="alert(1)">Link</a>', '<a href="https://example.com">Link</a>'],
+      ['<div ONLOAD="alert(1)">Block</div>', '<div>Block</div>'],
+    ])('removes event handler attributes from %s', (input, expected) => {
+      expect(sanitizeHtml(input)).toBe(expected);
+    });
+
+    it.each([
+      ['<a href="javascript:alert(1)">Link</a>', '<a>Link</a>'],
+      ['<a href="JaVaScRiPt:alert(1)">Link</a>', '<a>Link</a>'],
+      ['<a href="java&#x0A;script:alert(1)">Link</a>', '<a>Link</a>'],
+      ['<a href=" &#14; javascript:alert(1)">Link</a>', '<a>Link</a>'],
+      ['<a href="vbscript:msgbox(1)">Link</a>', '<a>Link</a>'],
+      ['<a href="data:text/html;base64,PHNjcmlwdD4=">Link</a>', '<a>Link</a>'],
+      ['<img src="data:image/png;base64,iVBORw0KGgo=" alt="Pixel">', '<img alt="Pixel">'],
+      ['<img src="data:image/svg+xml;base64,PHN2Zz4=" alt="Vector">', '<img alt="Vector">'],
+      ['<img src="javascript:alert(1)" alt="X">', '<img alt="X">'],
+    ])('drops the unsafe URL of %s', (input, expected) => {
+      expect(sanitizeHtml(input)).toBe(expected);
+    });
+
+    it('removes scripts, including nested ones', () => {
+      const html = '<div><p>Safe<script>alert(1)</script></p><span><script src="https://evil.test/x.js"></script>text</span></div>';
+
+      expect(sanitizeHtml(html)).toBe('<div><p>Safe</p><span>text</span></div>');
+    });
+
+    it('removes scripts hidden in disallowed wrappers', () => {
+      expect(sanitizeHtml('<section><article><script>alert(1)</script>Kept</article></section>')).toBe('Kept');
+      const html = sanitizeHtml('<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>');
+      expect(html).not.toMatch(/onerror|<noscript|<p/);
+    });
+
+    it('removes svg and math content with its handlers and scripts', () => {
+      const html = '<p>Before</p><svg onload="alert(1)"><script>alert(2)</script><a href="javascript:alert(3)"><text>Click</text></a></svg><math><mtext><img src=x onerror=alert(4)></mtext></math><p>After</p>';
+
+      expect(sanitizeHtml(html)).toBe('<p>Before</p><p>After</p>');
+    });
+
+    it('removes frames, forms, styles and comments', () => {
+      const html = '<iframe src="https://evil.test"></iframe><form action="/x"><input value="y"></form><style>p{}</style><!-- <script>alert(1)</script> --><p>Text</p>';
+
+      expect(sanitizeHtml(html)).toBe('<p>Text</p>');
+    });
+
+    it('unwraps unknown tags and keeps their text escaped', () => {
+      expect(sanitizeHtml('<custom-el onclick="x">Hi &lt;script&gt;</custom-el>')).toBe('Hi &lt;script&gt;');
+    });
+  });
+});
+
+describe('isSafeUrl', () => {
+  it('allows http(s), mailto and relative URLs', () => {
+    expect(isSafeUrl('https://example.com')).toBe(true);
+    expect(isSafeUrl('http://example.com')).toBe(true);
+    expect(isSafeUrl('mailto:team@example.com')).toBe(true);
+    expect(isSafeUrl('/articles/1')).toBe(true);
+    expect(isSafeUrl('#top')).toBe(true);
+  });
+
+  it('rejects every other scheme, including data: images', () => {
+    expect(isSafeUrl('javascript:alert(1)')).toBe(false);
+    expect(isSafeUrl('\u0000javascript:alert(1)')).toBe(false);
+    expect(isSafeUrl('data:image/png;base64,AAAA')).toBe(false);
+    expect(isSafeUrl('file:///etc/passwd')).toBe(false);
+  });
+});